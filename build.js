@@ -7,11 +7,24 @@ import { createServer } from 'http';
 import { readFile, readdir, stat } from 'fs/promises';
 import { join, extname, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { attachOscBridge, OSC_BRIDGE_DEFAULTS } from './server/osc-bridge.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const PORT = 3000;
+
+// OSC bridge ports (override with OSC_IN_PORT, OSC_OUT_PORT, OSC_OUT_HOST). By default UDP is
+// bound to 127.0.0.1 and /osc only accepts this machine, even though the dev server listens on
+// every interface. OSC_BIND=0.0.0.0 accepts OSC from other devices, and then also lets pages
+// from other hosts on the network connect to /osc (and so send UDP and read telemetry).
+const OSC_OPTIONS = {
+    bindHost: process.env.OSC_BIND || OSC_BRIDGE_DEFAULTS.bindHost,
+    inPort: parseInt(process.env.OSC_IN_PORT) || OSC_BRIDGE_DEFAULTS.inPort,
+    outHost: process.env.OSC_OUT_HOST || OSC_BRIDGE_DEFAULTS.outHost,
+    outPort: parseInt(process.env.OSC_OUT_PORT) || OSC_BRIDGE_DEFAULTS.outPort
+};
+
 const MIME_TYPES = {
     '.html': 'text/html',
     '.js': 'application/javascript',
@@ -152,6 +165,14 @@ const server = createServer(async (req, res) => {
     }
 });
 
+// OSC bridge: WebSocket at /osc <-> UDP; the site still serves if the UDP port is taken
+let oscBridge = null;
+try {
+    oscBridge = await attachOscBridge(server, OSC_OPTIONS);
+} catch (error) {
+    console.warn(`⚠️ OSC bridge disabled (UDP ${OSC_OPTIONS.bindHost}:${OSC_OPTIONS.inPort}): ${error.message}`);
+}
+
 server.listen(PORT, () => {
     console.log('🚀 Granular Particle Synth Development Server');
     console.log('================================================');
@@ -161,6 +182,9 @@ server.listen(PORT, () => {
     console.log(`   • http://localhost:${PORT}/           - Main application`);
     console.log(`   • http://localhost:${PORT}/js/        - JavaScript modules`);
     console.log(`   • http://localhost:${PORT}/styles/    - CSS stylesheets`);
+    if (oscBridge) {
+        console.log(`   • ws://localhost:${PORT}${OSC_BRIDGE_DEFAULTS.path}         - OSC bridge (UDP in ${OSC_OPTIONS.bindHost}:${oscBridge.inPort}, out ${OSC_OPTIONS.outHost}:${OSC_OPTIONS.outPort})`);
+    }
     console.log('');
     console.log('💡 To test the modularized system:');
     console.log('   1. Open http://localhost:${PORT} in your browser');
@@ -175,6 +199,7 @@ server.listen(PORT, () => {
 // Handle graceful shutdown
 process.on('SIGINT', () => {
     console.log('\\n🛑 Shutting down development server...');
+    oscBridge?.close();
     server.close(() => {
         console.log('✅ Server stopped gracefully');
         process.exit(0);
@@ -183,6 +208,7 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
     console.log('\\n🛑 Received SIGTERM, shutting down...');
+    oscBridge?.close();
     server.close(() => {
         console.log('✅ Server stopped gracefully');
         process.exit(0);
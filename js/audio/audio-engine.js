@@ -3,28 +3,42 @@
  * Handles AudioContext, worklet setup, and engine lifecycle
  */
 
-import { WORKLET_PROCESSOR_CODE } from './worklet-processor.js';
-import { updateVolumeMeter } from '../ui/audio-controls.js';
+import { updateVolumeMeter, updateBandMemoryDisplay } from '../ui/audio-controls.js';
 import { audioEngine, state } from '../config.js';
 import { Utils } from '../utils.js';
 import { setElementDisplay, updateElementText, safeGetElement } from '../shared/dom-utils.js';
 import { eventBus, Events } from '../shared/event-bus.js';
 
+// Worklet module, resolved against this file so it works from any deploy path
+// (never imported on the main thread: it extends AudioWorkletProcessor)
+const GRANULAR_WORKLET_URL = new URL('./worklet-processor.js', import.meta.url);
+
 // Helper: Enable all audio controls
 export function enableAudioControls() {
     // Enable granular parameter controls
     const controls = [
         'curveParameter',
         'volumeScale',
+        'pitchScaleOctaves',
+        'envelopeShape',
+        'envelopeAttack',
+        'envelopeSkew',
+        'windowSigmaFactor',
+        'interpolationMode',
+        'bandCrossfade',
+        'bandTracking',
+        'numBandwidthTiers',
+        'reprocessBands',
         'showActiveVoices',
         'voiceStealingDelay',
-        'voiceStealingCrossfade'
+        'voiceStealingCrossfade',
+        'recordToggle'
     ];
 
     controls.forEach(id => {
         const element = safeGetElement(id);
         if (element) {
-            if (element.tagName === 'INPUT') {
+            if (element.tagName === 'INPUT' || element.tagName === 'BUTTON' || element.tagName === 'SELECT') {
                 element.disabled = false;
             } else {
                 element.classList.remove('disabled');
@@ -47,8 +61,9 @@ export function enableAudioControls() {
     const fileButtons = document.querySelectorAll('.file-input-button');
     fileButtons.forEach(btn => btn.classList.remove('disabled'));
 
-    // Enable all audio sample controls (sliders and values)
-    const audioSliders = document.querySelectorAll('#audioSamplesContainer .slider');
+    // Enable all audio sample controls (sliders, selects and values)
+    const audioSliders = document.querySelectorAll(
+        '#audioSamplesContainer .slider, #audioSamplesContainer .audio-control-select, #audioSamplesContainer .audio-control-input');
     audioSliders.forEach(slider => slider.disabled = false);
 
     const audioValues = document.querySelectorAll('#audioSamplesContainer .audio-control-value');
@@ -71,15 +86,26 @@ export function disableAudioControls() {
     const controls = [
         'curveParameter',
         'volumeScale',
+        'pitchScaleOctaves',
+        'envelopeShape',
+        'envelopeAttack',
+        'envelopeSkew',
+        'windowSigmaFactor',
+        'interpolationMode',
+        'bandCrossfade',
+        'bandTracking',
+        'numBandwidthTiers',
+        'reprocessBands',
         'showActiveVoices',
         'voiceStealingDelay',
-        'voiceStealingCrossfade'
+        'voiceStealingCrossfade',
+        'recordToggle'
     ];
 
     controls.forEach(id => {
         const element = safeGetElement(id);
         if (element) {
-            if (element.tagName === 'INPUT') {
+            if (element.tagName === 'INPUT' || element.tagName === 'BUTTON' || element.tagName === 'SELECT') {
                 element.disabled = true;
             } else {
                 element.classList.add('disabled');
@@ -102,8 +128,9 @@ export function disableAudioControls() {
     const fileButtons = document.querySelectorAll('.file-input-button');
     fileButtons.forEach(btn => btn.classList.add('disabled'));
 
-    // Disable all audio sample controls (sliders and values)
-    const audioSliders = document.querySelectorAll('#audioSamplesContainer .slider');
+    // Disable all audio sample controls (sliders, selects and values)
+    const audioSliders = document.querySelectorAll(
+        '#audioSamplesContainer .slider, #audioSamplesContainer .audio-control-select, #audioSamplesContainer .audio-control-input');
     audioSliders.forEach(slider => slider.disabled = true);
 
     const audioValues = document.querySelectorAll('#audioSamplesContainer .audio-control-value');
@@ -139,6 +166,17 @@ function updateAudioUIState(isRunning, sampleRate = null) {
     }
 }
 
+/**
+ * Register the granular processor on a (realtime or offline) audio context
+ * Shared by the live engine and the offline renderer so both run identical DSP
+ * @param {BaseAudioContext} context - Context whose audioWorklet receives the module
+ * @returns {Promise<void>}
+ */
+export async function addGranularWorklet(context) {
+    // Loaded by URL (not a data URL) so the processor can import granular-dsp.js relative to itself
+    await context.audioWorklet.addModule(GRANULAR_WORKLET_URL);
+}
+
 export async function startAudioEngine() {
     try {
         // Check if AudioWorklet is supported (implies AudioContext support)
@@ -161,10 +199,7 @@ export async function startAudioEngine() {
 
         console.log('AudioContext created, state:', audioEngine.context.state);
 
-        // Use data URL for file:// protocol compatibility (encodes Unicode safely)
-        const workletUrl = 'data:text/javascript;base64,' + btoa(unescape(encodeURIComponent(WORKLET_PROCESSOR_CODE)));
-
-        await audioEngine.context.audioWorklet.addModule(workletUrl);
+        await addGranularWorklet(audioEngine.context);
         console.log('AudioWorklet module added successfully');
 
         // Create worklet node with stereo output
@@ -202,7 +237,8 @@ export async function startAudioEngine() {
                 // Emit audio CPU usage event if included
                 if (event.data.cpuUsage !== null && event.data.cpuUsage !== undefined) {
                     eventBus.emit(Events.AUDIO_PERFORMANCE_UPDATED, {
-                        audioCpuUsage: event.data.cpuUsage
+                        audioCpuUsage: event.data.cpuUsage,
+                        interpolationLoad: event.data.interpolationLoad
                     });
                 }
 
@@ -214,6 +250,9 @@ export async function startAudioEngine() {
                         clipping: event.data.clipping
                     });
                 }
+            } else if (event.data.type === 'midiEvents') {
+                // Grain/voice events for MIDI out (only sent once MIDI out asked for them)
+                eventBus.emit(Events.AUDIO_MIDI_EVENTS, { events: event.data.events });
             }
         };
 
@@ -261,6 +300,9 @@ export async function startAudioEngine() {
 
 export async function stopAudioEngine() {
     if (audioEngine.context) {
+        // Let listeners (e.g. an in-progress recording) finish before the graph is torn down
+        eventBus.emit(Events.AUDIO_SHUTDOWN);
+
         await audioEngine.context.close();
         audioEngine.context = null;
         audioEngine.workletNode = null;
@@ -268,6 +310,8 @@ export async function stopAudioEngine() {
         audioEngine.activeParticleCount = 0;
         audioEngine.voiceAllocations.clear();
         audioEngine.particleAudioCrossfade.clear();
+        audioEngine.bandMemoryBytes.fill(0); // Bands lived in the closed context's worklet
+        updateBandMemoryDisplay();
 
         // Update UI
         updateAudioUIState(false);
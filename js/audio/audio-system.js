@@ -24,9 +24,15 @@
  */
 
 import { startAudioEngine, stopAudioEngine } from './audio-engine.js';
-import { updateAudioParameters, validateAudioParameter, resendAudioBuffers } from './parameter-manager.js';
-import { updateAudioUI, loadAudioSample } from './sample-manager.js';
-import { audioEngine } from '../config.js';
+import { updateAudioParameters, validateAudioParameter } from './parameter-manager.js';
+import {
+    updateAudioUI, loadAudioSample, regenerateSpeciesBands, reprocessSpeciesBands, restoreWorkletSamples,
+    restoreSampleRefs
+} from './sample-manager.js';
+import { getBandJob, cancelBandJob } from './band-jobs.js';
+import { renderOffline } from './offline-renderer.js';
+import { startRecording, stopRecording, isRecording } from './recorder.js';
+import { CONFIG, audioEngine } from '../config.js';
 import { eventBus, Events } from '../shared/event-bus.js';
 
 export const AudioSystem = {
@@ -42,8 +48,8 @@ export const AudioSystem = {
             // Listen for audio engine initialization to send parameters
             // This breaks the circular dependency between audio-engine and audio-system
             eventBus.once(Events.AUDIO_INITIALIZED, () => {
-                // First, re-send any previously loaded audio buffers to the new worklet instance
-                resendAudioBuffers();
+                // First, restore previously loaded samples in the new worklet instance (bands are filtered again)
+                restoreWorkletSamples();
                 // Then send all parameters
                 this.updateParameters({ all: true });
             });
@@ -78,6 +84,7 @@ export const AudioSystem = {
      * @param {boolean} [config.ranges] - Update sample playback ranges
      * @param {boolean} [config.audio] - Update volume/pitch settings
      * @param {boolean} [config.voices] - Update voice management limits
+     * @param {boolean} [config.seed] - Update the grain jitter seed (deterministic mode)
      * @param {boolean} [config.all] - Update all parameters
      * @returns {void}
      * @public
@@ -135,6 +142,117 @@ export const AudioSystem = {
         }
     },
 
+    /**
+     * Load the stored samples a preset references (IndexedDB, by content hash)
+     * Waits for the engine if it is stopped; species already playing the sample are skipped
+     *
+     * @param {Array<Object|null>} refs - Per-species { hash, name } from CONFIG.species.sampleRefs
+     * @returns {Promise<number>} Samples loaded now
+     * @public
+     */
+    restoreSamples(refs) {
+        return restoreSampleRefs(refs);
+    },
+
+    /**
+     * Rebuild one species' pre-filtered bands after its frequency profile changed
+     * Other species keep their bands; without a loaded sample this does nothing
+     *
+     * @param {number} speciesIndex - Species index (0-7)
+     * @returns {Promise<boolean>} True if the worklet received the new bands
+     * @public
+     */
+    regenerateBands(speciesIndex) {
+        return regenerateSpeciesBands(speciesIndex);
+    },
+
+    /**
+     * Filter bands again from the cached raw samples, e.g. after changing the bandwidth tier count
+     *
+     * @param {number} [speciesIndex] - Species index (0-7); every loaded species when omitted
+     * @returns {Promise<boolean>} True if every species' new bands (or raw sample) reached the worklet
+     * @public
+     */
+    async reprocessBands(speciesIndex) {
+        const indices = speciesIndex === undefined
+            ? CONFIG.species.audioBuffers.map((buffer, i) => (buffer ? i : -1)).filter(i => i >= 0)
+            : [speciesIndex];
+        const results = await Promise.all(indices.map(i => reprocessSpeciesBands(i)));
+        return results.every(Boolean);
+    },
+
+    /**
+     * Progress of a species' background band filtering
+     *
+     * @param {number} speciesIndex - Species index (0-7)
+     * @returns {{progress: number, state: string}|null} Progress 0-1 and 'queued'/'running', or null when idle
+     * @public
+     */
+    getBandJob(speciesIndex) {
+        return getBandJob(speciesIndex);
+    },
+
+    /**
+     * Stop a species' background band filtering; it keeps playing the raw sample
+     *
+     * @param {number} speciesIndex - Species index (0-7)
+     * @returns {boolean} True if a job was cancelled
+     * @public
+     */
+    cancelBands(speciesIndex) {
+        return cancelBandJob(speciesIndex);
+    },
+
+    /**
+     * Render the simulation offline to a WAV file
+     * Uses an OfflineAudioContext with the same granular processor; works while the live engine is stopped
+     *
+     * @param {Object} options - Render options
+     * @param {number} options.duration - Length in seconds
+     * @param {number} [options.sampleRate=48000] - Output sample rate in Hz
+     * @param {number} [options.bitDepth=24] - 16, 24 or 32 (float)
+     * @param {Function} [options.onProgress] - Progress callback (0-1)
+     * @param {AbortSignal} [options.signal] - Cancels the render
+     * @returns {Promise<Object>} Render result with WAV blob
+     * @throws {Error} If no samples are loaded or a render is already running
+     * @public
+     */
+    renderToWav(options) {
+        return renderOffline(options);
+    },
+
+    /**
+     * Start recording the live master output
+     *
+     * @returns {Promise<void>}
+     * @throws {Error} If the audio engine is not running or already recording
+     * @public
+     */
+    startRecording() {
+        return startRecording();
+    },
+
+    /**
+     * Stop recording and encode the take as a lossless WAV
+     * Also emits Events.RECORDING_STOPPED with the result
+     *
+     * @returns {Promise<Object|null>} { blob, filename, duration, peak } or null if not recording
+     * @public
+     */
+    stopRecording() {
+        return stopRecording();
+    },
+
+    /**
+     * Check if the master output is being recorded
+     *
+     * @returns {boolean} True while a take is in progress
+     * @public
+     */
+    isRecording() {
+        return isRecording();
+    },
+
     /**
      * Check if audio system is active and ready
      *
@@ -0,0 +1,123 @@
+/**
+ * Band Jobs - Background pre-filtering of loaded samples into frequency bands
+ * Jobs run one at a time in a queue so several loads never race; each species has at most one
+ * job, and a newer one (new sample, profile change) cancels the old. The worklet plays the raw
+ * sample until the bands arrive.
+ */
+
+import { CONFIG, audioEngine } from '../config.js';
+import { FrequencyBandProcessor } from './frequency-band-processor.js';
+import { getFrequencyProfile } from './parameter-manager.js';
+import { postBands } from './sample-cache.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+
+// species -> { controller, audioBuffer, progress, state: 'queued' | 'running' }
+const jobs = new Map();
+
+// Jobs chain onto this so only one sample is being filtered at a time
+let queueTail = Promise.resolve();
+
+// Engine shutdown: the context the bands render against is closing
+eventBus.on(Events.AUDIO_SHUTDOWN, () => {
+    for (const speciesIndex of [...jobs.keys()]) {
+        cancelBandJob(speciesIndex);
+    }
+});
+
+/**
+ * Queue pre-filtering of a species' sample with its current frequency profile
+ * Cancels any job the species already has; the bands replace the raw sample in the worklet when done
+ * @param {number} speciesIndex - Species index (0-7)
+ * @param {AudioBuffer} audioBuffer - Sample to filter (must be CONFIG.species.audioBuffers[speciesIndex])
+ * @returns {Promise<string>} 'done', 'cancelled' or 'failed' (errors are reported, never thrown)
+ */
+export function queueBandJob(speciesIndex, audioBuffer) {
+    cancelBandJob(speciesIndex);
+
+    const job = { controller: new AbortController(), audioBuffer, progress: 0, state: 'queued' };
+    jobs.set(speciesIndex, job);
+    emitProgress(speciesIndex, job);
+
+    const result = queueTail.then(() => runJob(speciesIndex, job));
+    queueTail = result;
+    return result;
+}
+
+/**
+ * Stop a species' queued or running job; the worklet keeps playing the raw sample
+ * @param {number} speciesIndex - Species index (0-7)
+ * @returns {boolean} True if a job was cancelled
+ */
+export function cancelBandJob(speciesIndex) {
+    const job = jobs.get(speciesIndex);
+    if (!job) return false;
+
+    job.controller.abort();
+    finishJob(speciesIndex, job, 'cancelled');
+    return true;
+}
+
+/**
+ * Current job of a species, for progress display
+ * @param {number} speciesIndex - Species index (0-7)
+ * @returns {{progress: number, state: string}|null} Progress 0-1, or null when no job is pending
+ */
+export function getBandJob(speciesIndex) {
+    const job = jobs.get(speciesIndex);
+    return job ? { progress: job.progress, state: job.state } : null;
+}
+
+// Helper: Filter one job's sample and hand the bands to the worklet
+async function runJob(speciesIndex, job) {
+    const { signal } = job.controller;
+    if (signal.aborted) return 'cancelled';
+
+    job.state = 'running';
+    emitProgress(speciesIndex, job);
+
+    try {
+        if (!audioEngine.context) throw new Error('Audio engine not running');
+
+        const profile = getFrequencyProfile(speciesIndex);
+        const bandProcessor = new FrequencyBandProcessor(audioEngine.context, profile);
+        const bandBuffers = await bandProcessor.processSampleIntoBands(job.audioBuffer, {
+            signal,
+            onProgress: (progress) => {
+                job.progress = progress;
+                emitProgress(speciesIndex, job);
+            }
+        });
+
+        // A newer sample may have replaced this one while it was filtering
+        if (signal.aborted || CONFIG.species.audioBuffers[speciesIndex] !== job.audioBuffer) {
+            finishJob(speciesIndex, job, 'cancelled');
+            return 'cancelled';
+        }
+        if (!audioEngine.workletNode) throw new Error('Audio worklet not available');
+
+        // Moved to the worklet, which holds the only copy (a restart filters again from the raw sample)
+        const { numBands, numBandwidthTiers, bands } = bandProcessor.createWorkletMessage(bandBuffers, speciesIndex);
+        postBands(audioEngine.workletNode.port, speciesIndex, { numBands, numBandwidthTiers, bands });
+        audioEngine.bandMemoryBytes[speciesIndex] = bandProcessor.estimateMemoryBytes(job.audioBuffer);
+        finishJob(speciesIndex, job, 'done');
+        return 'done';
+    } catch (error) {
+        if (signal.aborted) return 'cancelled';
+
+        console.error(`Band filtering failed for species ${speciesIndex}:`, error);
+        finishJob(speciesIndex, job, 'failed', error.message);
+        return 'failed';
+    }
+}
+
+// Helper: Drop a job (if it is still the species' current one) and announce the outcome
+function finishJob(speciesIndex, job, status, error = null) {
+    if (jobs.get(speciesIndex) !== job) return;
+    jobs.delete(speciesIndex);
+    eventBus.emit(Events.BAND_JOB_FINISHED, { speciesIndex, status, error });
+}
+
+// Helper: Announce a job's progress
+function emitProgress(speciesIndex, job) {
+    eventBus.emit(Events.BAND_JOB_PROGRESS, { speciesIndex, progress: job.progress, state: job.state });
+}
@@ -6,50 +6,112 @@
  * multiple frequency bands from the source audio. At runtime, grains select the
  * appropriate pre-filtered band based on Y-position instead of filtering per-sample.
  *
+ * Bands keep the source's channels (up to stereo) discrete, so the worklet's per-species
+ * channel mode (stereo, mono sum, left, right) works the same on bands as on the raw sample.
+ *
+ * The bank is 2-D: every centre frequency is rendered once per bandwidth tier, so particle
+ * size still narrows or widens grains as it does on the runtime filter path.
+ *
  * Performance Impact: ~20-30% CPU reduction by eliminating all runtime filtering
- * Memory Impact: ~10x larger memory footprint (10 bands per sample)
- * Processing Time: 2-5 seconds per sample upload
+ * Memory Impact: bands × tiers copies of the sample (10x with the default single tier); tiers
+ * that would take a sample's bank past BAND_MEMORY_BUDGET_BYTES are dropped
+ * Processing Time: 2-5 seconds per sample upload and tier, in the background (band-jobs.js)
+ * while the raw sample already plays
  */
 
 import { CONFIG } from '../config.js';
+import { bandwidthTier } from './granular-dsp.js';
+
+// The worklet plays at most two source channels, so bands never carry more
+const MAX_BAND_CHANNELS = 2;
+
+/** Band bank bytes allowed per sample: extra tiers are dropped to fit, one tier is always kept */
+export const BAND_MEMORY_BUDGET_BYTES = 128 * 1024 * 1024;
+
+// Bands rendered at once: enough to keep the audio threads busy, few enough to report
+// progress and stop promptly when cancelled
+const BAND_RENDER_BATCH = 4;
 
 export class FrequencyBandProcessor {
-    constructor(audioContext) {
+    /**
+     * @param {BaseAudioContext} audioContext - Context the sample was decoded with
+     * @param {Object} profile - Species frequency profile (see getFrequencyProfile() in parameter-manager.js)
+     */
+    constructor(audioContext, profile) {
         this.context = audioContext;
-        this.numBands = CONFIG.granular.numFrequencyBands;
-        this.freqMin = CONFIG.granular.freqRangeMin;
-        this.freqMax = CONFIG.granular.freqRangeMax;
-        this.gamma = CONFIG.granular.freqGamma;
+        this.numBands = profile.numBands;
+        this.freqMin = profile.freqRangeMin;
+        this.freqMax = profile.freqRangeMax;
+        this.gamma = profile.freqGamma;
+        this.bandwidthOctavesMax = profile.bandwidthOctavesMax;
+        this.numTiers = CONFIG.granular.numBandwidthTiers;
+    }
+
+    /**
+     * Bytes the worklet holds for a sample's band bank (32-bit floats, at most two channels)
+     * @param {AudioBuffer} sourceBuffer - Original audio buffer
+     * @returns {number} Bytes across all bands and tiers
+     */
+    estimateMemoryBytes(sourceBuffer) {
+        const channelCount = Math.min(sourceBuffer.numberOfChannels, MAX_BAND_CHANNELS);
+        return sourceBuffer.length * channelCount * Float32Array.BYTES_PER_ELEMENT * this.numBands * this.numTiers;
+    }
+
+    /**
+     * Most tiers (up to the requested count, at least one) whose bank fits BAND_MEMORY_BUDGET_BYTES
+     * @param {AudioBuffer} sourceBuffer - Original audio buffer
+     * @returns {number} Tier count
+     */
+    fitTiersToBudget(sourceBuffer) {
+        const tierBytes = this.estimateMemoryBytes(sourceBuffer) / this.numTiers;
+        return Math.max(1, Math.min(this.numTiers, Math.floor(BAND_MEMORY_BUDGET_BYTES / tierBytes)));
     }
 
     /**
      * Process an audio buffer into multiple frequency bands
+     * Bands render in small batches on offline contexts, so the main thread stays free
      * @param {AudioBuffer} sourceBuffer - Original audio buffer
-     * @returns {Promise<Array<AudioBuffer>>} - Array of filtered AudioBuffers (one per band)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops before the next batch (rejects with an AbortError)
+     * @param {Function} [options.onProgress] - Called with the finished fraction (0-1) after each batch
+     * @returns {Promise<Array<AudioBuffer>>} - Filtered AudioBuffers, tier-major
+     *   (index = tier * numBands + band; tier 0 is the narrowest)
      */
-    async processSampleIntoBands(sourceBuffer) {
+    async processSampleIntoBands(sourceBuffer, { signal, onProgress } = {}) {
         if (!CONFIG.granular.usePreFilteredBands) {
             // Pre-filtering disabled, return original buffer wrapped in array
             return [sourceBuffer];
         }
 
-        const bands = [];
         const numBands = this.numBands;
+        const tiers = this.fitTiersToBudget(sourceBuffer);
+        if (tiers < this.numTiers) {
+            console.warn(`⚠️ Sample too long for ${this.numTiers} bandwidth tiers within the band memory budget, using ${tiers}`);
+            this.numTiers = tiers;
+        }
 
-        console.log(`🎛️ Pre-filtering sample into ${numBands} frequency bands...`);
+        const channelCount = Math.min(sourceBuffer.numberOfChannels, MAX_BAND_CHANNELS);
+        console.log(`🎛️ Pre-filtering ${channelCount === 2 ? 'stereo' : 'mono'} sample into ${numBands} frequency bands × ${this.numTiers} bandwidth tiers...`);
         const startTime = performance.now();
 
-        // Create frequency bands in parallel for better performance
-        const bandPromises = [];
-
-        for (let i = 0; i < numBands; i++) {
-            // Calculate Y-position for this band (0 = bottom, 1 = top)
-            const yPosition = i / (numBands - 1);
-            bandPromises.push(this.createFilteredBand(sourceBuffer, yPosition, i));
+        const bandJobs = [];
+        for (let tier = 0; tier < this.numTiers; tier++) {
+            for (let i = 0; i < numBands; i++) {
+                // Calculate Y-position for this band (0 = bottom, 1 = top)
+                bandJobs.push({ yPosition: i / (numBands - 1), bandIndex: i, tier });
+            }
         }
 
-        // Wait for all bands to complete
-        const filteredBands = await Promise.all(bandPromises);
+        // Create frequency bands a batch at a time (each batch renders in parallel)
+        const filteredBands = [];
+        for (let start = 0; start < bandJobs.length; start += BAND_RENDER_BATCH) {
+            signal?.throwIfAborted();
+            const batch = bandJobs.slice(start, start + BAND_RENDER_BATCH);
+            filteredBands.push(...await Promise.all(batch.map(({ yPosition, bandIndex, tier }) =>
+                this.createFilteredBand(sourceBuffer, yPosition, bandIndex, tier))));
+            onProgress?.(filteredBands.length / bandJobs.length);
+        }
+        signal?.throwIfAborted();
 
         const elapsed = performance.now() - startTime;
         console.log(`✅ Pre-filtering complete in ${elapsed.toFixed(0)}ms`);
@@ -62,23 +124,23 @@ export class FrequencyBandProcessor {
      * @param {AudioBuffer} sourceBuffer - Original audio buffer
      * @param {number} yPosition - Normalized Y position (0-1)
      * @param {number} bandIndex - Band index for logging
+     * @param {number} [tier=0] - Bandwidth tier (0 = narrowest)
      * @returns {Promise<AudioBuffer>} - Filtered audio buffer
      */
-    async createFilteredBand(sourceBuffer, yPosition, bandIndex) {
+    async createFilteredBand(sourceBuffer, yPosition, bandIndex, tier = 0) {
         // Calculate center frequency using same algorithm as runtime filtering
         // Inverted Y: top = high freq, bottom = low freq
         const y = 1.0 - yPosition;
         const centerFreq = this.freqMin * Math.pow(this.freqMax / this.freqMin, Math.pow(y, this.gamma));
 
-        // Calculate bandwidth (same as runtime logic)
-        const particleSize = 8; // Use default size for band creation
-        const canvasHeight = CONFIG.canvas.height;
-        const sizeNormalized = particleSize / canvasHeight;
-        const bandwidthOctaves = Math.max(0.5, sizeNormalized * CONFIG.granular.bandwidthOctavesMax);
+        // Bandwidth and slope of this tier (same size mapping as the runtime filter)
+        const { octaves: bandwidthOctaves, numStages } = bandwidthTier(
+            tier, this.numTiers, this.bandwidthOctavesMax);
 
-        // Create offline audio context for processing
+        // Create offline audio context for processing (one output channel per kept source channel)
+        const channelCount = Math.min(sourceBuffer.numberOfChannels, MAX_BAND_CHANNELS);
         const offlineContext = new OfflineAudioContext(
-            sourceBuffer.numberOfChannels,
+            channelCount,
             sourceBuffer.length,
             sourceBuffer.sampleRate
         );
@@ -87,28 +149,45 @@ export class FrequencyBandProcessor {
         const sourceNode = offlineContext.createBufferSource();
         sourceNode.buffer = sourceBuffer;
 
-        // Create bandpass filter using Web Audio API's native BiquadFilterNode
-        // This is GPU-accelerated and much faster than per-sample filtering
-        const lowpassFilter = offlineContext.createBiquadFilter();
-        const highpassFilter = offlineContext.createBiquadFilter();
-
         // Calculate filter frequencies
         const lowFreq = centerFreq / Math.pow(2, bandwidthOctaves / 2);
         const highFreq = centerFreq * Math.pow(2, bandwidthOctaves / 2);
 
-        // Configure filters
-        highpassFilter.type = 'highpass';
-        highpassFilter.frequency.value = Math.max(this.freqMin, lowFreq);
-        highpassFilter.Q.value = 0.7071; // Butterworth response
+        // Create bandpass filter using Web Audio API's native BiquadFilterNode
+        // This is GPU-accelerated and much faster than per-sample filtering.
+        // Narrow tiers cascade a second pair for steeper skirts, like the runtime path
+        const filters = [];
+        for (let stage = 0; stage < numStages; stage++) {
+            const highpassFilter = offlineContext.createBiquadFilter();
+            highpassFilter.type = 'highpass';
+            highpassFilter.frequency.value = Math.max(this.freqMin, lowFreq);
+            highpassFilter.Q.value = 0.7071; // Butterworth response
+
+            const lowpassFilter = offlineContext.createBiquadFilter();
+            lowpassFilter.type = 'lowpass';
+            lowpassFilter.frequency.value = Math.min(this.freqMax, highFreq);
+            lowpassFilter.Q.value = 0.7071;
+
+            filters.push(highpassFilter, lowpassFilter);
+        }
 
-        lowpassFilter.type = 'lowpass';
-        lowpassFilter.frequency.value = Math.min(this.freqMax, highFreq);
-        lowpassFilter.Q.value = 0.7071;
+        // Filter each channel independently: 'discrete' never up/down-mixes, so left stays left and
+        // extra channels of surround files are dropped rather than folded in. The offline destination's
+        // channel count is fixed by the context, so only its interpretation is set
+        for (const filter of filters) {
+            filter.channelCount = channelCount;
+            filter.channelCountMode = 'explicit';
+            filter.channelInterpretation = 'discrete';
+        }
+        offlineContext.destination.channelInterpretation = 'discrete';
 
-        // Connect audio graph: source → highpass → lowpass → destination
-        sourceNode.connect(highpassFilter);
-        highpassFilter.connect(lowpassFilter);
-        lowpassFilter.connect(offlineContext.destination);
+        // Connect audio graph: source → (highpass → lowpass) × stages → destination
+        let node = sourceNode;
+        for (const filter of filters) {
+            node.connect(filter);
+            node = filter;
+        }
+        node.connect(offlineContext.destination);
 
         // Start processing
         sourceNode.start(0);
@@ -118,12 +197,28 @@ export class FrequencyBandProcessor {
 
         // Log band info (only for first and last bands to reduce console spam)
         if (bandIndex === 0 || bandIndex === this.numBands - 1) {
-            console.log(`  Band ${bandIndex}: ${lowFreq.toFixed(0)}-${highFreq.toFixed(0)} Hz (center: ${centerFreq.toFixed(0)} Hz)`);
+            console.log(`  Band ${bandIndex} (tier ${tier}): ${lowFreq.toFixed(0)}-${highFreq.toFixed(0)} Hz (center: ${centerFreq.toFixed(0)} Hz)`);
         }
 
         return renderedBuffer;
     }
 
+    /**
+     * Build the worklet's 'audioBufferBands' message for a processed sample
+     * @param {Array<AudioBuffer>} bands - Output of processSampleIntoBands()
+     * @param {number} speciesIndex - Species the sample belongs to
+     * @returns {Object} Message with the bank shape (numBands × numBandwidthTiers)
+     */
+    createWorkletMessage(bands, speciesIndex) {
+        return {
+            type: 'audioBufferBands',
+            species: speciesIndex,
+            numBands: this.numBands,
+            numBandwidthTiers: this.numTiers,
+            bands: this.convertBandsToWorkletFormat(bands)
+        };
+    }
+
     /**
      * Convert filtered bands to the format expected by the worklet
      * @param {Array<AudioBuffer>} bands - Array of filtered AudioBuffers
@@ -0,0 +1,595 @@
+/**
+ * Granular DSP - Pure sample-level building blocks of the granular processor
+ *
+ * No AudioWorklet globals, DOM or shared state: everything here is a plain function
+ * of its arguments, so it runs identically inside the worklet and under Node tests.
+ * Imported by worklet-processor.js (loaded into the AudioWorkletGlobalScope).
+ */
+
+// Grain attack/release: 30% of the grain, clamped to 15-150ms
+export const ENVELOPE_FRACTION = 0.30;
+export const ENVELOPE_MIN_TIME = 0.015;
+export const ENVELOPE_MAX_TIME = 0.150;
+
+/**
+ * Read a sample with linear interpolation, wrapping the index to the buffer bounds
+ * Linear (2 samples) rather than cubic (4 samples): 30-40% faster, minimal quality difference
+ * @param {Float32Array} buffer - Source channel data
+ * @param {number} idxFloat - Fractional sample index (may be negative or past the end)
+ * @returns {number} Interpolated sample
+ */
+export function readSampleLinear(buffer, idxFloat) {
+    const bufferLength = buffer.length;
+    if (bufferLength === 0) return 0.0;
+
+    // Wrap index to buffer bounds
+    let wrappedIdx = idxFloat;
+    if (wrappedIdx < 0 || wrappedIdx >= bufferLength) {
+        wrappedIdx = ((wrappedIdx % bufferLength) + bufferLength) % bufferLength;
+    }
+
+    const idx = Math.floor(wrappedIdx);
+    const fraction = wrappedIdx - idx;
+    const idx2 = (idx + 1) % bufferLength;
+
+    return buffer[idx] * (1.0 - fraction) + buffer[idx2] * fraction;
+}
+
+/**
+ * Interpolation qualities for reading grains, cheapest first
+ * linear: 2 taps | cubic: 4-tap Hermite (Catmull-Rom) | sinc: 16-tap Blackman-windowed sinc
+ */
+export const INTERPOLATION_MODES = ['linear', 'cubic', 'sinc'];
+
+// Approximate per-sample cost relative to linear (measured under Node, used for the CPU budget readout)
+export const INTERPOLATION_COST = { linear: 1, cubic: 1.2, sinc: 8 };
+
+// Windowed-sinc kernel: taps on each side, and window lookup resolution per tap
+const SINC_HALF_TAPS = 8;
+const SINC_WINDOW_RESOLUTION = 64;
+
+// Blackman window over distances 0..SINC_HALF_TAPS, computed once (one extra entry for interpolation)
+const SINC_WINDOW = (() => {
+    const size = SINC_HALF_TAPS * SINC_WINDOW_RESOLUTION + 2;
+    const table = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        const phase = Math.PI * Math.min(i / SINC_WINDOW_RESOLUTION, SINC_HALF_TAPS) / SINC_HALF_TAPS;
+        table[i] = 0.42 + 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+    }
+    return table;
+})();
+
+// Helper: Wrap an integer index into [0, length)
+function wrapIndex(index, length) {
+    return index >= 0 && index < length ? index : ((index % length) + length) % length;
+}
+
+/**
+ * Read a sample with 4-point cubic Hermite (Catmull-Rom) interpolation, wrapping at the bounds
+ * Passes through the samples like linear but keeps the slope continuous, so less high-frequency grit
+ * @param {Float32Array} buffer - Source channel data
+ * @param {number} idxFloat - Fractional sample index (may be negative or past the end)
+ * @returns {number} Interpolated sample
+ */
+export function readSampleCubic(buffer, idxFloat) {
+    const bufferLength = buffer.length;
+    if (bufferLength === 0) return 0.0;
+
+    const base = Math.floor(idxFloat);
+    const t = idxFloat - base;
+    const xm1 = buffer[wrapIndex(base - 1, bufferLength)];
+    const x0 = buffer[wrapIndex(base, bufferLength)];
+    const x1 = buffer[wrapIndex(base + 1, bufferLength)];
+    const x2 = buffer[wrapIndex(base + 2, bufferLength)];
+
+    const c1 = 0.5 * (x1 - xm1);
+    const c2 = xm1 - 2.5 * x0 + 2.0 * x1 - 0.5 * x2;
+    const c3 = 0.5 * (x2 - xm1) + 1.5 * (x0 - x1);
+    return ((c3 * t + c2) * t + c1) * t + x0;
+}
+
+/**
+ * Read a sample through a 16-tap Blackman-windowed sinc, wrapping at the bounds
+ * When reading faster than 1:1 (pitched up) the cutoff drops to 1/readStep of Nyquist,
+ * so source content above the new Nyquist is filtered out instead of aliasing
+ * @param {Float32Array} buffer - Source channel data
+ * @param {number} idxFloat - Fractional sample index (may be negative or past the end)
+ * @param {number} [readStep=1] - Source samples advanced per output sample (playback rate)
+ * @returns {number} Interpolated sample
+ */
+export function readSampleSinc(buffer, idxFloat, readStep = 1) {
+    const bufferLength = buffer.length;
+    if (bufferLength === 0) return 0.0;
+
+    const cutoff = Math.min(1.0, 1.0 / Math.abs(readStep || 1));
+    const base = Math.floor(idxFloat);
+    const t = idxFloat - base;
+
+    let sum = 0.0;
+    let weightSum = 0.0;
+    for (let k = 1 - SINC_HALF_TAPS; k <= SINC_HALF_TAPS; k++) {
+        const distance = k - t;
+        const x = Math.PI * distance * cutoff;
+        const sinc = x === 0 ? 1.0 : Math.sin(x) / x;
+
+        const windowPos = Math.abs(distance) * SINC_WINDOW_RESOLUTION;
+        const windowIdx = Math.floor(windowPos);
+        const windowFrac = windowPos - windowIdx;
+        const window = SINC_WINDOW[windowIdx] + (SINC_WINDOW[windowIdx + 1] - SINC_WINDOW[windowIdx]) * windowFrac;
+
+        const weight = sinc * window;
+        sum += buffer[wrapIndex(base + k, bufferLength)] * weight;
+        weightSum += weight;
+    }
+
+    // Normalizing by the kernel sum keeps DC gain at exactly 1 for every fractional position
+    return weightSum !== 0 ? sum / weightSum : 0.0;
+}
+
+/**
+ * Read a sample with the given interpolation quality
+ * @param {Float32Array} buffer - Source channel data
+ * @param {number} idxFloat - Fractional sample index
+ * @param {string} mode - One of INTERPOLATION_MODES (unknown = linear)
+ * @param {number} [readStep=1] - Playback rate, used by sinc for anti-aliasing
+ * @returns {number} Interpolated sample
+ */
+export function readSample(buffer, idxFloat, mode, readStep = 1) {
+    switch (mode) {
+        case 'cubic':
+            return readSampleCubic(buffer, idxFloat);
+        case 'sinc':
+            return readSampleSinc(buffer, idxFloat, readStep);
+        default:
+            return readSampleLinear(buffer, idxFloat);
+    }
+}
+
+/**
+ * Resolve a species' interpolation setting against the global one
+ * @param {string} speciesMode - 'global' or one of INTERPOLATION_MODES
+ * @param {string} globalMode - One of INTERPOLATION_MODES
+ * @returns {string} Effective mode (falls back to linear)
+ */
+export function resolveInterpolationMode(speciesMode, globalMode) {
+    if (INTERPOLATION_MODES.includes(speciesMode)) return speciesMode;
+    return INTERPOLATION_MODES.includes(globalMode) ? globalMode : 'linear';
+}
+
+/**
+ * Per-species source channel modes
+ * stereo: L → left, R → right | mono: (L+R)/2 to both | left/right: one channel to both
+ */
+export const CHANNEL_MODES = ['stereo', 'mono', 'left', 'right'];
+
+/**
+ * Resolve which source channels feed a grain's left and right outputs
+ * Mono sources always play as dual mono; channels beyond the second are ignored
+ * @param {Float32Array[]} channels - Source channel data
+ * @param {string} mode - One of CHANNEL_MODES
+ * @returns {{left: Float32Array, right: Float32Array, sum: boolean}} sum = average left and right
+ */
+export function resolveSourceChannels(channels, mode) {
+    const left = channels[0];
+    const right = channels.length > 1 ? channels[1] : left;
+
+    switch (mode) {
+        case 'left':
+            return { left, right: left, sum: false };
+        case 'right':
+            return { left: right, right, sum: false };
+        case 'mono':
+            return { left, right, sum: left !== right };
+        default:
+            return { left, right, sum: false };
+    }
+}
+
+/**
+ * Equal-power pan gains for an X position, applied per channel as a balance control
+ * A centred grain gets -3dB per side, so dual-mono sources match the old mono pan level
+ * @param {number} xPosition - Normalized X, 0 (left) to 1 (right)
+ * @returns {{left: number, right: number}} Channel gains
+ */
+export function equalPowerPan(xPosition) {
+    const panAngle = Math.max(0, Math.min(1, xPosition)) * Math.PI / 2;
+    return { left: Math.cos(panAngle), right: Math.sin(panAngle) };
+}
+
+/**
+ * Built-in pitch scales in cents above the root (one octave, ascending)
+ */
+export const PITCH_SCALES = {
+    major: [0, 200, 400, 500, 700, 900, 1100],
+    minor: [0, 200, 300, 500, 700, 800, 1000],
+    pentatonic: [0, 200, 400, 700, 900]
+};
+
+// Particle properties that can pick the scale degree
+export const PITCH_SCALE_SOURCES = ['y', 'speed'];
+
+/**
+ * Quantize a normalized control value to a scale degree
+ * The value walks up the scale from the root (0) to the top degree of the last octave (1)
+ * @param {number} value - Control value 0-1 (clamped), e.g. inverted Y or normalized speed
+ * @param {number[]} scaleCents - Ascending degrees within one octave, in cents
+ * @param {number} octaves - Octaves the value spans (at least 1)
+ * @returns {number} Offset above the root in cents
+ */
+export function quantizeToScale(value, scaleCents, octaves) {
+    if (!scaleCents || scaleCents.length === 0) return 0;
+    const degreeCount = scaleCents.length * Math.max(1, Math.round(octaves));
+    const degree = Math.min(degreeCount - 1, Math.floor(Math.max(0, Math.min(1, value)) * degreeCount));
+    return Math.floor(degree / scaleCents.length) * 1200 + scaleCents[degree % scaleCents.length];
+}
+
+/**
+ * Playback rate for a pitch offset in cents (1200 cents = one octave = double speed)
+ * @param {number} cents - Pitch offset
+ * @returns {number} Playback rate
+ */
+export function centsToPlaybackRate(cents) {
+    return Math.pow(2, cents / 1200);
+}
+
+/**
+ * Grain playback direction modes
+ * random: reverse with the species' probability (0 = always forward) | motion: moving left plays backwards
+ */
+export const DIRECTION_MODES = ['random', 'motion'];
+
+/**
+ * Pick a grain's read direction
+ * random() is only drawn for a non-zero probability, so seeded streams are unchanged when reverse is off
+ * @param {string} mode - One of DIRECTION_MODES
+ * @param {number} reverseProbability - Chance of reading backwards in random mode, 0-1
+ * @param {number} direction - Sign of the particle's vx (-1 = travelling left)
+ * @param {Function} random - Source of uniform [0, 1) values
+ * @returns {number} 1 (forward) or -1 (reverse)
+ */
+export function chooseGrainDirection(mode, reverseProbability, direction, random) {
+    if (mode === 'motion') return direction < 0 ? -1 : 1;
+    if (reverseProbability > 0 && random() < reverseProbability) return -1;
+    return 1;
+}
+
+/**
+ * Map a normalized velocity to grain gain
+ * @param {number} normalizedVelocity - Velocity in 0-1 (clamped)
+ * @param {number} curvePower - Exponent (>1 favours fast particles)
+ * @returns {number} Gain 0-1
+ */
+export function applyVelocityCurve(normalizedVelocity, curvePower) {
+    normalizedVelocity = Math.max(0, Math.min(1, normalizedVelocity));
+    return Math.pow(normalizedVelocity, curvePower);
+}
+
+/**
+ * Soft-start multiplier for particles just above the motion threshold
+ * 0 at the threshold, 1 at twice the threshold (quadratic), so sounds fade in instead of cutting in
+ * @param {number} velocity - Normalized velocity
+ * @param {number} threshold - Motion threshold (granularConfig.velocityThreshold)
+ * @returns {number} Multiplier 0-1
+ */
+export function softStartGain(velocity, threshold) {
+    const softStartMax = threshold * 2.0;
+    if (velocity >= softStartMax) return 1.0;
+    const progress = Math.max(0, (velocity - threshold) / (softStartMax - threshold));
+    return progress * progress;
+}
+
+/**
+ * Grain envelope shapes
+ * hann: raised-cosine ramps auto-clamped to 15-150ms (the original envelope) | gaussian: bell, width
+ * from windowSigmaFactor | tukey: cosine ramps over a fixed share of the grain | trapezoid: linear ramps |
+ * exponential: quick rise then percussive decay | reverse: exponential mirrored (swell, then cut)
+ */
+export const ENVELOPE_SHAPES = ['hann', 'gaussian', 'tukey', 'trapezoid', 'exponential', 'reverse'];
+
+// Default per-species shaping: 60% of the grain ramping (30% each side), peak centred
+export const ENVELOPE_DEFAULT_ATTACK = 2 * ENVELOPE_FRACTION;
+export const ENVELOPE_DEFAULT_SKEW = 0.5;
+
+// Decay rate of the exponential shape (gain falls to e^-6 before the end correction)
+const EXPONENTIAL_DECAY = 6.0;
+
+/**
+ * Hann (raised cosine) grain envelope with auto-clamped attack/release
+ * Attack and release each last 30% of the grain, bounded to 15-150ms, with full gain in between.
+ * Grains shorter than 30ms can't fit two 15ms ramps, so each ramp is capped at half the grain
+ * @param {number} grainProgress - Position within the grain, 0-1
+ * @param {number} duration - Grain duration in seconds
+ * @param {number} [attack=0.6] - Share of the grain spent ramping (attack + release) before clamping
+ * @param {number} [skew=0.5] - Share of the ramp time given to the attack
+ * @returns {number} Envelope gain 0-1
+ */
+export function grainEnvelope(grainProgress, duration, attack = ENVELOPE_DEFAULT_ATTACK, skew = ENVELOPE_DEFAULT_SKEW) {
+    const envelopeTimeSeconds = Math.max(ENVELOPE_MIN_TIME,
+        Math.min(ENVELOPE_MAX_TIME, 0.5 * attack * duration));
+
+    // Total ramp time as a fraction of the grain, split between attack and release by skew
+    const rampTime = Math.min(1.0, 2.0 * envelopeTimeSeconds / duration);
+    return cosineRamps(grainProgress, rampTime * skew, rampTime * (1.0 - skew));
+}
+
+// Helper: Full gain between a raised-cosine rise (0..rise) and fall (1-fall..1)
+function cosineRamps(progress, rise, fall) {
+    if (progress < rise) {
+        return 0.5 * (1.0 - Math.cos(Math.PI * progress / rise));
+    }
+    if (progress > 1.0 - fall) {
+        return 0.5 * (1.0 + Math.cos(Math.PI * (progress - (1.0 - fall)) / fall));
+    }
+    return 1.0;
+}
+
+// Helper: Quick linear rise then an exponential decay that lands exactly on 0 at the end
+function percussiveEnvelope(progress, rise) {
+    if (rise >= 1.0) return progress;
+    if (progress < rise) return progress / rise;
+    const decayProgress = (progress - rise) / (1.0 - rise);
+    const floor = Math.exp(-EXPONENTIAL_DECAY);
+    return Math.max(0, (Math.exp(-EXPONENTIAL_DECAY * decayProgress) - floor) / (1.0 - floor));
+}
+
+/**
+ * Grain envelope for any of ENVELOPE_SHAPES
+ * attack sets how much of the grain is spent ramping (hann still clamps it to 15-150ms per side);
+ * skew moves the peak: 0 = instant attack, 0.5 = symmetric, 1 = instant release
+ * @param {number} grainProgress - Position within the grain, 0-1
+ * @param {number} duration - Grain duration in seconds
+ * @param {Object} envelope - { shape, attack (0-1), skew (0-1) }
+ * @param {number} [sigmaFactor=0.25] - Gaussian width as a fraction of each side of the peak
+ * @returns {number} Envelope gain 0-1
+ */
+export function shapedEnvelope(grainProgress, duration, envelope, sigmaFactor = 0.25) {
+    const p = Math.max(0, Math.min(1, grainProgress));
+    const attack = Math.max(0.01, Math.min(1, envelope.attack ?? ENVELOPE_DEFAULT_ATTACK));
+    const skew = Math.max(0, Math.min(1, envelope.skew ?? ENVELOPE_DEFAULT_SKEW));
+
+    switch (envelope.shape) {
+        case 'gaussian': {
+            // Bell peaking at skew, each side scaled to its own width, then lifted so both ends are 0
+            const side = p < skew ? skew : 1.0 - skew;
+            if (side <= 0) return 1.0;
+            const sigma = Math.max(0.01, sigmaFactor);
+            const edge = Math.exp(-0.5 / (sigma * sigma));
+            const d = (p - skew) / (sigma * side);
+            return Math.max(0, (Math.exp(-0.5 * d * d) - edge) / (1.0 - edge));
+        }
+        case 'tukey':
+            return cosineRamps(p, attack * skew, attack * (1.0 - skew));
+        case 'trapezoid': {
+            const rise = attack * skew;
+            const fall = attack * (1.0 - skew);
+            if (p < rise) return p / rise;
+            if (p > 1.0 - fall) return (1.0 - p) / fall;
+            return 1.0;
+        }
+        case 'exponential':
+            return percussiveEnvelope(p, attack * skew);
+        case 'reverse':
+            return percussiveEnvelope(1.0 - p, attack * (1.0 - skew));
+        default:
+            return grainEnvelope(p, duration, attack, skew);
+    }
+}
+
+/**
+ * Hann release curve for forced releases (voice stealing, stop, pause)
+ * Same cosine shape as the natural grain release so stolen grains don't click
+ * @param {number} releaseProgress - Position within the release, 0-1
+ * @returns {number} Gain 1 → 0
+ */
+export function releaseEnvelope(releaseProgress) {
+    return 0.5 * (1.0 + Math.cos(Math.PI * Math.min(releaseProgress, 1.0)));
+}
+
+/**
+ * Equal-power voice stealing crossfade (fadeIn² + fadeOut² = 1 throughout)
+ * @param {string} type - 'fadeIn' or 'fadeOut'
+ * @param {number} progress - Crossfade position, 0-1 (clamped)
+ * @returns {number} Gain 0-1
+ */
+export function crossfadeGain(type, progress) {
+    const p = Math.max(0, Math.min(1, progress));
+    return type === 'fadeIn' ? Math.sqrt(p) : Math.sqrt(1.0 - p);
+}
+
+/**
+ * EMA coefficient for smoothed voice allocation velocities
+ * Shorter delay = higher alpha (more responsive), longer delay = lower alpha (more smoothing)
+ * @param {number} delayMs - Voice stealing delay
+ * @param {number} [intervalMs=16] - Allocation update interval
+ * @returns {number} Alpha 0-1
+ */
+export function smoothingAlpha(delayMs, intervalMs = 16) {
+    return intervalMs / (delayMs + intervalMs);
+}
+
+/**
+ * Choose which particles of one species hold a voice
+ * Under the limit everyone plays; over it, the fastest by smoothed velocity win
+ * @param {Array<{id: number, smoothedVelocity: number}>} particles - One species' particles
+ * @param {number} maxVoices - Voice limit for the species
+ * @returns {Set<number>} Allocated particle IDs
+ */
+export function allocateVoices(particles, maxVoices) {
+    if (particles.length <= maxVoices) {
+        return new Set(particles.map(p => p.id));
+    }
+    const sorted = [...particles].sort((a, b) => b.smoothedVelocity - a.smoothedVelocity);
+    return new Set(sorted.slice(0, maxVoices).map(p => p.id));
+}
+
+/**
+ * Soft limiter: identity up to the threshold, tanh knee above it, approaching ±gain
+ * @param {number} sample - Input sample
+ * @param {number} threshold - Knee start (granularConfig.softLimiterThreshold)
+ * @param {number} gain - Output ceiling (granularConfig.softLimiterGain)
+ * @returns {number} Limited sample
+ */
+export function softLimit(sample, threshold, gain) {
+    const magnitude = Math.abs(sample);
+    if (magnitude <= threshold) return sample;
+    return Math.sign(sample) * (threshold + (gain - threshold) * Math.tanh((magnitude - threshold) * 3));
+}
+
+// Species Y→frequency mappings: top = high ('normal'), top = low ('inverted') or unfiltered ('off')
+export const FREQUENCY_Y_MODES = ['normal', 'inverted', 'off'];
+
+// Frequency profile every species starts with (band range in Hz, curve, widest bandwidth, band count)
+export const DEFAULT_FREQUENCY_PROFILE = Object.freeze({
+    freqRangeMin: 20,
+    freqRangeMax: 15000,
+    freqGamma: 0.6,
+    bandwidthOctavesMax: 4,
+    numBands: 10,
+    yMode: 'normal'
+});
+
+/**
+ * Y position a species' frequency mapping sees
+ * @param {number} yPosition - Normalized Y, 0-1
+ * @param {string} mode - One of FREQUENCY_Y_MODES
+ * @returns {number|null} Mapped Y, or null when the species plays its sample unfiltered
+ */
+export function mapFrequencyY(yPosition, mode) {
+    if (mode === 'off') return null;
+    return mode === 'inverted' ? 1 - yPosition : yPosition;
+}
+
+/**
+ * Pick the pre-filtered band for a Y position (top of canvas = band 0)
+ * @param {number} yPosition - Normalized Y, 0-1
+ * @param {number} numBands - Bands available
+ * @returns {number} Band index
+ */
+export function selectBandIndex(yPosition, numBands) {
+    return Math.max(0, Math.min(Math.floor(yPosition * numBands), numBands - 1));
+}
+
+// Narrowest pre-filtered band, in octaves (very narrow biquads ring audibly)
+export const MIN_BAND_OCTAVES = 0.5;
+
+/**
+ * Pick the bandwidth tier of the pre-filtered bank for a particle size
+ * Tiers split the size range evenly: small particles play the narrowest bands
+ * @param {number} particleSize - Normalized size, 0-1
+ * @param {number} numTiers - Bandwidth tiers available
+ * @returns {number} Tier index (0 = narrowest)
+ */
+export function selectBandwidthTier(particleSize, numTiers) {
+    return Math.max(0, Math.min(Math.floor(particleSize * numTiers), numTiers - 1));
+}
+
+/**
+ * Filter shape of one bandwidth tier, following the runtime path's size mapping
+ * (see bandpassCoefficients) at the middle size of the tier
+ * @param {number} tier - Tier index (0 = narrowest)
+ * @param {number} numTiers - Bandwidth tiers in the bank
+ * @param {number} maxOctaves - Species profile bandwidthOctavesMax
+ * @returns {{octaves: number, numStages: number}} Bandwidth and filter stages per side
+ */
+export function bandwidthTier(tier, numTiers, maxOctaves) {
+    const size = (tier + 0.5) / numTiers;
+    return {
+        octaves: Math.max(MIN_BAND_OCTAVES, size * maxOctaves),
+        numStages: size <= 0.3 ? 2 : 1
+    };
+}
+
+/**
+ * Equal-power blend of the two pre-filtered bands either side of a Y position
+ * Band i is centred at Y = i / (numBands - 1) (see FrequencyBandProcessor), so a particle
+ * between two centres hears both, weighted by its distance to each: a continuous sweep
+ * instead of hard steps at band boundaries
+ * @param {number} yPosition - Normalized Y, 0-1 (top = band 0)
+ * @param {number} numBands - Bands available
+ * @returns {{lower: number, upper: number, lowerGain: number, upperGain: number}}
+ */
+export function bandBlend(yPosition, numBands) {
+    if (numBands < 2) return { lower: 0, upper: 0, lowerGain: 1, upperGain: 0 };
+
+    const position = Math.max(0, Math.min(yPosition, 1)) * (numBands - 1);
+    const lower = Math.min(Math.floor(position), numBands - 2);
+    const angle = (position - lower) * Math.PI / 2;
+    return { lower, upper: lower + 1, lowerGain: Math.cos(angle), upperGain: Math.sin(angle) };
+}
+
+/**
+ * Gain a band blend gives one band (0 for bands outside the pair)
+ * @param {{lower: number, upper: number, lowerGain: number, upperGain: number}} blend - From bandBlend
+ * @param {number} index - Band index
+ * @returns {number} Gain 0-1
+ */
+export function bandGain(blend, index) {
+    if (index === blend.lower) return blend.lowerGain;
+    if (index === blend.upper) return blend.upperGain;
+    return 0;
+}
+
+/**
+ * Runtime band-pass coefficients for the legacy (non pre-filtered) path
+ * Y picks the centre frequency on a gamma-warped log scale, particle size the bandwidth;
+ * small particles get a second filter stage (12dB/octave instead of 6)
+ * @param {number} yPosition - Normalized Y, 0-1 (top = high)
+ * @param {number} particleSize - Normalized size, 0-1
+ * @param {Object} config - Species frequency profile (freqRangeMin/Max, freqGamma, bandwidthOctavesMax)
+ * @param {number} sampleRate - Source sample rate
+ * @returns {{numStages: number, lowpassAlpha: number, highpassAlpha: number}}
+ */
+export function bandpassCoefficients(yPosition, particleSize, config, sampleRate) {
+    const fMin = config.freqRangeMin;
+    const fMax = config.freqRangeMax;
+    const y = 1.0 - yPosition; // Invert: top=high, bottom=low
+    const fc = fMin * Math.pow(fMax / fMin, Math.pow(y, config.freqGamma));
+
+    const bandwidthOctaves = particleSize * config.bandwidthOctavesMax;
+    const lowFreq = Math.max(fMin, fc * Math.pow(2, -bandwidthOctaves / 2));
+    const highFreq = Math.min(fMax, fc * Math.pow(2, bandwidthOctaves / 2));
+
+    const nyquist = sampleRate / 2;
+    const lowFreqNorm = Math.min(lowFreq / nyquist, 0.95);
+    const highFreqNorm = Math.min(highFreq / nyquist, 0.95);
+
+    return {
+        numStages: particleSize <= 0.3 ? 2 : 1,
+        lowpassAlpha: 1.0 - Math.exp(-2.0 * Math.PI * highFreqNorm),
+        highpassAlpha: 1.0 - Math.exp(-2.0 * Math.PI * lowFreqNorm)
+    };
+}
+
+/**
+ * Fresh state for applyBandpass() (up to 4 cascaded one-pole stages per side)
+ * @returns {{lowpass: Float64Array, highpass: Float64Array}}
+ */
+export function createFilterState() {
+    return { lowpass: new Float64Array(4), highpass: new Float64Array(4) };
+}
+
+/**
+ * One sample through cascaded one-pole lowpass stages, then subtract a cascaded lowpass
+ * of the result (highpass = input - lowpass, applied once at the end)
+ * @param {number} sample - Input sample
+ * @param {{lowpass: Float64Array, highpass: Float64Array}} state - Per-grain filter memory (mutated)
+ * @param {number} numStages - Cascade depth, 0-4 (0 = bypass)
+ * @param {number} lowpassAlpha - Lowpass coefficient (upper band edge)
+ * @param {number} highpassAlpha - Highpass coefficient (lower band edge)
+ * @returns {number} Filtered sample
+ */
+export function applyBandpass(sample, state, numStages, lowpassAlpha, highpassAlpha) {
+    let filtered = sample;
+    for (let stage = 0; stage < numStages; stage++) {
+        state.lowpass[stage] += lowpassAlpha * (filtered - state.lowpass[stage]);
+        filtered = state.lowpass[stage];
+    }
+
+    let highpassed = filtered;
+    for (let stage = 0; stage < numStages; stage++) {
+        state.highpass[stage] += highpassAlpha * (highpassed - state.highpass[stage]);
+        highpassed = state.highpass[stage];
+    }
+
+    return filtered - highpassed;
+}
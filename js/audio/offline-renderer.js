@@ -0,0 +1,246 @@
+/**
+ * Offline Renderer - Renders a simulation run faster than real time to a WAV file
+ * Runs the same GranularProcessor inside an OfflineAudioContext and drives physics at a fixed step
+ */
+
+import { CONFIG, state } from '../config.js';
+import { addGranularWorklet } from './audio-engine.js';
+import {
+    collectAudioParameterUpdates, buildParticleAudioData, createAudioBufferMessage, getFrequencyProfile
+} from './parameter-manager.js';
+import { FrequencyBandProcessor } from './frequency-band-processor.js';
+import { INTERPOLATION_MODES } from './granular-dsp.js';
+import { stepSimulation } from '../physics/physics-engine.js';
+import { advanceModulation } from '../modulation/modulation-engine.js';
+import { encodeWavBlob, WAV_BIT_DEPTHS } from './wav-encoder.js';
+import { validateFloat, validateInt } from '../shared/validation-utils.js';
+
+// Render limits (the render panel builds its controls from these)
+export const MAX_RENDER_DURATION = 600; // seconds
+export const RENDER_SAMPLE_RATES = [44100, 48000, 88200, 96000];
+
+// Time to wait for the worklet to answer a sync before failing the render
+// (generous: the first sync queues behind the sample and band bank messages)
+const SYNC_TIMEOUT_MS = 2000;
+
+/**
+ * Render the current simulation offline and encode the result as WAV
+ * The live simulation is advanced by the render, so playback continues from the rendered end state.
+ *
+ * @param {Object} options - Render options
+ * @param {number} options.duration - Length in seconds
+ * @param {number} [options.sampleRate=48000] - Output sample rate in Hz
+ * @param {number} [options.bitDepth=24] - 16, 24 or 32 (float)
+ * @param {number} [options.frameRate=60] - Physics steps per second of rendered audio
+ * @param {string} [options.interpolation] - Read quality for every species ('linear', 'cubic', 'sinc');
+ *   omitted or unknown = use the live global and per-species settings
+ * @param {Function} [options.onProgress] - Called with a 0-1 progress value
+ * @param {AbortSignal} [options.signal] - Aborts the render
+ * @returns {Promise<{blob: Blob, duration: number, sampleRate: number, bitDepth: number}>}
+ */
+export async function renderOffline(options = {}) {
+    const duration = validateFloat(options.duration, 0.1, MAX_RENDER_DURATION);
+    const sampleRate = RENDER_SAMPLE_RATES.includes(Number(options.sampleRate)) ? Number(options.sampleRate) : 48000;
+    const bitDepth = WAV_BIT_DEPTHS[options.bitDepth] ? Number(options.bitDepth) : 24;
+    const frameRate = validateInt(options.frameRate ?? 60, 1, 240);
+    const interpolation = INTERPOLATION_MODES.includes(options.interpolation) ? options.interpolation : null;
+    const { onProgress, signal } = options;
+
+    if (state.isOfflineRendering) {
+        throw new Error('An offline render is already in progress');
+    }
+
+    const loadedSpecies = getLoadedSpecies();
+    if (loadedSpecies.length === 0) {
+        throw new Error('No audio samples loaded');
+    }
+
+    if (!state.spatialGrid || state.particles.length === 0) {
+        throw new Error('Physics simulation not initialized');
+    }
+
+    const context = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+    state.isOfflineRendering = true;
+    let workletNode = null;
+
+    try {
+        await addGranularWorklet(context);
+
+        workletNode = new AudioWorkletNode(context, 'granular-processor', {
+            outputChannelCount: [2]
+        });
+        workletNode.connect(context.destination);
+
+        const sync = createSyncChannel(workletNode.port);
+
+        // Pre-filter bands before rendering starts (uses separate offline contexts)
+        const sampleMessages = [];
+        for (const speciesIndex of loadedSpecies) {
+            sampleMessages.push(await createSampleMessage(context, speciesIndex));
+            throwIfAborted(signal);
+        }
+
+        const totalFrames = Math.ceil(duration * frameRate);
+        let frame = 0;
+        // First error thrown by a step: no further steps run, and the render is rejected with it
+        let stepError = null;
+
+        // Run a handler at an exact render time while the context is suspended
+        const runAt = (time, handler) => {
+            context.suspend(time).then(async () => {
+                try {
+                    if (!signal?.aborted && !stepError) {
+                        await handler();
+                    }
+                } catch (error) {
+                    stepError = error;
+                } finally {
+                    // Resume even when aborted or failed so startRendering() can settle
+                    context.resume();
+                }
+            }).catch(error => {
+                stepError ??= error;
+            });
+        };
+
+        const scheduleNextStep = () => {
+            frame++;
+            const time = frame / frameRate;
+            if (frame >= totalFrames || time >= duration) return;
+
+            runAt(time, async () => {
+                // Modulation moves with the rendered physics, so species audio changes go to this worklet
+                const audioUpdates = advanceModulation(1 / frameRate);
+                if (Object.keys(audioUpdates).length > 0) {
+                    workletNode.port.postMessage({
+                        type: 'batchParameterUpdate',
+                        updates: collectRenderParameterUpdates(interpolation, audioUpdates)
+                    });
+                }
+                stepSimulation();
+                sendParticles(workletNode.port, interpolation);
+                await sync.wait();
+                onProgress?.(frame / totalFrames);
+                scheduleNextStep();
+            });
+        };
+
+        // Frame 0: load samples and parameters exactly as the live engine does,
+        // then send the current particle state so it is audible from the first sample
+        runAt(0, async () => {
+            sampleMessages.forEach(message => workletNode.port.postMessage(message));
+            workletNode.port.postMessage({ type: 'batchParameterUpdate', updates: collectRenderParameterUpdates(interpolation) });
+            workletNode.port.postMessage({ type: 'voiceStealingDelay', delay: state.voiceStealingDelay });
+            workletNode.port.postMessage({ type: 'voiceStealingCrossfade', duration: state.voiceStealingCrossfade });
+            sendParticles(workletNode.port, interpolation);
+            await sync.wait();
+            scheduleNextStep();
+        });
+
+        console.log(`🎬 Offline render started: ${duration}s @ ${sampleRate}Hz, ${frameRate} physics steps/s` +
+            (interpolation ? `, ${interpolation} interpolation` : ''));
+        const startTime = performance.now();
+        const renderedBuffer = await context.startRendering();
+        throwIfAborted(signal);
+        if (stepError) {
+            throw new Error(`Offline render stopped at ${(frame / frameRate).toFixed(2)}s: ${stepError.message}`, { cause: stepError });
+        }
+
+        onProgress?.(1);
+
+        const channels = Array.from(
+            { length: renderedBuffer.numberOfChannels },
+            (_, i) => renderedBuffer.getChannelData(i)
+        );
+        const blob = encodeWavBlob(channels, sampleRate, bitDepth);
+
+        const elapsed = (performance.now() - startTime) / 1000;
+        console.log(`✅ Offline render complete in ${elapsed.toFixed(1)}s (${(duration / elapsed).toFixed(1)}x real time)`);
+
+        return { blob, duration, sampleRate, bitDepth };
+    } finally {
+        // Closed whether the render finished, failed or was cancelled
+        workletNode?.port.close();
+        state.isOfflineRendering = false;
+    }
+}
+
+// Helper: Species indices that have a loaded sample
+function getLoadedSpecies() {
+    const loaded = [];
+    for (let i = 0; i < CONFIG.species.count; i++) {
+        if (CONFIG.species.audioBuffers[i]) loaded.push(i);
+    }
+    return loaded;
+}
+
+// Helper: Build one species' sample message in the same format the live engine uses
+async function createSampleMessage(context, speciesIndex) {
+    const audioBuffer = CONFIG.species.audioBuffers[speciesIndex];
+
+    const profile = getFrequencyProfile(speciesIndex);
+    if (CONFIG.granular.usePreFilteredBands && profile.yMode !== 'off') {
+        const bandProcessor = new FrequencyBandProcessor(context, profile);
+        const bandBuffers = await bandProcessor.processSampleIntoBands(audioBuffer);
+        return bandProcessor.createWorkletMessage(bandBuffers, speciesIndex);
+    }
+
+    return createAudioBufferMessage(audioBuffer, speciesIndex);
+}
+
+// Helper: Post the current particle state to the offline worklet (interpolation overrides the global mode)
+function sendParticles(port, interpolation) {
+    port.postMessage({
+        type: 'particleUpdate',
+        particles: buildParticleAudioData(),
+        granularConfig: interpolation ? { ...CONFIG.granular, interpolationMode: interpolation } : CONFIG.granular
+    });
+}
+
+// Helper: Live parameters, with per-species interpolation deferring to the render override when set
+function collectRenderParameterUpdates(interpolation, flags = { all: true }) {
+    const updates = collectAudioParameterUpdates(flags);
+    if (interpolation && updates.audioParameters) {
+        updates.audioParameters.interpolationModes = updates.audioParameters.interpolationModes.map(() => 'global');
+    }
+    return updates;
+}
+
+// Helper: Round-trip 'sync' messages so physics steps land on exact render times
+function createSyncChannel(port) {
+    const pending = new Map();
+    let nextId = 0;
+
+    port.onmessage = (event) => {
+        if (event.data?.type !== 'sync') return;
+        const settle = pending.get(event.data.id);
+        if (settle) {
+            pending.delete(event.data.id);
+            settle();
+        }
+    };
+
+    return {
+        wait() {
+            const id = ++nextId;
+            return new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    pending.delete(id);
+                    reject(new Error('Audio worklet stopped responding during the offline render'));
+                }, SYNC_TIMEOUT_MS);
+                pending.set(id, () => {
+                    clearTimeout(timeout);
+                    resolve();
+                });
+                port.postMessage({ type: 'sync', id });
+            });
+        }
+    };
+}
+
+// Helper: Reject with an AbortError when the render was cancelled
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw new DOMException('Offline render cancelled', 'AbortError');
+    }
+}
@@ -7,6 +7,12 @@ import { CONFIG, audioEngine, state } from '../config.js';
 import { clamp, validateFloat, validateInt } from '../shared/validation-utils.js';
 import { safeGetElement } from '../shared/dom-utils.js';
 import { eventBus, Events } from '../shared/event-bus.js';
+import { deriveSeed } from '../shared/random.js';
+import {
+    CHANNEL_MODES, INTERPOLATION_MODES, PITCH_SCALES, PITCH_SCALE_SOURCES,
+    ENVELOPE_SHAPES, ENVELOPE_DEFAULT_ATTACK, ENVELOPE_DEFAULT_SKEW, DIRECTION_MODES,
+    FREQUENCY_Y_MODES, DEFAULT_FREQUENCY_PROFILE
+} from './granular-dsp.js';
 
 // Set up event listener for particle updates from physics engine
 // This replaces the direct function call from physics-engine.js
@@ -14,6 +20,16 @@ eventBus.on(Events.PARTICLES_UPDATED, () => {
     sendParticleDataToAudio();
 });
 
+// Particle counts bound per-species voice limits
+eventBus.on(Events.PARTICLES_COUNTS_CHANGED, () => {
+    updateAudioParameters({ voices: true });
+});
+
+// Restart the worklet's seeded random stream whenever the simulation restarts
+eventBus.on(Events.SIMULATION_RESET, () => {
+    updateAudioParameters({ seed: true });
+});
+
 export function validateAudioParameter(type, value) {
     switch (type) {
         case 'curveParameter':
@@ -29,71 +45,187 @@ export function validateAudioParameter(type, value) {
             return validateInt(value, 1, 100);
         case 'rangePosition':
             return clamp(parseFloat(value) || 0, 0, 1);
+        case 'channelMode':
+            return CHANNEL_MODES.includes(value) ? value : 'stereo';
+        case 'interpolationMode':
+            // Per-species setting: anything unknown defers to the global mode
+            return INTERPOLATION_MODES.includes(value) ? value : 'global';
+        case 'pitchSpread':
+            return validateInt(value, 0, 1200, 0);
+        case 'pitchScale':
+            return (value === 'custom' || Object.hasOwn(PITCH_SCALES, value)) ? value : 'off';
+        case 'pitchScaleSource':
+            return PITCH_SCALE_SOURCES.includes(value) ? value : 'y';
+        case 'scaleCents':
+            return validateScaleCents(value);
+        case 'envelopeShape':
+            return ENVELOPE_SHAPES.includes(value) ? value : 'hann';
+        case 'envelopeAttack':
+            return validateFloat(value, 0.01, 1, ENVELOPE_DEFAULT_ATTACK);
+        case 'envelopeSkew':
+            return validateFloat(value, 0, 1, ENVELOPE_DEFAULT_SKEW);
+        case 'directionMode':
+            return DIRECTION_MODES.includes(value) ? value : 'random';
+        case 'reverseProbability':
+            return validateFloat(value, 0, 1, 0);
+        case 'freqRangeMin':
+            return validateFloat(value, 20, 20000, DEFAULT_FREQUENCY_PROFILE.freqRangeMin);
+        case 'freqRangeMax':
+            return validateFloat(value, 20, 20000, DEFAULT_FREQUENCY_PROFILE.freqRangeMax);
+        case 'freqGamma':
+            return validateFloat(value, 0.2, 3, DEFAULT_FREQUENCY_PROFILE.freqGamma);
+        case 'bandwidthOctavesMax':
+            return validateFloat(value, 0.5, 8, DEFAULT_FREQUENCY_PROFILE.bandwidthOctavesMax);
+        case 'bandCount':
+            return validateInt(value, 2, 24, DEFAULT_FREQUENCY_PROFILE.numBands);
+        case 'frequencyYMode':
+            return FREQUENCY_Y_MODES.includes(value) ? value : 'normal';
         default:
             return value;
     }
 }
 
-export function updateAudioParameters(config = {}) {
-    if (!audioEngine.workletNode || !audioEngine.isActive) return;
+// Helper: Normalize a cents list (array or "0, 300, 700" text) to sorted, unique degrees within one octave
+function validateScaleCents(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[\s,;]+/);
+    const degrees = list
+        .map(cents => parseFloat(cents))
+        .filter(cents => Number.isFinite(cents))
+        .map(cents => Math.round((((cents % 1200) + 1200) % 1200) * 100) / 100);
+    const unique = [...new Set(degrees)].sort((a, b) => a - b);
+    return unique.length > 0 ? unique : [0];
+}
+
+// Helper: Scale degrees the worklet quantizes to for one species (null = quantizer off)
+function resolvePitchScale(speciesIndex) {
+    const scale = validateAudioParameter('pitchScale', CONFIG.species.pitchScales[speciesIndex]);
+    if (scale === 'off') return null;
+    if (scale === 'custom') return validateScaleCents(CONFIG.species.customScales[speciesIndex]);
+    return PITCH_SCALES[scale];
+}
 
+/**
+ * Validated Y→frequency profile of one species, shared by band pre-filtering and the worklet
+ * The range always spans at least an octave so the bands never collapse onto one frequency
+ * @param {number} speciesIndex - Species index (0-7)
+ * @returns {{freqRangeMin: number, freqRangeMax: number, freqGamma: number,
+ *   bandwidthOctavesMax: number, numBands: number, yMode: string}}
+ */
+export function getFrequencyProfile(speciesIndex) {
+    const { species } = CONFIG;
+    let freqRangeMin = validateAudioParameter('freqRangeMin', species.freqRangeMins[speciesIndex]);
+    let freqRangeMax = validateAudioParameter('freqRangeMax', species.freqRangeMaxes[speciesIndex]);
+    if (freqRangeMax < freqRangeMin * 2) {
+        freqRangeMax = Math.min(20000, freqRangeMin * 2);
+        freqRangeMin = Math.min(freqRangeMin, freqRangeMax / 2);
+    }
+
+    return {
+        freqRangeMin,
+        freqRangeMax,
+        freqGamma: validateAudioParameter('freqGamma', species.freqGammas[speciesIndex]),
+        bandwidthOctavesMax: validateAudioParameter('bandwidthOctavesMax', species.bandwidthOctavesMaxes[speciesIndex]),
+        numBands: validateAudioParameter('bandCount', species.bandCounts[speciesIndex]),
+        yMode: validateAudioParameter('frequencyYMode', species.frequencyYModes[speciesIndex])
+    };
+}
+
+/**
+ * Collect validated parameter updates in the worklet's batchParameterUpdate format
+ * @param {Object} config - Same flags as updateAudioParameters()
+ * @returns {Object} Updates keyed by parameter group
+ */
+export function collectAudioParameterUpdates(config = {}) {
     const updates = {};
 
-    try {
-        // Collect and validate parameters to update
-        if (config.curves || config.all) {
-            const curveParameterEl = safeGetElement('curveParameter');
-            const curveParameter = validateAudioParameter('curveParameter',
-                curveParameterEl?.value || 1.0);
-            updates.curveParameters = {
-                curveType: 'power',
-                curveParameter: curveParameter
-            };
-        }
+    // Collect and validate parameters to update
+    if (config.curves || config.all) {
+        const curveParameterEl = safeGetElement('curveParameter');
+        const curveParameter = validateAudioParameter('curveParameter',
+            curveParameterEl?.value || 1.0);
+        updates.curveParameters = {
+            curveType: 'power',
+            curveParameter: curveParameter
+        };
+    }
 
-        if (config.ranges || config.all) {
-            // Validate all sample ranges
-            const validatedRanges = CONFIG.species.sampleRanges.map(range => ({
-                start: validateAudioParameter('rangePosition', range.start),
-                end: validateAudioParameter('rangePosition', range.end)
-            }));
-            updates.sampleRanges = {
-                ranges: validatedRanges
-            };
-        }
+    if (config.ranges || config.all) {
+        // Validate all sample ranges
+        const validatedRanges = CONFIG.species.sampleRanges.map(range => ({
+            start: validateAudioParameter('rangePosition', range.start),
+            end: validateAudioParameter('rangePosition', range.end)
+        }));
+        updates.sampleRanges = {
+            ranges: validatedRanges
+        };
+    }
 
-        if (config.audio || config.all) {
-            // Validate audio parameters and convert dB to linear for worklet
-            const validatedVolumes = CONFIG.species.sampleVolumes.map(volDB => {
-                const validatedDB = validateAudioParameter('volume', volDB);
-                // Convert dB to linear: linear = 10^(dB/20)
-                return Math.pow(10, validatedDB / 20);
-            });
-            const validatedPitches = CONFIG.species.samplePitches.map(pitch =>
-                validateAudioParameter('pitch', pitch));
-            updates.audioParameters = {
-                volumes: validatedVolumes,
-                pitches: validatedPitches
-            };
-        }
+    if (config.audio || config.all) {
+        // Validate audio parameters and convert dB to linear for worklet
+        const validatedVolumes = CONFIG.species.sampleVolumes.map(volDB => {
+            const validatedDB = validateAudioParameter('volume', volDB);
+            // Convert dB to linear: linear = 10^(dB/20)
+            return Math.pow(10, validatedDB / 20);
+        });
+        const validatedPitches = CONFIG.species.samplePitches.map(pitch =>
+            validateAudioParameter('pitch', pitch));
+        const validatedChannelModes = CONFIG.species.channelModes.map(mode =>
+            validateAudioParameter('channelMode', mode));
+        const validatedInterpolationModes = CONFIG.species.interpolationModes.map(mode =>
+            validateAudioParameter('interpolationMode', mode));
+        updates.audioParameters = {
+            volumes: validatedVolumes,
+            pitches: validatedPitches,
+            channelModes: validatedChannelModes,
+            interpolationModes: validatedInterpolationModes,
+            pitchSpreads: CONFIG.species.pitchSpreads.map(cents => validateAudioParameter('pitchSpread', cents)),
+            pitchScales: CONFIG.species.pitchScales.map((_, index) => resolvePitchScale(index)),
+            pitchScaleSources: CONFIG.species.pitchScaleSources.map(source =>
+                validateAudioParameter('pitchScaleSource', source)),
+            envelopeShapes: CONFIG.species.envelopeShapes.map(shape => validateAudioParameter('envelopeShape', shape)),
+            envelopeAttacks: CONFIG.species.envelopeAttacks.map(attack => validateAudioParameter('envelopeAttack', attack)),
+            envelopeSkews: CONFIG.species.envelopeSkews.map(skew => validateAudioParameter('envelopeSkew', skew)),
+            directionModes: CONFIG.species.directionModes.map(mode => validateAudioParameter('directionMode', mode)),
+            reverseProbabilities: CONFIG.species.reverseProbabilities.map(probability =>
+                validateAudioParameter('reverseProbability', probability)),
+            frequencyProfiles: CONFIG.species.frequencyYModes.map((_, index) => getFrequencyProfile(index))
+        };
+    }
 
-        if (config.voices || config.all) {
-            // Validate voice limits against actual particle counts
-            const validatedVoices = CONFIG.species.maxVoicesPerSpecies.map((voices, index) => {
-                const particleCount = CONFIG.species.counts[index] || 1;
-                return validateInt(voices, 1, particleCount);
-            });
-            updates.voiceManagement = {
-                maxVoicesPerSpecies: validatedVoices
-            };
-        }
+    if (config.voices || config.all) {
+        // Validate voice limits against actual particle counts
+        const validatedVoices = CONFIG.species.maxVoicesPerSpecies.map((voices, index) => {
+            const particleCount = CONFIG.species.counts[index] || 1;
+            return validateInt(voices, 1, particleCount);
+        });
+        updates.voiceManagement = {
+            maxVoicesPerSpecies: validatedVoices
+        };
+    }
 
-        if (config.mute || config.all) {
-            // Send mute state for all species
-            updates.muteState = {
-                mutedSpecies: [...CONFIG.species.mutedSpecies] // Force fresh array copy
-            };
-        }
+    if (config.mute || config.all) {
+        // Send mute state for all species
+        updates.muteState = {
+            mutedSpecies: [...CONFIG.species.mutedSpecies] // Force fresh array copy
+        };
+    }
+
+    if (config.seed || config.all) {
+        // null = unseeded (Math.random) in the worklet
+        const { deterministic, seed } = CONFIG.simulation;
+        updates.randomSeed = {
+            seed: deterministic ? deriveSeed(seed, 'audio') : null
+        };
+    }
+
+    return updates;
+}
+
+export function updateAudioParameters(config = {}) {
+    if (!audioEngine.workletNode || !audioEngine.isActive) return;
+
+    try {
+        const updates = collectAudioParameterUpdates(config);
 
         // Send batch update message
         if (Object.keys(updates).length > 0) {
@@ -108,54 +240,106 @@ export function updateAudioParameters(config = {}) {
 }
 
 /**
- * Re-send all loaded audio buffers to the AudioWorklet
- * Called after audio engine restart to restore previously loaded samples
+ * Build an 'audioBuffer' worklet message for a decoded sample
+ * @param {AudioBuffer} audioBuffer - Decoded sample
+ * @param {number} speciesIndex - Target species
+ * @returns {Object} Message ready for port.postMessage()
  */
-export function resendAudioBuffers() {
-    if (!audioEngine?.workletNode?.port || !audioEngine.isActive) {
-        console.warn('Cannot resend audio buffers: Audio engine not active');
-        return;
-    }
-
-    let resentCount = 0;
+export function createAudioBufferMessage(audioBuffer, speciesIndex) {
+    return {
+        type: 'audioBuffer',
+        species: speciesIndex,
+        sampleRate: audioBuffer.sampleRate,
+        length: audioBuffer.length,
+        numberOfChannels: audioBuffer.numberOfChannels,
+        channelData: Array.from(
+            { length: audioBuffer.numberOfChannels },
+            (_, i) => audioBuffer.getChannelData(i)
+        )
+    };
+}
 
-    try {
-        // Iterate through all species and resend any loaded buffers
-        for (let speciesIndex = 0; speciesIndex < CONFIG.species.audioBuffers.length; speciesIndex++) {
-            const audioBuffer = CONFIG.species.audioBuffers[speciesIndex];
-
-            // Skip if no buffer loaded for this species
-            if (!audioBuffer) continue;
-
-            try {
-                // Transfer the audio buffer data to the worklet (same as loadAudioSample)
-                const channelData = Array.from(
-                    { length: audioBuffer.numberOfChannels },
-                    (_, i) => audioBuffer.getChannelData(i)
-                );
-
-                audioEngine.workletNode.port.postMessage({
-                    type: 'audioBuffer',
-                    species: speciesIndex,
-                    sampleRate: audioBuffer.sampleRate,
-                    length: audioBuffer.length,
-                    numberOfChannels: audioBuffer.numberOfChannels,
-                    channelData: channelData
-                });
-
-                resentCount++;
-                console.log(`🔄 Re-sent audio buffer for species ${speciesIndex}`);
-            } catch (bufferError) {
-                console.error(`Failed to resend audio buffer for species ${speciesIndex}:`, bufferError);
-            }
+/**
+ * Build the per-particle payload for the worklet's particleUpdate message
+ * @returns {Array<Object>} Audio parameters for every valid particle
+ */
+export function buildParticleAudioData() {
+    if (!state.particles?.length) return [];
+
+    // Pre-allocate array for better performance
+    const particleData = new Array(state.particles.length);
+    let validParticleCount = 0;
+
+    // Get UI parameters for motion-driven synthesis
+    const volumeScaleEl = safeGetElement('volumeScale');
+    const curveParameterEl = safeGetElement('curveParameter');
+    // Convert volumeScale from dB to linear: linear = 10^(dB/20)
+    const volumeScaleDB = parseFloat(volumeScaleEl?.value || 0);
+    const volumeScale = Math.pow(10, volumeScaleDB / 20);
+    const curveParameter = parseFloat(curveParameterEl?.value || CONFIG.granular.gainPowerDefault);
+
+    // Cache constants for performance
+    const canvasWidth = CONFIG.canvas.width;
+    const canvasHeight = CONFIG.canvas.height;
+    const maxVelocity = CONFIG.granular.maxVelocity;
+    const velocityThreshold = CONFIG.granular.velocityThreshold;
+
+    for (let i = 0; i < state.particles.length; i++) {
+        const particle = state.particles[i];
+
+        // Performance: Fast validation with minimal object access
+        if (!particle?.audioId || typeof particle.x !== 'number' ||
+            typeof particle.y !== 'number' || typeof particle.size !== 'number' ||
+            typeof particle.species !== 'number') {
+            continue;
         }
 
-        if (resentCount > 0) {
-            console.log(`✅ Re-sent ${resentCount} audio buffer${resentCount > 1 ? 's' : ''} to AudioWorklet`);
-        }
-    } catch (error) {
-        console.error('Error in resendAudioBuffers:', error);
+        // New parameter mappings for motion-driven synthesis
+        const xPosition = clamp(particle.x / canvasWidth, 0, 1);
+        const yPosition = clamp(particle.y / canvasHeight, 0, 1);
+
+        // Normalize particle size to bandwidth factor (0-1)
+        const normalizedSize = clamp(particle.size / 20, 0, 1);
+
+        // Get trail parameter for this species
+        const trailParameter = CONFIG.species.trailLengths[particle.species] || 0.0;
+
+        // Velocity for motion detection and audio triggering
+        const rawVelocity = particle.velocityMagnitude;
+        const normalizedVelocity = clamp(rawVelocity / maxVelocity, 0, 1);
+
+        // Motion-driven: only process if above velocity threshold
+        const isMoving = rawVelocity > velocityThreshold;
+
+        // Performance: Direct assignment to pre-allocated array
+        particleData[validParticleCount++] = {
+            id: particle.audioId,
+            species: Math.floor(clamp(particle.species, 0, 7)),
+
+            // New parameter mappings
+            xPosition: xPosition,           // → sample playback position
+            yPosition: yPosition,           // → frequency band center
+            particleSize: normalizedSize,   // → frequency band width
+            velocity: normalizedVelocity,   // → grain rate + gain
+            direction: particle.vx < 0 ? -1 : 1, // → grain read direction (species in 'motion' mode)
+            trailParameter: trailParameter, // → grain length + overlap + release
+
+            // Motion detection
+            isMoving: isMoving,
+            rawVelocity: rawVelocity,
+
+            // UI parameters
+            velocityCurvePower: curveParameter,
+            volumeScale: volumeScale
+        };
     }
+
+    // Trim array to actual size for better performance
+    if (validParticleCount < particleData.length) {
+        particleData.length = validParticleCount;
+    }
+
+    return particleData;
 }
 
 export function sendParticleDataToAudio() {
@@ -165,77 +349,7 @@ export function sendParticleDataToAudio() {
     }
 
     try {
-        // Pre-allocate array for better performance
-        const particleData = new Array(state.particles.length);
-        let validParticleCount = 0;
-
-        // Get UI parameters for motion-driven synthesis
-        const volumeScaleEl = safeGetElement('volumeScale');
-        const curveParameterEl = safeGetElement('curveParameter');
-        // Convert volumeScale from dB to linear: linear = 10^(dB/20)
-        const volumeScaleDB = parseFloat(volumeScaleEl?.value || 0);
-        const volumeScale = Math.pow(10, volumeScaleDB / 20);
-        const curveParameter = parseFloat(curveParameterEl?.value || CONFIG.granular.gainPowerDefault);
-
-        // Cache constants for performance
-        const canvasWidth = CONFIG.canvas.width;
-        const canvasHeight = CONFIG.canvas.height;
-        const maxVelocity = CONFIG.granular.maxVelocity;
-        const velocityThreshold = CONFIG.granular.velocityThreshold;
-
-        for (let i = 0; i < state.particles.length; i++) {
-            const particle = state.particles[i];
-
-            // Performance: Fast validation with minimal object access
-            if (!particle?.audioId || typeof particle.x !== 'number' ||
-                typeof particle.y !== 'number' || typeof particle.size !== 'number' ||
-                typeof particle.species !== 'number') {
-                continue;
-            }
-
-            // New parameter mappings for motion-driven synthesis
-            const xPosition = clamp(particle.x / canvasWidth, 0, 1);
-            const yPosition = clamp(particle.y / canvasHeight, 0, 1);
-
-            // Normalize particle size to bandwidth factor (0-1)
-            const normalizedSize = clamp(particle.size / 20, 0, 1);
-
-            // Get trail parameter for this species
-            const trailParameter = CONFIG.species.trailLengths[particle.species] || 0.0;
-
-            // Velocity for motion detection and audio triggering
-            const rawVelocity = particle.velocityMagnitude;
-            const normalizedVelocity = clamp(rawVelocity / maxVelocity, 0, 1);
-
-            // Motion-driven: only process if above velocity threshold
-            const isMoving = rawVelocity > velocityThreshold;
-
-            // Performance: Direct assignment to pre-allocated array
-            particleData[validParticleCount++] = {
-                id: particle.audioId,
-                species: Math.floor(clamp(particle.species, 0, 7)),
-
-                // New parameter mappings
-                xPosition: xPosition,           // → sample playback position
-                yPosition: yPosition,           // → frequency band center
-                particleSize: normalizedSize,   // → frequency band width
-                velocity: normalizedVelocity,   // → grain rate + gain
-                trailParameter: trailParameter, // → grain length + overlap + release
-
-                // Motion detection
-                isMoving: isMoving,
-                rawVelocity: rawVelocity,
-
-                // UI parameters
-                velocityCurvePower: curveParameter,
-                volumeScale: volumeScale
-            };
-        }
-
-        // Trim array to actual size for better performance
-        if (validParticleCount < particleData.length) {
-            particleData.length = validParticleCount;
-        }
+        const particleData = buildParticleAudioData();
 
         // Validate particle data before sending
         if (particleData.length === 0) {
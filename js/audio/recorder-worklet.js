@@ -0,0 +1,85 @@
+/**
+ * Recorder AudioWorkletProcessor
+ *
+ * Taps the granular processor output and streams it to the main thread in fixed-size
+ * stereo chunks while recording. Has no outputs, so it never affects what is heard.
+ *
+ * This is the complete AudioWorklet processor code that gets embedded
+ * into the audio context alongside the granular processor
+ */
+
+export const RECORDER_PROCESSOR_CODE = `
+/**
+ * Recorder AudioWorkletProcessor
+ * Messages in: { type: 'start' }, { type: 'stop' }
+ * Messages out: { type: 'chunk', channels: [Float32Array, Float32Array] }, { type: 'stopped' }
+ */
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        this.isRecording = false;
+        this.numberOfChannels = 2;
+        this.chunkFrames = 4096; // ~85ms at 48kHz - keeps message rate low
+        this.allocateChunk();
+
+        this.port.onmessage = (event) => {
+            if (!event || !event.data) return;
+
+            if (event.data.type === 'start') {
+                this.allocateChunk();
+                this.isRecording = true;
+            } else if (event.data.type === 'stop') {
+                // Flush the partial chunk so no audio is lost
+                if (this.isRecording) this.flush();
+                this.isRecording = false;
+                this.port.postMessage({ type: 'stopped' });
+            }
+        };
+    }
+
+    allocateChunk() {
+        this.chunk = Array.from({ length: this.numberOfChannels }, () => new Float32Array(this.chunkFrames));
+        this.writeIndex = 0;
+    }
+
+    flush() {
+        if (this.writeIndex === 0) return;
+
+        const channels = this.chunk.map(channel => channel.slice(0, this.writeIndex));
+        this.port.postMessage({ type: 'chunk', channels }, channels.map(channel => channel.buffer));
+        this.allocateChunk();
+    }
+
+    process(inputs) {
+        if (!this.isRecording) return true;
+
+        const input = inputs[0];
+        const frames = input && input.length > 0 ? input[0].length : 128;
+
+        let offset = 0;
+        while (offset < frames) {
+            const count = Math.min(frames - offset, this.chunkFrames - this.writeIndex);
+
+            for (let channel = 0; channel < this.numberOfChannels; channel++) {
+                // Mono input is copied to both sides; a disconnected input records silence
+                const source = input && input.length > 0 ? input[Math.min(channel, input.length - 1)] : null;
+                if (source) {
+                    this.chunk[channel].set(source.subarray(offset, offset + count), this.writeIndex);
+                }
+            }
+
+            this.writeIndex += count;
+            offset += count;
+
+            if (this.writeIndex >= this.chunkFrames) {
+                this.flush();
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);
+`;
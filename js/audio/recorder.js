@@ -0,0 +1,180 @@
+/**
+ * Recorder - Lossless capture of the live master output
+ * Taps audioEngine.workletNode with a recorder worklet and encodes the take as 32-bit float WAV
+ */
+
+import { audioEngine } from '../config.js';
+import { RECORDER_PROCESSOR_CODE } from './recorder-worklet.js';
+import { encodeWavBlob } from './wav-encoder.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+
+// 32-bit float keeps the worklet's float output bit-exact
+const RECORDING_BIT_DEPTH = 32;
+
+// Time to wait for the worklet to flush its last chunk before finalizing anyway
+const STOP_TIMEOUT_MS = 500;
+
+// Contexts that already have the recorder module registered
+const registeredContexts = new WeakSet();
+
+// Current take
+const recording = {
+    node: null,
+    source: null,
+    chunks: [],
+    frameCount: 0,
+    peak: 0,
+    sampleRate: 0,
+    startedAt: null,
+    pendingStop: null
+};
+
+// Engine shutdown: finalize whatever was captured before the context closes
+eventBus.on(Events.AUDIO_SHUTDOWN, () => {
+    if (isRecording()) {
+        finalizeRecording();
+    }
+});
+
+/**
+ * Whether a take is currently being captured
+ * @returns {boolean}
+ */
+export function isRecording() {
+    return recording.node !== null;
+}
+
+/**
+ * Start capturing the live master output
+ * @returns {Promise<void>}
+ * @throws {Error} If the audio engine is not running or a take is already in progress
+ */
+export async function startRecording() {
+    if (isRecording()) {
+        throw new Error('Recording already in progress');
+    }
+    if (!audioEngine.isActive || !audioEngine.context || !audioEngine.workletNode) {
+        throw new Error('Start the audio engine before recording');
+    }
+
+    const context = audioEngine.context;
+    if (!registeredContexts.has(context)) {
+        const recorderUrl = 'data:text/javascript;base64,' + btoa(unescape(encodeURIComponent(RECORDER_PROCESSOR_CODE)));
+        await context.audioWorklet.addModule(recorderUrl);
+        registeredContexts.add(context);
+    }
+
+    // No outputs: the node is processed without touching the destination mix
+    const node = new AudioWorkletNode(context, 'recorder-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 2,
+        channelCountMode: 'explicit'
+    });
+
+    node.port.onmessage = (event) => {
+        if (event.data.type === 'chunk') {
+            appendChunk(event.data.channels);
+        } else if (event.data.type === 'stopped') {
+            recording.pendingStop?.();
+        }
+    };
+
+    recording.node = node;
+    recording.source = audioEngine.workletNode;
+    recording.chunks = [];
+    recording.frameCount = 0;
+    recording.peak = 0;
+    recording.sampleRate = context.sampleRate;
+    recording.startedAt = new Date();
+
+    recording.source.connect(node);
+    node.port.postMessage({ type: 'start' });
+
+    eventBus.emit(Events.RECORDING_STARTED, { startedAt: recording.startedAt });
+    console.log('🔴 Recording started');
+}
+
+/**
+ * Stop capturing and encode the take
+ * The result is also broadcast with Events.RECORDING_STOPPED
+ * @returns {Promise<Object|null>} { blob, filename, duration, peak } or null if nothing was recording
+ */
+export async function stopRecording() {
+    if (!isRecording() || recording.pendingStop) return null;
+
+    // Let the worklet flush its partial chunk, but never hang on a closed context
+    await new Promise(resolve => {
+        const timeout = setTimeout(resolve, STOP_TIMEOUT_MS);
+        recording.pendingStop = () => {
+            clearTimeout(timeout);
+            resolve();
+        };
+        recording.node.port.postMessage({ type: 'stop' });
+    });
+
+    // Engine shutdown may have finalized the take while we were waiting
+    if (!isRecording()) return null;
+
+    return finalizeRecording();
+}
+
+// Helper: Accumulate a chunk from the worklet and track peak level
+function appendChunk(channels) {
+    if (!isRecording() || !channels?.length) return;
+
+    let peak = recording.peak;
+    for (const channel of channels) {
+        for (let i = 0; i < channel.length; i++) {
+            const magnitude = Math.abs(channel[i]);
+            if (magnitude > peak) peak = magnitude;
+        }
+    }
+
+    recording.chunks.push(channels);
+    recording.frameCount += channels[0].length;
+    recording.peak = peak;
+
+    eventBus.emit(Events.RECORDING_UPDATED, {
+        duration: recording.frameCount / recording.sampleRate,
+        peak: recording.peak
+    });
+}
+
+// Helper: Disconnect the tap, encode collected chunks, and reset state
+function finalizeRecording() {
+    const { node, source, chunks, frameCount, peak, sampleRate, startedAt } = recording;
+
+    try {
+        source?.disconnect(node);
+    } catch (error) {
+        // Source may already be gone if the context closed
+    }
+    node.port.onmessage = null;
+    node.port.close();
+
+    recording.node = null;
+    recording.source = null;
+    recording.chunks = [];
+    recording.pendingStop = null;
+
+    // Stitch chunks into contiguous channels
+    const channels = [new Float32Array(frameCount), new Float32Array(frameCount)];
+    let offset = 0;
+    for (const chunk of chunks) {
+        channels[0].set(chunk[0], offset);
+        channels[1].set(chunk[1] || chunk[0], offset);
+        offset += chunk[0].length;
+    }
+
+    const result = {
+        blob: encodeWavBlob(channels, sampleRate, RECORDING_BIT_DEPTH),
+        filename: `granular-recording-${startedAt.toISOString().slice(0, 19).replace(/:/g, '-')}.wav`,
+        duration: frameCount / sampleRate,
+        peak
+    };
+
+    eventBus.emit(Events.RECORDING_STOPPED, result);
+    console.log(`⏹️ Recording stopped: ${result.duration.toFixed(1)}s, peak ${peak.toFixed(3)}`);
+    return result;
+}
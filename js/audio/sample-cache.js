@@ -0,0 +1,78 @@
+/**
+ * Sample Cache - The raw sample of every species the worklet holds
+ * Keeps each species' decoded sample (the AudioBuffer the main thread holds anyway), so a restarted
+ * engine gets its samples back and can filter their bands again in the background.
+ *
+ * Band banks are not kept here: the worklet is their only copy. postBands() transfers the bank's
+ * own buffers, so filtered bands are moved to the worklet rather than duplicated on the main thread.
+ * Raw samples are posted as fresh copies whose buffers are transferred (the AudioBuffer stays usable).
+ */
+
+import { CONFIG } from '../config.js';
+import { createAudioBufferMessage } from './parameter-manager.js';
+
+// species -> AudioBuffer
+const entries = new Map();
+
+/**
+ * What a band bank depends on: the frequency profile (inverting Y is done by the worklet) and tier count
+ * @param {Object} profile - Species frequency profile (see getFrequencyProfile() in parameter-manager.js)
+ * @returns {string} Key that changes whenever the bank must be filtered again
+ */
+export function bandBankKey(profile) {
+    const { yMode, ...bankProfile } = profile;
+    return JSON.stringify({ ...bankProfile, numBandwidthTiers: CONFIG.granular.numBandwidthTiers });
+}
+
+/**
+ * Store a newly loaded raw sample
+ * @param {number} speciesIndex - Species index (0-7)
+ * @param {AudioBuffer} audioBuffer - Decoded sample
+ */
+export function cacheSample(speciesIndex, audioBuffer) {
+    entries.set(speciesIndex, audioBuffer);
+}
+
+/**
+ * Send a species' cached raw sample to a worklet port
+ * @param {MessagePort} port - Worklet port
+ * @param {number} speciesIndex - Species index (0-7)
+ * @returns {boolean} False if nothing is cached for the species
+ */
+export function postCachedSample(port, speciesIndex) {
+    const audioBuffer = entries.get(speciesIndex);
+    if (!audioBuffer) return false;
+
+    const transfer = [];
+    const message = createAudioBufferMessage(audioBuffer, speciesIndex);
+    message.channelData = copyChannels(message.channelData, transfer);
+    port.postMessage(message, transfer);
+    return true;
+}
+
+/**
+ * Move a freshly filtered band bank to a worklet port (its buffers are transferred, so the
+ * bank's arrays are unusable afterwards)
+ * @param {MessagePort} port - Worklet port
+ * @param {number} speciesIndex - Species index (0-7)
+ * @param {Object} bank - { numBands, numBandwidthTiers, bands (worklet format) }
+ */
+export function postBands(port, speciesIndex, bank) {
+    const transfer = bank.bands.flatMap(band => band.channels.map(channel => channel.buffer));
+    port.postMessage({
+        type: 'audioBufferBands',
+        species: speciesIndex,
+        numBands: bank.numBands,
+        numBandwidthTiers: bank.numBandwidthTiers,
+        bands: bank.bands
+    }, transfer);
+}
+
+// Helper: Copy channel arrays into fresh buffers for the transfer list (the cached ones stay usable)
+function copyChannels(channels, transfer) {
+    return channels.map(channel => {
+        const copy = new Float32Array(channel);
+        transfer.push(copy.buffer);
+        return copy;
+    });
+}
@@ -6,10 +6,67 @@
 import { CONFIG, audioEngine } from '../config.js';
 import { AudioSystem } from './audio-system.js';
 import { Utils } from '../utils.js';
-import { createAudioSampleControls as createAudioSampleControlsUI, updateWaveformDisplay as updateWaveformUI } from '../ui/audio-controls.js';
-import { FrequencyBandProcessor } from './frequency-band-processor.js';
+import {
+    createAudioSampleControls as createAudioSampleControlsUI, updateWaveformDisplay as updateWaveformUI, updateBandMemoryDisplay
+} from '../ui/audio-controls.js';
+import { getFrequencyProfile } from './parameter-manager.js';
+import { queueBandJob, cancelBandJob } from './band-jobs.js';
+import { cacheSample, postCachedSample } from './sample-cache.js';
+import { hashSampleData, storeSample, getStoredSample } from './sample-store.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+
+// Preset sample references waiting to be loaded: species -> { hash, name }
+const pendingSampleRefs = new Map();
+
+// Samples referenced by a preset applied while the engine was stopped need its context to decode
+eventBus.on(Events.AUDIO_INITIALIZED, () => {
+    loadPendingSamples();
+});
+
+// Helper: Whether a species plays pre-filtered bands (Y mapping off plays the unfiltered sample)
+function needsBands(speciesIndex) {
+    return CONFIG.granular.usePreFilteredBands && getFrequencyProfile(speciesIndex).yMode !== 'off';
+}
+
+// Helper: Send a species' cached raw sample to the worklet; it plays at once, replacing any band bank
+function sendRawSample(speciesIndex) {
+    if (!audioEngine.workletNode) {
+        throw new Error('Audio worklet not available');
+    }
+    try {
+        postCachedSample(audioEngine.workletNode.port, speciesIndex);
+    } catch (workletError) {
+        throw new Error(`Failed to send audio data to worklet: ${workletError.message}`);
+    }
+
+    audioEngine.bandMemoryBytes[speciesIndex] = 0;
+    updateBandMemoryDisplay();
+}
 
-export async function loadAudioSample(speciesIndex, file) {
+// Helper: Hash and persist a loaded file so presets can reference it (failures only lose persistence)
+async function persistSample(speciesIndex, audioBuffer, file, data) {
+    try {
+        const hash = await hashSampleData(data);
+        if (CONFIG.species.audioBuffers[speciesIndex] !== audioBuffer) return; // Replaced meanwhile
+        CONFIG.species.sampleRefs[speciesIndex] = { hash, name: file.name };
+        await storeSample({ hash, name: file.name, type: file.type, data });
+        console.log(`💾 Sample stored for species ${speciesIndex} (${hash.slice(0, 12)})`);
+    } catch (error) {
+        console.warn(`Sample for species ${speciesIndex} not persisted:`, error.message);
+    }
+}
+
+/**
+ * Decode and load an audio file for a species
+ * New files are persisted in the sample store (see sample-store.js) in the background
+ * @param {number} speciesIndex - Species index (0-7)
+ * @param {File} file - Audio file
+ * @param {Object} [options]
+ * @param {Object} [options.ref] - { hash, name } when the file comes from the sample store (not stored again)
+ * @returns {Promise<void>}
+ * @throws {Error} After showing a toast, if the file cannot be loaded
+ */
+export async function loadAudioSample(speciesIndex, file, { ref = null } = {}) {
     try {
         // Enhanced validation with comprehensive error checking
         if (!audioEngine || !audioEngine.context) {
@@ -45,7 +102,8 @@ export async function loadAudioSample(speciesIndex, file) {
         }
 
         const arrayBuffer = await file.arrayBuffer();
-        const audioBuffer = await audioEngine.context.decodeAudioData(arrayBuffer);
+        // Decoding detaches the buffer it is given, so new files keep the original bytes to store
+        const audioBuffer = await audioEngine.context.decodeAudioData(ref ? arrayBuffer : arrayBuffer.slice(0));
 
         // Validate audio buffer properties
         if (!audioBuffer || audioBuffer.length === 0) {
@@ -66,47 +124,21 @@ export async function loadAudioSample(speciesIndex, file) {
 
         // Store the buffer
         CONFIG.species.audioBuffers[speciesIndex] = audioBuffer;
-
-        // PHASE 3 OPTIMIZATION: Pre-filter audio into frequency bands
-        let frequencyBands;
-        if (CONFIG.granular.usePreFilteredBands) {
-            const bandProcessor = new FrequencyBandProcessor(audioEngine.context);
-            const bandBuffers = await bandProcessor.processSampleIntoBands(audioBuffer);
-            frequencyBands = bandProcessor.convertBandsToWorkletFormat(bandBuffers);
+        cacheSample(speciesIndex, audioBuffer);
+        CONFIG.species.sampleRefs[speciesIndex] = ref ? { hash: ref.hash, name: ref.name } : null;
+        if (!ref) {
+            // A file chosen by hand wins over a preset sample still waiting for the engine
+            pendingSampleRefs.delete(speciesIndex);
+            persistSample(speciesIndex, audioBuffer, file, arrayBuffer);
         }
 
-        // Send to worklet
-        if (audioEngine.workletNode) {
-            try {
-                if (CONFIG.granular.usePreFilteredBands && frequencyBands) {
-                    // Send pre-filtered frequency bands
-                    audioEngine.workletNode.port.postMessage({
-                        type: 'audioBufferBands',
-                        species: speciesIndex,
-                        numBands: frequencyBands.length,
-                        bands: frequencyBands
-                    });
-                } else {
-                    // Send original buffer (legacy path)
-                    const channelData = Array.from(
-                        { length: audioBuffer.numberOfChannels },
-                        (_, i) => audioBuffer.getChannelData(i)
-                    );
-
-                    audioEngine.workletNode.port.postMessage({
-                        type: 'audioBuffer',
-                        species: speciesIndex,
-                        sampleRate: audioBuffer.sampleRate,
-                        length: audioBuffer.length,
-                        numberOfChannels: audioBuffer.numberOfChannels,
-                        channelData: channelData
-                    });
-                }
-            } catch (workletError) {
-                throw new Error(`Failed to send audio data to worklet: ${workletError.message}`);
-            }
+        // Raw sample plays immediately; PHASE 3 pre-filtered bands replace it when the
+        // background job finishes (progress shows on the waveform)
+        sendRawSample(speciesIndex);
+        if (needsBands(speciesIndex)) {
+            queueBandJob(speciesIndex, audioBuffer);
         } else {
-            throw new Error('Audio worklet not available');
+            cancelBandJob(speciesIndex);
         }
 
         // Update waveform display using UI module version
@@ -142,6 +174,135 @@ export async function loadAudioSample(speciesIndex, file) {
     }
 }
 
+/**
+ * Load the stored samples a preset references
+ * Species already playing the referenced sample are left alone; while the engine is stopped the
+ * references wait and load when it starts
+ * @param {Array<Object|null>} refs - Per-species { hash, name } (null = keep the current sample)
+ * @returns {Promise<number>} Samples loaded now
+ */
+export function restoreSampleRefs(refs) {
+    refs.slice(0, CONFIG.species.maxCount).forEach((ref, speciesIndex) => {
+        if (typeof ref?.hash !== 'string' || CONFIG.species.sampleRefs[speciesIndex]?.hash === ref.hash) return;
+        pendingSampleRefs.set(speciesIndex, { hash: ref.hash, name: String(ref.name || 'sample') });
+    });
+
+    if (pendingSampleRefs.size === 0) return Promise.resolve(0);
+    if (!audioEngine.isActive) {
+        Utils.showToast(`Preset samples load when the audio engine starts (${pendingSampleRefs.size})`);
+        return Promise.resolve(0);
+    }
+    return loadPendingSamples();
+}
+
+// Helper: Load every pending preset sample from the sample store
+async function loadPendingSamples() {
+    let loadedCount = 0;
+    const missing = [];
+
+    for (const [speciesIndex, ref] of [...pendingSampleRefs]) {
+        pendingSampleRefs.delete(speciesIndex);
+        try {
+            const stored = await getStoredSample(ref.hash);
+            if (!stored) {
+                missing.push(`${String.fromCharCode(65 + speciesIndex)}: ${ref.name}`);
+                continue;
+            }
+            const file = new File([stored.data], stored.name, { type: stored.type });
+            await loadAudioSample(speciesIndex, file, { ref: { hash: ref.hash, name: stored.name } });
+            updateAudioUI({ speciesIndex, updateType: 'waveform' });
+            loadedCount++;
+        } catch (error) {
+            console.error(`Failed to restore sample for species ${speciesIndex}:`, error);
+        }
+    }
+
+    if (missing.length > 0) {
+        Utils.showToast(`Samples not in storage, load them again: ${missing.join(', ')}`, 5000);
+    }
+    if (loadedCount > 0) {
+        console.log(`📂 Restored ${loadedCount} preset sample${loadedCount > 1 ? 's' : ''} from storage`);
+    }
+    return loadedCount;
+}
+
+/**
+ * Re-filter a loaded species sample after its frequency profile changed
+ * Only that species' bands are rebuilt, in the background; its current bands keep playing until
+ * the new ones arrive. With Y mapping off the raw sample replaces the bands
+ * @param {number} speciesIndex - Species index (0-7)
+ * @returns {Promise<boolean>} True if new bands (or the raw sample) reached the worklet
+ */
+export async function regenerateSpeciesBands(speciesIndex) {
+    const audioBuffer = CONFIG.species.audioBuffers[speciesIndex];
+    if (!audioBuffer || !audioEngine.context || !audioEngine.workletNode) return false;
+
+    if (needsBands(speciesIndex)) {
+        const status = await queueBandJob(speciesIndex, audioBuffer);
+        if (status === 'done') {
+            console.log(`🎛️ Frequency bands regenerated for species ${speciesIndex}`);
+        }
+        return status === 'done';
+    }
+
+    try {
+        cancelBandJob(speciesIndex);
+        sendRawSample(speciesIndex);
+        return true;
+    } catch (error) {
+        console.error('Failed to send raw sample:', error);
+        Utils.showToast('Failed to send raw sample: ' + error.message, 3000);
+        return false;
+    }
+}
+
+/**
+ * Filter a species' bands again from its cached raw sample
+ * (e.g. to apply a new bandwidth tier count to samples loaded earlier)
+ * @param {number} speciesIndex - Species index (0-7)
+ * @returns {Promise<boolean>} True if new bands (or the raw sample) reached the worklet
+ */
+export function reprocessSpeciesBands(speciesIndex) {
+    return regenerateSpeciesBands(speciesIndex);
+}
+
+/**
+ * Restore every cached sample in a new worklet instance (after an engine restart)
+ * Raw samples play at once; their bands are filtered again in the background (the worklet held
+ * the only copy of the old ones)
+ */
+export function restoreWorkletSamples() {
+    if (!audioEngine?.workletNode?.port || !audioEngine.isActive) {
+        console.warn('Cannot restore samples: Audio engine not active');
+        return;
+    }
+
+    let restoredCount = 0;
+    let refilterCount = 0;
+
+    for (let speciesIndex = 0; speciesIndex < CONFIG.species.audioBuffers.length; speciesIndex++) {
+        const audioBuffer = CONFIG.species.audioBuffers[speciesIndex];
+        if (!audioBuffer) continue;
+
+        try {
+            postCachedSample(audioEngine.workletNode.port, speciesIndex);
+            if (needsBands(speciesIndex)) {
+                queueBandJob(speciesIndex, audioBuffer);
+                refilterCount++;
+            }
+            restoredCount++;
+        } catch (error) {
+            console.error(`Failed to restore sample for species ${speciesIndex}:`, error);
+        }
+    }
+
+    updateBandMemoryDisplay();
+    if (restoredCount > 0) {
+        console.log(`✅ Restored ${restoredCount} sample${restoredCount > 1 ? 's' : ''} to AudioWorklet` +
+            (refilterCount > 0 ? ` (${refilterCount} re-filtering)` : ''));
+    }
+}
+
 export function updateAudioUI(options = {}) {
     const { speciesIndex, updateType = 'all', debounce = false } = options;
 
@@ -0,0 +1,169 @@
+/**
+ * Sample Store - Loaded sample files persisted in IndexedDB, keyed by content hash
+ * Presets reference samples by hash (CONFIG.species.sampleRefs) and restore them from here;
+ * exported presets carry the files as base64 so they can be imported on another machine.
+ *
+ * The original encoded file is stored (not decoded PCM): it is smaller and decodes at
+ * whatever rate the audio context runs.
+ */
+
+const DB_NAME = 'granular-samples';
+const DB_VERSION = 1;
+const STORE_NAME = 'samples';
+
+// Bytes per String.fromCharCode() call when base64-encoding (stays under argument limits)
+const BASE64_CHUNK = 0x8000;
+
+let dbPromise = null;
+
+// Helper: Open (and on first use create) the sample database
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'hash' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // A failed open can be retried later (e.g. after the user allows storage)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// Helper: Run one request against the sample store and resolve with its result
+async function runRequest(mode, createRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = createRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Sample store transaction aborted'));
+    });
+}
+
+/**
+ * Content hash identifying a sample file
+ * @param {ArrayBuffer} data - Encoded file bytes
+ * @returns {Promise<string>} Lowercase hex SHA-256
+ */
+export async function hashSampleData(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Persist a sample file (storing the same content twice keeps one record)
+ * @param {Object} sample - { hash, name, type, data: ArrayBuffer }
+ * @returns {Promise<void>}
+ */
+export async function storeSample({ hash, name, type, data }) {
+    await runRequest('readwrite', store => store.put({
+        hash,
+        name,
+        type,
+        size: data.byteLength,
+        data,
+        storedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Read a persisted sample file
+ * @param {string} hash - Content hash from hashSampleData()
+ * @returns {Promise<Object|null>} { hash, name, type, size, data, storedAt } or null when not stored
+ */
+export async function getStoredSample(hash) {
+    return (await runRequest('readonly', store => store.get(hash))) || null;
+}
+
+/**
+ * Delete the stored samples nothing uses any more (files are never removed otherwise)
+ * @param {Iterable<string>} keepHashes - Hashes still referenced (stored presets, loaded species)
+ * @returns {Promise<number>} Number of samples deleted
+ */
+export async function pruneSamples(keepHashes) {
+    const keep = new Set(keepHashes);
+    const unused = (await runRequest('readonly', store => store.getAllKeys())).filter(hash => !keep.has(hash));
+    for (const hash of unused) {
+        await runRequest('readwrite', store => store.delete(hash));
+    }
+    return unused.length;
+}
+
+/**
+ * Encode bytes as base64 (for presets exported with their samples)
+ * @param {ArrayBuffer} data - Bytes to encode
+ * @returns {string} Base64 text
+ */
+export function arrayBufferToBase64(data) {
+    const bytes = new Uint8Array(data);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 text back into bytes
+ * @param {string} base64 - Text from arrayBufferToBase64()
+ * @returns {ArrayBuffer} Decoded bytes
+ */
+export function base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * Bundle stored samples for an exported preset
+ * @param {Array<string>} hashes - Hashes referenced by the preset
+ * @returns {Promise<{bundle: Object, missing: Array<string>}>} bundle maps hash -> { name, type, data (base64) };
+ *   missing lists hashes not found in the store
+ */
+export async function bundleSamples(hashes) {
+    const bundle = {};
+    const missing = [];
+    for (const hash of new Set(hashes)) {
+        const sample = await getStoredSample(hash);
+        if (sample) {
+            bundle[hash] = { name: sample.name, type: sample.type, data: arrayBufferToBase64(sample.data) };
+        } else {
+            missing.push(hash);
+        }
+    }
+    return { bundle, missing };
+}
+
+/**
+ * Store the samples carried by an imported preset, checking each against its hash
+ * @param {Object} bundle - hash -> { name, type, data (base64) } from bundleSamples()
+ * @returns {Promise<{stored: number, rejected: Array<string>}>} rejected lists entries whose content did not match
+ */
+export async function unbundleSamples(bundle) {
+    let stored = 0;
+    const rejected = [];
+    for (const [hash, { name, type, data }] of Object.entries(bundle)) {
+        try {
+            const bytes = base64ToArrayBuffer(data);
+            if (await hashSampleData(bytes) !== hash) throw new Error('content does not match its hash');
+            await storeSample({ hash, name, type, data: bytes });
+            stored++;
+        } catch (error) {
+            console.warn(`Skipped bundled sample ${name || hash}:`, error.message);
+            rejected.push(hash);
+        }
+    }
+    return { stored, rejected };
+}
@@ -0,0 +1,99 @@
+/**
+ * WAV Encoder - Encodes planar Float32 channel data as RIFF/WAVE files
+ * Supports 16-bit and 24-bit integer PCM and 32-bit IEEE float output
+ */
+
+// Supported output formats keyed by the value shown in the UI
+export const WAV_BIT_DEPTHS = {
+    16: { bytesPerSample: 2, formatTag: 1, label: '16-bit PCM' },
+    24: { bytesPerSample: 3, formatTag: 1, label: '24-bit PCM' },
+    32: { bytesPerSample: 4, formatTag: 3, label: '32-bit float' }
+};
+
+/**
+ * Encode planar channel data into a WAV file
+ * @param {Array<Float32Array>} channels - One Float32Array per channel (equal lengths)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [bitDepth=24] - 16, 24 or 32 (float)
+ * @returns {ArrayBuffer} Complete WAV file contents
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 24) {
+    const format = WAV_BIT_DEPTHS[bitDepth];
+    if (!format) {
+        throw new Error(`Unsupported bit depth: ${bitDepth}. Use 16, 24 or 32`);
+    }
+    if (!Array.isArray(channels) || channels.length === 0) {
+        throw new Error('encodeWav requires at least one channel');
+    }
+
+    const numberOfChannels = channels.length;
+    const frameCount = channels[0].length;
+    const blockAlign = numberOfChannels * format.bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    writeAscii(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeAscii(view, 8, 'WAVE');
+
+    // fmt chunk
+    writeAscii(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, format.formatTag, true);
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, format.bytesPerSample * 8, true);
+
+    // data chunk (interleaved frames)
+    writeAscii(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < frameCount; i++) {
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            const sample = channels[channel][i];
+
+            if (bitDepth === 32) {
+                view.setFloat32(offset, sample, true);
+            } else {
+                // Clamp to [-1, 1] and scale asymmetrically so -1 and +1 both map to full scale
+                const clamped = Math.max(-1, Math.min(1, sample));
+                if (bitDepth === 16) {
+                    view.setInt16(offset, Math.round(clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF), true);
+                } else {
+                    const int24 = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7FFFFF);
+                    view.setUint8(offset, int24 & 0xFF);
+                    view.setUint8(offset + 1, (int24 >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (int24 >> 16) & 0xFF);
+                }
+            }
+
+            offset += format.bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Encode channel data and wrap it in a Blob ready for download
+ * @param {Array<Float32Array>} channels - One Float32Array per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [bitDepth=24] - 16, 24 or 32 (float)
+ * @returns {Blob} audio/wav Blob
+ */
+export function encodeWavBlob(channels, sampleRate, bitDepth = 24) {
+    return new Blob([encodeWav(channels, sampleRate, bitDepth)], { type: 'audio/wav' });
+}
+
+// Helper: Write a 4-character chunk identifier
+function writeAscii(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
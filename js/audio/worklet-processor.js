@@ -6,20 +6,26 @@
  * - Velocity controls grain volume only (audiovisual connection)
  * - Overlap-based rate calculation ensures smooth audio with minimal grain count
  *
- * This is the complete AudioWorklet processor code that gets embedded
- * into the audio context for real-time granular synthesis
+ * Loaded into the AudioWorkletGlobalScope as a module by addGranularWorklet() (audio-engine.js).
+ * Relies only on the worklet globals AudioWorkletProcessor, registerProcessor and sampleRate,
+ * so Node tests can import it after installing a shim (test/helpers/worklet-shim.js).
+ * Sample-level DSP lives in granular-dsp.js.
  */
 
-export const WORKLET_PROCESSOR_CODE = `
-/**
- * Motion-Driven Granular Synthesis AudioWorkletProcessor
- *
- * Grain Spawning Model:
- * - Trail length controls grain length AND spawn rate (smoothness via overlap)
- * - Velocity controls grain volume only (audiovisual connection)
- * - Overlap-based rate calculation ensures smooth audio with minimal grain count
- */
-class GranularProcessor extends AudioWorkletProcessor {
+import {
+    readSample, resolveInterpolationMode, INTERPOLATION_COST, quantizeToScale, centsToPlaybackRate, chooseGrainDirection,
+    applyVelocityCurve, softStartGain, shapedEnvelope, releaseEnvelope, ENVELOPE_DEFAULT_ATTACK, ENVELOPE_DEFAULT_SKEW,
+    crossfadeGain, smoothingAlpha, allocateVoices, softLimit, selectBandIndex, bandBlend, bandGain, selectBandwidthTier,
+    mapFrequencyY, DEFAULT_FREQUENCY_PROFILE,
+    bandpassCoefficients, createFilterState, applyBandpass, resolveSourceChannels, equalPowerPan
+} from './granular-dsp.js';
+import { createSeededRandom } from '../shared/random.js';
+
+// Time constant of the Y smoothing when grains track their particle across bands: fast enough
+// to follow motion, slow enough that a wrap from top to bottom sweeps instead of clicking
+const BAND_TRACKING_SMOOTHING_MS = 30;
+
+export class GranularProcessor extends AudioWorkletProcessor {
     constructor() {
         super();
 
@@ -29,8 +35,10 @@ class GranularProcessor extends AudioWorkletProcessor {
 
         // PHASE 3 OPTIMIZATION: Pre-filtered frequency bands
         // Each species can have multiple frequency bands (or just one if pre-filtering disabled)
-        this.frequencyBands = new Array(8).fill(null); // [species] = [band0, band1, ..., bandN]
-        this.numBands = 1; // Default: 1 band (no pre-filtering)
+        this.frequencyBands = new Array(8).fill(null); // [species][tier] = [band0, band1, ..., bandN]
+
+        // Per-species Y→frequency mapping (range, curve, bandwidth, Y mode) for both filter paths
+        this.frequencyProfiles = Array.from({ length: 8 }, () => ({ ...DEFAULT_FREQUENCY_PROFILE }));
 
         // Motion-driven grain management
         this.particleGrains = new Map(); // particle ID -> grain instances
@@ -50,17 +58,21 @@ class GranularProcessor extends AudioWorkletProcessor {
             releaseTimeMin: 0.02,
             releaseTimeMax: 0.3,
             windowSigmaFactor: 0.25,
-            freqRangeMin: 20.0,
-            freqRangeMax: 15000.0,
-            freqGamma: 0.6,
-            bandwidthOctavesMax: 4.0,
+            grainJitter: 0.0,
             softLimiterThreshold: 0.98,
-            softLimiterGain: 1.25
+            softLimiterGain: 1.25,
+            interpolationMode: 'linear',
+            pitchScaleOctaves: 2,
+            bandCrossfade: true,
+            bandTracking: false
         };
 
         // Audio state
         this.currentTime = 0;
 
+        // Grain jitter random source - replaced by a seeded PRNG in deterministic mode
+        this.random = Math.random;
+
         // Volume metering - improved for accurate clipping detection
         this.peakLevel = 0;          // Peak sample value (instantaneous, no smoothing)
         this.rmsLevel = 0;            // RMS (average power) level
@@ -110,6 +122,16 @@ class GranularProcessor extends AudioWorkletProcessor {
         this.sampleVolumes = null;
         this.samplePitches = null;
         this.mutedSpecies = [false, false, false, false, false, false, false, false]; // Mute state per species
+        this.channelModes = new Array(8).fill('stereo'); // Source channel routing per species (CHANNEL_MODES)
+        this.interpolationModes = new Array(8).fill('global'); // Per-species read quality ('global' = granularConfig)
+        this.pitchSpreads = new Array(8).fill(0); // Per-grain random pitch spread per species, ± cents
+        this.pitchScales = new Array(8).fill(null); // Per-species scale degrees in cents (null = no quantizer)
+        this.pitchScaleSources = new Array(8).fill('y'); // Particle property picking the degree: 'y' or 'speed'
+        this.envelopeShapes = new Array(8).fill('hann'); // Grain window per species (ENVELOPE_SHAPES)
+        this.envelopeAttacks = new Array(8).fill(ENVELOPE_DEFAULT_ATTACK); // Share of the grain spent ramping
+        this.envelopeSkews = new Array(8).fill(ENVELOPE_DEFAULT_SKEW); // Peak position, 0.5 = symmetric
+        this.directionModes = new Array(8).fill('random'); // Grain read direction per species (DIRECTION_MODES)
+        this.reverseProbabilities = new Array(8).fill(0); // Chance of a reversed grain in 'random' mode
 
         // Previous particle states for motion detection
         this.previousParticleStates = new Map();
@@ -123,6 +145,10 @@ class GranularProcessor extends AudioWorkletProcessor {
         this.lastCpuReportTime = 0;
         this.cpuReportInterval = 0.5; // Report every 500ms
 
+        // Interpolation work since the last CPU report, in linear-read units (for the CPU budget readout)
+        this.interpolationWork = 0;
+        this.interpolationReads = 0;
+
         // PHASE 2 OPTIMIZATION: Debug mode flag (disable logging in production for 2-3% CPU savings)
         this.debugMode = false; // Set to true for debugging, false for production
 
@@ -136,6 +162,12 @@ class GranularProcessor extends AudioWorkletProcessor {
             timerLeakWarnings: 0
         };
 
+        // MIDI out: grain spawns or voice changes reported to the main thread after each particle
+        // update ('grains', 'voices' or null = off); grain events are capped per update
+        this.midiEventSource = null;
+        this.midiEvents = [];
+        this.maxMidiGrainEvents = 16;
+
         // Initialize message handling
         this.port.onmessage = this.handleMessage.bind(this);
         console.log('Motion-driven granular processor initialized');
@@ -193,6 +225,39 @@ class GranularProcessor extends AudioWorkletProcessor {
                                 if (updates.audioParameters.pitches) {
                                     this.samplePitches = updates.audioParameters.pitches;
                                 }
+                                if (updates.audioParameters.channelModes) {
+                                    this.channelModes = updates.audioParameters.channelModes;
+                                }
+                                if (updates.audioParameters.interpolationModes) {
+                                    this.interpolationModes = updates.audioParameters.interpolationModes;
+                                }
+                                if (updates.audioParameters.pitchSpreads) {
+                                    this.pitchSpreads = updates.audioParameters.pitchSpreads;
+                                }
+                                if (updates.audioParameters.pitchScales) {
+                                    this.pitchScales = updates.audioParameters.pitchScales;
+                                }
+                                if (updates.audioParameters.pitchScaleSources) {
+                                    this.pitchScaleSources = updates.audioParameters.pitchScaleSources;
+                                }
+                                if (updates.audioParameters.envelopeShapes) {
+                                    this.envelopeShapes = updates.audioParameters.envelopeShapes;
+                                }
+                                if (updates.audioParameters.envelopeAttacks) {
+                                    this.envelopeAttacks = updates.audioParameters.envelopeAttacks;
+                                }
+                                if (updates.audioParameters.envelopeSkews) {
+                                    this.envelopeSkews = updates.audioParameters.envelopeSkews;
+                                }
+                                if (updates.audioParameters.directionModes) {
+                                    this.directionModes = updates.audioParameters.directionModes;
+                                }
+                                if (updates.audioParameters.reverseProbabilities) {
+                                    this.reverseProbabilities = updates.audioParameters.reverseProbabilities;
+                                }
+                                if (updates.audioParameters.frequencyProfiles) {
+                                    this.frequencyProfiles = updates.audioParameters.frequencyProfiles;
+                                }
                             }
                             if (updates.voiceManagement) {
                                 if (updates.voiceManagement.maxVoicesPerSpecies) {
@@ -215,6 +280,9 @@ class GranularProcessor extends AudioWorkletProcessor {
                             if (updates.muteState && updates.muteState.mutedSpecies) {
                                 this.mutedSpecies = updates.muteState.mutedSpecies;
                             }
+                            if (updates.randomSeed) {
+                                this.setRandomSeed(updates.randomSeed.seed);
+                            }
                         } catch (batchError) {
                             console.error('AudioWorklet: Error in batch parameter update:', batchError);
                         }
@@ -235,6 +303,17 @@ class GranularProcessor extends AudioWorkletProcessor {
                     }
                     break;
 
+                case 'midiEvents':
+                    this.midiEventSource = ['grains', 'voices'].includes(event.data.source) ? event.data.source : null;
+                    this.midiEvents = [];
+                    break;
+
+                case 'sync':
+                    // Offline rendering handshake: messages are handled in order, so echoing
+                    // the id confirms every earlier message has been applied
+                    this.port.postMessage({ type: 'sync', id: event.data.id });
+                    break;
+
                 default:
                     console.warn('AudioWorklet: Unknown message type: ' + type);
             }
@@ -243,6 +322,11 @@ class GranularProcessor extends AudioWorkletProcessor {
         }
     }
 
+    // Seed the grain jitter stream; null restores Math.random
+    setRandomSeed(seed) {
+        this.random = typeof seed === 'number' ? createSeededRandom(seed) : Math.random;
+    }
+
     // Load audio buffer for species
     loadAudioBuffer(data) {
         const { species, sampleRate, length, numberOfChannels, channelData } = data;
@@ -250,62 +334,38 @@ class GranularProcessor extends AudioWorkletProcessor {
             sampleRate,
             length,
             numberOfChannels,
-            channels: channelData.map(channel => new Float32Array(channel))
+            channels: channelData // Cloned or transferred by postMessage, so already the worklet's own
         };
         this.audioBuffers[species] = buffer;
+        this.frequencyBands[species] = null; // A raw sample replaces any band bank (e.g. Y mapping turned off)
         this.sampleRates[species] = sampleRate;
         console.log('Audio buffer loaded for species', species);
     }
 
     // PHASE 3 OPTIMIZATION: Load pre-filtered frequency bands
     loadAudioBufferBands(data) {
-        const { species, numBands, bands } = data;
+        const { species, numBands, numBandwidthTiers = 1, bands } = data;
 
         // Store all bands for this species
         const bandBuffers = bands.map(bandData => ({
             sampleRate: bandData.sampleRate,
             length: bandData.length,
             numberOfChannels: bandData.numberOfChannels,
-            channels: bandData.channels.map(channel => new Float32Array(channel))
+            channels: bandData.channels
         }));
 
-        this.frequencyBands[species] = bandBuffers;
-        this.numBands = numBands;
-
-        // Also store the first band as the default audioBuffer for backward compatibility
-        this.audioBuffers[species] = bandBuffers[0];
-        this.sampleRates[species] = bandBuffers[0].sampleRate;
+        // Bands arrive tier-major (narrowest bandwidth first); split them into one row per tier
+        this.frequencyBands[species] = Array.from({ length: numBandwidthTiers },
+            (_, tier) => bandBuffers.slice(tier * numBands, (tier + 1) * numBands));
 
-        console.log('Audio buffer bands loaded for species', species, ':', numBands, 'bands');
-    }
-
-    // PHASE 2 OPTIMIZATION: Linear interpolation for sample reading
-    // Switched from cubic (4 samples + complex math) to linear (2 samples + simple multiply)
-    // 30-40% faster with minimal audio quality difference
-    readSampleLinear(buffer, idxFloat) {
-        const bufferLength = buffer.length;
-        if (bufferLength === 0) return 0.0;
-
-        // Wrap index to buffer bounds
-        let wrappedIdx = idxFloat;
-        if (wrappedIdx < 0 || wrappedIdx >= bufferLength) {
-            wrappedIdx = ((wrappedIdx % bufferLength) + bufferLength) % bufferLength;
+        // Keep the raw sample (sent first, while the bands were filtering) so grains spawned
+        // before the bands arrived play on unchanged; fall back to the first band without one
+        if (!this.audioBuffers[species]) {
+            this.audioBuffers[species] = bandBuffers[0];
+            this.sampleRates[species] = bandBuffers[0].sampleRate;
         }
 
-        const idx = Math.floor(wrappedIdx);
-        const fraction = wrappedIdx - idx;
-
-        // Get two samples with wrapping
-        const idx2 = (idx + 1) % bufferLength;
-
-        // Simple linear interpolation (2 samples instead of 4)
-        return buffer[idx] * (1.0 - fraction) + buffer[idx2] * fraction;
-    }
-
-    // Apply velocity curve to normalize gain
-    applyVelocityCurve(normalizedVelocity, curvePower) {
-        normalizedVelocity = Math.max(0, Math.min(1, normalizedVelocity));
-        return Math.pow(normalizedVelocity, curvePower);
+        console.log('Audio buffer bands loaded for species', species, ':', numBands, 'bands ×', numBandwidthTiers, 'tiers');
     }
 
     // Motion-driven particle update with grain spawning logic
@@ -357,6 +417,8 @@ class GranularProcessor extends AudioWorkletProcessor {
                 const existingGrains = this.particleGrains.get(id);
                 if (existingGrains) {
                     for (const grain of existingGrains) {
+                        // Updates arrive every frame: restarting a running release would hold it near full gain
+                        if (grain.isReleasing) continue;
                         grain.isReleasing = true;
                         grain.releaseStartTime = this.currentTime;
                         grain.removalReason = 'stopped';
@@ -377,6 +439,8 @@ class GranularProcessor extends AudioWorkletProcessor {
                 const existingGrains = this.particleGrains.get(id);
                 if (existingGrains) {
                     for (const grain of existingGrains) {
+                        // Updates arrive every frame: restarting a running release would hold it near full gain
+                        if (grain.isReleasing) continue;
                         grain.isReleasing = true;
                         grain.releaseStartTime = this.currentTime;
                         grain.removalReason = 'voice_stolen';
@@ -416,19 +480,9 @@ class GranularProcessor extends AudioWorkletProcessor {
             );
 
             // Velocity controls VOLUME (audiovisual connection), not spawn rate
-            let grainGain = this.applyVelocityCurve(velocity, velocityCurvePower) * volumeScale;
-
-            // PHASE 3 BUGFIX: Soft-start gain ramping for smooth acoustic threshold
-            // Particles in "soft-start zone" (0.03-0.06) fade in gradually instead of hard cut-in
-            // This maintains CPU benefits while creating natural-sounding velocity curves
-            const softStartMin = this.granularConfig.velocityThreshold; // 0.03
-            const softStartMax = this.granularConfig.velocityThreshold * 2.0; // 0.06
-            if (velocity < softStartMax) {
-                // Calculate soft-start gain multiplier (0.0 at threshold, 1.0 at 2x threshold)
-                const softStartProgress = Math.max(0, (velocity - softStartMin) / (softStartMax - softStartMin));
-                const softStartGain = softStartProgress * softStartProgress; // Quadratic curve for natural feel
-                grainGain *= softStartGain;
-            }
+            // PHASE 3 BUGFIX: Soft-start zone (threshold to 2x threshold) fades in instead of hard cut-in
+            const grainGain = applyVelocityCurve(velocity, velocityCurvePower) * volumeScale *
+                softStartGain(velocity, this.granularConfig.velocityThreshold);
 
             // Get or create grain timer for this particle
             // Timers are deleted when voice is lost, so fresh allocations always start clean
@@ -457,19 +511,29 @@ class GranularProcessor extends AudioWorkletProcessor {
             // OPTIMIZED: Reduced from 4 to 2 grains per update for better CPU performance
             let grainsSpawnedThisUpdate = 0;
             while (grainTimer.nextGrainTime <= this.currentTime && grainsSpawnedThisUpdate < 2) {
-                this.spawnGrain(id, species, xPosition, yPosition, particleSize,
-                              grainLength, grainGain, trailParameter);
-                grainTimer.nextGrainTime += grainInterval;
+                this.spawnGrain(particle, grainLength, grainGain);
+                // Scatter spawn times so overlapping grains don't phase-lock
+                const jitter = this.granularConfig.grainJitter;
+                grainTimer.nextGrainTime += jitter > 0
+                    ? grainInterval * (1 + jitter * (this.random() * 2 - 1))
+                    : grainInterval;
                 grainsSpawnedThisUpdate++;
             }
         }
 
         // Voice activity is now updated in process() method for continuous tracking
         // Note: Volume metering moved to voiceState message for unified updates
+
+        if (this.midiEvents.length > 0) {
+            this.port.postMessage({ type: 'midiEvents', events: this.midiEvents });
+            this.midiEvents = [];
+        }
     }
 
     // Spawn a new grain for motion-driven synthesis
-    spawnGrain(particleId, species, xPosition, yPosition, particleSize, grainLength, grainGain, trailParameter) {
+    spawnGrain(particle, grainLength, grainGain) {
+        const { id: particleId, species, xPosition, yPosition, particleSize, trailParameter, velocity = 0 } = particle;
+
         // Check if species is muted - if so, skip grain spawning
         if (this.mutedSpecies && this.mutedSpecies[species]) return;
 
@@ -485,52 +549,69 @@ class GranularProcessor extends AudioWorkletProcessor {
         const centerSample = rangeStart + (xPosition * rangeLength);
 
         // Calculate grain length in samples with pitch shift
-        // Convert semitones to playback rate: rate = 2^(semitones/12)
-        // Positive semitones = faster playback (higher pitch), negative = slower (lower pitch)
+        // Species offset (semitones) + scale degree + random spread, all in cents: rate = 2^(cents/1200)
+        // Positive = faster playback (higher pitch), negative = slower (lower pitch)
         const pitchSemitones = (this.samplePitches && this.samplePitches[species]) ? this.samplePitches[species] : 0;
-        const playbackRate = Math.pow(2, pitchSemitones / 12.0);
+        let pitchCents = pitchSemitones * 100;
+
+        // Scale quantizer: Y (top = high) or speed picks the degree, so clouds land on the same scale
+        const scale = this.pitchScales[species];
+        if (scale) {
+            const control = this.pitchScaleSources[species] === 'speed' ? velocity : 1.0 - yPosition;
+            pitchCents += quantizeToScale(control, scale, this.granularConfig.pitchScaleOctaves);
+        }
+
+        // Random spread draws from the (seedable) stream only when enabled, so seeded runs without it are unchanged
+        const pitchSpread = this.pitchSpreads[species];
+        if (pitchSpread > 0) {
+            pitchCents += (this.random() * 2 - 1) * pitchSpread;
+        }
+
+        const playbackRate = centsToPlaybackRate(pitchCents);
         const grainLengthSamples = Math.max(1, Math.round(grainLength * this.sampleRates[species] * playbackRate));
 
+        // Scatter read position by up to ±grainJitter grain lengths
+        const jitter = this.granularConfig.grainJitter;
+        const scatteredCenter = jitter > 0
+            ? centerSample + (this.random() * 2 - 1) * jitter * grainLengthSamples
+            : centerSample;
+
+        // Read direction: random reversal, or follow the particle's horizontal travel
+        const direction = chooseGrainDirection(this.directionModes[species],
+            this.reverseProbabilities[species], particle.direction, this.random);
+
         // PHASE 3 OPTIMIZATION: Select pre-filtered frequency band instead of runtime filtering
-        let bandIndex = 0;
+        let bandMix = null;
+        let bandTier = 0;
         let numStages = 0;
         let lowpassAlpha = 0;
         let highpassAlpha = 0;
 
-        if (this.frequencyBands[species] && this.numBands > 1) {
-            // Pre-filtered bands enabled: select band based on Y-position
-            bandIndex = Math.floor(yPosition * this.numBands);
-            bandIndex = Math.max(0, Math.min(bandIndex, this.numBands - 1));
-            // No runtime filtering needed, pre-filtered bands handle it
-            numStages = 0;
-        } else {
-            // Legacy path: runtime filtering (used when pre-filtering disabled)
-            const f_min = this.granularConfig.freqRangeMin;
-            const f_max = this.granularConfig.freqRangeMax;
-            const gamma = this.granularConfig.freqGamma;
-            const y = 1.0 - yPosition; // Invert: top=high, bottom=low
-            const fc = f_min * Math.pow(f_max / f_min, Math.pow(y, gamma));
-
-            const BW_oct = particleSize * this.granularConfig.bandwidthOctavesMax;
-            const lowFreq = Math.max(f_min, fc * Math.pow(2, -BW_oct / 2));
-            const highFreq = Math.min(f_max, fc * Math.pow(2, BW_oct / 2));
-
-            // Determine filter stages based on particle size
-            if (particleSize <= 0.3) {
-                numStages = 2; // 12dB/octave
+        // The species' Y mapping may invert Y or turn filtering off (null = unfiltered sample)
+        const profile = this.frequencyProfiles[species];
+        const frequencyY = mapFrequencyY(yPosition, profile.yMode);
+        const numBands = this.getBandCount(species);
+
+        if (frequencyY !== null && this.frequencyBands[species] && numBands > 1) {
+            // Pre-filtered bands enabled: particle size picks the bandwidth tier, then blend the
+            // two bands nearest the Y-position (or pick one when crossfading is off).
+            // No runtime filtering needed
+            bandTier = selectBandwidthTier(particleSize, this.frequencyBands[species].length);
+            if (this.granularConfig.bandCrossfade) {
+                bandMix = bandBlend(frequencyY, numBands);
             } else {
-                numStages = 1; // 6dB/octave
+                const bandIndex = selectBandIndex(frequencyY, numBands);
+                bandMix = { lower: bandIndex, upper: bandIndex, lowerGain: 1, upperGain: 0 };
             }
-
-            // Pre-calculate normalized frequencies
-            const nyquist = this.sampleRates[species] / 2;
-            const lowFreqNorm = Math.min(lowFreq / nyquist, 0.95);
-            const highFreqNorm = Math.min(highFreq / nyquist, 0.95);
-
-            // Pre-calculate filter alphas (for one-pole filters)
-            lowpassAlpha = 1.0 - Math.exp(-2.0 * Math.PI * highFreqNorm);
-            highpassAlpha = 1.0 - Math.exp(-2.0 * Math.PI * lowFreqNorm);
+        } else if (frequencyY !== null) {
+            // Legacy path: runtime filtering (used when pre-filtering disabled)
+            // Coefficients are computed once per grain, not per sample
+            ({ numStages, lowpassAlpha, highpassAlpha } = bandpassCoefficients(
+                frequencyY, particleSize, profile, this.sampleRates[species]));
         }
+        // Otherwise Y mapping is off: the grain plays the sample unfiltered
+
+        const pan = equalPowerPan(xPosition);
 
         // Create grain object
         const grain = {
@@ -539,18 +620,26 @@ class GranularProcessor extends AudioWorkletProcessor {
             species,
 
             // Playback parameters
-            centerSample,
+            centerSample: scatteredCenter,
             grainLengthSamples,
+            direction, // 1 = forward, -1 = reversed (reads from the end of its window to the start)
+            readStep: playbackRate, // Source samples per output sample (sinc cutoff)
             playbackPosition: 0, // 0-1 within grain
 
             // Audio parameters
             gain: grainGain,
             xPosition, // for panning
+            // Balance gains are fixed for the grain's life, so compute them once
+            panLeft: pan.left,
+            panRight: pan.right,
             yPosition, // for frequency filtering
             particleSize, // for bandwidth
 
-            // PHASE 3 OPTIMIZATION: Pre-filtered frequency band index
-            bandIndex: bandIndex,
+            // PHASE 3 OPTIMIZATION: Pre-filtered band pair and gains (see bandBlend);
+            // bandY is the smoothed Y followed when band tracking is on
+            bandMix,
+            bandTier,
+            bandY: frequencyY,
 
             // PRE-CALCULATED FILTER PARAMETERS (only used if pre-filtering disabled)
             filterNumStages: numStages,
@@ -560,6 +649,12 @@ class GranularProcessor extends AudioWorkletProcessor {
             // Grain lifecycle
             startTime: this.currentTime,
             duration: grainLength,
+            // Window shape is fixed at spawn so edits never reshape a grain mid-flight
+            envelope: {
+                shape: this.envelopeShapes[species],
+                attack: this.envelopeAttacks[species],
+                skew: this.envelopeSkews[species]
+            },
             isReleasing: false,
             releaseStartTime: 0,
             // Release time: 8ms for trail=0 (quick fade), 300ms for trail=1.0 (smooth fade)
@@ -590,6 +685,10 @@ class GranularProcessor extends AudioWorkletProcessor {
         // Debug: Track grain spawning statistics
         this.debugStats.totalGrainsSpawned++;
 
+        if (this.midiEventSource === 'grains' && this.midiEvents.length < this.maxMidiGrainEvents) {
+            this.midiEvents.push({ type: 'grain', species, y: yPosition, speed: velocity, duration: grainLength });
+        }
+
         // Voice limiting is now handled before particle processing in updateParticles()
     }
 
@@ -605,11 +704,8 @@ class GranularProcessor extends AudioWorkletProcessor {
         }
         this.lastVoiceAllocationUpdate = this.currentTime;
 
-        // Calculate alpha from user's voiceStealingDelay slider
-        // Formula: alpha = updateInterval / (targetDelay + updateInterval)
-        // Shorter delay = higher alpha (more responsive), longer delay = lower alpha (more smoothing)
-        const updateInterval = 16; // ms (60fps)
-        const alpha = updateInterval / (this.voiceStealingDelay + updateInterval);
+        // Calculate alpha from user's voiceStealingDelay slider (16ms = 60fps update interval)
+        const alpha = smoothingAlpha(this.voiceStealingDelay, 16);
         for (const particle of particles) {
             const prevSmoothed = this.particleSmoothedVelocities.get(particle.id);
             if (prevSmoothed !== undefined) {
@@ -631,6 +727,17 @@ class GranularProcessor extends AudioWorkletProcessor {
             bySpecies.get(particle.species).push(particle);
         }
 
+        // Species gone from the update (or without a sample) give up their voices
+        for (const [species, allocated] of this.voiceAllocations) {
+            if (bySpecies.has(species) && this.audioBuffers[species]) continue;
+            if (this.midiEventSource === 'voices') {
+                for (const particleId of allocated) {
+                    this.midiEvents.push({ type: 'voiceOff', species, id: particleId });
+                }
+            }
+            this.voiceAllocations.delete(species);
+        }
+
         // For each species, sort by smoothed velocity and allocate top maxVoices particles
         for (const [species, speciesParticles] of bySpecies) {
             // Skip if no audio buffer loaded
@@ -639,23 +746,10 @@ class GranularProcessor extends AudioWorkletProcessor {
             // Skip if no particles
             if (speciesParticles.length === 0) continue;
 
-            const maxVoices = this.maxVoicesPerSpecies[species];
-            const particleCount = speciesParticles.length;
             const currentAllocations = this.voiceAllocations.get(species);
 
-            // Calculate new allocations based on smoothed velocities
-            let newAllocations;
-
-            if (particleCount <= maxVoices) {
-                // Under limit - allocate all particles
-                newAllocations = new Set(speciesParticles.map(p => p.id));
-            } else {
-                // Over limit - allocate top maxVoices fastest particles (by smoothed velocity)
-                const sortedParticles = [...speciesParticles]
-                    .sort((a, b) => b.smoothedVelocity - a.smoothedVelocity);
-                const topParticles = sortedParticles.slice(0, maxVoices);
-                newAllocations = new Set(topParticles.map(p => p.id));
-            }
+            // Under the limit everyone plays; over it, the fastest by smoothed velocity
+            const newAllocations = allocateVoices(speciesParticles, this.maxVoicesPerSpecies[species]);
 
             // Check if allocations changed
             const allocationsChanged = !this.areSetsEqual(currentAllocations, newAllocations);
@@ -677,6 +771,11 @@ class GranularProcessor extends AudioWorkletProcessor {
                         duration: crossfadeDuration * 1000
                     });
                     fadeInCount++;
+
+                    if (this.midiEventSource === 'voices') {
+                        const voice = speciesParticles.find(p => p.id === particleId);
+                        this.midiEvents.push({ type: 'voiceOn', species, id: particleId, y: voice.yPosition, speed: voice.velocity });
+                    }
                 }
             }
 
@@ -691,6 +790,10 @@ class GranularProcessor extends AudioWorkletProcessor {
                             duration: crossfadeDuration * 1000
                         });
                         fadeOutCount++;
+
+                        if (this.midiEventSource === 'voices') {
+                            this.midiEvents.push({ type: 'voiceOff', species, id: particleId });
+                        }
                     }
                 }
             }
@@ -699,7 +802,7 @@ class GranularProcessor extends AudioWorkletProcessor {
             this.voiceAllocations.set(species, newAllocations);
 
             if (fadeInCount > 0 || fadeOutCount > 0) {
-                console.log(\`[Crossfade] Species \${species}: \${fadeInCount} fadeIn + \${fadeOutCount} fadeOut (duration: \${Math.round(crossfadeDuration * 1000)}ms)\`);
+                console.log(`[Crossfade] Species ${species}: ${fadeInCount} fadeIn + ${fadeOutCount} fadeOut (duration: ${Math.round(crossfadeDuration * 1000)}ms)`);
             }
         }
     }
@@ -794,11 +897,17 @@ class GranularProcessor extends AudioWorkletProcessor {
         // Calculate and send CPU usage periodically (every 500ms)
         const timeSinceLastReport = this.currentTime - this.lastCpuReportTime;
         let cpuUsage = null;
+        let interpolationLoad = null;
         if (timeSinceLastReport >= this.cpuReportInterval && this.cpuUsageHistory.length > 0) {
             // Calculate average CPU usage
             const sum = this.cpuUsageHistory.reduce((a, b) => a + b, 0);
             cpuUsage = sum / this.cpuUsageHistory.length;
             this.lastCpuReportTime = this.currentTime;
+
+            // Average read cost relative to linear (1.0 = all linear, or nothing playing)
+            interpolationLoad = this.interpolationReads > 0 ? this.interpolationWork / this.interpolationReads : 1.0;
+            this.interpolationWork = 0;
+            this.interpolationReads = 0;
         }
 
         this.port.postMessage({
@@ -806,6 +915,7 @@ class GranularProcessor extends AudioWorkletProcessor {
             allocations: allocations,
             crossfades: crossfades,
             cpuUsage: cpuUsage, // null if not time to report yet
+            interpolationLoad: interpolationLoad, // null alongside cpuUsage
             // Volume metering with clipping detection
             peakLevel: this.peakLevel,
             rmsLevel: this.rmsLevel,
@@ -928,13 +1038,10 @@ class GranularProcessor extends AudioWorkletProcessor {
         // Apply soft limiting (after metering to preserve true peak detection)
         const threshold = this.granularConfig.softLimiterThreshold;
         const gain = this.granularConfig.softLimiterGain;
-        for (let i = 0; i < bufferLength; i++) {
-            for (let channel = 0; channel < outputChannels; channel++) {
-                const sample = output[channel][i];
-                if (Math.abs(sample) > threshold) {
-                    output[channel][i] = Math.sign(sample) *
-                        (threshold + (gain - threshold) * Math.tanh((Math.abs(sample) - threshold) * 3));
-                }
+        for (let channel = 0; channel < outputChannels; channel++) {
+            const channelData = output[channel];
+            for (let i = 0; i < bufferLength; i++) {
+                channelData[i] = softLimit(channelData[i], threshold, gain);
             }
         }
 
@@ -1007,23 +1114,36 @@ class GranularProcessor extends AudioWorkletProcessor {
 
     // Process individual grain with frequency filtering and envelope
     processGrain(grain, grainAge, bufferLength, output) {
-        // PHASE 3 OPTIMIZATION: Select source buffer from pre-filtered band or use original
-        let buffer;
-        if (this.frequencyBands[grain.species] && this.numBands > 1) {
-            // Use pre-filtered frequency band
-            buffer = this.frequencyBands[grain.species][grain.bandIndex];
-        } else {
-            // Use original buffer (legacy path)
-            buffer = this.audioBuffers[grain.species];
+        // PHASE 3 OPTIMIZATION: Read from the blended pre-filtered bands or the original buffer
+        const usingBands = this.frequencyBands[grain.species] && this.getBandCount(grain.species) > 1 && grain.bandMix;
+        const taps = usingBands
+            ? this.getBandTaps(grain, this.getBandTier(grain), bufferLength)
+            : [{ buffer: this.audioBuffers[grain.species], startGain: 1, endGain: 1 }];
+
+        // Route source channels per the species' channel mode (stereo, mono sum, left, right);
+        // gains ramp across the block so tracked band sweeps stay smooth
+        const sources = [];
+        for (const { buffer, startGain, endGain } of taps) {
+            if (!buffer || !buffer.channels || buffer.channels.length === 0) continue;
+            const source = resolveSourceChannels(buffer.channels, this.channelModes[grain.species]);
+            source.startGain = startGain;
+            source.gainStep = (endGain - startGain) / bufferLength;
+            sources.push(source);
         }
 
-        if (!buffer || !buffer.channels || buffer.channels.length === 0) {
+        if (sources.length === 0) {
             return true; // Remove grain
         }
 
-        const sourceData = buffer.channels[0];
+        const isStereo = sources[0].left !== sources[0].right;
         const sampleRate = this.sampleRates[grain.species];
 
+        // Resolved per block so quality changes apply to grains already playing
+        const interpolation = resolveInterpolationMode(
+            this.interpolationModes[grain.species], this.granularConfig.interpolationMode);
+        const readStep = grain.readStep;
+        let reads = 0;
+
         // Check if grain should be released or removed
         if (grain.isReleasing) {
             const releaseElapsed = this.currentTime - grain.releaseStartTime;
@@ -1037,47 +1157,17 @@ class GranularProcessor extends AudioWorkletProcessor {
         }
 
         // Calculate grain envelope
-        let envelopeGain = 1.0;
         const grainProgress = Math.min(grainAge / grain.duration, 1.0);
 
+        // PHASE 4 OPTIMIZATION: Envelope once per block; default Hann auto-clamps its ramps to 15-150ms
+        let envelopeGain = shapedEnvelope(grainProgress, grain.duration, grain.envelope,
+            this.granularConfig.windowSigmaFactor);
+
         if (grain.isReleasing) {
-            // Release envelope with Hann window (for voice stealing / forced release)
-            // Use same smooth cosine curve as natural grain release to prevent clicks
+            // Forced release (voice stealing / stop / pause) uses the same Hann curve to prevent clicks,
+            // starting from the shaped level so grains released mid-attack don't jump to full gain
             const releaseElapsed = this.currentTime - grain.releaseStartTime;
-            const releaseProgress = Math.min(releaseElapsed / grain.releaseTime, 1.0);
-            envelopeGain = 0.5 * (1.0 + Math.cos(Math.PI * releaseProgress));
-        } else {
-            // PHASE 4 OPTIMIZATION: Hann window envelope with auto-clamping (15-150ms range)
-            // Raised cosine envelope eliminates clicks from linear ramp discontinuities
-            // Formula: 0.5 * (1.0 - cos(π * progress))
-            // Auto-clamping: 15ms minimum (prevents clicks), 150ms maximum (prevents overkill)
-            // Target: ~30% of grain duration, naturally bounded to 15-150ms absolute times
-
-            // Calculate envelope time in seconds (30% of grain duration)
-            const rawEnvelopeTime = 0.30 * grain.duration; // 30% of grain
-
-            // Clamp envelope time to 15-150ms range
-            const minEnvelopeTime = 0.015; // 15ms
-            const maxEnvelopeTime = 0.150; // 150ms
-            const envelopeTimeSeconds = Math.max(minEnvelopeTime, Math.min(maxEnvelopeTime, rawEnvelopeTime));
-
-            // Convert to progress percentage (0.0 to 1.0) relative to grain duration
-            const envelopeTime = envelopeTimeSeconds / grain.duration;
-            const attackTime = envelopeTime;
-            const releaseTime = envelopeTime; // Symmetric envelope
-
-            if (grainProgress < attackTime) {
-                // Attack phase: Hann window fade in (raised cosine)
-                const attackProgress = grainProgress / attackTime; // 0.0 → 1.0
-                envelopeGain = 0.5 * (1.0 - Math.cos(Math.PI * attackProgress));
-            } else if (grainProgress > (1.0 - releaseTime)) {
-                // Release phase: Hann window fade out (raised cosine)
-                const releaseProgress = (grainProgress - (1.0 - releaseTime)) / releaseTime; // 0.0 → 1.0
-                envelopeGain = 0.5 * (1.0 + Math.cos(Math.PI * releaseProgress));
-            } else {
-                // Sustain phase: full volume
-                envelopeGain = 1.0;
-            }
+            envelopeGain *= releaseEnvelope(releaseElapsed / grain.releaseTime);
         }
 
         if (envelopeGain <= 0.001) {
@@ -1098,43 +1188,96 @@ class GranularProcessor extends AudioWorkletProcessor {
             if (grainSampleProgress >= 1.0) break;
 
             const samplePosition = grain.centerSample +
-                (grainSampleProgress - 0.5) * grain.grainLengthSamples;
-
-            // Read sample with linear interpolation (optimized)
-            const audioSample = this.readSampleLinear(sourceData, samplePosition);
+                grain.direction * (grainSampleProgress - 0.5) * grain.grainLengthSamples;
+
+            // Read once per distinct channel (and band) at the species' interpolation quality
+            let leftSample = 0;
+            let rightSample = 0;
+            for (const source of sources) {
+                const sourceGain = source.startGain + source.gainStep * i;
+                let left = readSample(source.left, samplePosition, interpolation, readStep);
+                let right = isStereo ? readSample(source.right, samplePosition, interpolation, readStep) : left;
+                reads += isStereo ? 2 : 1;
+                if (source.sum) {
+                    left = right = 0.5 * (left + right);
+                }
+                leftSample += left * sourceGain;
+                rightSample += right * sourceGain;
+            }
 
-            // Apply per-species volume and pitch
-            let processedSample = audioSample;
+            // Per-species volume, grain gain, envelope and cached crossfade gain (updated every 8 samples)
+            let gain = grain.gain * envelopeGain * grain.cachedCrossfadeGain;
             if (this.sampleVolumes && this.sampleVolumes[grain.species]) {
-                processedSample *= this.sampleVolumes[grain.species];
+                gain *= this.sampleVolumes[grain.species];
             }
-
-            // Apply grain gain and envelope
-            processedSample *= grain.gain * envelopeGain;
-
-            // Apply cached crossfade gain (updated every 8 samples)
-            processedSample *= grain.cachedCrossfadeGain;
+            leftSample *= gain;
+            rightSample *= gain;
 
             // PHASE 3 OPTIMIZATION: Skip runtime filtering if using pre-filtered bands
-            let filteredSample;
-            if (this.frequencyBands[grain.species] && this.numBands > 1) {
-                // Pre-filtered bands: no runtime filtering needed (20-30% CPU saved!)
-                filteredSample = processedSample;
-            } else {
-                // Legacy path: apply runtime frequency band filtering
-                filteredSample = this.applyFrequencyBandFilter(processedSample, grain);
+            // (20-30% CPU saved); legacy path filters each distinct channel at runtime
+            if (!usingBands && grain.filterNumStages > 0) {
+                leftSample = this.applyFrequencyBandFilter(leftSample, grain, 0);
+                rightSample = (isStereo && !sources[0].sum)
+                    ? this.applyFrequencyBandFilter(rightSample, grain, 1)
+                    : leftSample;
             }
 
             // Apply constant-power grain normalization to prevent clipping
-            const normalizedSample = filteredSample * this.currentGrainScaleFactor;
+            const scale = this.currentGrainScaleFactor;
 
-            // Apply stereo panning and add to output
-            this.addToStereoOutput(normalizedSample, grain.xPosition, output, i);
+            // Apply X-position balance and add to output
+            this.addToStereoOutput(leftSample * scale, rightSample * scale, grain, output, i);
         }
 
+        this.interpolationWork += reads * INTERPOLATION_COST[interpolation];
+        this.interpolationReads += reads;
+
         return false; // Keep grain
     }
 
+    // Helper: Bands per tier in a species' bank (1 = no pre-filtered bands)
+    getBandCount(species) {
+        const tiers = this.frequencyBands[species];
+        return tiers ? tiers[0].length : 1;
+    }
+
+    // Helper: Band row of a grain's bandwidth tier (a newly loaded bank may have fewer tiers)
+    getBandTier(grain) {
+        const tiers = this.frequencyBands[grain.species];
+        return tiers[Math.min(grain.bandTier, tiers.length - 1)];
+    }
+
+    // Helper: Bands a grain reads this block, each with its gain at the block's start and end.
+    // With band tracking the grain's smoothed Y follows its particle, so the blend may move to a
+    // new pair mid-grain: bands leaving the pair fade out while the new ones fade in
+    getBandTaps(grain, bands, bufferLength) {
+        const start = grain.bandMix;
+        let end = start;
+
+        if (this.granularConfig.bandTracking && this.granularConfig.bandCrossfade) {
+            const particleState = this.previousParticleStates.get(grain.particleId);
+            const targetY = particleState
+                ? mapFrequencyY(particleState.yPosition, this.frequencyProfiles[grain.species].yMode)
+                : null;
+            if (targetY !== null) {
+                const alpha = smoothingAlpha(BAND_TRACKING_SMOOTHING_MS, bufferLength / sampleRate * 1000);
+                grain.bandY += (targetY - grain.bandY) * alpha;
+                end = bandBlend(grain.bandY, this.getBandCount(grain.species));
+                grain.bandMix = end;
+            }
+        }
+
+        const taps = [];
+        for (const index of new Set([start.lower, start.upper, end.lower, end.upper])) {
+            const startGain = bandGain(start, index);
+            const endGain = bandGain(end, index);
+            // Silent bands cost nothing: a grain sitting on a band centre reads only that band
+            if (startGain < 1e-6 && endGain < 1e-6) continue;
+            taps.push({ buffer: bands[index], startGain, endGain });
+        }
+        return taps;
+    }
+
     // Get crossfade gain for smooth voice allocation transitions
     // Handles both fadeIn (attack ramp) and fadeOut (release ramp)
     // Uses equal-power curves (sqrt) for constant acoustic energy during transitions
@@ -1149,89 +1292,44 @@ class GranularProcessor extends AudioWorkletProcessor {
         const elapsed = (this.currentTime * 1000) - crossfade.startTime;  // Convert to ms
         const progress = Math.min(elapsed / crossfade.duration, 1.0);
 
-        // Check if crossfade complete (done once here instead of in each branch)
+        // Check if crossfade complete (done once here instead of per sample)
         if (progress >= 1.0) {
             this.particleAudioCrossfade.delete(particleId);
-            return crossfade.type === 'fadeIn' ? 1.0 : 0.0;
         }
 
-        // Equal-power crossfade curves
-        if (crossfade.type === 'fadeIn') {
-            // Newly allocated voice: fade in from 0 → 1
-            return Math.sqrt(progress);
-        } else {
-            // De-allocated voice: fade out from 1 → 0
-            // Equal-power curve: fadeOut² + fadeIn² = 1.0
-            return Math.sqrt(1.0 - progress);
-        }
+        // Equal-power curves: fadeOut² + fadeIn² = 1.0
+        return crossfadeGain(crossfade.type, progress);
     }
 
     // Apply frequency band filtering based on Y position and particle size
     // OPTIMIZED: Uses pre-calculated filter parameters from grain object
-    applyFrequencyBandFilter(sample, grain) {
-        // Get or create filter state for this grain
+    applyFrequencyBandFilter(sample, grain, channel = 0) {
+        // Get or create filter state for this grain (one per source channel)
         // Using adaptive cascaded filters: more stages for smaller particles (sharper filtering)
-        let filterState = this.filterStates.get(grain.id);
-        if (!filterState) {
-            filterState = {
-                highpass1: { y1: 0 },  // Highpass stage 1
-                highpass2: { y1: 0 },  // Highpass stage 2
-                highpass3: { y1: 0 },  // Highpass stage 3 (for small particles)
-                highpass4: { y1: 0 },  // Highpass stage 4 (for small particles)
-                lowpass1: { y1: 0 },   // Lowpass stage 1
-                lowpass2: { y1: 0 },   // Lowpass stage 2
-                lowpass3: { y1: 0 },   // Lowpass stage 3 (for small particles)
-                lowpass4: { y1: 0 }    // Lowpass stage 4 (for small particles)
-            };
-            this.filterStates.set(grain.id, filterState);
+        let filterStates = this.filterStates.get(grain.id);
+        if (!filterStates) {
+            filterStates = [];
+            this.filterStates.set(grain.id, filterStates);
         }
+        const filterState = filterStates[channel] || (filterStates[channel] = createFilterState());
 
         // OPTIMIZATION: Use pre-calculated filter parameters from grain object
         // This eliminates expensive calculations per sample (frequency mapping, exp, pow, etc.)
-        const numStages = grain.filterNumStages;
-        const highFreqAlpha = grain.filterLowpassAlpha;
-        const lowFreqAlpha = grain.filterHighpassAlpha;
-
-        // Apply cascaded lowpass filtering (attenuates high frequencies)
-        // Using pre-calculated alpha values for one-pole filters
-        let filtered = sample;
-        for (let stage = 1; stage <= numStages; stage++) {
-            const state = filterState['lowpass' + stage];
-            state.y1 = state.y1 + highFreqAlpha * (filtered - state.y1);
-            filtered = state.y1;
-        }
-
-        // Apply cascaded highpass filtering (attenuates low frequencies)
-        // Highpass = input - lowpass, but only apply ONCE at the end
-        let highpassed = filtered;
-        for (let stage = 1; stage <= numStages; stage++) {
-            const state = filterState['highpass' + stage];
-            state.y1 = state.y1 + lowFreqAlpha * (highpassed - state.y1);
-            highpassed = state.y1;
-        }
-        filtered = filtered - highpassed;
-
-        return filtered;
+        return applyBandpass(sample, filterState, grain.filterNumStages,
+            grain.filterLowpassAlpha, grain.filterHighpassAlpha);
     }
 
-    // Add sample to stereo output with panning
-    addToStereoOutput(sample, xPosition, output, sampleIndex) {
+    // Add a stereo sample pair to the output; X position acts as an equal-power balance
+    addToStereoOutput(leftSample, rightSample, grain, output, sampleIndex) {
         const outputChannels = output.length;
 
         if (outputChannels >= 2) {
-            // Equal-power panning
-            const panPosition = (xPosition * 2) - 1; // -1 to 1
-            const panAngle = (panPosition + 1) * Math.PI / 4;
-            const leftGain = Math.cos(panAngle);
-            const rightGain = Math.sin(panAngle);
-
-            output[0][sampleIndex] += sample * leftGain;
-            output[1][sampleIndex] += sample * rightGain;
+            output[0][sampleIndex] += leftSample * grain.panLeft;
+            output[1][sampleIndex] += rightSample * grain.panRight;
         } else if (outputChannels >= 1) {
-            output[0][sampleIndex] += sample;
+            output[0][sampleIndex] += 0.5 * (leftSample + rightSample);
         }
     }
 }
 
 registerProcessor('granular-processor', GranularProcessor);
-`;
\ No newline at end of file
@@ -24,6 +24,8 @@ export const CONFIG = {
         trailLengths: [0.05, 0.05, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0],
         // Audio settings for each species
         audioBuffers: [null, null, null, null, null, null, null, null],
+        // Stored sample behind each buffer ({ hash, name } from sample-store.js), referenced by presets
+        sampleRefs: [null, null, null, null, null, null, null, null],
         sampleRanges: [
             {start: 0, end: 1}, {start: 0, end: 1}, {start: 0, end: 1}, {start: 0, end: 1},
             {start: 0, end: 1}, {start: 0, end: 1}, {start: 0, end: 1}, {start: 0, end: 1}
@@ -32,6 +34,38 @@ export const CONFIG = {
         sampleVolumes: [0, 0, 0, 0, 0, 0, 0, 0],
         // Per-species pitch adjustments in semitones (-12 to +12)
         samplePitches: [0, 0, 0, 0, 0, 0, 0, 0],
+        // Per-species source channel routing: 'stereo', 'mono' (L+R sum), 'left' or 'right'
+        channelModes: ['stereo', 'stereo', 'stereo', 'stereo', 'stereo', 'stereo', 'stereo', 'stereo'],
+        // Per-species read interpolation: 'global' (follows granular.interpolationMode), 'linear', 'cubic' or 'sinc'
+        interpolationModes: ['global', 'global', 'global', 'global', 'global', 'global', 'global', 'global'],
+        // Per-species random pitch spread per grain, ± cents (0 = every grain at the species pitch)
+        pitchSpreads: [0, 0, 0, 0, 0, 0, 0, 0],
+        // Per-species scale quantizer: 'off', 'major', 'minor', 'pentatonic' or 'custom' (uses customScales)
+        pitchScales: ['off', 'off', 'off', 'off', 'off', 'off', 'off', 'off'],
+        // Particle property that picks the scale degree: 'y' (top = high) or 'speed'
+        pitchScaleSources: ['y', 'y', 'y', 'y', 'y', 'y', 'y', 'y'],
+        // Per-species custom scale degrees in cents within one octave
+        customScales: [[0, 300, 700], [0, 300, 700], [0, 300, 700], [0, 300, 700],
+            [0, 300, 700], [0, 300, 700], [0, 300, 700], [0, 300, 700]],
+        // Per-species grain window: 'hann', 'gaussian', 'tukey', 'trapezoid', 'exponential' or 'reverse'
+        envelopeShapes: ['hann', 'hann', 'hann', 'hann', 'hann', 'hann', 'hann', 'hann'],
+        // Per-species share of the grain spent ramping (attack + release, 0.01-1; Hann clamps to 15-150ms per side)
+        envelopeAttacks: [0.6, 0.6, 0.6, 0.6, 0.6, 0.6, 0.6, 0.6],
+        // Per-species peak position (0 = instant attack, 0.5 = symmetric, 1 = instant release)
+        envelopeSkews: [0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5],
+        // Per-species grain direction: 'random' (reverse with reverseProbabilities) or 'motion' (moving left = reversed)
+        directionModes: ['random', 'random', 'random', 'random', 'random', 'random', 'random', 'random'],
+        // Per-species chance (0-1) that a grain plays backwards in 'random' mode
+        reverseProbabilities: [0, 0, 0, 0, 0, 0, 0, 0],
+        // Per-species Y→frequency profile: band range in Hz, curve (< 1.0 extends low-frequency resolution),
+        // widest bandwidth in octaves (largest particles) and pre-filtered band count
+        freqRangeMins: [20, 20, 20, 20, 20, 20, 20, 20],
+        freqRangeMaxes: [15000, 15000, 15000, 15000, 15000, 15000, 15000, 15000],
+        freqGammas: [0.6, 0.6, 0.6, 0.6, 0.6, 0.6, 0.6, 0.6],
+        bandwidthOctavesMaxes: [4, 4, 4, 4, 4, 4, 4, 4],
+        bandCounts: [10, 10, 10, 10, 10, 10, 10, 10],
+        // Per-species Y mapping: 'normal' (top = high), 'inverted' (top = low) or 'off' (unfiltered sample)
+        frequencyYModes: ['normal', 'normal', 'normal', 'normal', 'normal', 'normal', 'normal', 'normal'],
         // Per-species voice limits for CPU management
         maxVoicesPerSpecies: [20, 20, 20, 20, 20, 20, 20, 20],
         // Per-species mute state (true = muted, false = active)
@@ -78,6 +112,12 @@ export const CONFIG = {
         orbitalStrength: 0.1          // Strength of orbital force component
     },
 
+    // Deterministic mode: one seed drives particle init, matrix randomization and grain jitter
+    simulation: {
+        deterministic: false,  // false = Math.random() everywhere (original behaviour)
+        seed: 1                // Unsigned 32-bit seed used when deterministic
+    },
+
     // Motion-driven granular synthesis parameters
     granular: {
         // Grain length range (seconds)
@@ -95,6 +135,7 @@ export const CONFIG = {
         velocityThreshold: 0.03, // minimum velocity for grain spawning (was 0.01, tried 0.05)
         maxVelocity: 3.0,        // expected maximum velocity
         maxGrainRate: 60.0,      // Hz, aggressive cap for grain spawn rate (was 100.0)
+        grainJitter: 0.0,        // spawn interval and grain position scatter (0.1 = ±10%); off so grains keep their timing, seeded in deterministic mode
 
         // Gain and release
         gainPowerDefault: 1.5,   // default power curve for velocity→gain
@@ -102,21 +143,25 @@ export const CONFIG = {
         releaseTimeMax: 0.3,     // 300ms smooth fade
 
         // Windowing
-        windowSigmaFactor: 0.25, // Gaussian window width factor
+        windowSigmaFactor: 0.25, // Gaussian envelope width (fraction of each side of the peak)
 
-        // Frequency band mapping
-        freqRangeMin: 20.0,       // Hz, minimum frequency (full audible spectrum)
-        freqRangeMax: 15000.0,    // Hz, maximum frequency
-        freqGamma: 0.6,           // Low-end emphasis (< 1.0 extends low-freq resolution)
-        bandwidthOctavesMax: 4.0, // maximum bandwidth in octaves
+        // Frequency band mapping is per species (see species.freqRangeMins and friends)
 
         // PHASE 3 OPTIMIZATION: Pre-filtered frequency bands
         usePreFilteredBands: true,  // Enable pre-filtered audio bands (eliminates runtime filtering)
-        numFrequencyBands: 10,      // Number of frequency bands to pre-compute (10 = ~200 cent resolution)
+        numBandwidthTiers: 1,       // Bandwidths per band so particle size sets grain narrowness (memory: bands × tiers, opt-in)
+        bandCrossfade: true,        // Blend the two bands nearest each grain's Y (continuous sweep, no steps)
+        bandTracking: false,        // Grains keep following their particle's Y across bands while playing
 
         // Mixing (constant-power normalization prevents clipping, soft limiter is safety net)
         softLimiterThreshold: 0.8, // soft limiting threshold (rarely triggered)
-        softLimiterGain: 1.25      // soft limiter output gain
+        softLimiterGain: 1.25,     // soft limiter output gain
+
+        // Grain read interpolation: 'linear' (cheapest), 'cubic' (Hermite) or 'sinc' (anti-aliased, ~8x linear)
+        interpolationMode: 'linear',
+
+        // Octaves spanned by quantized pitch scales (bottom/slowest = root)
+        pitchScaleOctaves: 2
     },
 
     // Force relationship matrix
@@ -137,6 +182,8 @@ export const state = {
     particles: [],
     trailParticles: [],
     isPaused: false,
+    isOfflineRendering: false, // Offline renderer owns physics stepping while true
+    rng: { physics: Math.random, matrix: Math.random }, // Active random streams (seeded in deterministic mode)
     spatialGrid: null,
     gravityPoint: { x: 0, y: 0, active: false },
     isMouseDown: false,
@@ -154,5 +201,6 @@ export const audioEngine = {
     isActive: false,
     activeParticleCount: 0,
     voiceAllocations: new Map(), // species -> Set<particleId> - synced from worklet for visual feedback
-    particleAudioCrossfade: new Map() // particleId -> {type, progress} - synced from worklet for visual feedback
+    particleAudioCrossfade: new Map(), // particleId -> {type, progress} - synced from worklet for visual feedback
+    bandMemoryBytes: new Array(8).fill(0) // species -> bytes of pre-filtered bands held by the worklet
 };
\ No newline at end of file
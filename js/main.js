@@ -4,12 +4,14 @@
  */
 
 import { PhysicsEngine } from './physics/physics-engine.js';
+import { PhysicsRenderer } from './rendering/physics-renderer.js';
 import { AudioSystem } from './audio/audio-system.js';
 import { UISystem } from './ui/ui-system.js';
 import { CONFIG, state } from './config.js';
 import { randomizeForceMatrix } from './ui/force-matrix.js';
 import { toggleCollapsible } from './ui/tab-system.js';
-import { savePreset, loadPreset, deletePreset, exportPreset } from './ui/preset-system.js';
+import { loadPreset, exportPreset } from './ui/preset-system.js';
+import { savePreset, deletePreset } from './ui/preset-browser.js';
 import { disableAudioControls } from './audio/audio-engine.js';
 
 // Initialize all systems
@@ -23,7 +25,7 @@ async function initApp() {
 
         // Initialize physics engine
         console.log('⚛️ Initializing Physics Engine...');
-        await PhysicsEngine.init();
+        await PhysicsEngine.init({ renderer: new PhysicsRenderer('canvas') });
 
         // Initialize audio system UI
         console.log('🎵 Initializing Audio System UI...');
@@ -98,11 +100,9 @@ window.deletePreset = () => {
 };
 
 window.exportPreset = () => {
-    try {
-        exportPreset();
-    } catch (error) {
+    exportPreset().catch(error => {
         console.error('Error exporting preset:', error);
-    }
+    });
 };
 
 // Make AudioSystem globally available for onclick handlers
@@ -0,0 +1,334 @@
+/**
+ * MIDI Input - Web MIDI access, MIDI learn and the mapping list
+ * Incoming control changes drive the mapped targets (midi-targets.js), notes spawn particle
+ * bursts (midi-notes.js) and clock messages go to midi-output.js, which also owns MIDI out. In learn mode a click on a slider, matrix cell or species audio control
+ * arms it and the next CC received is bound to it. Mappings are saved with presets (preset.midi.mappings).
+ */
+
+import { Utils } from '../utils.js';
+import { EventListenerManager } from '../shared/event-manager.js';
+import { safeGetElement, updateElementText } from '../shared/dom-utils.js';
+import {
+    parseMidiMessage, addMidiMapping, findMidiTargets, describeMidiTarget, isValidMidiMapping
+} from './midi-mapping.js';
+import { applyMidiValue, getMidiTargetForElement, getMidiTargetElement } from './midi-targets.js';
+import { handleMidiNote, releaseAllNotes, setMidiNoteSettings } from './midi-notes.js';
+import { setMidiOutputAccess, setMidiOutputSettings, selectMidiOutput, handleMidiClock } from './midi-output.js';
+import { triggerNoteEnvelopes } from '../modulation/modulation-engine.js';
+
+// Real-time messages handled by the clock
+const CLOCK_MESSAGE_TYPES = ['clock', 'start', 'continue', 'stop'];
+
+// CC 120 (All Sound Off) and 123 (All Notes Off) also remove held note bursts
+const ALL_NOTES_OFF_CONTROLLERS = [120, 123];
+
+// Event listener manager
+const eventManager = new EventListenerManager('MidiInput');
+
+let midiAccess = null;
+// Input port id listened to ('all' = every connected input)
+let selectedInputId = 'all';
+// Current { channel, controller, target } bindings
+let mappings = [];
+// Learn mode and the control waiting for a CC
+let learnActive = false;
+let armedTarget = null;
+
+/**
+ * Initialize the MIDI panel
+ */
+export function initMidiControls() {
+    eventManager.removeAll();
+
+    const enableButton = safeGetElement('midiEnable', null, false);
+    if (enableButton) {
+        eventManager.add(enableButton, 'click', () => {
+            enableMidi().catch(error => console.error('MIDI enable failed:', error));
+        });
+    }
+
+    const inputSelect = safeGetElement('midiInput', null, false);
+    if (inputSelect) {
+        eventManager.add(inputSelect, 'change', (e) => {
+            selectedInputId = e.target.value;
+            connectInputs();
+        });
+    }
+
+    const learnButton = safeGetElement('midiLearn', null, false);
+    if (learnButton) eventManager.add(learnButton, 'click', () => setLearnMode(!learnActive));
+
+    const clearButton = safeGetElement('midiClearMappings', null, false);
+    if (clearButton) {
+        eventManager.add(clearButton, 'click', () => {
+            setMidiMappings([]);
+            updateStatus('Mappings cleared');
+        });
+    }
+
+    const notesCheckbox = safeGetElement('midiNotesEnable', null, false);
+    if (notesCheckbox) {
+        eventManager.add(notesCheckbox, 'change', (e) => {
+            setMidiNoteSettings({ enabled: e.target.checked });
+            if (e.target.checked) enableMidi().catch(error => console.error('MIDI enable failed:', error));
+        });
+    }
+
+    const speciesSelect = safeGetElement('midiNoteSpecies', null, false);
+    if (speciesSelect) {
+        eventManager.add(speciesSelect, 'change', (e) => setMidiNoteSettings({ speciesMode: e.target.value }));
+    }
+
+    const burstSlider = safeGetElement('midiBurstSize', null, false);
+    if (burstSlider) {
+        eventManager.add(burstSlider, 'input', (e) => setMidiNoteSettings({ burstSize: e.target.value }));
+    }
+
+    const outCheckbox = safeGetElement('midiOutEnable', null, false);
+    if (outCheckbox) {
+        eventManager.add(outCheckbox, 'change', (e) => {
+            setMidiOutputSettings({ enabled: e.target.checked });
+            if (e.target.checked) enableMidi().catch(error => console.error('MIDI enable failed:', error));
+        });
+    }
+
+    const outputSelect = safeGetElement('midiOutput', null, false);
+    if (outputSelect) eventManager.add(outputSelect, 'change', (e) => selectMidiOutput(e.target.value));
+
+    const sourceSelect = safeGetElement('midiOutSource', null, false);
+    if (sourceSelect) eventManager.add(sourceSelect, 'change', (e) => setMidiOutputSettings({ source: e.target.value }));
+
+    const messageSelect = safeGetElement('midiOutMessage', null, false);
+    if (messageSelect) eventManager.add(messageSelect, 'change', (e) => setMidiOutputSettings({ message: e.target.value }));
+
+    const clockSelect = safeGetElement('midiClockMode', null, false);
+    if (clockSelect) {
+        eventManager.add(clockSelect, 'change', (e) => {
+            setMidiOutputSettings({ clock: e.target.value });
+            if (e.target.value !== 'off') enableMidi().catch(error => console.error('MIDI enable failed:', error));
+        });
+    }
+
+    const bpmSlider = safeGetElement('midiClockBpm', null, false);
+    if (bpmSlider) eventManager.add(bpmSlider, 'input', (e) => setMidiOutputSettings({ bpm: e.target.value }));
+
+    setMidiNoteSettings({});
+    setMidiOutputSettings({});
+    renderMappings();
+    console.log('🎹 MIDI controls initialized');
+}
+
+/**
+ * Request Web MIDI access and start listening
+ * @returns {Promise<boolean>} False when the browser has no Web MIDI or access was refused
+ */
+export async function enableMidi() {
+    if (midiAccess) return true;
+    if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+        Utils.showToast('Web MIDI is not supported in this browser', 3000);
+        updateStatus('Web MIDI not supported');
+        return false;
+    }
+
+    try {
+        midiAccess = await navigator.requestMIDIAccess();
+    } catch (error) {
+        console.error('MIDI access refused:', error);
+        Utils.showToast('MIDI access was refused', 3000);
+        updateStatus('MIDI access refused');
+        return false;
+    }
+
+    // Devices plugged in or out while running
+    midiAccess.onstatechange = () => {
+        updateInputSelect();
+        connectInputs();
+        setMidiOutputAccess(midiAccess);
+    };
+    updateInputSelect();
+    connectInputs();
+    setMidiOutputAccess(midiAccess);
+
+    const enableButton = safeGetElement('midiEnable', null, false);
+    if (enableButton) {
+        enableButton.disabled = true;
+        enableButton.textContent = '🎹 MIDI On';
+    }
+    console.log('🎹 MIDI enabled');
+    return true;
+}
+
+// Helper: Listen to the selected input (or all of them)
+function connectInputs() {
+    if (!midiAccess) return;
+    let connected = 0;
+    midiAccess.inputs.forEach(input => {
+        const listen = selectedInputId === 'all' || input.id === selectedInputId;
+        input.onmidimessage = listen ? handleMidiMessage : null;
+        if (listen) connected++;
+    });
+    updateStatus(connected > 0
+        ? `Listening to ${connected} input${connected === 1 ? '' : 's'}`
+        : 'No MIDI inputs connected');
+}
+
+// Helper: Fill the input picker with the connected ports
+function updateInputSelect() {
+    const select = safeGetElement('midiInput', null, false);
+    if (!select || !midiAccess) return;
+
+    const inputs = [...midiAccess.inputs.values()];
+    if (!inputs.some(input => input.id === selectedInputId)) selectedInputId = 'all';
+    select.innerHTML = '<option value="all">All inputs</option>';
+    inputs.forEach(input => {
+        const option = document.createElement('option');
+        option.value = input.id;
+        option.textContent = input.name || input.id;
+        select.appendChild(option);
+    });
+    select.value = selectedInputId;
+    select.disabled = false;
+}
+
+// Helper: Route one incoming message to note bursts (and note-triggered envelopes) or the CC mappings
+function handleMidiMessage(event) {
+    const message = parseMidiMessage(event.data);
+    if (!message) return;
+    if (CLOCK_MESSAGE_TYPES.includes(message.type)) {
+        handleMidiClock(message, event.timeStamp);
+        return;
+    }
+    if (message.type !== 'cc') {
+        if (message.type === 'noteon') triggerNoteEnvelopes();
+        handleMidiNote(message);
+        return;
+    }
+    if (ALL_NOTES_OFF_CONTROLLERS.includes(message.controller)) releaseAllNotes();
+
+    if (armedTarget) {
+        learnMapping(message.channel, message.controller);
+        return;
+    }
+    findMidiTargets(mappings, message.channel, message.controller)
+        .forEach(target => applyMidiValue(target, message.value));
+}
+
+// Helper: Bind the armed control to a controller
+function learnMapping(channel, controller) {
+    const target = armedTarget;
+    setArmedTarget(null);
+    setMidiMappings(addMidiMapping(mappings, { channel, controller, target }));
+    updateStatus(`CC ${controller} (ch ${channel + 1}) → ${describeMidiTarget(target)}`);
+    console.log(`🎹 Learned CC ${controller} on channel ${channel + 1} for ${target}`);
+}
+
+/**
+ * Turn MIDI learn mode on or off
+ * @param {boolean} active - True to start learning
+ */
+export function setLearnMode(active) {
+    learnActive = active;
+    setArmedTarget(null);
+
+    const learnButton = safeGetElement('midiLearn', null, false);
+    if (learnButton) {
+        learnButton.setAttribute('aria-pressed', String(active));
+        learnButton.classList.toggle('active', active);
+    }
+    document.body.classList.toggle('midi-learn', active);
+
+    // Capture phase: the click arms the control instead of moving it
+    if (active) {
+        document.addEventListener('mousedown', handleLearnPointer, true);
+        document.addEventListener('click', handleLearnClick, true);
+        document.addEventListener('keydown', handleLearnKey);
+        enableMidi().catch(error => console.error('MIDI enable failed:', error));
+        updateStatus('MIDI learn: click a slider, matrix cell or species audio control');
+    } else {
+        document.removeEventListener('mousedown', handleLearnPointer, true);
+        document.removeEventListener('click', handleLearnClick, true);
+        document.removeEventListener('keydown', handleLearnKey);
+        updateStatus(midiAccess ? 'MIDI learn off' : 'MIDI off');
+    }
+}
+
+function handleLearnPointer(e) {
+    const target = getMidiTargetForElement(e.target);
+    if (!target) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setArmedTarget(target);
+    updateStatus(`Move a MIDI control for ${describeMidiTarget(target)}...`);
+}
+
+function handleLearnClick(e) {
+    if (!getMidiTargetForElement(e.target)) return;
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+function handleLearnKey(e) {
+    if (e.key === 'Escape') setLearnMode(false);
+}
+
+// Helper: Mark the control waiting for a CC
+function setArmedTarget(target) {
+    if (armedTarget) getMidiTargetElement(armedTarget)?.classList.remove('midi-learn-armed');
+    armedTarget = target;
+    if (target) getMidiTargetElement(target)?.classList.add('midi-learn-armed');
+}
+
+/**
+ * Current CC mappings (for presets)
+ * @returns {Array<Object>} Copies of the { channel, controller, target } bindings
+ */
+export function getMidiMappings() {
+    return mappings.map(mapping => ({ ...mapping }));
+}
+
+/**
+ * Replace the CC mappings (invalid entries are skipped)
+ * @param {Array<Object>} list - { channel, controller, target } bindings
+ */
+export function setMidiMappings(list) {
+    mappings = (Array.isArray(list) ? list : [])
+        .filter(isValidMidiMapping)
+        .reduce((result, mapping) => addMidiMapping(result, mapping), []);
+    renderMappings();
+}
+
+// Helper: Show the bindings with a remove button each
+function renderMappings() {
+    const list = safeGetElement('midiMappings', null, false);
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (mappings.length === 0) {
+        const empty = Utils.createElement('div', 'midi-mapping-empty');
+        empty.textContent = 'No mappings - use MIDI Learn';
+        list.appendChild(empty);
+        return;
+    }
+
+    mappings.forEach(mapping => {
+        const row = Utils.createElement('div', 'midi-mapping-row');
+        const text = Utils.createElement('span', 'midi-mapping-text');
+        text.textContent = `CC ${mapping.controller} (ch ${mapping.channel + 1}) → ${describeMidiTarget(mapping.target)}`;
+
+        const remove = Utils.createElement('button', 'midi-mapping-remove');
+        remove.type = 'button';
+        remove.textContent = '✕';
+        remove.title = 'Remove mapping';
+        remove.addEventListener('click', () => {
+            setMidiMappings(mappings.filter(m => m !== mapping));
+        });
+
+        row.appendChild(text);
+        row.appendChild(remove);
+        list.appendChild(row);
+    });
+}
+
+function updateStatus(text) {
+    updateElementText('midiStatus', text);
+}
@@ -0,0 +1,298 @@
+/**
+ * MIDI Mapping - MIDI message parsing and CC → parameter mappings
+ * A mapping binds one controller on one channel to a target id:
+ *   'slider:<id>'            - a physics/master slider from setupSliders() (range from the slider)
+ *   'matrix:<from>:<to>'     - a force matrix cell (-1 to 1)
+ *   'species:<i>:<param>'    - a per-species audio parameter from MIDI_SPECIES_TARGETS
+ * Also the MIDI out side: worklet grain/voice events as notes or CCs, and MIDI clock timing.
+ * No DOM access, so mappings can be validated and tested anywhere.
+ */
+
+import { CONFIG } from '../config.js';
+import { validateInt, validateFloat, getSpeciesName, getSpeciesLetter } from '../shared/validation-utils.js';
+
+// Range sliders registered in setupSliders(), with their labels
+export const MIDI_SLIDER_TARGETS = {
+    speciesCount: 'Species Count',
+    friction: 'Friction',
+    forceRadius: 'Force Radius',
+    simSpeed: 'Simulation Speed',
+    gravityStrength: 'Gravity',
+    bounceDamping: 'Bounce Damping',
+    curveParameter: 'Velocity Curve',
+    volumeScale: 'Master Volume'
+};
+
+// Force matrix cells span the same range as dragging them
+export const MIDI_MATRIX_RANGE = { min: -1, max: 1 };
+
+// Per-species audio parameters: CONFIG.species array, validateParameter() type, range and the
+// AudioSystem.updateParameters() flag that sends it (max may depend on the species)
+export const MIDI_SPECIES_TARGETS = {
+    volume: { label: 'Volume', key: 'sampleVolumes', type: 'volume', min: -60, max: 12, update: 'audio' },
+    pitch: { label: 'Pitch', key: 'samplePitches', type: 'pitch', min: -24, max: 24, int: true, update: 'audio' },
+    pitchSpread: { label: 'Pitch Spread', key: 'pitchSpreads', type: 'pitchSpread', min: 0, max: 1200, int: true, update: 'audio' },
+    reverseProbability: { label: 'Reverse Chance', key: 'reverseProbabilities', type: 'reverseProbability', min: 0, max: 1, update: 'audio' },
+    envelopeAttack: { label: 'Envelope Ramps', key: 'envelopeAttacks', type: 'envelopeAttack', min: 0.01, max: 1, update: 'audio' },
+    envelopeSkew: { label: 'Envelope Skew', key: 'envelopeSkews', type: 'envelopeSkew', min: 0, max: 1, update: 'audio' },
+    voices: {
+        label: 'Max Voices', key: 'maxVoicesPerSpecies', type: 'voices', min: 1, int: true, update: 'voices',
+        max: i => Math.max(1, CONFIG.species.counts[i] || 1)
+    }
+};
+
+// Keyboard span used for note bursts (C2-C7); notes outside it are clamped to the nearest end
+export const MIDI_NOTE_RANGE = { low: 36, high: 96 };
+
+// How a note picks its species: its channel (1 = A) or its zone of the keyboard
+export const MIDI_NOTE_SPECIES_MODES = ['channel', 'range'];
+
+// Particles per note burst
+export const MIDI_BURST_SIZE_RANGE = { min: 1, max: 50 };
+
+export const DEFAULT_NOTE_SETTINGS = { enabled: false, speciesMode: 'channel', burstSize: 8 };
+
+// MIDI out: which worklet events are sent, as what, and what the clock does
+export const MIDI_OUT_SOURCES = ['grains', 'voices'];
+export const MIDI_OUT_MESSAGES = ['notes', 'cc'];
+export const MIDI_CLOCK_MODES = ['off', 'send', 'receive'];
+
+// Controllers carrying Y and speed in CC mode (General Purpose 1 and 2)
+export const MIDI_OUT_CONTROLLERS = { y: 16, speed: 17 };
+
+export const MIDI_BPM_RANGE = { min: 40, max: 240 };
+
+export const DEFAULT_MIDI_OUT_SETTINGS = { enabled: false, source: 'grains', message: 'notes', clock: 'off', bpm: 120 };
+
+// System real-time status bytes
+export const MIDI_CLOCK_MESSAGES = { clock: 0xf8, start: 0xfa, continue: 0xfb, stop: 0xfc };
+
+// Clock ticks per quarter note; outgoing notes snap to 16ths (6 ticks) while a clock runs
+export const MIDI_CLOCK_PPQN = 24;
+export const MIDI_CLOCK_GRID_TICKS = 6;
+
+/**
+ * Decode a raw MIDI message
+ * @param {Uint8Array|Array<number>} data - Status byte and data bytes
+ * @returns {Object|null} { type: 'cc'|'noteon'|'noteoff', channel (0-15), controller/value or note/velocity },
+ *   { type: 'clock'|'start'|'continue'|'stop' } for real-time messages, or null for messages that are not used
+ */
+export function parseMidiMessage(data) {
+    if (!data || data.length < 1) return null;
+    const [status, data1, data2] = data;
+
+    // Real-time bytes carry no channel or data
+    const clockType = Object.keys(MIDI_CLOCK_MESSAGES).find(type => MIDI_CLOCK_MESSAGES[type] === status);
+    if (clockType) return { type: clockType };
+
+    if (data.length < 3) return null;
+    const channel = status & 0x0f;
+
+    switch (status & 0xf0) {
+        case 0xb0:
+            return { type: 'cc', channel, controller: data1, value: data2 };
+        case 0x90:
+            // Note-on with velocity 0 is a note-off (running status convention)
+            return data2 > 0
+                ? { type: 'noteon', channel, note: data1, velocity: data2 }
+                : { type: 'noteoff', channel, note: data1, velocity: 0 };
+        case 0x80:
+            return { type: 'noteoff', channel, note: data1, velocity: data2 };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Where and how a note-on bursts
+ * The pitch class picks the column (C left, B right) and the octave the height (higher notes
+ * higher up, as with the Y → frequency mapping); velocity scales the outward speed up to maxSpeed.
+ * @param {Object} message - { channel, note, velocity } from parseMidiMessage()
+ * @param {Object} settings - { speciesMode: 'channel'|'range', burstSize }
+ * @returns {Object} { species, x, y, count, speed } for spawnParticleBurst()
+ */
+export function getNoteBurst({ channel, note, velocity }, { speciesMode, burstSize }) {
+    const { low, high } = MIDI_NOTE_RANGE;
+    const position = validateInt(note, low, high) - low;
+    const speciesCount = CONFIG.species.count;
+    const species = speciesMode === 'range'
+        ? Math.min(speciesCount - 1, Math.floor((position / (high - low + 1)) * speciesCount))
+        : channel % speciesCount;
+
+    const octaves = Math.floor((high - low) / 12) + 1;
+    const column = (low + position) % 12;
+    const octave = Math.floor(position / 12);
+
+    return {
+        species,
+        x: ((column + 0.5) / 12) * CONFIG.canvas.width,
+        y: (1 - (octave + 0.5) / octaves) * CONFIG.canvas.height,
+        count: validateInt(burstSize, MIDI_BURST_SIZE_RANGE.min, MIDI_BURST_SIZE_RANGE.max, DEFAULT_NOTE_SETTINGS.burstSize),
+        speed: (validateInt(velocity, 1, 127) / 127) * CONFIG.physics.maxSpeed
+    };
+}
+
+/**
+ * Scale a 7-bit CC value onto a parameter range
+ * @param {number} value - CC value (0-127)
+ * @param {Object} range - { min, max, int? }
+ * @returns {number} Validated value within the range
+ */
+export function ccToValue(value, { min, max, int = false }) {
+    const scaled = min + (validateInt(value, 0, 127) / 127) * (max - min);
+    return int ? validateInt(Math.round(scaled), min, max) : validateFloat(scaled, min, max);
+}
+
+/**
+ * Split a target id into its parts
+ * @param {string} target - Target id
+ * @returns {Object|null} { kind: 'slider', id } | { kind: 'matrix', from, to } | { kind: 'species', species, param }, or null if unknown
+ */
+export function parseMidiTarget(target) {
+    if (typeof target !== 'string') return null;
+    const [kind, ...parts] = target.split(':');
+    const index = text => (/^\d+$/.test(text) && Number(text) < CONFIG.species.maxCount ? Number(text) : null);
+
+    if (kind === 'slider' && parts.length === 1 && Object.hasOwn(MIDI_SLIDER_TARGETS, parts[0])) {
+        return { kind, id: parts[0] };
+    }
+    if (kind === 'matrix' && parts.length === 2) {
+        const [from, to] = parts.map(index);
+        return from !== null && to !== null ? { kind, from, to } : null;
+    }
+    if (kind === 'species' && parts.length === 2 && Object.hasOwn(MIDI_SPECIES_TARGETS, parts[1])) {
+        const species = index(parts[0]);
+        return species !== null ? { kind, species, param: parts[1] } : null;
+    }
+    return null;
+}
+
+/**
+ * Readable name of a target for the mapping list
+ * @param {string} target - Target id
+ * @returns {string} e.g. "Friction", "Matrix A → C", "Species B Volume"
+ */
+export function describeMidiTarget(target) {
+    const parsed = parseMidiTarget(target);
+    if (!parsed) return target;
+    if (parsed.kind === 'slider') return MIDI_SLIDER_TARGETS[parsed.id];
+    if (parsed.kind === 'matrix') return `Matrix ${getSpeciesLetter(parsed.from)} → ${getSpeciesLetter(parsed.to)}`;
+    return `${getSpeciesName(parsed.species)} ${MIDI_SPECIES_TARGETS[parsed.param].label}`;
+}
+
+/**
+ * Bind a controller to a target; the controller's and the target's previous bindings are replaced
+ * @param {Array<Object>} mappings - Current { channel, controller, target } list
+ * @param {Object} mapping - New { channel, controller, target }
+ * @returns {Array<Object>} New list
+ */
+export function addMidiMapping(mappings, { channel, controller, target }) {
+    return [
+        ...mappings.filter(m => m.target !== target && !(m.channel === channel && m.controller === controller)),
+        { channel, controller, target }
+    ];
+}
+
+/**
+ * Targets bound to a controller
+ * @param {Array<Object>} mappings - { channel, controller, target } list
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {number} controller - CC number (0-127)
+ * @returns {Array<string>} Target ids
+ */
+export function findMidiTargets(mappings, channel, controller) {
+    return mappings
+        .filter(m => m.channel === channel && m.controller === controller)
+        .map(m => m.target);
+}
+
+/**
+ * Check a stored mapping (presets carry them under midi.mappings)
+ * @param {any} mapping - Candidate mapping
+ * @returns {boolean} True for { channel: 0-15, controller: 0-127, target: known id }
+ */
+export function isValidMidiMapping(mapping) {
+    return typeof mapping === 'object' && mapping !== null &&
+        Number.isInteger(mapping.channel) && mapping.channel >= 0 && mapping.channel <= 15 &&
+        Number.isInteger(mapping.controller) && mapping.controller >= 0 && mapping.controller <= 127 &&
+        parseMidiTarget(mapping.target) !== null;
+}
+
+/**
+ * Note for a worklet grain or voice event: species → channel, Y → pitch, speed → velocity
+ * Y spans the same keyboard as note input (top of the canvas = highest note).
+ * @param {Object} event - { species, y (0 = top, 1 = bottom), speed (0-1) }
+ * @returns {Object} { channel, note, velocity (1-127) }
+ */
+export function eventToNote({ species, y, speed }) {
+    const { low, high } = MIDI_NOTE_RANGE;
+    return {
+        channel: species & 0x0f,
+        note: low + Math.round((1 - validateFloat(y, 0, 1)) * (high - low)),
+        velocity: Math.max(1, Math.round(validateFloat(speed, 0, 1) * 127))
+    };
+}
+
+/**
+ * Raw note-on message
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {number} note - Note number (0-127)
+ * @param {number} velocity - Velocity (1-127)
+ * @returns {Array<number>} Message bytes
+ */
+export function noteOnMessage(channel, note, velocity) {
+    return [0x90 | channel, note, velocity];
+}
+
+/**
+ * Raw note-off message
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {number} note - Note number (0-127)
+ * @returns {Array<number>} Message bytes
+ */
+export function noteOffMessage(channel, note) {
+    return [0x80 | channel, note, 0];
+}
+
+/**
+ * Raw control change message
+ * @param {number} channel - MIDI channel (0-15)
+ * @param {number} controller - CC number (0-127)
+ * @param {number} value - 0-1, scaled to 0-127
+ * @returns {Array<number>} Message bytes
+ */
+export function controlChangeMessage(channel, controller, value) {
+    return [0xb0 | channel, controller, Math.round(validateFloat(value, 0, 1) * 127)];
+}
+
+/**
+ * Time between clock ticks
+ * @param {number} bpm - Tempo
+ * @returns {number} Milliseconds per tick (24 per quarter note)
+ */
+export function clockTickMs(bpm) {
+    return 60000 / (validateFloat(bpm, MIDI_BPM_RANGE.min, MIDI_BPM_RANGE.max, DEFAULT_MIDI_OUT_SETTINGS.bpm) * MIDI_CLOCK_PPQN);
+}
+
+/**
+ * Tempo of a received clock
+ * @param {Array<number>} tickTimes - Recent tick timestamps (ms), oldest first
+ * @returns {number|null} BPM, or null until two ticks arrived
+ */
+export function estimateBpm(tickTimes) {
+    if (tickTimes.length < 2) return null;
+    const interval = (tickTimes[tickTimes.length - 1] - tickTimes[0]) / (tickTimes.length - 1);
+    return interval > 0 ? 60000 / (interval * MIDI_CLOCK_PPQN) : null;
+}
+
+/**
+ * Next point on a clock grid at or after a time
+ * @param {number} time - Time (ms)
+ * @param {number} origin - Time of any grid point (ms), e.g. the clock start
+ * @param {number} gridMs - Grid spacing (ms)
+ * @returns {number} Grid time (ms)
+ */
+export function nextGridTime(time, origin, gridMs) {
+    if (!(gridMs > 0)) return time;
+    return origin + Math.ceil((time - origin) / gridMs) * gridMs;
+}
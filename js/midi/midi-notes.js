@@ -0,0 +1,78 @@
+/**
+ * MIDI Notes - Note-on injects a burst of particles, note-off removes it again
+ * Lets a keyboard "play" the ecosystem: each held note owns one burst (see getNoteBurst()
+ * for species, position and speed). Settings are saved with presets (preset.midi.notes).
+ */
+
+import { spawnParticleBurst, removeParticleBurst } from '../physics/physics-engine.js';
+import { updateElementValue, updateElementText, safeGetElement } from '../shared/dom-utils.js';
+import { validateInt } from '../shared/validation-utils.js';
+import {
+    getNoteBurst, DEFAULT_NOTE_SETTINGS, MIDI_NOTE_SPECIES_MODES, MIDI_BURST_SIZE_RANGE
+} from './midi-mapping.js';
+
+let settings = { ...DEFAULT_NOTE_SETTINGS };
+// Held notes: 'channel:note' -> burst id
+const heldNotes = new Map();
+
+/**
+ * Spawn or remove particles for a note message
+ * @param {Object} message - noteon/noteoff from parseMidiMessage()
+ */
+export function handleMidiNote(message) {
+    if (!settings.enabled) return;
+    const key = `${message.channel}:${message.note}`;
+
+    // A retriggered note replaces its burst; note-off just removes it
+    if (heldNotes.has(key)) {
+        removeParticleBurst(heldNotes.get(key));
+        heldNotes.delete(key);
+    }
+    if (message.type !== 'noteon') return;
+
+    const burst = getNoteBurst(message, settings);
+    const burstId = spawnParticleBurst(burst.species, burst);
+    if (burstId !== null) heldNotes.set(key, burstId);
+}
+
+/**
+ * Remove every held note's particles (All Notes Off, or notes switched off)
+ */
+export function releaseAllNotes() {
+    heldNotes.forEach(burstId => removeParticleBurst(burstId));
+    heldNotes.clear();
+}
+
+/**
+ * Current note settings (for presets)
+ * @returns {Object} { enabled, speciesMode, burstSize }
+ */
+export function getMidiNoteSettings() {
+    return { ...settings };
+}
+
+/**
+ * Change note settings; invalid or missing values keep the current ones
+ * @param {Object} changes - Any of { enabled, speciesMode, burstSize }
+ */
+export function setMidiNoteSettings(changes) {
+    const next = { ...settings };
+    if (typeof changes.enabled === 'boolean') next.enabled = changes.enabled;
+    if (MIDI_NOTE_SPECIES_MODES.includes(changes.speciesMode)) next.speciesMode = changes.speciesMode;
+    if (changes.burstSize !== undefined) {
+        next.burstSize = validateInt(changes.burstSize, MIDI_BURST_SIZE_RANGE.min, MIDI_BURST_SIZE_RANGE.max, settings.burstSize);
+    }
+
+    if (settings.enabled && !next.enabled) releaseAllNotes();
+    settings = next;
+    updateNoteControls();
+}
+
+// Helper: Show the settings in the MIDI panel
+function updateNoteControls() {
+    const enabled = safeGetElement('midiNotesEnable', null, false);
+    if (enabled) enabled.checked = settings.enabled;
+    updateElementValue('midiNoteSpecies', settings.speciesMode);
+    updateElementValue('midiBurstSize', settings.burstSize);
+    updateElementText('midiBurstSize-value', settings.burstSize);
+}
@@ -0,0 +1,318 @@
+/**
+ * MIDI Output - Grain and voice events from the worklet as notes or CCs, plus MIDI clock
+ * The worklet only reports events while MIDI out is on (message 'midiEvents'). Species → channel,
+ * Y → pitch, speed → velocity (eventToNote). The clock is either sent at a set tempo (Start/Stop
+ * follow pause) or received: external Start/Stop pause the simulation and its tempo is shown.
+ * While a clock runs, outgoing notes snap to its 16th-note grid.
+ */
+
+import { audioEngine, state } from '../config.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+import { togglePause } from '../physics/physics-engine.js';
+import { safeGetElement, updateElementText, updateElementValue } from '../shared/dom-utils.js';
+import { validateInt } from '../shared/validation-utils.js';
+import {
+    DEFAULT_MIDI_OUT_SETTINGS, MIDI_OUT_SOURCES, MIDI_OUT_MESSAGES, MIDI_CLOCK_MODES, MIDI_BPM_RANGE,
+    MIDI_OUT_CONTROLLERS, MIDI_CLOCK_MESSAGES, MIDI_CLOCK_PPQN, MIDI_CLOCK_GRID_TICKS,
+    eventToNote, noteOnMessage, noteOffMessage, controlChangeMessage, clockTickMs, estimateBpm, nextGridTime
+} from './midi-mapping.js';
+
+// Shortest grain note, and the gap between grain events sent on one channel (keeps the stream playable)
+const MIN_NOTE_MS = 10;
+const MIN_GRAIN_NOTE_INTERVAL_MS = 30;
+
+// Clock scheduler: wake every 25ms and queue ticks 100ms ahead with send() timestamps
+const CLOCK_INTERVAL_MS = 25;
+const CLOCK_LOOKAHEAD_MS = 100;
+
+// Received ticks kept for the tempo estimate (one quarter note)
+const BPM_WINDOW_TICKS = MIDI_CLOCK_PPQN;
+
+let settings = { ...DEFAULT_MIDI_OUT_SETTINGS };
+let midiAccess = null;
+// Output port id ('' = first available)
+let selectedOutputId = '';
+
+// Voice notes sounding on the output: particle id -> { channel, note }
+const voiceNotes = new Map();
+// Last grain note time per channel
+const lastGrainNote = new Map();
+
+// Sent clock: scheduler timer, next tick time and when the current run started (grid origin)
+const sendClock = { timer: null, nextTick: 0, origin: 0, running: false };
+// Received clock: recent tick times, ticks since Start and the latest grid point
+const receiveClock = { ticks: [], count: 0, gridTime: null, bpm: null };
+
+eventBus.on(Events.AUDIO_MIDI_EVENTS, ({ events }) => handleMidiEvents(events));
+eventBus.on(Events.AUDIO_INITIALIZED, () => sendWorkletConfig());
+eventBus.on(Events.AUDIO_SHUTDOWN, () => releaseVoiceNotes());
+eventBus.on(Events.SIMULATION_PAUSED, ({ isPaused }) => handlePause(isPaused));
+
+/**
+ * Give the output side the MIDI access from enableMidi() (also after devices change)
+ * @param {MIDIAccess} access - Web MIDI access
+ */
+export function setMidiOutputAccess(access) {
+    midiAccess = access;
+    updateOutputSelect();
+    updateClock();
+}
+
+/**
+ * Pick the output port
+ * @param {string} outputId - MIDIOutput id
+ */
+export function selectMidiOutput(outputId) {
+    releaseVoiceNotes();
+    stopSendClock();
+    selectedOutputId = outputId;
+    updateClock();
+}
+
+/**
+ * Current MIDI out settings (for presets; the port is machine specific and not included)
+ * @returns {Object} { enabled, source, message, clock, bpm }
+ */
+export function getMidiOutputSettings() {
+    return { ...settings };
+}
+
+/**
+ * Change MIDI out settings; invalid or missing values keep the current ones
+ * @param {Object} changes - Any of { enabled, source, message, clock, bpm }
+ */
+export function setMidiOutputSettings(changes) {
+    const next = { ...settings };
+    if (typeof changes.enabled === 'boolean') next.enabled = changes.enabled;
+    if (MIDI_OUT_SOURCES.includes(changes.source)) next.source = changes.source;
+    if (MIDI_OUT_MESSAGES.includes(changes.message)) next.message = changes.message;
+    if (MIDI_CLOCK_MODES.includes(changes.clock)) next.clock = changes.clock;
+    if (changes.bpm !== undefined) next.bpm = validateInt(changes.bpm, MIDI_BPM_RANGE.min, MIDI_BPM_RANGE.max, settings.bpm);
+
+    // Held voice notes would hang once their note-offs stop coming
+    if (!next.enabled || next.source !== settings.source || next.message !== settings.message) {
+        releaseVoiceNotes();
+    }
+    const clockChanged = next.enabled !== settings.enabled || next.clock !== settings.clock;
+    if (clockChanged) stopSendClock();
+
+    settings = next;
+    sendWorkletConfig();
+    updateClock();
+    updateOutputControls();
+}
+
+/**
+ * Handle a received real-time message (clock mode 'receive')
+ * @param {Object} message - { type: 'clock'|'start'|'continue'|'stop' } from parseMidiMessage()
+ * @param {number} time - Event timestamp (ms, performance.now() clock)
+ */
+export function handleMidiClock(message, time) {
+    if (settings.clock !== 'receive') return;
+
+    switch (message.type) {
+        case 'clock':
+            if (receiveClock.count % MIDI_CLOCK_GRID_TICKS === 0) receiveClock.gridTime = time;
+            receiveClock.count++;
+            receiveClock.ticks.push(time);
+            if (receiveClock.ticks.length > BPM_WINDOW_TICKS) receiveClock.ticks.shift();
+            // Tempo readout once per quarter note
+            if (receiveClock.count % MIDI_CLOCK_PPQN === 0) {
+                receiveClock.bpm = estimateBpm(receiveClock.ticks);
+                updateClockStatus();
+            }
+            break;
+        case 'start':
+            receiveClock.count = 0;
+            receiveClock.gridTime = null;
+            if (state.isPaused) togglePause();
+            break;
+        case 'continue':
+            if (state.isPaused) togglePause();
+            break;
+        case 'stop':
+            if (!state.isPaused) togglePause();
+            break;
+    }
+}
+
+// Helper: The chosen output port, or null when MIDI out is off or no port is connected
+function getOutput() {
+    if (!settings.enabled || !midiAccess) return null;
+    const outputs = [...midiAccess.outputs.values()];
+    return outputs.find(output => output.id === selectedOutputId) || outputs[0] || null;
+}
+
+// Helper: Ask the worklet for events (a restarted engine gets a new worklet, so this is resent)
+function sendWorkletConfig() {
+    if (!audioEngine?.workletNode || !audioEngine.isActive) return;
+    audioEngine.workletNode.port.postMessage({
+        type: 'midiEvents',
+        source: settings.enabled ? settings.source : null
+    });
+}
+
+// Helper: Turn one batch of worklet events into MIDI
+function handleMidiEvents(events) {
+    const output = getOutput();
+    if (!output) return;
+
+    const now = performance.now();
+    const sendTime = getQuantizedTime(now);
+
+    for (const event of events) {
+        if (event.type === 'voiceOff') {
+            releaseVoiceNote(output, event.id, sendTime);
+            continue;
+        }
+
+        const { channel, note, velocity } = eventToNote(event);
+        if (event.type === 'grain') {
+            if (now - (lastGrainNote.get(channel) ?? -Infinity) < MIN_GRAIN_NOTE_INTERVAL_MS) continue;
+            lastGrainNote.set(channel, now);
+        }
+
+        if (settings.message === 'cc') {
+            output.send(controlChangeMessage(channel, MIDI_OUT_CONTROLLERS.y, 1 - event.y), sendTime);
+            output.send(controlChangeMessage(channel, MIDI_OUT_CONTROLLERS.speed, event.speed), sendTime);
+            continue;
+        }
+
+        if (event.type === 'grain') {
+            output.send(noteOnMessage(channel, note, velocity), sendTime);
+            output.send(noteOffMessage(channel, note), sendTime + Math.max(MIN_NOTE_MS, event.duration * 1000));
+        } else if (event.type === 'voiceOn') {
+            releaseVoiceNote(output, event.id, sendTime);
+            output.send(noteOnMessage(channel, note, velocity), sendTime);
+            voiceNotes.set(event.id, { channel, note });
+        }
+    }
+}
+
+// Helper: Note-off for one particle's voice note
+function releaseVoiceNote(output, particleId, time) {
+    const held = voiceNotes.get(particleId);
+    if (!held) return;
+    output.send(noteOffMessage(held.channel, held.note), time);
+    voiceNotes.delete(particleId);
+}
+
+// Helper: Note-off for every held voice note (pause, engine stop, settings change)
+function releaseVoiceNotes() {
+    const output = getOutput();
+    if (output) {
+        voiceNotes.forEach(held => output.send(noteOffMessage(held.channel, held.note)));
+    }
+    voiceNotes.clear();
+}
+
+// Helper: Next 16th note of the running clock, or now when no clock runs
+function getQuantizedTime(now) {
+    if (settings.clock === 'send' && sendClock.running) {
+        return nextGridTime(now, sendClock.origin, clockTickMs(settings.bpm) * MIDI_CLOCK_GRID_TICKS);
+    }
+    if (settings.clock === 'receive' && receiveClock.gridTime !== null && receiveClock.bpm) {
+        return nextGridTime(now, receiveClock.gridTime, clockTickMs(receiveClock.bpm) * MIDI_CLOCK_GRID_TICKS);
+    }
+    return now;
+}
+
+// Helper: Voice notes stop with the simulation; a sent clock follows pause with Stop/Continue
+function handlePause(isPaused) {
+    if (isPaused) releaseVoiceNotes();
+    if (settings.clock !== 'send') return;
+    if (isPaused) {
+        stopSendClock();
+    } else {
+        updateClock(MIDI_CLOCK_MESSAGES.continue);
+    }
+}
+
+// Helper: Start the sent clock when it should run
+function updateClock(startMessage = MIDI_CLOCK_MESSAGES.start) {
+    if (settings.clock !== 'receive') {
+        receiveClock.ticks = [];
+        receiveClock.bpm = null;
+        receiveClock.gridTime = null;
+    }
+    if (settings.clock === 'send' && !sendClock.running && !state.isPaused) {
+        const output = getOutput();
+        if (output) {
+            const now = performance.now();
+            output.send([startMessage], now);
+            sendClock.running = true;
+            sendClock.origin = now;
+            sendClock.nextTick = now;
+            scheduleClockTicks();
+            sendClock.timer = setInterval(scheduleClockTicks, CLOCK_INTERVAL_MS);
+        }
+    }
+    updateClockStatus();
+}
+
+// Helper: Queue the ticks falling inside the lookahead window
+function scheduleClockTicks() {
+    const output = getOutput();
+    if (!output) {
+        stopSendClock();
+        return;
+    }
+    const horizon = performance.now() + CLOCK_LOOKAHEAD_MS;
+    while (sendClock.nextTick < horizon) {
+        output.send([MIDI_CLOCK_MESSAGES.clock], sendClock.nextTick);
+        sendClock.nextTick += clockTickMs(settings.bpm);
+    }
+}
+
+// Helper: Send Stop and halt the scheduler
+function stopSendClock() {
+    if (!sendClock.running) return;
+    clearInterval(sendClock.timer);
+    sendClock.timer = null;
+    sendClock.running = false;
+    getOutput()?.send([MIDI_CLOCK_MESSAGES.stop]);
+    updateClockStatus();
+}
+
+// Helper: Fill the output picker with the connected ports
+function updateOutputSelect() {
+    const select = safeGetElement('midiOutput', null, false);
+    if (!select || !midiAccess) return;
+
+    const outputs = [...midiAccess.outputs.values()];
+    if (!outputs.some(output => output.id === selectedOutputId)) selectedOutputId = outputs[0]?.id || '';
+    select.innerHTML = '';
+    if (outputs.length === 0) {
+        select.innerHTML = '<option value="">No MIDI outputs</option>';
+    }
+    outputs.forEach(output => {
+        const option = document.createElement('option');
+        option.value = output.id;
+        option.textContent = output.name || output.id;
+        select.appendChild(option);
+    });
+    select.value = selectedOutputId;
+    select.disabled = outputs.length === 0;
+}
+
+// Helper: Show the settings in the MIDI panel
+function updateOutputControls() {
+    const enabled = safeGetElement('midiOutEnable', null, false);
+    if (enabled) enabled.checked = settings.enabled;
+    updateElementValue('midiOutSource', settings.source);
+    updateElementValue('midiOutMessage', settings.message);
+    updateElementValue('midiClockMode', settings.clock);
+    updateElementValue('midiClockBpm', settings.bpm);
+    updateElementText('midiClockBpm-value', settings.bpm);
+}
+
+// Helper: Clock line under the output settings
+function updateClockStatus() {
+    let text = 'Clock off';
+    if (settings.clock === 'send') {
+        text = sendClock.running ? `Sending clock at ${settings.bpm} BPM` : 'Clock stopped';
+    } else if (settings.clock === 'receive') {
+        text = receiveClock.bpm ? `Receiving clock: ${receiveClock.bpm.toFixed(1)} BPM` : 'Waiting for clock...';
+    }
+    updateElementText('midiClockStatus', text);
+}
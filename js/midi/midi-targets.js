@@ -0,0 +1,158 @@
+/**
+ * MIDI Targets - Applying values to sliders, force matrix cells and per-species audio parameters
+ * Sliders on screen are moved and sent their 'input' event, so their own handlers validate,
+ * update labels and react exactly as when dragged. Species parameters whose control is not on
+ * screen (another audio tab) are written to CONFIG directly. MIDI sends CC values (scaled over
+ * the target's range), OSC sends parameter values (applyTargetValue).
+ */
+
+import { CONFIG } from '../config.js';
+import { AudioSystem } from '../audio/audio-system.js';
+import { updateForceMatrixValues } from '../ui/force-matrix.js';
+import { getCurrentAudioSpeciesTab } from '../ui/audio-controls.js';
+import { safeGetElement } from '../shared/dom-utils.js';
+import { validateInt, validateFloat } from '../shared/validation-utils.js';
+import {
+    MIDI_SLIDER_TARGETS, MIDI_MATRIX_RANGE, MIDI_SPECIES_TARGETS, parseMidiTarget, ccToValue
+} from './midi-mapping.js';
+
+// On-screen control of each species parameter (scale: control units per parameter unit);
+// envelope sliders edit the species selected in the audio tabs
+const SPECIES_CONTROLS = {
+    volume: { id: i => `volume-${i}` },
+    pitch: { id: i => `pitch-${i}` },
+    pitchSpread: { id: i => `pitchSpread-${i}` },
+    reverseProbability: { id: i => `reverse-${i}`, scale: 100 },
+    envelopeAttack: { id: i => (i === getCurrentAudioSpeciesTab() ? 'envelopeAttack' : null), scale: 100 },
+    envelopeSkew: { id: i => (i === getCurrentAudioSpeciesTab() ? 'envelopeSkew' : null), scale: 100 },
+    voices: { id: i => `voices-${i}` }
+};
+
+// Parameter updates collected until the next animation frame (a CC stream sends one batch per frame)
+const pendingUpdates = {};
+let updateFrame = null;
+
+/**
+ * Target id of a learnable control
+ * @param {Element} element - Clicked element
+ * @returns {string|null} Target id, or null when the element cannot be mapped
+ */
+export function getMidiTargetForElement(element) {
+    const cell = element?.closest?.('.matrix-cell');
+    if (cell) return `matrix:${cell.dataset.from}:${cell.dataset.to}`;
+
+    const slider = element?.closest?.('input[type="range"]');
+    if (!slider) return null;
+    if (Object.hasOwn(MIDI_SLIDER_TARGETS, slider.id)) return `slider:${slider.id}`;
+
+    const speciesTab = getCurrentAudioSpeciesTab();
+    for (const [param, control] of Object.entries(SPECIES_CONTROLS)) {
+        if (control.id(speciesTab) === slider.id) return `species:${speciesTab}:${param}`;
+    }
+    return null;
+}
+
+/**
+ * Find the on-screen element for a target (to highlight it while learning)
+ * @param {string} target - Target id
+ * @returns {Element|null} Element, or null when it is not displayed
+ */
+export function getMidiTargetElement(target) {
+    const parsed = parseMidiTarget(target);
+    if (!parsed) return null;
+    if (parsed.kind === 'slider') return safeGetElement(parsed.id, null, false);
+    if (parsed.kind === 'matrix') {
+        return document.querySelector(`.matrix-cell[data-from="${parsed.from}"][data-to="${parsed.to}"]`);
+    }
+    const id = SPECIES_CONTROLS[parsed.param].id(parsed.species);
+    return id ? safeGetElement(id, null, false) : null;
+}
+
+/**
+ * Apply a CC value to a target
+ * @param {string} target - Target id
+ * @param {number} ccValue - CC value (0-127)
+ */
+export function applyMidiValue(target, ccValue) {
+    const parsed = parseMidiTarget(target);
+    const range = parsed ? getTargetRange(parsed) : null;
+    if (range) applyParsedValue(parsed, ccToValue(ccValue, range));
+}
+
+/**
+ * Apply a parameter value to a target (clamped to its range)
+ * @param {string} target - Target id
+ * @param {number} value - Value in the parameter's own units (e.g. semitones, dB, -1 to 1)
+ * @returns {boolean} False for unknown targets, sliders not on the page or non-numeric values
+ */
+export function applyTargetValue(target, value) {
+    const parsed = parseMidiTarget(target);
+    const range = parsed ? getTargetRange(parsed) : null;
+    if (!range || !Number.isFinite(value)) return false;
+
+    const clamped = range.int
+        ? validateInt(Math.round(value), range.min, range.max)
+        : validateFloat(value, range.min, range.max);
+    applyParsedValue(parsed, clamped);
+    return true;
+}
+
+// Helper: { min, max, int } of a target; sliders use their own limits (null when not on the page)
+function getTargetRange(parsed) {
+    if (parsed.kind === 'slider') {
+        const slider = safeGetElement(parsed.id, null, false);
+        return slider ? { min: parseFloat(slider.min), max: parseFloat(slider.max) } : null;
+    }
+    if (parsed.kind === 'matrix') return MIDI_MATRIX_RANGE;
+
+    const definition = MIDI_SPECIES_TARGETS[parsed.param];
+    const max = typeof definition.max === 'function' ? definition.max(parsed.species) : definition.max;
+    return { min: definition.min, max, int: definition.int };
+}
+
+// Helper: Write a value already within the target's range
+function applyParsedValue(parsed, value) {
+    if (parsed.kind === 'slider') {
+        setSliderValue(safeGetElement(parsed.id, null, false), value);
+    } else if (parsed.kind === 'matrix') {
+        CONFIG.relationships[parsed.from][parsed.to] = value;
+        updateForceMatrixValues();
+    } else {
+        applySpeciesValue(parsed.species, parsed.param, value);
+    }
+}
+
+// Helper: Per-species parameter through its control when shown, otherwise straight into CONFIG
+function applySpeciesValue(speciesIndex, param, value) {
+    const definition = MIDI_SPECIES_TARGETS[param];
+    const controlId = SPECIES_CONTROLS[param].id(speciesIndex);
+    const control = controlId ? safeGetElement(controlId, null, false) : null;
+    if (control) {
+        setSliderValue(control, value * (SPECIES_CONTROLS[param].scale || 1));
+    } else {
+        CONFIG.species[definition.key][speciesIndex] = AudioSystem.validateParameter(definition.type, value);
+    }
+    // Controls send on 'change' (release); CC and OSC streams have no release, so the batch goes out per frame
+    scheduleParameterUpdate(definition.update);
+}
+
+// Helper: Move a slider and run its input handler (skipped when the value snaps to the same step)
+function setSliderValue(slider, value) {
+    const previous = slider.value;
+    slider.value = String(value);
+    if (slider.value !== previous) {
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+}
+
+// Helper: Send collected parameter groups once per animation frame
+function scheduleParameterUpdate(flag) {
+    pendingUpdates[flag] = true;
+    if (updateFrame !== null) return;
+    updateFrame = requestAnimationFrame(() => {
+        updateFrame = null;
+        const flags = { ...pendingUpdates };
+        Object.keys(pendingUpdates).forEach(key => delete pendingUpdates[key]);
+        AudioSystem.updateParameters(flags);
+    });
+}
@@ -0,0 +1,341 @@
+/**
+ * Modulation Controls - The Modulation panel: sources (LFOs, envelopes, step sequencers) and the
+ * routes from sources to targets with their depth
+ * Settings are saved with presets (preset.modulation) and run by the modulation engine.
+ */
+
+import { CONFIG } from '../config.js';
+import { Utils } from '../utils.js';
+import { EventListenerManager } from '../shared/event-manager.js';
+import { safeGetElement } from '../shared/dom-utils.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+import { validateFloat } from '../shared/validation-utils.js';
+import { getModulation, setModulation, triggerEnvelope } from './modulation-engine.js';
+import {
+    LFO_SHAPES, ENVELOPE_TRIGGERS, MODULATION_RANGES, MAX_MODULATION_ROUTES,
+    createModulationSource, describeModulationSource, describeModulationTarget, listModulationTargets
+} from './modulation-matrix.js';
+
+const LFO_SHAPE_LABELS = { sine: 'Sine', triangle: 'Triangle', random: 'Random', sampleHold: 'Sample & Hold' };
+const ENVELOPE_TRIGGER_LABELS = { manual: 'Trigger button', notes: 'MIDI note-on', loop: 'Loop' };
+
+// Rate and time sliders run 0-LOG_STEPS on a log scale (0.01 to 20 Hz needs fine steps at the low end)
+const LOG_STEPS = 1000;
+
+// Event listener manager
+const eventManager = new EventListenerManager('ModulationControls');
+
+let settings = { sources: [], routes: [] };
+// Species count the target menus were built for
+let renderedSpeciesCount = null;
+
+// New species bring new matrix cells and species parameters to the target menus
+eventBus.on(Events.PARTICLES_COUNTS_CHANGED, () => {
+    if (renderedSpeciesCount !== null && renderedSpeciesCount !== CONFIG.species.count) renderRoutes();
+});
+
+/**
+ * Initialize the Modulation panel
+ */
+export function initModulationControls() {
+    eventManager.removeAll();
+
+    for (const type of ['lfo', 'envelope', 'sequencer']) {
+        const button = safeGetElement(`modulationAdd-${type}`, null, false);
+        if (button) eventManager.add(button, 'click', () => addSource(type));
+    }
+    const addRoute = safeGetElement('modulationAddRoute', null, false);
+    if (addRoute) eventManager.add(addRoute, 'click', () => addRouteForFirstSource());
+
+    render();
+    console.log('🌀 Modulation controls initialized');
+}
+
+/**
+ * Current sources and routes (for presets)
+ * @returns {{sources: Array<Object>, routes: Array<Object>}} Copies
+ */
+export function getModulationSettings() {
+    return getModulation();
+}
+
+/**
+ * Replace the sources and routes (e.g. from a preset) and show them in the panel
+ * @param {Object} modulation - { sources, routes } checked by the preset validator
+ */
+export function setModulationSettings(modulation) {
+    setModulation(modulation);
+    settings = getModulation();
+    render();
+}
+
+// Helper: Send the edited settings to the engine (the panel is already up to date)
+function commit() {
+    setModulation(settings);
+}
+
+function addSource(type) {
+    const source = createModulationSource(type, settings.sources);
+    if (!source) {
+        Utils.showToast('All modulation source slots are in use');
+        return;
+    }
+    settings.sources.push(source);
+    commit();
+    render();
+}
+
+function removeSource(id) {
+    settings.sources = settings.sources.filter(source => source.id !== id);
+    settings.routes = settings.routes.filter(route => route.source !== id);
+    commit();
+    render();
+}
+
+function addRouteForFirstSource() {
+    if (settings.sources.length === 0 || settings.routes.length >= MAX_MODULATION_ROUTES) return;
+    settings.routes.push({ source: settings.sources[0].id, target: 'physics:friction', depth: 0.25 });
+    commit();
+    renderRoutes();
+}
+
+function render() {
+    renderSources();
+    renderRoutes();
+}
+
+// Helper: One card per source with the settings of its type
+function renderSources() {
+    const list = safeGetElement('modulationSources', null, false);
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (settings.sources.length === 0) {
+        const empty = Utils.createElement('div', 'modulation-empty');
+        empty.textContent = 'No sources - add an LFO, envelope or sequencer';
+        list.appendChild(empty);
+    }
+
+    settings.sources.forEach(source => {
+        const card = Utils.createElement('div', 'modulation-source');
+        const header = Utils.createElement('div', 'modulation-source-header');
+        const title = Utils.createElement('span', 'modulation-source-title');
+        title.textContent = describeModulationSource(source);
+        header.appendChild(title);
+
+        if (source.type === 'envelope') {
+            header.appendChild(createButton('▶', 'Trigger the envelope', () => triggerEnvelope(source.id)));
+        }
+        header.appendChild(createButton('✕', 'Remove source and its routes', () => removeSource(source.id)));
+        card.appendChild(header);
+
+        if (source.type === 'lfo') {
+            card.appendChild(createSelectRow('Shape', LFO_SHAPES, LFO_SHAPE_LABELS, source.shape, value => { source.shape = value; }));
+            card.appendChild(createLogSliderRow('Rate', source, 'rate', 'Hz'));
+        } else if (source.type === 'envelope') {
+            card.appendChild(createLogSliderRow('Attack', source, 'attack', 's'));
+            card.appendChild(createLogSliderRow('Release', source, 'release', 's'));
+            card.appendChild(createSelectRow('Trigger', ENVELOPE_TRIGGERS, ENVELOPE_TRIGGER_LABELS, source.trigger, value => { source.trigger = value; }));
+        } else {
+            card.appendChild(createLogSliderRow('Rate', source, 'rate', 'steps/s'));
+            card.appendChild(createStepEditor(source));
+            card.appendChild(createCheckboxRow('Glide', source.glide, checked => { source.glide = checked; }));
+        }
+        list.appendChild(card);
+    });
+}
+
+// Helper: One row per route: source, target and depth (-100% to 100% of the target's range)
+function renderRoutes() {
+    const list = safeGetElement('modulationRoutes', null, false);
+    if (!list) return;
+    renderedSpeciesCount = CONFIG.species.count;
+
+    const addRoute = safeGetElement('modulationAddRoute', null, false);
+    if (addRoute) addRoute.disabled = settings.sources.length === 0 || settings.routes.length >= MAX_MODULATION_ROUTES;
+
+    list.innerHTML = '';
+    if (settings.routes.length === 0) {
+        const empty = Utils.createElement('div', 'modulation-empty');
+        empty.textContent = settings.sources.length === 0 ? 'Add a source first' : 'No routes - add one to modulate a parameter';
+        list.appendChild(empty);
+        return;
+    }
+
+    settings.routes.forEach(route => {
+        const row = Utils.createElement('div', 'modulation-route');
+
+        const sourceSelect = Utils.createElement('select', 'modulation-select');
+        sourceSelect.setAttribute('aria-label', 'Modulation source');
+        settings.sources.forEach(source => sourceSelect.add(new Option(describeModulationSource(source), source.id)));
+        sourceSelect.value = route.source;
+        sourceSelect.addEventListener('change', () => {
+            route.source = sourceSelect.value;
+            commit();
+        });
+
+        const targetSelect = createTargetSelect(route.target);
+        targetSelect.addEventListener('change', () => {
+            route.target = targetSelect.value;
+            commit();
+        });
+
+        const depth = document.createElement('input');
+        depth.type = 'range';
+        depth.className = 'slider';
+        depth.min = '-100';
+        depth.max = '100';
+        depth.step = '1';
+        depth.value = String(Math.round(route.depth * 100));
+        depth.setAttribute('aria-label', 'Modulation depth');
+        const depthValue = Utils.createElement('span', 'modulation-value');
+        depthValue.textContent = `${depth.value}%`;
+        depth.addEventListener('input', () => {
+            route.depth = validateFloat(parseInt(depth.value) / 100, MODULATION_RANGES.depth.min, MODULATION_RANGES.depth.max);
+            depthValue.textContent = `${depth.value}%`;
+            commit();
+        });
+
+        const remove = createButton('✕', 'Remove route', () => {
+            settings.routes = settings.routes.filter(r => r !== route);
+            commit();
+            renderRoutes();
+        });
+
+        const selects = Utils.createElement('div', 'modulation-route-targets');
+        selects.append(sourceSelect, targetSelect, remove);
+        const amount = Utils.createElement('div', 'slider-container');
+        amount.append(depth, depthValue);
+        row.append(selects, amount);
+        list.appendChild(row);
+    });
+}
+
+// Helper: Target menu grouped by kind; a stored target outside the current species count stays listed
+function createTargetSelect(selected) {
+    const select = Utils.createElement('select', 'modulation-select');
+    select.setAttribute('aria-label', 'Modulation target');
+    let found = false;
+    for (const { group, targets } of listModulationTargets(CONFIG.species.count)) {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = group;
+        targets.forEach(target => {
+            optgroup.appendChild(new Option(describeModulationTarget(target), target));
+            if (target === selected) found = true;
+        });
+        select.appendChild(optgroup);
+    }
+    if (!found) select.add(new Option(describeModulationTarget(selected), selected));
+    select.value = selected;
+    return select;
+}
+
+function createButton(text, title, onClick) {
+    const button = Utils.createElement('button', 'modulation-button');
+    button.type = 'button';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createSelectRow(labelText, values, labels, selected, onChange) {
+    const row = Utils.createElement('div', 'modulation-row');
+    const label = Utils.createElement('label');
+    label.textContent = labelText;
+    const select = Utils.createElement('select', 'modulation-select');
+    values.forEach(value => select.add(new Option(labels[value], value)));
+    select.value = selected;
+    select.addEventListener('change', () => {
+        onChange(select.value);
+        commit();
+    });
+    label.appendChild(select);
+    row.appendChild(label);
+    return row;
+}
+
+function createCheckboxRow(labelText, checked, onChange) {
+    const row = Utils.createElement('div', 'modulation-row');
+    const label = Utils.createElement('label', 'checkbox-label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', () => {
+        onChange(checkbox.checked);
+        commit();
+    });
+    label.append(checkbox, labelText);
+    row.appendChild(label);
+    return row;
+}
+
+// Helper: Slider for a rate or time on a log scale
+function createLogSliderRow(labelText, source, key, unit) {
+    const { min, max } = MODULATION_RANGES[key];
+    const row = Utils.createElement('div', 'modulation-row');
+    const label = Utils.createElement('label');
+    label.textContent = labelText;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'slider';
+    slider.min = '0';
+    slider.max = String(LOG_STEPS);
+    slider.value = String(Math.round((Math.log(source[key] / min) / Math.log(max / min)) * LOG_STEPS));
+    slider.setAttribute('aria-label', `${describeModulationSource(source)} ${labelText}`);
+
+    const value = Utils.createElement('span', 'modulation-value');
+    value.textContent = `${source[key]} ${unit}`;
+    slider.addEventListener('input', () => {
+        const exact = min * (max / min) ** (parseInt(slider.value) / LOG_STEPS);
+        source[key] = validateFloat(Math.round(exact * 100) / 100, min, max);
+        value.textContent = `${source[key]} ${unit}`;
+        commit();
+    });
+
+    const container = Utils.createElement('div', 'slider-container');
+    container.append(slider, value);
+    row.append(label, container);
+    return row;
+}
+
+// Helper: Sequencer steps as bars (-1 at the bottom, 1 at the top); click or drag to draw them
+function createStepEditor(source) {
+    const editor = Utils.createElement('div', 'modulation-steps');
+    editor.setAttribute('aria-label', `${describeModulationSource(source)} steps`);
+    const bars = source.steps.map((value, i) => {
+        const step = Utils.createElement('div', 'modulation-step');
+        step.title = `Step ${i + 1}`;
+        const bar = Utils.createElement('div', 'modulation-step-bar');
+        step.appendChild(bar);
+        editor.appendChild(step);
+        return bar;
+    });
+
+    const showStep = i => {
+        const value = source.steps[i];
+        // Bars grow from the middle line up or down
+        bars[i].style.bottom = `${(Math.min(value, 0) + 1) * 50}%`;
+        bars[i].style.height = `${Math.abs(value) * 50}%`;
+    };
+    source.steps.forEach((_, i) => showStep(i));
+
+    const drawAt = (event) => {
+        const rect = editor.getBoundingClientRect();
+        const i = Math.floor(((event.clientX - rect.left) / rect.width) * source.steps.length);
+        if (i < 0 || i >= source.steps.length) return;
+        const value = 1 - ((event.clientY - rect.top) / rect.height) * 2;
+        source.steps[i] = Math.round(validateFloat(value, MODULATION_RANGES.step.min, MODULATION_RANGES.step.max) * 100) / 100;
+        showStep(i);
+        commit();
+    };
+    editor.addEventListener('pointerdown', (event) => {
+        editor.setPointerCapture(event.pointerId);
+        drawAt(event);
+    });
+    editor.addEventListener('pointermove', (event) => {
+        if (editor.hasPointerCapture(event.pointerId)) drawAt(event);
+    });
+    return editor;
+}
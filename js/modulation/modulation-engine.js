@@ -0,0 +1,252 @@
+/**
+ * Modulation Engine - Steps the modulation clock with the simulation and writes modulated values
+ * Each modulated target keeps its own (base) value: whenever something else changes the target
+ * (a slider, MIDI, OSC, a preset, the morph), the new value becomes the base the routes move
+ * around. Values are written straight into CONFIG, so the on-screen controls stay at the base
+ * and show the modulation range and the current value as an overlay instead.
+ */
+
+import { CONFIG, state } from '../config.js';
+import { AudioSystem } from '../audio/audio-system.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+import { getMidiTargetElement } from '../midi/midi-targets.js';
+import { MIDI_SPECIES_TARGETS } from '../midi/midi-mapping.js';
+import {
+    MODULATION_PHYSICS_TARGETS, evaluateModulationSource, parseModulationTarget,
+    getModulationTargetRange, modulateValue, getModulationExtent, getModulationDisplay
+} from './modulation-matrix.js';
+
+let sources = [];
+let routes = [];
+// Seconds of simulation: 1/60 per live physics step, 1/frame rate per offline render step
+// (stands still while paused)
+let clock = 0;
+let frame = null;
+// Envelope id -> clock time of its last trigger
+const triggers = new Map();
+// Target id -> { base, written }: the target's own value and the last value written to it
+const modulatedTargets = new Map();
+// Controls currently showing modulation
+let decoratedElements = new Set();
+
+// A restart plays the modulation from the beginning again (seeded runs repeat exactly,
+// envelopes started by hand or by MIDI aside)
+eventBus.on(Events.SIMULATION_RESET, () => {
+    clock = 0;
+    triggers.clear();
+});
+
+eventBus.on(Events.SIMULATION_STEPPED, ({ seconds }) => {
+    const updateFlags = advanceModulation(seconds);
+    if (Object.keys(updateFlags).length > 0) AudioSystem.updateParameters(updateFlags);
+});
+
+/**
+ * Advance the modulation clock by one physics step and write every routed target
+ * Live steps arrive through SIMULATION_STEPPED; the offline renderer calls this itself
+ * @param {number} seconds - Length of the step
+ * @returns {Object} Audio update flags for the species parameters written (as for AudioSystem.updateParameters())
+ */
+export function advanceModulation(seconds) {
+    if (routes.length === 0) return {};
+    clock += seconds;
+    return applyRoutes(groupRoutes());
+}
+
+/**
+ * Current sources and routes
+ * @returns {{sources: Array<Object>, routes: Array<Object>}} Copies
+ */
+export function getModulation() {
+    return structuredClone({ sources, routes });
+}
+
+/**
+ * Replace the sources and routes (targets left without a route go back to their own value)
+ * @param {Object} modulation - { sources, routes } (already valid, see the preset validator)
+ */
+export function setModulation(modulation) {
+    sources = structuredClone(modulation.sources ?? []);
+    const sourceIds = new Set(sources.map(source => source.id));
+    routes = structuredClone(modulation.routes ?? []).filter(route => sourceIds.has(route.source));
+
+    for (const id of triggers.keys()) {
+        if (!sourceIds.has(id)) triggers.delete(id);
+    }
+    const routedTargets = new Set(routes.map(route => route.target));
+    for (const target of modulatedTargets.keys()) {
+        if (!routedTargets.has(target)) releaseTarget(target);
+    }
+
+    if (routes.length > 0 && frame === null) {
+        frame = requestAnimationFrame(tick);
+    }
+    if (routes.length === 0) updateDepthDisplay(new Map());
+}
+
+/**
+ * Start an envelope
+ * @param {string} id - Envelope source id
+ */
+export function triggerEnvelope(id) {
+    triggers.set(id, clock);
+}
+
+/**
+ * Start every envelope triggered by MIDI notes (called on each note-on)
+ */
+export function triggerNoteEnvelopes() {
+    sources.filter(source => source.type === 'envelope' && source.trigger === 'notes')
+        .forEach(source => triggerEnvelope(source.id));
+}
+
+/**
+ * Replace modulated values in a preset state with the targets' own values, so presets store what
+ * the modulation moves around rather than wherever it happened to be
+ * @param {Object} presetState - State from getCurrentState() (changed in place)
+ */
+export function writeModulationBases(presetState) {
+    for (const [target, entry] of modulatedTargets) {
+        const parsed = parseModulationTarget(target);
+        if (!parsed || readTargetValue(parsed) !== entry.written) continue;
+
+        if (parsed.kind === 'physics' && presetState.physics) {
+            presetState.physics[parsed.key] = entry.base;
+        } else if (parsed.kind === 'matrix' && presetState.relationships?.[parsed.from]) {
+            presetState.relationships[parsed.from][parsed.to] = entry.base;
+        } else if (parsed.kind === 'species') {
+            const values = presetState.species?.[MIDI_SPECIES_TARGETS[parsed.param].key];
+            if (values) values[parsed.species] = entry.base;
+        }
+    }
+}
+
+// Helper: One frame: write every routed target (picking up bases changed while paused), update the controls
+function tick() {
+    frame = null;
+    if (routes.length === 0) return;
+
+    const grouped = groupRoutes();
+    const updateFlags = applyRoutes(grouped);
+    if (Object.keys(updateFlags).length > 0) AudioSystem.updateParameters(updateFlags);
+
+    updateDepthDisplay(grouped.routesByTarget, grouped.sourcesById);
+    frame = requestAnimationFrame(tick);
+}
+
+// Helper: Sources by id and routes by target
+function groupRoutes() {
+    const sourcesById = new Map(sources.map(source => [source.id, source]));
+    const routesByTarget = new Map();
+    for (const route of routes) {
+        if (!routesByTarget.has(route.target)) routesByTarget.set(route.target, []);
+        routesByTarget.get(route.target).push(route);
+    }
+    return { sourcesById, routesByTarget };
+}
+
+// Helper: Write every routed target at the current clock, returning the audio update flags needed
+function applyRoutes({ sourcesById, routesByTarget }) {
+    const updateFlags = {};
+    for (const [target, targetRoutes] of routesByTarget) {
+        const amount = targetRoutes.reduce((sum, route) => {
+            const source = sourcesById.get(route.source);
+            return sum + route.depth * evaluateModulationSource(source, clock, triggers.get(source.id) ?? null);
+        }, 0);
+        applyModulation(target, amount, updateFlags);
+    }
+    return updateFlags;
+}
+
+// Helper: Write one target's modulated value (a value changed by someone else becomes the new base)
+function applyModulation(target, amount, updateFlags) {
+    const parsed = parseModulationTarget(target);
+    const current = parsed ? readTargetValue(parsed) : undefined;
+    if (current === undefined) return;
+
+    let entry = modulatedTargets.get(target);
+    if (!entry || current !== entry.written) {
+        entry = { base: current, written: current };
+        modulatedTargets.set(target, entry);
+    }
+
+    const value = modulateValue(entry.base, getModulationTargetRange(parsed), amount);
+    if (value === entry.written) return;
+    writeTargetValue(parsed, value, updateFlags);
+    entry.written = readTargetValue(parsed);
+}
+
+// Helper: Give a target its own value back, unless something else has changed it since
+function releaseTarget(target) {
+    const entry = modulatedTargets.get(target);
+    modulatedTargets.delete(target);
+    const parsed = parseModulationTarget(target);
+    if (!parsed || readTargetValue(parsed) !== entry.written) return;
+
+    const updateFlags = {};
+    writeTargetValue(parsed, entry.base, updateFlags);
+    if (Object.keys(updateFlags).length > 0) AudioSystem.updateParameters(updateFlags);
+}
+
+function readTargetValue(parsed) {
+    if (parsed.kind === 'physics') return CONFIG.physics[parsed.key];
+    if (parsed.kind === 'matrix') return CONFIG.relationships[parsed.from]?.[parsed.to];
+    return CONFIG.species[MIDI_SPECIES_TARGETS[parsed.param].key]?.[parsed.species];
+}
+
+function writeTargetValue(parsed, value, updateFlags) {
+    if (parsed.kind === 'physics') {
+        CONFIG.physics[parsed.key] = value;
+        if (parsed.key === 'maxForceDistance' && state.spatialGrid) {
+            state.spatialGrid.updateCellSize(value);
+        }
+    } else if (parsed.kind === 'matrix') {
+        CONFIG.relationships[parsed.from][parsed.to] = value;
+    } else {
+        const definition = MIDI_SPECIES_TARGETS[parsed.param];
+        CONFIG.species[definition.key][parsed.species] = AudioSystem.validateParameter(definition.type, value);
+        updateFlags[definition.update] = true;
+    }
+}
+
+// Helper: Modulation range and current value on each modulated control that is on screen
+// (sliders of the species shown in the audio tabs, matrix cells, physics sliders)
+function updateDepthDisplay(routesByTarget, sourcesById) {
+    const decorated = new Set();
+    for (const [target, targetRoutes] of routesByTarget) {
+        const parsed = parseModulationTarget(target);
+        const element = parsed ? getControlElement(parsed) : null;
+        const entry = modulatedTargets.get(target);
+        if (!element || !entry) continue;
+
+        const range = getModulationTargetRange(parsed);
+        // Physics sliders are drawn over their own min/max (bounce damping's runs past its range)
+        const controlRange = parsed.kind === 'physics'
+            ? { min: parseFloat(element.min), max: parseFloat(element.max) }
+            : range;
+        const display = getModulationDisplay(
+            entry.base, entry.written, range, getModulationExtent(targetRoutes, sourcesById), controlRange
+        );
+        element.classList.add('modulated');
+        element.style.setProperty('--mod-low', `${display.low}%`);
+        element.style.setProperty('--mod-high', `${display.high}%`);
+        element.style.setProperty('--mod-value', `${display.value}%`);
+        decorated.add(element);
+    }
+
+    for (const element of decoratedElements) {
+        if (decorated.has(element)) continue;
+        element.classList.remove('modulated');
+        ['--mod-low', '--mod-high', '--mod-value'].forEach(name => element.style.removeProperty(name));
+    }
+    decoratedElements = decorated;
+}
+
+function getControlElement(parsed) {
+    if (parsed.kind === 'physics') {
+        const { slider } = MODULATION_PHYSICS_TARGETS[parsed.key];
+        return slider ? getMidiTargetElement(`slider:${slider}`) : null;
+    }
+    if (parsed.kind === 'matrix') return getMidiTargetElement(`matrix:${parsed.from}:${parsed.to}`);
+    return getMidiTargetElement(`species:${parsed.species}:${parsed.param}`);
+}
@@ -0,0 +1,275 @@
+/**
+ * Modulation Matrix - Modulation sources, their targets and the routes between them
+ * Sources are functions of the modulation clock (seconds of running simulation), so a run with
+ * the same settings always moves the same way:
+ *   lfo        sine, triangle, random (smooth) or sample & hold, -1 to 1
+ *   envelope   attack/release ramp, 0 to 1, started by the trigger button, every MIDI note-on, or looping
+ *   sequencer  SEQUENCER_STEP_COUNT steps of -1 to 1, stepped or gliding
+ * Target ids:
+ *   'physics:<key>'          - a CONFIG.physics value from MODULATION_PHYSICS_TARGETS
+ *   'matrix:<from>:<to>'     - a force matrix cell (same id as MIDI learn)
+ *   'species:<i>:<param>'    - a per-species audio parameter (same id as MIDI learn)
+ * A route { source, target, depth } moves the target by source × depth × the target's full range
+ * around its own value; depth runs from -1 to 1. No DOM access, so modulation is tested in Node.
+ */
+
+import { createSeededRandom, deriveSeed } from '../shared/random.js';
+import { validateInt, validateFloat, lerp } from '../shared/validation-utils.js';
+import { MIDI_MATRIX_RANGE, MIDI_SPECIES_TARGETS, parseMidiTarget, describeMidiTarget } from '../midi/midi-mapping.js';
+
+export const MODULATION_SOURCE_TYPES = ['lfo', 'envelope', 'sequencer'];
+export const LFO_SHAPES = ['sine', 'triangle', 'random', 'sampleHold'];
+export const ENVELOPE_TRIGGERS = ['manual', 'notes', 'loop'];
+
+export const SEQUENCER_STEP_COUNT = 8;
+export const MAX_MODULATION_SOURCES = 8;
+export const MAX_MODULATION_ROUTES = 32;
+
+// Rates in Hz (LFO cycles or sequencer steps per second), envelope ramps in seconds
+export const MODULATION_RANGES = {
+    rate: { min: 0.01, max: 20 },
+    attack: { min: 0.01, max: 10 },
+    release: { min: 0.01, max: 10 },
+    step: { min: -1, max: 1 },
+    depth: { min: -1, max: 1 }
+};
+
+// Settings of a new source of each type
+export const MODULATION_SOURCE_DEFAULTS = {
+    lfo: { shape: 'sine', rate: 0.25 },
+    envelope: { attack: 0.5, release: 2, trigger: 'manual' },
+    sequencer: { rate: 2, glide: false, steps: [1, 0.5, 0, -0.5, -1, -0.5, 0, 0.5] }
+};
+
+const SOURCE_LABELS = { lfo: 'LFO', envelope: 'Envelope', sequencer: 'Sequencer' };
+
+// CONFIG.physics values that can be modulated; slider = on-screen control showing the modulation.
+// Ranges are what the slider can set (bounce damping's slider goes to 1.5 but its handler stops at 1);
+// values without a slider use PRESET_RANGES.physics
+export const MODULATION_PHYSICS_TARGETS = {
+    friction: { label: 'Friction', slider: 'friction', min: 0.85, max: 1 },
+    maxForceDistance: { label: 'Force Radius', slider: 'forceRadius', min: 20, max: 200, int: true },
+    simulationSpeed: { label: 'Simulation Speed', slider: 'simSpeed', min: 0.1, max: 2 },
+    gravityStrength: { label: 'Gravity', slider: 'gravityStrength', min: 0, max: 10 },
+    bounceDamping: { label: 'Bounce Damping', slider: 'bounceDamping', min: 0.5, max: 1 },
+    maxSpeed: { label: 'Max Speed', min: 0.1, max: 20 },
+    orbitalStrength: { label: 'Orbital Strength', min: 0, max: 1 }
+};
+
+/**
+ * New source with the type's default settings
+ * @param {string} type - One of MODULATION_SOURCE_TYPES
+ * @param {Array<Object>} existing - Current sources (the id takes the first free number)
+ * @returns {Object|null} { id, type, ...settings }, or null for an unknown type or a full list
+ */
+export function createModulationSource(type, existing) {
+    if (!MODULATION_SOURCE_TYPES.includes(type) || existing.length >= MAX_MODULATION_SOURCES) return null;
+    const ids = new Set(existing.map(source => source.id));
+    let number = 1;
+    while (ids.has(`${type}${number}`)) number++;
+    return { id: `${type}${number}`, type, ...structuredClone(MODULATION_SOURCE_DEFAULTS[type]) };
+}
+
+/**
+ * Readable name of a source
+ * @param {Object} source - Source
+ * @returns {string} e.g. "LFO 1", "Sequencer 2"
+ */
+export function describeModulationSource(source) {
+    const number = source.id.slice(source.type.length);
+    return `${SOURCE_LABELS[source.type] ?? source.type} ${number}`;
+}
+
+/**
+ * Whether a source swings both ways (-1 to 1) rather than 0 to 1
+ * @param {Object} source - Source
+ * @returns {boolean} False for envelopes
+ */
+export function isBipolarSource(source) {
+    return source.type !== 'envelope';
+}
+
+// Helper: Repeatable noise value (-1 to 1) for one cycle of a source
+function cycleNoise(id, cycle) {
+    return createSeededRandom(deriveSeed(cycle, id))() * 2 - 1;
+}
+
+// Helper: Attack/release ramp t seconds after its start (0 once released)
+function envelopeValue({ attack, release }, t) {
+    if (t < 0) return 0;
+    if (t < attack) return t / attack;
+    if (t < attack + release) return 1 - (t - attack) / release;
+    return 0;
+}
+
+/**
+ * Output of a source at a point of the modulation clock
+ * @param {Object} source - Source
+ * @param {number} time - Modulation clock in seconds
+ * @param {number|null} [triggerTime] - Last trigger of an envelope (null = never triggered)
+ * @returns {number} -1 to 1 (envelopes 0 to 1)
+ */
+export function evaluateModulationSource(source, time, triggerTime = null) {
+    if (source.type === 'envelope') {
+        if (source.trigger === 'loop') {
+            const period = source.attack + source.release;
+            return envelopeValue(source, (time - (triggerTime ?? 0)) % period);
+        }
+        return triggerTime === null ? 0 : envelopeValue(source, time - triggerTime);
+    }
+
+    const position = Math.max(0, time) * source.rate;
+    const cycle = Math.floor(position);
+    const phase = position - cycle;
+
+    if (source.type === 'sequencer') {
+        const { steps } = source;
+        const current = steps[cycle % steps.length];
+        return source.glide ? lerp(current, steps[(cycle + 1) % steps.length], phase) : current;
+    }
+
+    switch (source.shape) {
+        case 'triangle':
+            return 1 - 4 * Math.abs(phase - 0.5);
+        case 'random':
+            // Cosine-eased glide between one noise value per cycle
+            return lerp(cycleNoise(source.id, cycle), cycleNoise(source.id, cycle + 1), (1 - Math.cos(phase * Math.PI)) / 2);
+        case 'sampleHold':
+            return cycleNoise(source.id, cycle);
+        default:
+            return Math.sin(2 * Math.PI * phase);
+    }
+}
+
+/**
+ * Split a target id into its parts
+ * @param {string} target - Target id
+ * @returns {Object|null} { kind: 'physics', key } | { kind: 'matrix', from, to } |
+ *   { kind: 'species', species, param }, or null when invalid
+ */
+export function parseModulationTarget(target) {
+    if (typeof target !== 'string') return null;
+    if (target.startsWith('physics:')) {
+        const key = target.slice('physics:'.length);
+        return Object.hasOwn(MODULATION_PHYSICS_TARGETS, key) ? { kind: 'physics', key } : null;
+    }
+    const parsed = parseMidiTarget(target);
+    return parsed && parsed.kind !== 'slider' ? parsed : null;
+}
+
+/**
+ * Range a target is modulated over
+ * @param {Object} parsed - Target from parseModulationTarget()
+ * @returns {{min: number, max: number, int: boolean}} Range
+ */
+export function getModulationTargetRange(parsed) {
+    if (parsed.kind === 'physics') {
+        const { min, max, int = false } = MODULATION_PHYSICS_TARGETS[parsed.key];
+        return { min, max, int };
+    }
+    if (parsed.kind === 'matrix') return { ...MIDI_MATRIX_RANGE, int: false };
+
+    const definition = MIDI_SPECIES_TARGETS[parsed.param];
+    const max = typeof definition.max === 'function' ? definition.max(parsed.species) : definition.max;
+    return { min: definition.min, max, int: definition.int === true };
+}
+
+/**
+ * Readable name of a target
+ * @param {string} target - Target id
+ * @returns {string} e.g. "Friction", "Matrix A → C", "Species B Volume"
+ */
+export function describeModulationTarget(target) {
+    const parsed = parseModulationTarget(target);
+    if (parsed?.kind === 'physics') return MODULATION_PHYSICS_TARGETS[parsed.key].label;
+    return describeMidiTarget(target);
+}
+
+/**
+ * All targets that can be picked, grouped for a menu
+ * @param {number} speciesCount - Species in use (matrix cells and species parameters listed)
+ * @returns {Array<{group: string, targets: Array<string>}>} Groups of target ids
+ */
+export function listModulationTargets(speciesCount) {
+    const species = Array.from({ length: speciesCount }, (_, i) => i);
+    return [
+        { group: 'Physics', targets: Object.keys(MODULATION_PHYSICS_TARGETS).map(key => `physics:${key}`) },
+        { group: 'Force Matrix', targets: species.flatMap(from => species.map(to => `matrix:${from}:${to}`)) },
+        {
+            group: 'Species Audio',
+            targets: species.flatMap(i => Object.keys(MIDI_SPECIES_TARGETS).map(param => `species:${i}:${param}`))
+        }
+    ];
+}
+
+/**
+ * Whether a stored route can be used
+ * @param {Object} route - { source, target, depth }
+ * @param {Array<string>} sourceIds - Ids of the existing sources
+ * @returns {boolean} True when the source exists, the target is valid and depth is within -1 to 1
+ */
+export function isValidModulationRoute(route, sourceIds) {
+    return typeof route === 'object' && route !== null &&
+        sourceIds.includes(route.source) &&
+        parseModulationTarget(route.target) !== null &&
+        Number.isFinite(route.depth) &&
+        route.depth >= MODULATION_RANGES.depth.min && route.depth <= MODULATION_RANGES.depth.max;
+}
+
+/**
+ * Modulated value of a target
+ * @param {number} base - The target's own value
+ * @param {Object} range - { min, max, int } from getModulationTargetRange()
+ * @param {number} amount - Sum of source output × depth over the target's routes
+ * @returns {number} base + amount × (max - min), clamped to the range (rounded for int targets)
+ */
+export function modulateValue(base, range, amount) {
+    const value = base + amount * (range.max - range.min);
+    return range.int
+        ? validateInt(Math.round(value), range.min, range.max)
+        : validateFloat(value, range.min, range.max);
+}
+
+/**
+ * How far a target's routes can move it, for showing depth on its control
+ * @param {Array<Object>} routes - The target's routes
+ * @param {Map<string, Object>} sourcesById - Sources by id
+ * @returns {{low: number, high: number}} Lowest and highest amount (see modulateValue())
+ */
+export function getModulationExtent(routes, sourcesById) {
+    let low = 0;
+    let high = 0;
+    for (const route of routes) {
+        const source = sourcesById.get(route.source);
+        if (!source) continue;
+        if (isBipolarSource(source)) {
+            low -= Math.abs(route.depth);
+            high += Math.abs(route.depth);
+        } else {
+            low += Math.min(0, route.depth);
+            high += Math.max(0, route.depth);
+        }
+    }
+    return { low, high };
+}
+
+/**
+ * Where to draw a target's modulation on its control
+ * @param {number} base - The target's own value
+ * @param {number} value - Its current modulated value
+ * @param {Object} range - { min, max, int } from getModulationTargetRange()
+ * @param {{low: number, high: number}} extent - From getModulationExtent()
+ * @param {{min: number, max: number}} [controlRange] - The control's own scale, when it differs from range
+ * @returns {{low: number, high: number, value: number}} Positions along the control, 0-100 (%)
+ */
+export function getModulationDisplay(base, value, range, extent, controlRange = range) {
+    const position = v => {
+        const percent = ((v - controlRange.min) / (controlRange.max - controlRange.min)) * 100;
+        return Math.min(100, Math.max(0, percent));
+    };
+    return {
+        low: position(modulateValue(base, range, extent.low)),
+        high: position(modulateValue(base, range, extent.high)),
+        value: position(value)
+    };
+}
@@ -0,0 +1,152 @@
+/**
+ * OSC Client - Connects the page to the dev server's OSC bridge (ws://<host>/osc)
+ * Incoming OSC sets parameters through the MIDI target plumbing (applyTargetValue), and
+ * particle telemetry is sent back at a chosen rate. Only available with `npm run dev`;
+ * the static site has no bridge.
+ */
+
+import { CONFIG, state, audioEngine } from '../config.js';
+import { EventListenerManager } from '../shared/event-manager.js';
+import { safeGetElement, updateElementText } from '../shared/dom-utils.js';
+import { decodeOscPacket } from './osc-codec.js';
+import { oscAddressToTarget, oscValue, buildTelemetryPackets } from './osc-routes.js';
+import { applyTargetValue } from '../midi/midi-targets.js';
+
+const OSC_PATH = '/osc';
+
+// Telemetry is skipped while this much is still queued on the socket (slow bridge)
+const MAX_BUFFERED_BYTES = 256 * 1024;
+
+// Unknown addresses warned about per connection; a sender sweeping addresses is not tracked past this
+const MAX_UNKNOWN_ADDRESSES = 100;
+
+// Event listener manager
+const eventManager = new EventListenerManager('OscClient');
+
+let socket = null;
+let telemetryTimer = null;
+let telemetryRate = 10;
+// Addresses already reported as unknown on this connection (warned once each, up to MAX_UNKNOWN_ADDRESSES)
+const unknownAddresses = new Set();
+
+/**
+ * Initialize the OSC panel
+ */
+export function initOscControls() {
+    eventManager.removeAll();
+
+    const connectButton = safeGetElement('oscConnect', null, false);
+    if (connectButton) {
+        eventManager.add(connectButton, 'click', () => (socket ? disconnectOsc() : connectOsc()));
+    }
+
+    const telemetryCheckbox = safeGetElement('oscTelemetry', null, false);
+    if (telemetryCheckbox) eventManager.add(telemetryCheckbox, 'change', () => updateTelemetry());
+
+    const rateSelect = safeGetElement('oscTelemetryRate', null, false);
+    if (rateSelect) {
+        eventManager.add(rateSelect, 'change', (e) => {
+            telemetryRate = parseInt(e.target.value) || 10;
+            updateTelemetry();
+        });
+    }
+
+    console.log('📡 OSC controls initialized');
+}
+
+/**
+ * Open the WebSocket to the bridge
+ */
+export function connectOsc() {
+    if (socket) return;
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    socket = new WebSocket(`${protocol}//${location.host}${OSC_PATH}`);
+    socket.binaryType = 'arraybuffer';
+    unknownAddresses.clear();
+    updateStatus('Connecting...');
+
+    // A socket that never opened means there is no bridge (static hosting)
+    let opened = false;
+    socket.onopen = () => {
+        opened = true;
+        updateStatus('Connected to the OSC bridge');
+        updateConnectButton(true);
+        updateTelemetry();
+        console.log('📡 OSC bridge connected');
+    };
+    socket.onmessage = (event) => {
+        if (event.data instanceof ArrayBuffer) handleOscPacket(event.data);
+    };
+    socket.onclose = () => {
+        socket = null;
+        stopTelemetry();
+        updateConnectButton(false);
+        updateStatus(opened ? 'Disconnected' : 'No OSC bridge (start it with npm run dev)');
+    };
+    socket.onerror = () => console.warn('OSC bridge connection error');
+}
+
+/**
+ * Close the WebSocket to the bridge
+ */
+export function disconnectOsc() {
+    socket?.close();
+}
+
+// Helper: Apply every message of a received packet
+function handleOscPacket(data) {
+    let messages;
+    try {
+        messages = decodeOscPacket(data);
+    } catch (error) {
+        console.warn('Ignored malformed OSC packet:', error.message);
+        return;
+    }
+
+    for (const { address, args } of messages) {
+        const target = oscAddressToTarget(address);
+        const value = oscValue(args);
+        if (target && value !== null && applyTargetValue(target, value)) continue;
+
+        warnUnknownAddress(address);
+    }
+}
+
+// Helper: Warn once per unknown address, going quiet once MAX_UNKNOWN_ADDRESSES have been reported
+function warnUnknownAddress(address) {
+    if (unknownAddresses.has(address) || unknownAddresses.size >= MAX_UNKNOWN_ADDRESSES) return;
+    unknownAddresses.add(address);
+    console.warn(`OSC ${address}: unknown address or no numeric value`);
+    if (unknownAddresses.size === MAX_UNKNOWN_ADDRESSES) {
+        console.warn(`OSC: ${MAX_UNKNOWN_ADDRESSES} unknown addresses reported, ignoring further ones quietly`);
+    }
+}
+
+// Helper: Run telemetry while connected and switched on
+function updateTelemetry() {
+    stopTelemetry();
+    const enabled = safeGetElement('oscTelemetry', null, false)?.checked;
+    if (!enabled || socket?.readyState !== WebSocket.OPEN) return;
+    telemetryTimer = setInterval(sendTelemetry, 1000 / telemetryRate);
+}
+
+function stopTelemetry() {
+    clearInterval(telemetryTimer);
+    telemetryTimer = null;
+}
+
+// Helper: One telemetry frame (skipped while paused or when the socket is backed up)
+function sendTelemetry() {
+    if (socket?.readyState !== WebSocket.OPEN || state.isPaused) return;
+    if (socket.bufferedAmount > MAX_BUFFERED_BYTES) return;
+    const packets = buildTelemetryPackets(state.particles, audioEngine.voiceAllocations, CONFIG.canvas);
+    packets.forEach(packet => socket.send(packet));
+}
+
+function updateConnectButton(connected) {
+    updateElementText('oscConnect', connected ? '🔌 Disconnect' : '🔌 Connect');
+}
+
+function updateStatus(text) {
+    updateElementText('oscStatus', text);
+}
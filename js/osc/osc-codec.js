@@ -0,0 +1,190 @@
+/**
+ * OSC Codec - Open Sound Control 1.0 messages and bundles as bytes
+ * Runs in the browser and under Node (DataView only). Supported argument types:
+ * i (int32), f (float32), d (float64), s (string), b (blob), T/F (true/false), N (nil), I (impulse).
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// "#bundle\0" and the "immediately" time tag
+const BUNDLE_TAG = '#bundle';
+const IMMEDIATE_TIMETAG = [0, 1];
+
+// Helper: Bytes rounded up to the next multiple of 4
+function padded(length) {
+    return (length + 3) & ~3;
+}
+
+// Helper: OSC string (NUL terminated, padded to 4 bytes)
+function encodeString(text) {
+    const bytes = textEncoder.encode(text);
+    const result = new Uint8Array(padded(bytes.length + 1));
+    result.set(bytes);
+    return result;
+}
+
+// Helper: OSC blob (int32 size, data, padding)
+function encodeBlob(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const result = new Uint8Array(4 + padded(bytes.length));
+    new DataView(result.buffer).setInt32(0, bytes.length);
+    result.set(bytes, 4);
+    return result;
+}
+
+// Helper: Join byte arrays
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+/**
+ * Encode one message
+ * @param {string} address - Address pattern, e.g. '/matrix/0/1'
+ * @param {string} types - Type tags without the comma, one per argument (e.g. 'sff')
+ * @param {Array} [args] - Values for the data-carrying tags (T, F, N and I take none)
+ * @returns {Uint8Array} Message bytes
+ * @throws {Error} On an unsupported type tag or too few arguments
+ */
+export function encodeOscMessage(address, types, args = []) {
+    const parts = [encodeString(address), encodeString(`,${types}`)];
+    let next = 0;
+
+    for (const type of types) {
+        if ('TFNI'.includes(type)) continue;
+        if (next >= args.length) throw new Error(`OSC ${address}: missing argument for '${type}'`);
+        const value = args[next++];
+        const view = new DataView(new ArrayBuffer(type === 'd' ? 8 : 4));
+
+        switch (type) {
+            case 'i':
+                view.setInt32(0, value);
+                parts.push(new Uint8Array(view.buffer));
+                break;
+            case 'f':
+                view.setFloat32(0, value);
+                parts.push(new Uint8Array(view.buffer));
+                break;
+            case 'd':
+                view.setFloat64(0, value);
+                parts.push(new Uint8Array(view.buffer));
+                break;
+            case 's':
+                parts.push(encodeString(String(value)));
+                break;
+            case 'b':
+                parts.push(encodeBlob(value));
+                break;
+            default:
+                throw new Error(`OSC ${address}: unsupported type '${type}'`);
+        }
+    }
+    return concat(parts);
+}
+
+/**
+ * Wrap encoded messages (or bundles) in a bundle to be handled together
+ * @param {Array<Uint8Array>} elements - Encoded packets
+ * @returns {Uint8Array} Bundle bytes with the "immediately" time tag
+ */
+export function encodeOscBundle(elements) {
+    const header = new Uint8Array(16);
+    header.set(encodeString(BUNDLE_TAG));
+    const view = new DataView(header.buffer);
+    view.setUint32(8, IMMEDIATE_TIMETAG[0]);
+    view.setUint32(12, IMMEDIATE_TIMETAG[1]);
+
+    const parts = [header];
+    for (const element of elements) {
+        const size = new Uint8Array(4);
+        new DataView(size.buffer).setInt32(0, element.length);
+        parts.push(size, element);
+    }
+    return concat(parts);
+}
+
+// Helper: Read an OSC string at an offset → { value, next offset }
+function readString(bytes, offset) {
+    let end = offset;
+    while (end < bytes.length && bytes[end] !== 0) end++;
+    if (end >= bytes.length) throw new Error('OSC string is not terminated');
+    return { value: textDecoder.decode(bytes.subarray(offset, end)), offset: offset + padded(end - offset + 1) };
+}
+
+// Helper: Decode one message
+function decodeMessage(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const address = readString(bytes, 0);
+    if (!address.value.startsWith('/')) throw new Error(`Not an OSC address: ${address.value}`);
+
+    // A message without a type tag string has no arguments
+    if (address.offset >= bytes.length) return { address: address.value, types: '', args: [] };
+    const tags = readString(bytes, address.offset);
+    if (!tags.value.startsWith(',')) throw new Error(`OSC ${address.value}: missing type tags`);
+
+    const types = tags.value.slice(1);
+    const args = [];
+    let offset = tags.offset;
+    for (const type of types) {
+        const size = type === 'd' ? 8 : 'ifb'.includes(type) ? 4 : 0;
+        if (offset + size > bytes.length) throw new Error(`OSC ${address.value}: truncated arguments`);
+        switch (type) {
+            case 'i': args.push(view.getInt32(offset)); offset += 4; break;
+            case 'f': args.push(view.getFloat32(offset)); offset += 4; break;
+            case 'd': args.push(view.getFloat64(offset)); offset += 8; break;
+            case 's': {
+                const text = readString(bytes, offset);
+                args.push(text.value);
+                offset = text.offset;
+                break;
+            }
+            case 'b': {
+                const blobSize = view.getInt32(offset);
+                args.push(bytes.slice(offset + 4, offset + 4 + blobSize));
+                offset += 4 + padded(blobSize);
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            case 'I': args.push(Infinity); break;
+            default:
+                // Unknown tags have unknown sizes: nothing after them can be read
+                throw new Error(`OSC ${address.value}: unsupported type '${type}'`);
+        }
+        if (offset > bytes.length) throw new Error(`OSC ${address.value}: truncated arguments`);
+    }
+    return { address: address.value, types, args };
+}
+
+/**
+ * Decode a packet into its messages (bundles are flattened in order; time tags are ignored,
+ * every message applies immediately)
+ * @param {ArrayBuffer|Uint8Array} packet - Received packet
+ * @returns {Array<{address: string, types: string, args: Array}>} Messages
+ * @throws {Error} If the packet is malformed
+ */
+export function decodeOscPacket(packet) {
+    const bytes = packet instanceof Uint8Array ? packet : new Uint8Array(packet);
+    if (bytes.length < 4 || bytes.length % 4 !== 0) throw new Error('OSC packet size must be a multiple of 4');
+    if (bytes[0] !== 0x23) return [decodeMessage(bytes)];
+
+    const tag = readString(bytes, 0);
+    if (tag.value !== BUNDLE_TAG) throw new Error('Not an OSC bundle');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const messages = [];
+    let offset = 16;
+    while (offset < bytes.length) {
+        const size = view.getInt32(offset);
+        if (size <= 0 || offset + 4 + size > bytes.length) throw new Error('OSC bundle element is truncated');
+        messages.push(...decodeOscPacket(bytes.subarray(offset + 4, offset + 4 + size)));
+        offset += 4 + size;
+    }
+    return messages;
+}
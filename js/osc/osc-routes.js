@@ -0,0 +1,62 @@
+/**
+ * OSC Routes - OSC addresses for parameters, and the particle telemetry sent back
+ * Incoming (values in the parameter's own units; same targets as MIDI learn):
+ *   /<slider id> f           a slider from setupSliders(), e.g. /friction 0.8, /simSpeed 1.5
+ *   /matrix/<from>/<to> f    a force matrix cell (-1 to 1)
+ *   /species/<i>/<param> f   a per-species audio parameter, e.g. /species/2/pitch 7
+ * Outgoing, per telemetry frame: /particles i (count), then bundles of
+ *   /particle s i f f f f i  id, species, x, y (0-1 from the top left), vx, vy (pixels/frame), voice (1 = playing)
+ * No DOM access, so routes are tested in Node.
+ */
+
+import { parseMidiTarget } from '../midi/midi-mapping.js';
+import { encodeOscMessage, encodeOscBundle } from './osc-codec.js';
+
+// Particles per telemetry bundle (~60 bytes each, well inside one UDP datagram)
+export const TELEMETRY_CHUNK = 100;
+
+/**
+ * Target id for an incoming address
+ * @param {string} address - OSC address, e.g. '/matrix/0/1'
+ * @returns {string|null} Target id ('slider:…', 'matrix:…', 'species:…'), or null if unknown
+ */
+export function oscAddressToTarget(address) {
+    const parts = String(address).split('/').slice(1);
+    let target = null;
+    if (parts.length === 1) {
+        target = `slider:${parts[0]}`;
+    } else if (parts.length === 3 && (parts[0] === 'matrix' || parts[0] === 'species')) {
+        target = `${parts[0]}:${parts[1]}:${parts[2]}`;
+    }
+    return target && parseMidiTarget(target) ? target : null;
+}
+
+/**
+ * Value carried by a message's arguments
+ * @param {Array} args - Decoded arguments
+ * @returns {number|null} First number (true/false as 1/0), or null when there is none
+ */
+export function oscValue(args) {
+    const value = args.find(arg => typeof arg === 'number' || typeof arg === 'boolean');
+    if (value === undefined) return null;
+    return typeof value === 'boolean' ? Number(value) : value;
+}
+
+/**
+ * Telemetry packets for one frame
+ * @param {Array<Object>} particles - Particles ({ audioId, species, x, y, vx, vy })
+ * @param {Map<number, Set<string>>} voiceAllocations - species -> audioIds holding a voice
+ * @param {Object} canvas - { width, height }
+ * @returns {Array<Uint8Array>} Count message, then bundles of TELEMETRY_CHUNK particles
+ */
+export function buildTelemetryPackets(particles, voiceAllocations, { width, height }) {
+    const packets = [encodeOscMessage('/particles', 'i', [particles.length])];
+    for (let start = 0; start < particles.length; start += TELEMETRY_CHUNK) {
+        const messages = particles.slice(start, start + TELEMETRY_CHUNK).map(p => {
+            const voice = voiceAllocations?.get(p.species)?.has(p.audioId) ? 1 : 0;
+            return encodeOscMessage('/particle', 'siffffi', [p.audioId, p.species, p.x / width, p.y / height, p.vx, p.vy, voice]);
+        });
+        packets.push(encodeOscBundle(messages));
+    }
+    return packets;
+}
@@ -10,7 +10,7 @@ import { CONFIG, state } from '../config.js';
  * @param {number} forceStrength - Base force strength from relationship matrix
  * @returns {number} Final force value
  */
-function calculateForceCurve(distance, forceStrength) {
+export function calculateForceCurve(distance, forceStrength) {
     const mode = CONFIG.physics.forceCurveMode;
 
     switch(mode) {
@@ -58,12 +58,19 @@ function calculateForceCurve(distance, forceStrength) {
 
 // Particle class with motion blur trails
 export class Particle {
-    constructor(species) {
+    /**
+     * @param {number} species - Species index
+     * @param {Object} [spawn] - Start { x, y, vx, vy } (each omitted value is random) and the
+     *   burstId of a note burst (spawnParticleBurst); without it the particle is part of the species count
+     */
+    constructor(species, spawn = {}) {
         this.species = species;
-        this.x = Math.random() * CONFIG.canvas.width;
-        this.y = Math.random() * CONFIG.canvas.height;
-        this.vx = (Math.random() - 0.5) * 2;
-        this.vy = (Math.random() - 0.5) * 2;
+        const random = state.rng.physics;
+        this.x = spawn.x ?? random() * CONFIG.canvas.width;
+        this.y = spawn.y ?? random() * CONFIG.canvas.height;
+        this.vx = spawn.vx ?? (random() - 0.5) * 2;
+        this.vy = spawn.vy ?? (random() - 0.5) * 2;
+        this.burstId = spawn.burstId ?? null;
         this.updateSize();
         this.color = [...CONFIG.species.colors[species]];
         this.age = 0;
@@ -71,7 +78,7 @@ export class Particle {
         this.velocityMagnitudeSquared = 0;
 
         // Audio-specific properties
-        this.audioId = Math.random().toString(36).substr(2, 9); // Unique ID for audio tracking
+        this.audioId = random().toString(36).substr(2, 9); // Unique ID for audio tracking
 
         // Trail spawning optimization - track last spawn position
         this.lastTrailX = this.x;
@@ -5,10 +5,9 @@
 import { CONFIG, state, audioEngine } from '../config.js';
 import { Particle, TrailParticle } from './particle.js';
 import { SpatialGrid } from './spatial-grid.js';
+import { createSeededRandom, deriveSeed } from '../shared/random.js';
 import { eventBus, Events } from '../shared/event-bus.js';
-import { PhysicsRenderer } from '../rendering/physics-renderer.js';
-import { updateVoiceSliders } from '../ui/audio-controls.js';
-import { AudioSystem } from '../audio/audio-system.js';
+import { clamp } from '../shared/validation-utils.js';
 
 // Animation loop variables
 let lastFrameTime = performance.now();
@@ -16,11 +15,31 @@ let frameCount = 0;
 let fpsUpdateTime = performance.now();
 let frameTimeHistory = [];
 
-// Renderer instance
+// Simulated seconds per live physics step (one step per display frame)
+const LIVE_STEP_SECONDS = 1 / 60;
+
+// Renderer instance - injected via PhysicsEngine.init() so the simulation core stays DOM-free
 let renderer = null;
 
+// Burst particles (MIDI notes) come on top of the species counts; cap them to protect the frame rate
+export const MAX_BURST_PARTICLES = 400;
+let nextBurstId = 1;
+
+/**
+ * Reseed the physics and matrix random streams from CONFIG.simulation
+ * Falls back to Math.random() when deterministic mode is off
+ */
+export function applySimulationSeed() {
+    const { deterministic, seed } = CONFIG.simulation;
+    state.rng.physics = deterministic ? createSeededRandom(deriveSeed(seed, 'physics')) : Math.random;
+    state.rng.matrix = deterministic ? createSeededRandom(deriveSeed(seed, 'matrix')) : Math.random;
+}
+
 // Initialize particles
 export function initParticles() {
+    // Every (re)initialization restarts the seeded streams so runs are reproducible
+    applySimulationSeed();
+
     const newParticles = [];
     for (let species = 0; species < CONFIG.species.count; species++) {
         for (let i = 0; i < CONFIG.species.counts[species]; i++) {
@@ -47,11 +66,11 @@ export function initTrailSystem() {
     console.log('🎨 Trail particle system initialized!');
 }
 
-// Adjust particle counts dynamically
+// Adjust particle counts dynamically (burst particles are not counted and never removed here)
 export function adjustParticleCounts() {
     let currentCounts = new Array(CONFIG.species.maxCount).fill(0);
     for (let particle of state.particles) {
-        currentCounts[particle.species]++;
+        if (particle.burstId === null) currentCounts[particle.species]++;
     }
 
     for (let species = 0; species < CONFIG.species.count; species++) {
@@ -65,7 +84,7 @@ export function adjustParticleCounts() {
         } else if (currentCount > targetCount) {
             let toRemove = currentCount - targetCount;
             for (let i = state.particles.length - 1; i >= 0 && toRemove > 0; i--) {
-                if (state.particles[i].species === species) {
+                if (state.particles[i].species === species && state.particles[i].burstId === null) {
                     state.particles.splice(i, 1);
                     toRemove--;
                 }
@@ -77,21 +96,63 @@ export function adjustParticleCounts() {
     state.particles = state.particles.filter(p => p.species < CONFIG.species.count);
     updateParticleCountDisplay();
 
-    // Update voice sliders to reflect new particle counts
-    updateVoiceSliders();
+    // UI updates voice sliders and audio re-syncs voice limits against the new counts
+    eventBus.emit(Events.PARTICLES_COUNTS_CHANGED, { counts: [...CONFIG.species.counts] });
+}
 
-    // CRITICAL: Sync updated particle counts to audio worklet for voice allocation
-    // This ensures maxVoices comparisons use correct particle counts
-    AudioSystem.updateParameters({ voices: true });
+/**
+ * Inject a burst of particles flying out from a point (MIDI note-on)
+ * Burst particles are extra to CONFIG.species.counts until removeParticleBurst()
+ * @param {number} species - Species index (must be active)
+ * @param {Object} burst - { x, y, count, speed } position in canvas pixels and initial speed
+ * @returns {number|null} Burst id, or null when nothing was spawned (inactive species or cap reached)
+ */
+export function spawnParticleBurst(species, { x, y, count, speed }) {
+    if (!(species >= 0 && species < CONFIG.species.count)) return null;
+    const injected = state.particles.filter(p => p.burstId !== null).length;
+    const size = Math.min(count, MAX_BURST_PARTICLES - injected);
+    if (size <= 0) return null;
+
+    const burstId = nextBurstId++;
+    const random = state.rng.physics;
+    const radius = CONFIG.species.sizes[species] * 2;
+    const startAngle = random() * Math.PI * 2;
+    for (let i = 0; i < size; i++) {
+        // Evenly spread directions so the burst opens as a ring
+        const angle = startAngle + (i / size) * Math.PI * 2;
+        const dirX = Math.cos(angle);
+        const dirY = Math.sin(angle);
+        state.particles.push(new Particle(species, {
+            x: clamp(x + dirX * radius, 0, CONFIG.canvas.width),
+            y: clamp(y + dirY * radius, 0, CONFIG.canvas.height),
+            vx: dirX * speed,
+            vy: dirY * speed,
+            burstId
+        }));
+    }
+    updateParticleCountDisplay();
+    return burstId;
 }
 
-// Update particle sizes - function moved to end of file
-// Note: updateVoiceSliders is now imported from audio-controls.js
+/**
+ * Remove the particles of one burst (MIDI note-off)
+ * @param {number} burstId - Id from spawnParticleBurst()
+ * @returns {number} Particles removed (0 once a reset has already cleared them)
+ */
+export function removeParticleBurst(burstId) {
+    const before = state.particles.length;
+    state.particles = state.particles.filter(p => p.burstId !== burstId);
+    updateParticleCountDisplay();
+    return before - state.particles.length;
+}
 
-// Update particle positions
-export function updateParticles() {
-    if (state.isPaused) return;
+// Update particle sizes - function moved to end of file
 
+/**
+ * Advance the simulation by one physics step
+ * Does not check pause state or notify audio - used directly by the offline renderer
+ */
+export function stepSimulation() {
     // Rebuild spatial grid each frame for optimal performance
     state.spatialGrid.clear();
 
@@ -107,6 +168,14 @@ export function updateParticles() {
 
     // Update trail particles and remove expired ones
     updateTrailParticles();
+}
+
+// Update particle positions
+export function updateParticles() {
+    if (state.isPaused) return;
+
+    eventBus.emit(Events.SIMULATION_STEPPED, { seconds: LIVE_STEP_SECONDS });
+    stepSimulation();
 
     // Emit event with particle data for audio processing
     // This replaces the direct call to sendParticleDataToAudio()
@@ -141,7 +210,10 @@ export function animate() {
 
     // Measure actual processing time
     const processStartTime = performance.now();
-    updateParticles();
+    // The offline renderer steps physics itself at a fixed rate; keep drawing only
+    if (!state.isOfflineRendering) {
+        updateParticles();
+    }
     render();
     const processEndTime = performance.now();
     const processingTime = processEndTime - processStartTime;
@@ -190,7 +262,14 @@ export function resetSimulation() {
     }
     state.trailParticles = [];
     initParticles();
+    const wasPaused = state.isPaused;
     state.isPaused = false;
+    if (wasPaused) {
+        eventBus.emit(Events.SIMULATION_PAUSED, { isPaused: false });
+    }
+
+    // Lets audio restart its seeded grain jitter stream in step with physics
+    eventBus.emit(Events.SIMULATION_RESET);
 
     // Send pause state to audio worklet
     if (audioEngine && audioEngine.workletNode && audioEngine.isActive) {
@@ -204,6 +283,7 @@ export function resetSimulation() {
 export function togglePause() {
     const newPausedState = !state.isPaused;
     state.isPaused = newPausedState;
+    eventBus.emit(Events.SIMULATION_PAUSED, { isPaused: newPausedState });
 
     // Send pause state to audio worklet
     if (audioEngine && audioEngine.workletNode && audioEngine.isActive) {
@@ -218,12 +298,19 @@ export function updateParticleCountDisplay() {
     // Compatibility function - will be implemented in UI module
 }
 
+/**
+ * Attach the renderer used by render(), initCanvas() and canvas resizes
+ * @param {Object|null} newRenderer - PhysicsRenderer instance, or null for headless use
+ */
+export function setRenderer(newRenderer) {
+    renderer = newRenderer;
+}
+
 // Initialize canvas
 export function initCanvas() {
-    if (!renderer) {
-        renderer = new PhysicsRenderer('canvas');
+    if (renderer) {
+        renderer.initCanvas(CONFIG.canvas.width, CONFIG.canvas.height);
     }
-    renderer.initCanvas(CONFIG.canvas.width, CONFIG.canvas.height);
 
     // Emit event to update UI displays with initial canvas size
     eventBus.emit(Events.CANVAS_RESIZED, { width: CONFIG.canvas.width, height: CONFIG.canvas.height });
@@ -302,11 +389,16 @@ export const PhysicsEngine = {
      * Initialize the physics engine
      * Sets up canvas, spatial grid, particles, and starts animation loop
      *
+     * @param {Object} [options] - Initialization options
+     * @param {Object} [options.renderer] - Renderer (e.g. PhysicsRenderer); omit for headless use
      * @returns {Promise<boolean>} True if initialization successful
      * @public
      */
-    init: async function() {
+    init: async function(options = {}) {
         console.log('🖥️ Initializing Physics Engine...');
+        if (options.renderer) {
+            setRenderer(options.renderer);
+        }
         initCanvas();
         const grid = initSpatialGrid();
         state.spatialGrid = grid;
@@ -364,15 +456,44 @@ export const PhysicsEngine = {
      */
     removeTrailParticlesForSpecies,
 
+    /**
+     * Advance the simulation by one physics step without pause checks or audio events
+     * Used by the offline renderer and headless tests
+     *
+     * @returns {void}
+     * @public
+     */
+    stepSimulation,
+
     /**
      * Adjust particle counts to match CONFIG.species.counts
-     * Adds or removes particles as needed, updates UI voice sliders
+     * Adds or removes particles as needed and emits PARTICLES_COUNTS_CHANGED
      *
      * @returns {void}
      * @public
      */
     adjustParticleCounts,
 
+    /**
+     * Inject a burst of particles at a point with an outward speed
+     * Burst particles are not part of CONFIG.species.counts
+     *
+     * @param {number} species - Species index
+     * @param {Object} burst - { x, y, count, speed }
+     * @returns {number|null} Burst id, or null when nothing was spawned
+     * @public
+     */
+    spawnParticleBurst,
+
+    /**
+     * Remove the particles spawned by one burst
+     *
+     * @param {number} burstId - Id from spawnParticleBurst()
+     * @returns {number} Particles removed
+     * @public
+     */
+    removeParticleBurst,
+
     /**
      * Get current physics engine state snapshot
      *
@@ -251,6 +251,7 @@ export const Events = {
     PARTICLES_COUNTS_CHANGED: 'particles:counts-changed',
     SIMULATION_PAUSED: 'simulation:paused',
     SIMULATION_RESET: 'simulation:reset',
+    SIMULATION_STEPPED: 'simulation:stepped',
     PERFORMANCE_UPDATED: 'performance:updated',
     CANVAS_RESIZED: 'canvas:resized',
 
@@ -259,10 +260,17 @@ export const Events = {
     AUDIO_SHUTDOWN: 'audio:shutdown',
     AUDIO_PERFORMANCE_UPDATED: 'audio:performance-updated',
     SAMPLE_LOADED: 'sample:loaded',
+    BAND_JOB_PROGRESS: 'bands:progress',
+    BAND_JOB_FINISHED: 'bands:finished',
+    RECORDING_STARTED: 'recording:started',
+    RECORDING_UPDATED: 'recording:updated',
+    RECORDING_STOPPED: 'recording:stopped',
+    AUDIO_MIDI_EVENTS: 'audio:midi-events',
 
     // UI events
     UI_INITIALIZED: 'ui:initialized',
     SPECIES_CHANGED: 'species:changed',
     PRESET_LOADED: 'preset:loaded',
-    PRESET_SAVED: 'preset:saved'
+    PRESET_SAVED: 'preset:saved',
+    PRESETS_CHANGED: 'presets:changed'
 };
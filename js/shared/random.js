@@ -0,0 +1,61 @@
+/**
+ * Random Utilities - Seedable pseudo-random number generation
+ * Used by deterministic mode so a preset plus seed reproduces the same motion and sound
+ */
+
+// Largest seed value (seeds are unsigned 32-bit integers)
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Create a seeded PRNG (mulberry32)
+ * Same interface as Math.random(): returns floats in [0, 1)
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {Function} Generator function
+ */
+export function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derive an independent sub-seed for a named stream (e.g. 'physics', 'matrix', 'audio')
+ * Keeps streams decorrelated so drawing from one never shifts another
+ * @param {number} seed - Base seed
+ * @param {string} streamName - Stream identifier
+ * @returns {number} Unsigned 32-bit sub-seed
+ */
+export function deriveSeed(seed, streamName) {
+    // FNV-1a over the stream name, mixed with the base seed
+    let hash = 0x811C9DC5 ^ (seed >>> 0);
+    for (let i = 0; i < streamName.length; i++) {
+        hash ^= streamName.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Coerce user input into a valid seed
+ * @param {any} value - Seed candidate (number or numeric string)
+ * @param {number} defaultValue - Returned when value is not a usable number
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function normalizeSeed(value, defaultValue = 1) {
+    const num = Math.floor(Number(value));
+    if (!Number.isFinite(num)) return defaultValue;
+    return Math.min(MAX_SEED, Math.max(0, num));
+}
+
+/**
+ * Generate a fresh random seed (non-deterministic)
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+}
@@ -8,8 +8,12 @@ import { Utils } from '../utils.js';
 import { AudioSystem } from '../audio/audio-system.js';
 import { disableAudioControls } from '../audio/audio-engine.js';
 import { EventListenerManager } from '../shared/event-manager.js';
-import { safeGetElement, updateElementText } from '../shared/dom-utils.js';
+import { safeGetElement, updateElementText, updateElementValue, setElementChecked } from '../shared/dom-utils.js';
 import { clamp, validateInt, validateFloat } from '../shared/validation-utils.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+import { shapedEnvelope } from '../audio/granular-dsp.js';
+import { getFrequencyProfile } from '../audio/parameter-manager.js';
+import { BAND_MEMORY_BUDGET_BYTES } from '../audio/frequency-band-processor.js';
 
 // Event listener managers
 const audioControlEventManager = new EventListenerManager('AudioControls');
@@ -18,6 +22,73 @@ const sampleControlEventManager = new EventListenerManager('SampleControls');
 // Track current audio species tab
 let currentAudioSpeciesTab = 0;
 
+// Channel mode options shown per species (values match CHANNEL_MODES in granular-dsp.js)
+const CHANNEL_MODE_LABELS = {
+    stereo: 'Stereo',
+    mono: 'Mono (L+R sum)',
+    left: 'Left only',
+    right: 'Right only'
+};
+
+// Interpolation options shown per species (values match INTERPOLATION_MODES in granular-dsp.js)
+const INTERPOLATION_MODE_LABELS = {
+    global: 'Global setting',
+    linear: 'Linear',
+    cubic: 'Cubic Hermite',
+    sinc: 'Windowed sinc'
+};
+
+// Scale quantizer options shown per species (values match PITCH_SCALES in granular-dsp.js, plus off/custom)
+const PITCH_SCALE_LABELS = {
+    off: 'No scale',
+    major: 'Major',
+    minor: 'Minor',
+    pentatonic: 'Pentatonic',
+    custom: 'Custom (cents)'
+};
+
+// Particle property that picks the scale degree (values match PITCH_SCALE_SOURCES)
+const PITCH_SCALE_SOURCE_LABELS = {
+    y: 'by Y',
+    speed: 'by speed'
+};
+
+// Grain direction options shown per species (values match DIRECTION_MODES in granular-dsp.js)
+const DIRECTION_MODE_LABELS = {
+    random: 'Forward / random reverse',
+    motion: 'Follow motion (left = reverse)'
+};
+
+// Y→frequency mapping options shown per species (values match FREQUENCY_Y_MODES in granular-dsp.js)
+const FREQUENCY_Y_MODE_LABELS = {
+    normal: 'Top = high',
+    inverted: 'Top = low (inverted)',
+    off: 'Off (unfiltered)'
+};
+
+// Keep voice slider ranges in sync when physics changes particle counts
+eventBus.on(Events.PARTICLES_COUNTS_CHANGED, () => {
+    updateVoiceSliders();
+});
+
+// Background band filtering: repaint only the progress strip while it runs
+eventBus.on(Events.BAND_JOB_PROGRESS, ({ speciesIndex }) => {
+    drawBandJobProgress(speciesIndex);
+    updateBandCancelButton(speciesIndex);
+});
+
+eventBus.on(Events.BAND_JOB_FINISHED, ({ speciesIndex, status, error }) => {
+    updateWaveformDisplay(speciesIndex);
+    updateBandCancelButton(speciesIndex);
+    updateBandMemoryDisplay();
+    if (status === 'failed') {
+        Utils.showToast(`Band filtering failed for Species ${String.fromCharCode(65 + speciesIndex)}: ${error}`, 4000);
+    } else if (status === 'done' && audioEngine.bandMemoryBytes[speciesIndex] > BAND_MEMORY_BUDGET_BYTES) {
+        Utils.showToast(`Species ${String.fromCharCode(65 + speciesIndex)}'s bands use ` +
+            `${formatMegabytes(audioEngine.bandMemoryBytes[speciesIndex])}: a shorter sample or fewer bands would use less`, 4000);
+    }
+});
+
 // Getter for current audio species tab (used by slider-controls.js)
 export function getCurrentAudioSpeciesTab() {
     return currentAudioSpeciesTab;
@@ -46,6 +117,70 @@ export function setupAudioControlEventListeners() {
         });
     }
 
+    // Global grain interpolation quality (sent with granularConfig on every particle update)
+    const interpolationSelect = safeGetElement('interpolationMode');
+    if (interpolationSelect) {
+        interpolationSelect.value = CONFIG.granular.interpolationMode;
+        audioControlEventManager.add(interpolationSelect, 'change', (e) => {
+            CONFIG.granular.interpolationMode = e.target.value;
+            console.log(`🎚️ Interpolation: ${CONFIG.granular.interpolationMode}`);
+        });
+    }
+
+    // Grain envelope of the selected audio species tab
+    setupEnvelopeControls();
+
+    // Octaves spanned by per-species pitch scales (sent with granularConfig)
+    const scaleOctavesSlider = safeGetElement('pitchScaleOctaves');
+    if (scaleOctavesSlider) {
+        scaleOctavesSlider.value = CONFIG.granular.pitchScaleOctaves;
+        updateElementText('pitchScaleOctaves-value', CONFIG.granular.pitchScaleOctaves);
+        audioControlEventManager.add(scaleOctavesSlider, 'input', (e) => {
+            CONFIG.granular.pitchScaleOctaves = validateInt(e.target.value, 1, 4);
+            updateElementText('pitchScaleOctaves-value', CONFIG.granular.pitchScaleOctaves);
+        });
+    }
+
+    // Pre-filtered band crossfade and Y tracking (sent with granularConfig)
+    const bandCrossfadeToggle = safeGetElement('bandCrossfade');
+    const bandTrackingToggle = safeGetElement('bandTracking');
+    if (bandCrossfadeToggle) {
+        bandCrossfadeToggle.checked = CONFIG.granular.bandCrossfade;
+        audioControlEventManager.add(bandCrossfadeToggle, 'change', (e) => {
+            CONFIG.granular.bandCrossfade = e.target.checked;
+            // Tracking sweeps the blend, so it has nothing to do with crossfading off
+            if (bandTrackingToggle) bandTrackingToggle.disabled = !e.target.checked;
+            console.log('Band Crossfade: ' + (CONFIG.granular.bandCrossfade ? 'ON' : 'OFF'));
+        });
+    }
+    if (bandTrackingToggle) {
+        bandTrackingToggle.checked = CONFIG.granular.bandTracking;
+        audioControlEventManager.add(bandTrackingToggle, 'change', (e) => {
+            CONFIG.granular.bandTracking = e.target.checked;
+            console.log('Band Y Tracking: ' + (CONFIG.granular.bandTracking ? 'ON' : 'OFF'));
+        });
+    }
+
+    // Bandwidth tiers of the pre-filtered bank (applies to samples loaded afterwards or reprocessed)
+    const bandwidthTiersSlider = safeGetElement('numBandwidthTiers');
+    if (bandwidthTiersSlider) {
+        bandwidthTiersSlider.value = CONFIG.granular.numBandwidthTiers;
+        updateBandwidthTiersText();
+        audioControlEventManager.add(bandwidthTiersSlider, 'input', (e) => {
+            CONFIG.granular.numBandwidthTiers = validateInt(e.target.value, 1, 4, 1);
+            updateBandwidthTiersText();
+        });
+    }
+    updateBandMemoryDisplay();
+
+    // Re-filter every loaded sample from the sample cache (e.g. after changing the tier count)
+    const reprocessBandsButton = safeGetElement('reprocessBands');
+    if (reprocessBandsButton) {
+        audioControlEventManager.add(reprocessBandsButton, 'click', () => {
+            AudioSystem.reprocessBands();
+        });
+    }
+
     // Show Active Voices toggle
     const showActiveVoicesToggle = safeGetElement('showActiveVoices');
     if (showActiveVoicesToggle) {
@@ -68,6 +203,149 @@ export function setupAudioControlEventListeners() {
     console.log('🎚️ Audio control event listeners initialized');
 }
 
+/**
+ * Show the current global granular settings (CONFIG.granular, master sliders) in their controls
+ * Used after a preset replaced them without going through the controls
+ */
+export function refreshGranularControls() {
+    const { granular } = CONFIG;
+
+    updateElementValue('interpolationMode', granular.interpolationMode);
+    updateElementValue('pitchScaleOctaves', granular.pitchScaleOctaves);
+    updateElementText('pitchScaleOctaves-value', granular.pitchScaleOctaves);
+    setElementChecked('bandCrossfade', granular.bandCrossfade);
+    setElementChecked('bandTracking', granular.bandTracking);
+    const bandTrackingToggle = safeGetElement('bandTracking', null, false);
+    if (bandTrackingToggle && audioEngine.isActive) bandTrackingToggle.disabled = !granular.bandCrossfade;
+    updateElementValue('numBandwidthTiers', granular.numBandwidthTiers);
+    updateBandwidthTiersText();
+    updateElementValue('windowSigmaFactor', granular.windowSigmaFactor);
+    updateElementText('windowSigmaFactor-value', granular.windowSigmaFactor.toFixed(2));
+
+    const curveParameter = safeGetElement('curveParameter', null, false);
+    if (curveParameter) updateElementText('curveParameter-value', parseFloat(curveParameter.value).toFixed(1));
+    const volumeScale = safeGetElement('volumeScale', null, false);
+    if (volumeScale) {
+        const dbValue = parseFloat(volumeScale.value);
+        updateElementText('volumeScale-value', dbValue > 0 ? `+${dbValue.toFixed(1)} dB` : `${dbValue.toFixed(1)} dB`);
+    }
+
+    updateCurveGraph();
+    refreshEnvelopeControls();
+}
+
+// Helper: Envelope shape, ramps and skew edit the species selected in the Audio Samples tabs
+function setupEnvelopeControls() {
+    const shapeSelect = safeGetElement('envelopeShape');
+    if (shapeSelect) {
+        audioControlEventManager.add(shapeSelect, 'change', (e) => {
+            CONFIG.species.envelopeShapes[currentAudioSpeciesTab] = e.target.value;
+            updateEnvelopeGraph();
+            AudioSystem.updateParameters({ audio: true });
+        });
+    }
+
+    const attackSlider = safeGetElement('envelopeAttack');
+    if (attackSlider) {
+        audioControlEventManager.add(attackSlider, 'input', (e) => {
+            CONFIG.species.envelopeAttacks[currentAudioSpeciesTab] = validateInt(e.target.value, 1, 100) / 100;
+            updateElementText('envelopeAttack-value', `${validateInt(e.target.value, 1, 100)}%`);
+            updateEnvelopeGraph();
+        });
+        audioControlEventManager.add(attackSlider, 'change', () => AudioSystem.updateParameters({ audio: true }));
+    }
+
+    const skewSlider = safeGetElement('envelopeSkew');
+    if (skewSlider) {
+        audioControlEventManager.add(skewSlider, 'input', (e) => {
+            CONFIG.species.envelopeSkews[currentAudioSpeciesTab] = validateInt(e.target.value, 0, 100) / 100;
+            updateElementText('envelopeSkew-value', `${validateInt(e.target.value, 0, 100)}%`);
+            updateEnvelopeGraph();
+        });
+        audioControlEventManager.add(skewSlider, 'change', () => AudioSystem.updateParameters({ audio: true }));
+    }
+
+    // Gaussian width is global (granularConfig travels with every particle update)
+    const sigmaSlider = safeGetElement('windowSigmaFactor');
+    if (sigmaSlider) {
+        sigmaSlider.value = CONFIG.granular.windowSigmaFactor;
+        updateElementText('windowSigmaFactor-value', CONFIG.granular.windowSigmaFactor.toFixed(2));
+        audioControlEventManager.add(sigmaSlider, 'input', (e) => {
+            CONFIG.granular.windowSigmaFactor = validateFloat(e.target.value, 0.05, 0.5);
+            updateElementText('windowSigmaFactor-value', CONFIG.granular.windowSigmaFactor.toFixed(2));
+            updateEnvelopeGraph();
+        });
+    }
+
+    refreshEnvelopeControls();
+}
+
+// Helper: Show the current species' envelope settings in the granular parameters section
+function refreshEnvelopeControls() {
+    const i = currentAudioSpeciesTab;
+    const attackPercent = Math.round(CONFIG.species.envelopeAttacks[i] * 100);
+    const skewPercent = Math.round(CONFIG.species.envelopeSkews[i] * 100);
+
+    updateElementText('envelopeSpecies', `Species ${String.fromCharCode(65 + i)}`);
+    const shapeSelect = safeGetElement('envelopeShape', null, false);
+    if (shapeSelect) shapeSelect.value = CONFIG.species.envelopeShapes[i];
+    updateElementValue('envelopeAttack', attackPercent);
+    updateElementText('envelopeAttack-value', `${attackPercent}%`);
+    updateElementValue('envelopeSkew', skewPercent);
+    updateElementText('envelopeSkew-value', `${skewPercent}%`);
+    updateEnvelopeGraph();
+}
+
+// Draw the selected species' grain envelope for a mid-length grain (Hann ramp clamps depend on length)
+export function updateEnvelopeGraph() {
+    const canvas = safeGetElement('envelopeGraph', null, false);
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const i = currentAudioSpeciesTab;
+    const envelope = {
+        shape: CONFIG.species.envelopeShapes[i],
+        attack: CONFIG.species.envelopeAttacks[i],
+        skew: CONFIG.species.envelopeSkews[i]
+    };
+    const duration = (CONFIG.granular.grainLengthMin + CONFIG.granular.grainLengthMax) / 2;
+
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 2]);
+    for (let g = 1; g < 4; g++) {
+        const x = (g / 4) * width;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+    ctx.strokeStyle = Utils.rgbToHex(CONFIG.species.colors[i]);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let px = 0; px <= width; px++) {
+        const gain = shapedEnvelope(px / width, duration, envelope, CONFIG.granular.windowSigmaFactor);
+        const y = height - 4 - gain * (height - 8);
+        if (px === 0) {
+            ctx.moveTo(px, y);
+        } else {
+            ctx.lineTo(px, y);
+        }
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = '#888';
+    ctx.font = '10px Arial';
+    ctx.fillText(`Grain (${Math.round(duration * 1000)}ms) →`, width / 2 - 35, height - 2);
+}
+
 export function updateCurveGraph() {
     const canvas = safeGetElement('curveGraph');
     if (!canvas) return;
@@ -141,6 +419,67 @@ export function updateCurveGraph() {
     ctx.fillText(`x^${power.toFixed(1)}`, width - 40, 15);
 }
 
+// Helper: Tier count with the memory it costs relative to the raw sample
+function updateBandwidthTiersText() {
+    const tiers = CONFIG.granular.numBandwidthTiers;
+    updateElementText('numBandwidthTiers-value', `${tiers} (bands × ${tiers})`);
+}
+
+/**
+ * Show how much memory the worklet's pre-filtered band banks hold (audioEngine.bandMemoryBytes)
+ */
+export function updateBandMemoryDisplay() {
+    const bytes = audioEngine.bandMemoryBytes.reduce((sum, value) => sum + value, 0);
+    const samples = audioEngine.bandMemoryBytes.filter(value => value > 0).length;
+    // Samples whose bank is over the per-sample budget even after dropping tiers
+    const overBudget = audioEngine.bandMemoryBytes.filter(value => value > BAND_MEMORY_BUDGET_BYTES).length;
+    let text = samples > 0
+        ? `${formatMegabytes(bytes)} in ${samples} sample${samples === 1 ? '' : 's'}`
+        : '—';
+    if (overBudget > 0) {
+        text = `⚠️ ${text}, ${overBudget} over ${formatMegabytes(BAND_MEMORY_BUDGET_BYTES)} each`;
+    }
+    updateElementText('bandMemory', text);
+
+    const display = safeGetElement('bandMemory', null, false);
+    if (display) display.style.color = overBudget > 0 ? '#f87171' : '';
+}
+
+// Helper: Bytes as megabytes for the memory readouts
+function formatMegabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Helper: Strip along the bottom of a species' waveform showing its band filtering progress
+function drawBandJobProgress(speciesIndex) {
+    const canvas = safeGetElement(`waveform-${speciesIndex}`);
+    const job = AudioSystem.getBandJob(speciesIndex);
+    if (!canvas || !job) return;
+
+    const ctx = canvas.getContext('2d');
+    const stripHeight = 14;
+    const top = canvas.height - stripHeight;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, top, canvas.width, stripHeight);
+    ctx.fillStyle = Utils.rgbToHex(CONFIG.species.colors[speciesIndex]) + '80';
+    ctx.fillRect(0, top, canvas.width * job.progress, stripHeight);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '10px Arial';
+    ctx.fillText(job.state === 'queued'
+        ? 'Bands queued…'
+        : `Filtering bands ${Math.round(job.progress * 100)}%`, 4, canvas.height - 3);
+}
+
+// Helper: Cancel button is only shown while a species' bands are queued or filtering
+function updateBandCancelButton(speciesIndex) {
+    const button = safeGetElement(`band-cancel-${speciesIndex}`);
+    if (button) {
+        button.style.display = AudioSystem.getBandJob(speciesIndex) ? '' : 'none';
+    }
+}
+
 export function updateVolumeMeter(volumeData) {
     const meter = safeGetElement('volumeMeter');
     const text = safeGetElement('volumeText');
@@ -199,14 +538,172 @@ export function updateVolumeMeter(volumeData) {
         `Audio Level: ${Math.round(percentage)}%`);
 }
 
+// Helper: Waveform lanes for a species' channel mode (what the grains actually read)
+// Stereo sources in stereo mode get two lanes (L top, R bottom); everything else one
+function getWaveformLanes(buffer, channelMode) {
+    const left = buffer.getChannelData(0);
+    const right = buffer.numberOfChannels > 1 ? buffer.getChannelData(1) : left;
+
+    if (left === right || channelMode === 'left') return [i => left[i]];
+    if (channelMode === 'right') return [i => right[i]];
+    if (channelMode === 'mono') return [i => 0.5 * (left[i] + right[i])];
+    return [i => left[i], i => right[i]];
+}
+
+// Helper: Per-species select filled from a { value: label } map
+function createOptionSelect(id, labels, value) {
+    const select = Utils.createElement('select', 'audio-control-select');
+    select.id = id;
+    for (const [optionValue, label] of Object.entries(labels)) {
+        const option = Utils.createElement('option');
+        option.value = optionValue;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+    select.value = value;
+    return select;
+}
+
+// Helper: Labelled per-species slider row. onInput stores the validated value and returns it,
+// format turns it into the value text, onChange runs once the value is final (not during drag)
+function createSliderRow({ id, label, min, max, step, value, format, onInput, onChange }) {
+    const row = Utils.createElement('div', 'audio-control-row');
+    const rowLabel = Utils.createElement('label', 'audio-control-label');
+    rowLabel.textContent = label;
+    rowLabel.htmlFor = id;
+
+    const sliderContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const slider = Utils.createElement('input', 'slider');
+    slider.type = 'range';
+    slider.min = String(min);
+    slider.max = String(max);
+    slider.step = String(step);
+    slider.value = String(value);
+    slider.id = id;
+
+    const valueText = Utils.createElement('span', 'audio-control-value');
+    valueText.textContent = format(value);
+    valueText.id = `${id}-value`;
+
+    sampleControlEventManager.add(slider, 'input', (e) => {
+        updateElementText(`${id}-value`, format(onInput(e.target.value)));
+    });
+    sampleControlEventManager.add(slider, 'change', onChange);
+
+    sliderContainer.appendChild(slider);
+    sliderContainer.appendChild(valueText);
+    row.appendChild(rowLabel);
+    row.appendChild(sliderContainer);
+    return row;
+}
+
+// Helper: Frequency profile rows of one species (Y mapping, range, curve, bandwidth, band count)
+// Edits that change the band bank re-filter only this species' sample
+function createFrequencyProfileRows(i) {
+    const { species } = CONFIG;
+    const applyProfile = (regenerate) => {
+        AudioSystem.updateParameters({ audio: true });
+        if (regenerate) AudioSystem.regenerateBands(i);
+    };
+
+    // Y mapping (inverting needs no new bands: the worklet flips Y)
+    const modeRow = Utils.createElement('div', 'audio-control-row');
+    const modeLabel = Utils.createElement('label', 'audio-control-label');
+    modeLabel.textContent = 'Y → Frequency';
+    modeLabel.htmlFor = `frequencyYMode-${i}`;
+    const modeContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const modeSelect = createOptionSelect(`frequencyYMode-${i}`, FREQUENCY_Y_MODE_LABELS,
+        species.frequencyYModes[i] || 'normal');
+    modeContainer.appendChild(modeSelect);
+    modeRow.appendChild(modeLabel);
+    modeRow.appendChild(modeContainer);
+
+    // Band range in Hz
+    const rangeRow = Utils.createElement('div', 'audio-control-row');
+    const rangeLabel = Utils.createElement('label', 'audio-control-label');
+    rangeLabel.textContent = 'Range (Hz)';
+    rangeLabel.htmlFor = `freqRangeMin-${i}`;
+    const rangeContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const rangeInputs = [['freqRangeMin', species.freqRangeMins], ['freqRangeMax', species.freqRangeMaxes]].map(
+        ([type, values]) => {
+            const input = Utils.createElement('input', 'audio-control-input');
+            input.type = 'number';
+            input.min = '20';
+            input.max = '20000';
+            input.step = '1';
+            input.id = `${type}-${i}`;
+            input.value = values[i];
+            sampleControlEventManager.add(input, 'change', (e) => {
+                values[i] = AudioSystem.validateParameter(type, e.target.value);
+                // Show the range the bands are built from (min and max are kept an octave apart)
+                const profile = getFrequencyProfile(i);
+                species.freqRangeMins[i] = profile.freqRangeMin;
+                species.freqRangeMaxes[i] = profile.freqRangeMax;
+                rangeInputs.forEach((field, index) => {
+                    field.value = index === 0 ? profile.freqRangeMin : profile.freqRangeMax;
+                });
+                applyProfile(true);
+            });
+            rangeContainer.appendChild(input);
+            return input;
+        });
+    rangeRow.appendChild(rangeLabel);
+    rangeRow.appendChild(rangeContainer);
+
+    const gammaRow = createSliderRow({
+        id: `freqGamma-${i}`, label: 'Frequency Curve', min: 0.2, max: 3, step: 0.05,
+        value: species.freqGammas[i],
+        format: value => Number(value).toFixed(2),
+        onInput: value => (species.freqGammas[i] = AudioSystem.validateParameter('freqGamma', value)),
+        onChange: () => applyProfile(true)
+    });
+    const bandwidthRow = createSliderRow({
+        id: `bandwidthOctavesMax-${i}`, label: 'Max Bandwidth (oct)', min: 0.5, max: 8, step: 0.5,
+        value: species.bandwidthOctavesMaxes[i],
+        format: value => Number(value).toFixed(1),
+        onInput: value => (species.bandwidthOctavesMaxes[i] = AudioSystem.validateParameter('bandwidthOctavesMax', value)),
+        onChange: () => applyProfile(true)
+    });
+    const bandCountRow = createSliderRow({
+        id: `bandCount-${i}`, label: 'Bands', min: 2, max: 24, step: 1,
+        value: species.bandCounts[i],
+        format: value => String(value),
+        onInput: value => (species.bandCounts[i] = AudioSystem.validateParameter('bandCount', value)),
+        onChange: () => applyProfile(true)
+    });
+
+    // Range, curve, bandwidth and band count mean nothing while the species plays unfiltered
+    const detailRows = [rangeRow, gammaRow, bandwidthRow, bandCountRow];
+    const showDetails = mode => detailRows.forEach(row => { row.style.display = mode === 'off' ? 'none' : ''; });
+    showDetails(modeSelect.value);
+
+    sampleControlEventManager.add(modeSelect, 'change', (e) => {
+        const wasOff = species.frequencyYModes[i] === 'off';
+        species.frequencyYModes[i] = e.target.value;
+        showDetails(e.target.value);
+        // Only switching filtering on or off changes what the worklet holds (bands vs raw sample)
+        applyProfile(wasOff !== (e.target.value === 'off'));
+    });
+
+    return [modeRow, ...detailRows];
+}
+
 export function updateWaveformDisplay(speciesIndex) {
     const canvas = safeGetElement(`waveform-${speciesIndex}`);
     if (!canvas || !CONFIG.species.audioBuffers[speciesIndex]) return;
 
     const ctx = canvas.getContext('2d');
     const buffer = CONFIG.species.audioBuffers[speciesIndex];
-    const data = buffer.getChannelData(0); // Use first channel
     const speciesColor = Utils.rgbToHex(CONFIG.species.colors[speciesIndex]);
+    const lanes = getWaveformLanes(buffer, CONFIG.species.channelModes[speciesIndex]);
+    const laneHeight = canvas.height / lanes.length;
+
+    updateElementText(`channels-${speciesIndex}-value`, buffer.numberOfChannels > 1 ? 'stereo' : 'mono');
+
+    // Apply volume scaling to show visual effect of volume adjustment
+    // Convert dB to linear: linear = 10^(dB/20)
+    const volumeDB = CONFIG.species.sampleVolumes[speciesIndex] || 0;
+    const volumeScale = Math.pow(10, volumeDB / 20);
 
     // Clear canvas
     ctx.fillStyle = '#000';
@@ -217,25 +714,25 @@ export function updateWaveformDisplay(speciesIndex) {
     ctx.lineWidth = 1;
     ctx.beginPath();
 
-    const sliceWidth = canvas.width / data.length;
-    let x = 0;
+    const sliceWidth = canvas.width / buffer.length;
 
-    for (let i = 0; i < data.length; i++) {
-        // Apply volume scaling to show visual effect of volume adjustment
-        // Convert dB to linear: linear = 10^(dB/20)
-        const volumeDB = CONFIG.species.sampleVolumes[speciesIndex] || 0;
-        const volumeScale = Math.pow(10, volumeDB / 20);
-        const v = data[i] * 0.5 * volumeScale; // Scale amplitude with volume adjustment
-        const y = (v + 1) * canvas.height / 2; // Center and scale to canvas height
+    lanes.forEach((readSample, lane) => {
+        const laneTop = lane * laneHeight;
+        let x = 0;
 
-        if (i === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
+        for (let i = 0; i < buffer.length; i++) {
+            const v = readSample(i) * 0.5 * volumeScale; // Scale amplitude with volume adjustment
+            const y = laneTop + (v + 1) * laneHeight / 2; // Center and scale to lane height
 
-        x += sliceWidth;
-    }
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+
+            x += sliceWidth;
+        }
+    });
 
     ctx.stroke();
 
@@ -256,6 +753,8 @@ export function updateWaveformDisplay(speciesIndex) {
     ctx.moveTo(endX, 0);
     ctx.lineTo(endX, canvas.height);
     ctx.stroke();
+
+    drawBandJobProgress(speciesIndex);
 }
 
 // Toggle mute state for a species
@@ -425,6 +924,16 @@ export function createAudioSampleControls() {
 
     waveformSection.appendChild(waveformCanvas);
 
+    // Cancel background band filtering (the raw sample keeps playing)
+    const bandCancelButton = Utils.createElement('button', 'band-cancel-button');
+    bandCancelButton.id = `band-cancel-${i}`;
+    bandCancelButton.textContent = 'Cancel band filtering';
+    bandCancelButton.style.display = AudioSystem.getBandJob(i) ? '' : 'none';
+    sampleControlEventManager.add(bandCancelButton, 'click', () => {
+        AudioSystem.cancelBands(i);
+    });
+    waveformSection.appendChild(bandCancelButton);
+
     // Audio controls in vertical layout - all sliders same width, values aligned
     const audioControlsGroup = Utils.createElement('div', 'audio-control-group');
 
@@ -514,6 +1023,183 @@ export function createAudioSampleControls() {
     pitchControlDiv.appendChild(pitchLabel);
     pitchControlDiv.appendChild(pitchSliderContainer);
 
+    // Pitch spread control (random detune per grain, in cents)
+    const spreadControlDiv = Utils.createElement('div', 'audio-control-row');
+    const spreadLabel = Utils.createElement('label', 'audio-control-label');
+    spreadLabel.textContent = 'Pitch Spread (cents)';
+
+    const spreadSliderContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const spreadSlider = Utils.createElement('input', 'slider');
+    spreadSlider.type = 'range';
+    spreadSlider.min = '0';
+    spreadSlider.max = '1200';
+    spreadSlider.step = '5';
+    spreadSlider.value = CONFIG.species.pitchSpreads[i] || 0;
+    spreadSlider.id = `pitchSpread-${i}`;
+
+    const spreadValue = Utils.createElement('span', 'audio-control-value');
+    spreadValue.textContent = `±${CONFIG.species.pitchSpreads[i] || 0}`;
+    spreadValue.id = `pitchSpread-${i}-value`;
+
+    const spreadHandler = (e) => {
+        CONFIG.species.pitchSpreads[i] = validateInt(e.target.value, 0, 1200);
+        updateElementText(`pitchSpread-${i}-value`, `±${CONFIG.species.pitchSpreads[i]}`);
+    };
+    sampleControlEventManager.add(spreadSlider, 'input', spreadHandler);
+    sampleControlEventManager.add(spreadSlider, 'change', () => AudioSystem.updateParameters({ audio: true }));
+
+    spreadSliderContainer.appendChild(spreadSlider);
+    spreadSliderContainer.appendChild(spreadValue);
+    spreadControlDiv.appendChild(spreadLabel);
+    spreadControlDiv.appendChild(spreadSliderContainer);
+
+    // Scale quantizer control (scale + the particle property that picks the degree)
+    const scaleControlDiv = Utils.createElement('div', 'audio-control-row');
+    const scaleLabel = Utils.createElement('label', 'audio-control-label');
+    scaleLabel.textContent = 'Scale';
+    scaleLabel.htmlFor = `pitchScale-${i}`;
+
+    const scaleSelectContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const scaleSelect = createOptionSelect(`pitchScale-${i}`, PITCH_SCALE_LABELS,
+        CONFIG.species.pitchScales[i] || 'off');
+    const scaleSourceSelect = createOptionSelect(`pitchScaleSource-${i}`, PITCH_SCALE_SOURCE_LABELS,
+        CONFIG.species.pitchScaleSources[i] || 'y');
+
+    // Custom degrees, only shown for the custom scale
+    const customScaleRow = Utils.createElement('div', 'audio-control-row');
+    const customScaleLabel = Utils.createElement('label', 'audio-control-label');
+    customScaleLabel.textContent = 'Custom Degrees';
+    customScaleLabel.htmlFor = `customScale-${i}`;
+    const customScaleContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const customScaleInput = Utils.createElement('input', 'audio-control-input');
+    customScaleInput.type = 'text';
+    customScaleInput.id = `customScale-${i}`;
+    customScaleInput.placeholder = '0, 300, 700';
+    customScaleInput.title = 'Cents above the root within one octave, e.g. 0, 386, 702';
+    customScaleInput.value = CONFIG.species.customScales[i].join(', ');
+    customScaleRow.style.display = scaleSelect.value === 'custom' ? '' : 'none';
+
+    sampleControlEventManager.add(scaleSelect, 'change', (e) => {
+        CONFIG.species.pitchScales[i] = e.target.value;
+        customScaleRow.style.display = e.target.value === 'custom' ? '' : 'none';
+        AudioSystem.updateParameters({ audio: true });
+    });
+    sampleControlEventManager.add(scaleSourceSelect, 'change', (e) => {
+        CONFIG.species.pitchScaleSources[i] = e.target.value;
+        AudioSystem.updateParameters({ audio: true });
+    });
+    sampleControlEventManager.add(customScaleInput, 'change', (e) => {
+        // Normalize what was typed (wrapped into one octave, sorted, deduplicated) and show it back
+        CONFIG.species.customScales[i] = AudioSystem.validateParameter('scaleCents', e.target.value);
+        e.target.value = CONFIG.species.customScales[i].join(', ');
+        AudioSystem.updateParameters({ audio: true });
+    });
+
+    scaleSelectContainer.appendChild(scaleSelect);
+    scaleSelectContainer.appendChild(scaleSourceSelect);
+    scaleControlDiv.appendChild(scaleLabel);
+    scaleControlDiv.appendChild(scaleSelectContainer);
+    customScaleContainer.appendChild(customScaleInput);
+    customScaleRow.appendChild(customScaleLabel);
+    customScaleRow.appendChild(customScaleContainer);
+
+    // Grain direction control (random reversal or follow horizontal travel)
+    const directionControlDiv = Utils.createElement('div', 'audio-control-row');
+    const directionLabel = Utils.createElement('label', 'audio-control-label');
+    directionLabel.textContent = 'Direction';
+    directionLabel.htmlFor = `direction-${i}`;
+
+    const directionSelectContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const directionSelect = createOptionSelect(`direction-${i}`, DIRECTION_MODE_LABELS,
+        CONFIG.species.directionModes[i] || 'random');
+    directionSelectContainer.appendChild(directionSelect);
+    directionControlDiv.appendChild(directionLabel);
+    directionControlDiv.appendChild(directionSelectContainer);
+
+    // Reverse probability, only used in random mode
+    const reverseControlDiv = Utils.createElement('div', 'audio-control-row');
+    const reverseLabel = Utils.createElement('label', 'audio-control-label');
+    reverseLabel.textContent = 'Reverse Chance';
+
+    const reverseSliderContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const reverseSlider = Utils.createElement('input', 'slider');
+    reverseSlider.type = 'range';
+    reverseSlider.min = '0';
+    reverseSlider.max = '100';
+    reverseSlider.step = '1';
+    reverseSlider.value = Math.round((CONFIG.species.reverseProbabilities[i] || 0) * 100);
+    reverseSlider.id = `reverse-${i}`;
+
+    const reverseValue = Utils.createElement('span', 'audio-control-value');
+    reverseValue.textContent = `${reverseSlider.value}%`;
+    reverseValue.id = `reverse-${i}-value`;
+    reverseControlDiv.style.display = directionSelect.value === 'random' ? '' : 'none';
+
+    sampleControlEventManager.add(directionSelect, 'change', (e) => {
+        CONFIG.species.directionModes[i] = e.target.value;
+        reverseControlDiv.style.display = e.target.value === 'random' ? '' : 'none';
+        AudioSystem.updateParameters({ audio: true });
+    });
+    sampleControlEventManager.add(reverseSlider, 'input', (e) => {
+        const percent = validateInt(e.target.value, 0, 100);
+        CONFIG.species.reverseProbabilities[i] = percent / 100;
+        updateElementText(`reverse-${i}-value`, `${percent}%`);
+    });
+    sampleControlEventManager.add(reverseSlider, 'change', () => AudioSystem.updateParameters({ audio: true }));
+
+    reverseSliderContainer.appendChild(reverseSlider);
+    reverseSliderContainer.appendChild(reverseValue);
+    reverseControlDiv.appendChild(reverseLabel);
+    reverseControlDiv.appendChild(reverseSliderContainer);
+
+    // Channel mode control (which source channels feed the grains)
+    const channelControlDiv = Utils.createElement('div', 'audio-control-row');
+    const channelLabel = Utils.createElement('label', 'audio-control-label');
+    channelLabel.textContent = 'Channels';
+    channelLabel.htmlFor = `channels-${i}`;
+
+    const channelSelectContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const channelSelect = createOptionSelect(`channels-${i}`, CHANNEL_MODE_LABELS,
+        CONFIG.species.channelModes[i] || 'stereo');
+
+    // Source layout, filled in by updateWaveformDisplay(): every mode sounds the same on a mono sample
+    const channelValue = Utils.createElement('span', 'audio-control-value');
+    channelValue.textContent = '—';
+    channelValue.title = 'Source sample channel layout';
+    channelValue.id = `channels-${i}-value`;
+
+    const channelChangeHandler = (e) => {
+        CONFIG.species.channelModes[i] = e.target.value;
+        updateWaveformDisplay(i);
+        AudioSystem.updateParameters({ audio: true });
+    };
+    sampleControlEventManager.add(channelSelect, 'change', channelChangeHandler);
+
+    channelSelectContainer.appendChild(channelSelect);
+    channelSelectContainer.appendChild(channelValue);
+    channelControlDiv.appendChild(channelLabel);
+    channelControlDiv.appendChild(channelSelectContainer);
+
+    // Interpolation control (per-species override of the global quality)
+    const interpolationControlDiv = Utils.createElement('div', 'audio-control-row');
+    const interpolationLabel = Utils.createElement('label', 'audio-control-label');
+    interpolationLabel.textContent = 'Interpolation';
+    interpolationLabel.htmlFor = `interpolation-${i}`;
+
+    const interpolationSelectContainer = Utils.createElement('div', 'audio-control-slider-container');
+    const interpolationSelect = createOptionSelect(`interpolation-${i}`, INTERPOLATION_MODE_LABELS,
+        CONFIG.species.interpolationModes[i] || 'global');
+
+    const interpolationChangeHandler = (e) => {
+        CONFIG.species.interpolationModes[i] = e.target.value;
+        AudioSystem.updateParameters({ audio: true });
+    };
+    sampleControlEventManager.add(interpolationSelect, 'change', interpolationChangeHandler);
+
+    interpolationSelectContainer.appendChild(interpolationSelect);
+    interpolationControlDiv.appendChild(interpolationLabel);
+    interpolationControlDiv.appendChild(interpolationSelectContainer);
+
     // Max Voices control
     const voicesControlDiv = Utils.createElement('div', 'audio-control-row');
     const voicesLabel = Utils.createElement('label', 'audio-control-label');
@@ -561,6 +1247,14 @@ export function createAudioSampleControls() {
 
     audioControlsGroup.appendChild(volumeControlDiv);
     audioControlsGroup.appendChild(pitchControlDiv);
+    audioControlsGroup.appendChild(spreadControlDiv);
+    audioControlsGroup.appendChild(scaleControlDiv);
+    audioControlsGroup.appendChild(customScaleRow);
+    audioControlsGroup.appendChild(directionControlDiv);
+    audioControlsGroup.appendChild(reverseControlDiv);
+    createFrequencyProfileRows(i).forEach(row => audioControlsGroup.appendChild(row));
+    audioControlsGroup.appendChild(channelControlDiv);
+    audioControlsGroup.appendChild(interpolationControlDiv);
     audioControlsGroup.appendChild(voicesControlDiv);
 
     // Assemble everything
@@ -576,6 +1270,9 @@ export function createAudioSampleControls() {
     if (CONFIG.species.audioBuffers[i]) {
         updateWaveformDisplay(i);
     }
+
+    // The envelope editor follows the selected species
+    refreshEnvelopeControls();
 }
 
 // Setup waveform canvas interaction
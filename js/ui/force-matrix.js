@@ -141,6 +141,18 @@ export function createForceMatrix() {
     eventManager.add(document, 'mouseup', handleMouseUp);
 }
 
+// Refresh the values and colors of the existing matrix cells from CONFIG (no rebuild, e.g. while morphing)
+export function updateForceMatrixValues() {
+    const matrixGrid = safeGetElement('forceMatrix', null, false);
+    if (!matrixGrid) return;
+
+    matrixGrid.querySelectorAll('.matrix-cell').forEach(cell => {
+        const value = CONFIG.relationships[cell.dataset.from][cell.dataset.to];
+        cell.textContent = value.toFixed(1);
+        cell.style.backgroundColor = getForceColor(value);
+    });
+}
+
 // Ensure matrix size matches species count
 export function ensureMatrixSize() {
     while (CONFIG.relationships.length < CONFIG.species.maxCount) {
@@ -154,9 +166,11 @@ export function ensureMatrixSize() {
 }
 
 export function randomizeForceMatrix() {
+    // Seeded in deterministic mode: the n-th randomize after a reset is always the same matrix
+    const random = state.rng.matrix;
     for (let i = 0; i < CONFIG.species.count; i++) {
         for (let j = 0; j < CONFIG.species.count; j++) {
-            CONFIG.relationships[i][j] = Math.round((Math.random() * 2 - 1) * 10) / 10;
+            CONFIG.relationships[i][j] = Math.round((random() * 2 - 1) * 10) / 10;
         }
     }
     createForceMatrix();
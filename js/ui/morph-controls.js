@@ -0,0 +1,182 @@
+/**
+ * Morph Controls - Crossfader and timed glide between two stored presets
+ * Writes the interpolated values straight into CONFIG and updates the existing controls in
+ * place: the matrix is not rebuilt and particles keep moving.
+ */
+
+import { CONFIG, state } from '../config.js';
+import { Utils } from '../utils.js';
+import { AudioSystem } from '../audio/audio-system.js';
+import { removeTrailParticlesForSpecies } from '../physics/physics-engine.js';
+import { updateForceMatrixValues } from './force-matrix.js';
+import { refreshPhysicsSliders } from './slider-controls.js';
+import { getCurrentAudioSpeciesTab, updateWaveformDisplay } from './audio-controls.js';
+import { getStoredPresets } from './preset-system.js';
+import { migratePreset } from './preset-schema.js';
+import { validatePreset } from './preset-validator.js';
+import { getMorphEndpoint, interpolateMorph } from './preset-morph.js';
+import { EventListenerManager } from '../shared/event-manager.js';
+import { safeGetElement, updateElementText, updateElementValue } from '../shared/dom-utils.js';
+import { clamp, validateFloat } from '../shared/validation-utils.js';
+
+// Event listener manager
+const eventManager = new EventListenerManager('MorphControls');
+
+// End points of the current morph ({ nameA, nameB, a, b }) and the running glide frame
+let morph = null;
+let glide = null;
+
+/**
+ * Initialize the preset morph crossfader and glide buttons
+ */
+export function initMorphControls() {
+    eventManager.removeAll();
+
+    ['morphPresetA', 'morphPresetB'].forEach(id => {
+        const select = safeGetElement(id, null, false);
+        // A new end point applies at the current crossfader position
+        if (select) {
+            eventManager.add(select, 'change', () => {
+                morph = null;
+                setMorphPosition(getMorphPosition());
+            });
+        }
+    });
+
+    const position = safeGetElement('morphPosition', null, false);
+    if (position) {
+        // Each drag re-reads the presets, so one saved again under the same name is picked up
+        eventManager.add(position, 'pointerdown', () => { morph = null; });
+        eventManager.add(position, 'input', (e) => {
+            stopGlide();
+            setMorphPosition(validateFloat(e.target.value, 0, 1));
+        });
+    }
+
+    const toA = safeGetElement('morphToA', null, false);
+    if (toA) eventManager.add(toA, 'click', () => glideTo(0));
+
+    const toB = safeGetElement('morphToB', null, false);
+    if (toB) eventManager.add(toB, 'click', () => glideTo(1));
+
+    console.log('🔀 Morph controls initialized');
+}
+
+// Helper: Crossfader position (0 = preset A, 1 = preset B)
+function getMorphPosition() {
+    return validateFloat(safeGetElement('morphPosition', null, false)?.value, 0, 1);
+}
+
+// Helper: End points for the selected presets (reloaded when the selection changed); null if one is missing
+function getMorph() {
+    const nameA = safeGetElement('morphPresetA', null, false)?.value;
+    const nameB = safeGetElement('morphPresetB', null, false)?.value;
+    if (!nameA || !nameB) return null;
+    if (morph?.nameA === nameA && morph?.nameB === nameB) return morph;
+
+    const presets = getStoredPresets();
+    if (!presets[nameA] || !presets[nameB]) return null;
+    try {
+        morph = {
+            nameA,
+            nameB,
+            a: getMorphEndpoint(validatePreset(migratePreset(presets[nameA])).preset),
+            b: getMorphEndpoint(validatePreset(migratePreset(presets[nameB])).preset)
+        };
+    } catch (error) {
+        console.error('Failed to prepare morph:', error);
+        Utils.showToast('Cannot morph: ' + error.message, 3000);
+        morph = null;
+    }
+    return morph;
+}
+
+/**
+ * Apply the morph at a crossfader position
+ * @param {number} t - 0 = preset A, 1 = preset B
+ * @returns {boolean} False when presets A and B are not both selected
+ */
+export function setMorphPosition(t) {
+    const endpoints = getMorph();
+    updateElementValue('morphPosition', t);
+    updateElementText('morphPosition-value', t.toFixed(2));
+    if (!endpoints) return false;
+
+    applyMorphValues(interpolateMorph(endpoints.a, endpoints.b, t));
+    return true;
+}
+
+// Helper: Write interpolated values into CONFIG and refresh the affected controls in place
+function applyMorphValues({ physics, species, relationships }) {
+    const previousRadius = CONFIG.physics.maxForceDistance;
+    Object.assign(CONFIG.physics, physics);
+    refreshPhysicsSliders();
+    if (state.spatialGrid && CONFIG.physics.maxForceDistance !== previousRadius) {
+        state.spatialGrid.updateCellSize(CONFIG.physics.maxForceDistance);
+    }
+
+    relationships.forEach((row, i) => {
+        row.forEach((value, j) => { CONFIG.relationships[i][j] = value; });
+    });
+    updateForceMatrixValues();
+
+    species.trailLengths.forEach((trail, i) => {
+        const hadTrail = CONFIG.species.trailLengths[i] > 0.01;
+        CONFIG.species.trailLengths[i] = trail;
+        if (hadTrail && trail <= 0.01) removeTrailParticlesForSpecies(i);
+        updateElementText(`trail-${i}`, trail.toFixed(2));
+    });
+
+    // Audio parameters are only sent when a volume or pitch actually changed
+    let audioChanged = false;
+    species.sampleVolumes.forEach((volume, i) => {
+        if (CONFIG.species.sampleVolumes[i] === volume) return;
+        CONFIG.species.sampleVolumes[i] = volume;
+        updateElementValue(`volume-${i}`, volume);
+        updateElementText(`volume-${i}-value`, volume > 0 ? `+${volume.toFixed(1)} dB` : `${volume.toFixed(1)} dB`);
+        audioChanged = true;
+    });
+    species.samplePitches.forEach((pitch, i) => {
+        if (CONFIG.species.samplePitches[i] === pitch) return;
+        CONFIG.species.samplePitches[i] = pitch;
+        updateElementValue(`pitch-${i}`, pitch);
+        updateElementText(`pitch-${i}-value`, pitch > 0 ? `+${pitch}` : `${pitch}`);
+        audioChanged = true;
+    });
+    if (audioChanged) AudioSystem.updateParameters({ audio: true });
+}
+
+// Helper: Move the crossfader to target over the glide time, one step per animation frame
+function glideTo(target) {
+    stopGlide();
+    morph = null;
+    if (!getMorph()) {
+        Utils.showToast('Select presets A and B to morph between');
+        return;
+    }
+
+    const seconds = validateFloat(safeGetElement('morphTime', null, false)?.value, 0, 60, 4);
+    const from = getMorphPosition();
+    const start = performance.now();
+
+    const step = (now) => {
+        const progress = seconds > 0 ? clamp((now - start) / (seconds * 1000), 0, 1) : 1;
+        setMorphPosition(from + (target - from) * progress);
+        if (progress < 1) {
+            glide = requestAnimationFrame(step);
+        } else {
+            glide = null;
+            updateWaveformDisplay(getCurrentAudioSpeciesTab());
+            console.log(`🔀 Morphed to preset ${target === 0 ? morph.nameA : morph.nameB}`);
+        }
+    };
+    glide = requestAnimationFrame(step);
+}
+
+// Helper: Stop a running glide where it is
+function stopGlide() {
+    if (glide !== null) {
+        cancelAnimationFrame(glide);
+        glide = null;
+    }
+}
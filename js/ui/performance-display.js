@@ -64,6 +64,13 @@ function updateAudioPerformanceMetrics(metrics) {
     if (metrics.audioCpuUsage !== undefined) {
         updateCpuDisplay('audio-cpu', metrics.audioCpuUsage);
     }
+
+    // CPU budget next to the interpolation selector: same color coding, plus the read cost factor
+    if (metrics.audioCpuUsage !== undefined && metrics.interpolationLoad != null) {
+        updateCpuDisplay('interpolationBudget', metrics.audioCpuUsage);
+        updateElementText('interpolationBudget',
+            `${metrics.audioCpuUsage.toFixed(1)}% · ×${metrics.interpolationLoad.toFixed(1)}`);
+    }
 }
 
 /**
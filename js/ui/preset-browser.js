@@ -0,0 +1,375 @@
+/**
+ * Preset Browser - Searchable list of saved presets with thumbnails, tags and favourites
+ * Saving (with overwrite confirmation), renaming, duplicating and deleting (with undo) happen
+ * here; the preset-system stores the presets and applies them.
+ */
+
+import { Utils } from '../utils.js';
+import {
+    getCurrentState, getStoredPresets, storePresets, selectPreset, getSelectedPresetName, loadPreset,
+    pruneUnusedSamples
+} from './preset-system.js';
+import {
+    normalizeTags, getPresetTags, filterPresets, uniquePresetName, renamePreset, duplicatePreset
+} from './preset-library.js';
+import { EventListenerManager } from '../shared/event-manager.js';
+import { safeGetElement } from '../shared/dom-utils.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+
+// Thumbnail width in pixels (height follows the canvas aspect ratio)
+const THUMBNAIL_WIDTH = 120;
+// How long the undo offer stays after a delete
+const UNDO_TIMEOUT_MS = 10000;
+
+// Event listener managers (the list is rebuilt on every change)
+const eventManager = new EventListenerManager('PresetBrowser');
+const listEventManager = new EventListenerManager('PresetBrowserList');
+
+// Last deleted preset ({ name, preset }), restorable until the next delete
+let lastDeleted = null;
+let noticeTimer = null;
+
+/**
+ * Initialize the preset browser panel
+ */
+export function initPresetBrowser() {
+    eventManager.removeAll();
+
+    const search = safeGetElement('presetSearch', null, false);
+    if (search) eventManager.add(search, 'input', renderPresetList);
+
+    const tagFilter = safeGetElement('presetTagFilter', null, false);
+    if (tagFilter) eventManager.add(tagFilter, 'change', renderPresetList);
+
+    const favoritesOnly = safeGetElement('presetFavoritesOnly', null, false);
+    if (favoritesOnly) {
+        eventManager.add(favoritesOnly, 'click', () => {
+            const pressed = favoritesOnly.getAttribute('aria-pressed') !== 'true';
+            favoritesOnly.setAttribute('aria-pressed', String(pressed));
+            favoritesOnly.classList.toggle('active', pressed);
+            renderPresetList();
+        });
+    }
+
+    const nameInput = safeGetElement('presetName', null, false);
+    if (nameInput) {
+        eventManager.add(nameInput, 'keydown', (e) => {
+            if (e.key === 'Enter') savePreset();
+        });
+    }
+
+    const pruneButton = safeGetElement('presetPruneSamples', null, false);
+    if (pruneButton) eventManager.add(pruneButton, 'click', pruneSamples);
+
+    eventBus.on(Events.PRESETS_CHANGED, renderPresetList);
+    renderPresetList();
+
+    console.log('🗂️ Preset browser initialized');
+}
+
+/**
+ * Save the current state under the name in the name field (asks before replacing a preset)
+ */
+export function savePreset() {
+    const nameInput = safeGetElement('presetName', null, false);
+    const name = nameInput?.value.trim() || '';
+    if (!name) {
+        Utils.showToast('Enter a preset name first');
+        nameInput?.focus();
+        return;
+    }
+
+    if (Object.hasOwn(getStoredPresets(), name)) {
+        showNotice(`Overwrite preset "${name}"?`, [
+            { label: 'Overwrite', action: () => writePreset(name) },
+            { label: 'Cancel' }
+        ]);
+        return;
+    }
+    writePreset(name);
+}
+
+// Helper: Store the current state with a fresh thumbnail; tags and favourite carry over when overwriting
+function writePreset(name) {
+    const presets = getStoredPresets();
+    const previous = presets[name];
+
+    const preset = getCurrentState();
+    preset.name = name;
+    preset.tags = normalizeTags(previous?.tags);
+    preset.favorite = previous?.favorite === true;
+    const thumbnail = captureThumbnail();
+    if (thumbnail) preset.thumbnail = thumbnail;
+
+    presets[name] = preset;
+    selectPreset(name);
+    if (!storePresets(presets)) return;
+
+    eventBus.emit(Events.PRESET_SAVED, { name });
+    Utils.showToast(`Preset "${name}" ${previous ? 'overwritten' : 'saved'}`);
+    console.log(`💾 Preset saved: ${name}`);
+}
+
+/**
+ * Delete a stored preset; it can be restored with undoDeletePreset() until the next delete
+ * @param {string} [name] - Preset to delete (defaults to the selected one)
+ */
+export function deletePreset(name = getSelectedPresetName()) {
+    if (!name) {
+        Utils.showToast('Please select a preset to delete');
+        return;
+    }
+
+    const presets = getStoredPresets();
+    const preset = presets[name];
+    if (!preset) return;
+
+    delete presets[name];
+    if (!storePresets(presets)) return;
+
+    lastDeleted = { name, preset };
+    showNotice(`Deleted "${name}"`, [{ label: 'Undo', action: undoDeletePreset }], UNDO_TIMEOUT_MS);
+    console.log(`🗑️ Preset deleted: ${name}`);
+}
+
+/**
+ * Restore the last deleted preset (under a free name if its name was reused meanwhile)
+ * @returns {boolean} False when there is nothing to restore
+ */
+export function undoDeletePreset() {
+    if (!lastDeleted) return false;
+
+    const presets = getStoredPresets();
+    const name = uniquePresetName(presets, lastDeleted.name);
+    presets[name] = { ...lastDeleted.preset, name };
+    lastDeleted = null;
+    hideNotice();
+
+    selectPreset(name);
+    if (!storePresets(presets)) return false;
+    Utils.showToast(`Preset "${name}" restored`);
+    return true;
+}
+
+// Helper: Free the storage of samples no preset or species uses (a preset that can still be undeleted keeps its own)
+async function pruneSamples() {
+    try {
+        const removed = await pruneUnusedSamples(lastDeleted ? [lastDeleted.preset] : []);
+        Utils.showToast(removed > 0
+            ? `Removed ${removed} unused sample${removed > 1 ? 's' : ''} from storage`
+            : 'No unused samples in storage');
+    } catch (error) {
+        console.error('Failed to prune samples:', error);
+        Utils.showToast('Stored samples could not be cleaned up', 3000);
+    }
+}
+
+// Helper: Apply a library change (rename, duplicate, tags, favourite) and store it; errors go to a toast
+function updateLibrary(change) {
+    const presets = getStoredPresets();
+    try {
+        change(presets);
+    } catch (error) {
+        Utils.showToast(error.message, 3000);
+        return;
+    }
+    storePresets(presets);
+}
+
+// Helper: Small JPEG of the simulation canvas (null if the canvas is missing or cannot be read)
+function captureThumbnail() {
+    const canvas = safeGetElement('canvas', null, false);
+    if (!canvas?.width || !canvas.height) return null;
+
+    try {
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = THUMBNAIL_WIDTH;
+        thumbnail.height = Math.round(THUMBNAIL_WIDTH * canvas.height / canvas.width);
+        thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+        return thumbnail.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        console.warn('Preset thumbnail capture failed:', error);
+        return null;
+    }
+}
+
+// Helper: Message bar above the list with action buttons; any button closes it
+function showNotice(message, actions, timeout = 0) {
+    const notice = safeGetElement('presetNotice', null, false);
+    if (!notice) return;
+
+    clearTimeout(noticeTimer);
+    notice.innerHTML = '';
+    const text = Utils.createElement('span', 'preset-notice-text');
+    text.textContent = message;
+    notice.appendChild(text);
+
+    actions.forEach(({ label, action }) => {
+        const button = Utils.createElement('button', 'preset-notice-button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            hideNotice();
+            action?.();
+        });
+        notice.appendChild(button);
+    });
+
+    notice.hidden = false;
+    if (timeout > 0) noticeTimer = setTimeout(hideNotice, timeout);
+}
+
+function hideNotice() {
+    clearTimeout(noticeTimer);
+    const notice = safeGetElement('presetNotice', null, false);
+    if (notice) {
+        notice.hidden = true;
+        notice.innerHTML = '';
+    }
+}
+
+// Helper: Rebuild the tag filter options, keeping the chosen tag while it exists
+function updateTagFilter(presets) {
+    const tagFilter = safeGetElement('presetTagFilter', null, false);
+    if (!tagFilter) return '';
+
+    const tags = getPresetTags(presets);
+    const current = tags.includes(tagFilter.value) ? tagFilter.value : '';
+    tagFilter.innerHTML = '<option value="">All tags</option>';
+    tags.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = tag;
+        tagFilter.appendChild(option);
+    });
+    tagFilter.value = current;
+    return current;
+}
+
+/**
+ * Redraw the preset list for the current search, tag and favourites filters
+ */
+export function renderPresetList() {
+    const list = safeGetElement('presetList', null, false);
+    if (!list) return;
+
+    listEventManager.removeAll();
+    const presets = getStoredPresets();
+    const names = filterPresets(presets, {
+        query: safeGetElement('presetSearch', null, false)?.value || '',
+        tag: updateTagFilter(presets),
+        favoritesOnly: safeGetElement('presetFavoritesOnly', null, false)?.getAttribute('aria-pressed') === 'true'
+    });
+
+    list.innerHTML = '';
+    if (names.length === 0) {
+        const empty = Utils.createElement('div', 'preset-list-empty');
+        empty.textContent = Object.keys(presets).length === 0 ? 'No saved presets yet' : 'No presets match';
+        list.appendChild(empty);
+        return;
+    }
+
+    const selected = getSelectedPresetName();
+    names.forEach(name => list.appendChild(createPresetCard(name, presets[name], name === selected)));
+}
+
+// Helper: One list entry: thumbnail, name, tags and actions; click selects, double-click loads
+function createPresetCard(name, preset, isSelected) {
+    const card = Utils.createElement('div', 'preset-card' + (isSelected ? ' selected' : ''));
+    card.title = `${name}\nDouble-click to load`;
+
+    const thumbnail = Utils.createElement(preset.thumbnail ? 'img' : 'div', 'preset-thumbnail');
+    if (preset.thumbnail) {
+        thumbnail.src = preset.thumbnail;
+        thumbnail.alt = '';
+    }
+
+    const body = Utils.createElement('div', 'preset-card-body');
+    const title = Utils.createElement('div', 'preset-card-name');
+    title.textContent = name;
+    const tags = Utils.createElement('div', 'preset-card-tags');
+    normalizeTags(preset.tags).forEach(tag => {
+        const chip = Utils.createElement('span', 'preset-tag');
+        chip.textContent = tag;
+        chip.title = `Show presets tagged "${tag}"`;
+        listEventManager.add(chip, 'click', (e) => {
+            e.stopPropagation();
+            const tagFilter = safeGetElement('presetTagFilter', null, false);
+            if (tagFilter) tagFilter.value = tag;
+            renderPresetList();
+        });
+        tags.appendChild(chip);
+    });
+    body.appendChild(title);
+    body.appendChild(tags);
+
+    const actions = Utils.createElement('div', 'preset-card-actions');
+    const addAction = (label, tooltip, handler, className = '') => {
+        const button = Utils.createElement('button', `preset-card-button ${className}`.trim());
+        button.type = 'button';
+        button.textContent = label;
+        button.title = tooltip;
+        button.setAttribute('aria-label', `${tooltip}: ${name}`);
+        listEventManager.add(button, 'click', (e) => {
+            e.stopPropagation();
+            handler();
+        });
+        actions.appendChild(button);
+        return button;
+    };
+
+    const favorite = addAction(preset.favorite ? '★' : '☆', preset.favorite ? 'Remove from favourites' : 'Add to favourites',
+        () => updateLibrary(stored => { stored[name] = { ...stored[name], favorite: stored[name].favorite !== true }; }),
+        'preset-favorite');
+    favorite.classList.toggle('active', preset.favorite === true);
+    addAction('✎', 'Rename', () => editInline(title, name, value => updateLibrary(stored => {
+        const renamed = renamePreset(stored, name, value);
+        if (getSelectedPresetName() === name) selectPreset(renamed);
+    })));
+    addAction('🏷', 'Edit tags (comma separated)', () => editInline(tags, normalizeTags(preset.tags).join(', '),
+        value => updateLibrary(stored => { stored[name] = { ...stored[name], tags: normalizeTags(value) }; })));
+    addAction('⧉', 'Duplicate', () => updateLibrary(stored => selectPreset(duplicatePreset(stored, name))));
+    addAction('🗑', 'Delete', () => deletePreset(name), 'preset-delete');
+
+    card.appendChild(thumbnail);
+    card.appendChild(body);
+    card.appendChild(actions);
+
+    listEventManager.add(card, 'click', () => {
+        selectPreset(name);
+        const nameInput = safeGetElement('presetName', null, false);
+        if (nameInput) nameInput.value = name;
+        renderPresetList();
+    });
+    listEventManager.add(card, 'dblclick', () => {
+        selectPreset(name);
+        loadPreset(name);
+    });
+
+    return card;
+}
+
+// Helper: Swap an element's content for a text field; Enter or leaving the field commits, Escape cancels
+function editInline(element, value, commit) {
+    const input = Utils.createElement('input', 'preset-inline-input');
+    input.type = 'text';
+    input.value = value;
+    element.replaceChildren(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        if (save) commit(input.value);
+        renderPresetList();
+    };
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('dblclick', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
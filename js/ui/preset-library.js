@@ -0,0 +1,104 @@
+/**
+ * Preset Library - Searching, tagging and naming stored presets
+ * Works on the name -> preset map kept in localStorage; no DOM access, so it is tested in Node.
+ * Browser metadata lives on each preset: tags (lowercase strings), favorite and a thumbnail data URL.
+ */
+
+// Longest tag kept (longer ones are cut)
+const MAX_TAG_LENGTH = 24;
+
+/**
+ * Clean up tags typed by the user
+ * @param {string|Array<string>} input - Comma-separated text or a list
+ * @returns {Array<string>} Unique, trimmed, lowercase tags in input order
+ */
+export function normalizeTags(input) {
+    const list = Array.isArray(input) ? input : String(input ?? '').split(',');
+    const tags = list
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(tag => tag.length > 0);
+    return [...new Set(tags)];
+}
+
+/**
+ * Every tag used by the stored presets
+ * @param {Object} presets - name -> preset
+ * @returns {Array<string>} Sorted unique tags
+ */
+export function getPresetTags(presets) {
+    const tags = Object.values(presets).flatMap(preset => normalizeTags(preset?.tags));
+    return [...new Set(tags)].sort();
+}
+
+/**
+ * Names of the presets matching a search, favourites first, then by name
+ * @param {Object} presets - name -> preset
+ * @param {Object} [filter] - { query: words that must all appear in the name or tags,
+ *   tag: required tag, favoritesOnly }
+ * @returns {Array<string>} Matching preset names
+ */
+export function filterPresets(presets, { query = '', tag = '', favoritesOnly = false } = {}) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return Object.keys(presets)
+        .filter(name => {
+            const preset = presets[name] || {};
+            const tags = normalizeTags(preset.tags);
+            if (favoritesOnly && preset.favorite !== true) return false;
+            if (tag && !tags.includes(tag)) return false;
+            const text = [name.toLowerCase(), ...tags].join(' ');
+            return words.every(word => text.includes(word));
+        })
+        .sort((a, b) => {
+            const favoriteOrder = Number(presets[b]?.favorite === true) - Number(presets[a]?.favorite === true);
+            return favoriteOrder || a.localeCompare(b, undefined, { sensitivity: 'base' });
+        });
+}
+
+/**
+ * A name not yet used by any preset ("Name", "Name 2", ...)
+ * @param {Object} presets - name -> preset
+ * @param {string} base - Wanted name
+ * @returns {string} base itself when free
+ */
+export function uniquePresetName(presets, base) {
+    if (!Object.hasOwn(presets, base)) return base;
+    let n = 2;
+    while (Object.hasOwn(presets, `${base} ${n}`)) n++;
+    return `${base} ${n}`;
+}
+
+/**
+ * Rename a stored preset
+ * @param {Object} presets - name -> preset (changed in place)
+ * @param {string} from - Current name
+ * @param {string} to - New name (trimmed)
+ * @returns {string} The new name
+ * @throws {Error} If the preset does not exist, the name is empty or already taken
+ */
+export function renamePreset(presets, from, to) {
+    const name = String(to ?? '').trim();
+    if (!Object.hasOwn(presets, from)) throw new Error(`Preset "${from}" not found`);
+    if (!name) throw new Error('Preset name cannot be empty');
+    if (name === from) return name;
+    if (Object.hasOwn(presets, name)) throw new Error(`A preset named "${name}" already exists`);
+
+    presets[name] = { ...presets[from], name };
+    delete presets[from];
+    return name;
+}
+
+/**
+ * Copy a stored preset under a free "<name> copy" name
+ * @param {Object} presets - name -> preset (changed in place)
+ * @param {string} name - Preset to copy
+ * @returns {string} Name of the copy
+ * @throws {Error} If the preset does not exist
+ */
+export function duplicatePreset(presets, name) {
+    if (!Object.hasOwn(presets, name)) throw new Error(`Preset "${name}" not found`);
+    const copyName = uniquePresetName(presets, `${name} copy`);
+    presets[copyName] = { ...structuredClone(presets[name]), name: copyName, favorite: false };
+    return copyName;
+}
@@ -0,0 +1,68 @@
+/**
+ * Preset Morph - Interpolation of the numeric state between two presets
+ * Only continuous values morph (force matrix, physics sliders, trails, volumes, pitches);
+ * everything else (species count, particle counts, samples, modes) stays as it is, so
+ * morphing never rebuilds the UI or resets particles.
+ */
+
+import { CONFIG } from '../config.js';
+import { lerp } from '../shared/validation-utils.js';
+
+// CONFIG.physics values that morph; int = rounded while morphing
+export const MORPH_PHYSICS_FIELDS = {
+    friction: {},
+    maxForceDistance: { int: true },
+    simulationSpeed: {},
+    gravityStrength: {},
+    bounceDamping: {}
+};
+
+// Per-species CONFIG.species arrays that morph (pitches are whole semitones)
+export const MORPH_SPECIES_FIELDS = {
+    trailLengths: {},
+    sampleVolumes: {},
+    samplePitches: { int: true }
+};
+
+/**
+ * Take the morphable values of a validated preset; fields it does not store use the current CONFIG values
+ * @param {Object} preset - Version 2 preset from validatePreset()
+ * @returns {{physics: Object, species: Object, relationships: Array<Array<number>>}} Morph end point
+ */
+export function getMorphEndpoint(preset) {
+    const physics = {};
+    for (const key of Object.keys(MORPH_PHYSICS_FIELDS)) {
+        physics[key] = preset.physics?.[key] ?? CONFIG.physics[key];
+    }
+    const species = {};
+    for (const key of Object.keys(MORPH_SPECIES_FIELDS)) {
+        species[key] = [...(preset.species?.[key] ?? CONFIG.species[key])];
+    }
+    const relationships = (preset.relationships ?? CONFIG.relationships).map(row => [...row]);
+    return { physics, species, relationships };
+}
+
+/**
+ * Values between two morph end points
+ * @param {Object} a - End point at position 0 (from getMorphEndpoint())
+ * @param {Object} b - End point at position 1
+ * @param {number} t - Morph position (clamped to 0-1)
+ * @returns {{physics: Object, species: Object, relationships: Array<Array<number>>}} Interpolated values
+ */
+export function interpolateMorph(a, b, t) {
+    const mix = (from, to, { int } = {}) => {
+        const value = lerp(from, to, t);
+        return int ? Math.round(value) : value;
+    };
+
+    const physics = {};
+    for (const [key, options] of Object.entries(MORPH_PHYSICS_FIELDS)) {
+        physics[key] = mix(a.physics[key], b.physics[key], options);
+    }
+    const species = {};
+    for (const [key, options] of Object.entries(MORPH_SPECIES_FIELDS)) {
+        species[key] = a.species[key].map((value, i) => mix(value, b.species[key][i], options));
+    }
+    const relationships = a.relationships.map((row, i) => row.map((value, j) => mix(value, b.relationships[i][j])));
+    return { physics, species, relationships };
+}
@@ -0,0 +1,108 @@
+/**
+ * Preset Schema - Versioned preset layout and migration of older presets
+ * Version 2 mirrors CONFIG: each parameter is stored under the CONFIG section it lives in
+ * (canvas, species, physics, granular, simulation, relationships) plus the master audio
+ * controls kept outside CONFIG, the MIDI CC mappings (midi.mappings) and the modulation sources
+ * and routes (modulation). No DOM or audio imports, so presets migrate anywhere.
+ */
+
+export const PRESET_VERSION = '2.0';
+
+// Per-species CONFIG.species arrays owned by the physics side (stored as-is)
+export const SPECIES_PHYSICS_FIELDS = ['counts', 'sizes', 'trailLengths', 'colors'];
+
+// Per-species CONFIG.species audio arrays, with the AudioSystem.validateParameter() type of each entry
+export const SPECIES_AUDIO_FIELDS = {
+    sampleVolumes: 'volume',
+    samplePitches: 'pitch',
+    channelModes: 'channelMode',
+    interpolationModes: 'interpolationMode',
+    pitchSpreads: 'pitchSpread',
+    pitchScales: 'pitchScale',
+    pitchScaleSources: 'pitchScaleSource',
+    customScales: 'scaleCents',
+    envelopeShapes: 'envelopeShape',
+    envelopeAttacks: 'envelopeAttack',
+    envelopeSkews: 'envelopeSkew',
+    directionModes: 'directionMode',
+    reverseProbabilities: 'reverseProbability',
+    freqRangeMins: 'freqRangeMin',
+    freqRangeMaxes: 'freqRangeMax',
+    freqGammas: 'freqGamma',
+    bandwidthOctavesMaxes: 'bandwidthOctavesMax',
+    bandCounts: 'bandCount',
+    frequencyYModes: 'frequencyYMode'
+};
+
+// CONFIG.physics settings (piecewise and beta are objects of numbers)
+export const PHYSICS_FIELDS = [
+    'friction', 'maxForceDistance', 'simulationSpeed', 'toroidalSpace', 'gravityStrength', 'bounceDamping',
+    'maxSpeed', 'forceCurveMode', 'piecewise', 'beta', 'useVerletIntegration',
+    'useDynamicFriction', 'dynamicFrictionScale', 'enableOrbitalForces', 'orbitalStrength'
+];
+
+// User-facing CONFIG.granular settings (the rest are engine tuning constants)
+export const GRANULAR_FIELDS = [
+    'interpolationMode', 'pitchScaleOctaves', 'windowSigmaFactor', 'bandCrossfade', 'bandTracking', 'numBandwidthTiers'
+];
+
+// Master audio controls stored outside CONFIG (curve and volume sliders, voice stealing timings in state)
+export const MASTER_AUDIO_FIELDS = ['curveParameter', 'volumeScale', 'voiceStealingDelay', 'voiceStealingCrossfade'];
+
+/**
+ * Bring a stored or imported preset to the current schema
+ * @param {Object} preset - Preset of any supported version
+ * @returns {Object} Version 2 preset (the same object when it already is one)
+ * @throws {Error} If the preset is not an object or its version is unknown
+ */
+export function migratePreset(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error('Preset is not an object');
+    }
+    if (preset.version === PRESET_VERSION) return preset;
+    if (preset.version === '1.0') return migrateV1(preset);
+    throw new Error(`Unsupported preset version: ${preset.version ?? 'none'}`);
+}
+
+// Helper: Version 1 was flat; its frequency profiles and sample references were optional additions
+function migrateV1(v1) {
+    return withoutUndefined({
+        version: PRESET_VERSION,
+        name: v1.name,
+        timestamp: v1.timestamp,
+        canvas: withoutUndefined({
+            width: v1.canvasWidth,
+            height: v1.canvasHeight,
+            backgroundColor: v1.canvasBackgroundColor
+        }),
+        species: withoutUndefined({
+            count: v1.speciesCount,
+            counts: v1.particleCounts,
+            sizes: v1.particleSizes,
+            trailLengths: v1.speciesTrailLengths,
+            colors: v1.speciesColors,
+            ...(v1.frequencyProfiles || {})
+        }),
+        samples: v1.samples,
+        physics: withoutUndefined({
+            friction: v1.friction,
+            maxForceDistance: v1.maxForceDistance,
+            simulationSpeed: v1.simulationSpeed,
+            toroidalSpace: v1.toroidalSpace,
+            gravityStrength: v1.gravityStrength,
+            bounceDamping: v1.bounceDamping
+        }),
+        relationships: v1.relationshipMatrix,
+        // Version 1 presets without the flag always switched deterministic mode off
+        simulation: withoutUndefined({
+            deterministic: v1.deterministic === true,
+            seed: v1.seed
+        }),
+        sampleData: v1.sampleData
+    });
+}
+
+// Helper: Copy of an object without its undefined entries (absent = keep the current value)
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
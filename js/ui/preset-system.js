@@ -3,94 +3,231 @@
  * Handles complete state management and preset persistence
  */
 
-import { CONFIG, state } from '../config.js';
+import { CONFIG, state, audioEngine } from '../config.js';
 import { Utils } from '../utils.js';
-import { updateCanvasSize, adjustParticleCounts } from '../physics/physics-engine.js';
+import { updateCanvasSize, adjustParticleCounts, resetSimulation } from '../physics/physics-engine.js';
 import { ensureMatrixSize, createForceMatrix, createSpeciesTabs } from './force-matrix.js';
+import { refreshGranularControls } from './audio-controls.js';
+import { refreshPhysicsSliders } from './slider-controls.js';
 import { EventListenerManager } from '../shared/event-manager.js';
 import { safeGetElement, updateElementValue, updateElementText } from '../shared/dom-utils.js';
+import { normalizeSeed } from '../shared/random.js';
+import { AudioSystem } from '../audio/audio-system.js';
+import { bundleSamples, unbundleSamples, pruneSamples } from '../audio/sample-store.js';
+import { bandBankKey } from '../audio/sample-cache.js';
+import { getFrequencyProfile } from '../audio/parameter-manager.js';
+import {
+    PRESET_VERSION, SPECIES_PHYSICS_FIELDS, SPECIES_AUDIO_FIELDS, PHYSICS_FIELDS, GRANULAR_FIELDS,
+    MASTER_AUDIO_FIELDS, migratePreset
+} from './preset-schema.js';
+import { validatePreset, describePresetErrors } from './preset-validator.js';
+import { uniquePresetName } from './preset-library.js';
+import { getMidiMappings, setMidiMappings } from '../midi/midi-input.js';
+import { getMidiNoteSettings, setMidiNoteSettings } from '../midi/midi-notes.js';
+import { getMidiOutputSettings, setMidiOutputSettings } from '../midi/midi-output.js';
+import { getModulationSettings, setModulationSettings } from '../modulation/modulation-controls.js';
+import { writeModulationBases } from '../modulation/modulation-engine.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+
+// localStorage key holding every saved preset (name -> preset)
+const PRESET_STORAGE_KEY = 'granular-presets';
+
+// Helper: What a species' worklet sample depends on: its band bank, or the raw sample when Y mapping is off
+function workletSampleKey(speciesIndex) {
+    const profile = getFrequencyProfile(speciesIndex);
+    return profile.yMode === 'off' ? 'raw' : bandBankKey(profile);
+}
 
-export function getCurrentState() {
+// Helper: Apply stored per-species audio arrays; only species whose band bank changed since
+// previousKeys (taken before the preset touched any setting) are re-filtered
+function applySpeciesAudio(species, previousKeys) {
+    for (const [key, type] of Object.entries(SPECIES_AUDIO_FIELDS)) {
+        if (!Array.isArray(species[key])) continue;
+        species[key].slice(0, CONFIG.species.maxCount).forEach((value, i) => {
+            CONFIG.species[key][i] = AudioSystem.validateParameter(type, value);
+        });
+    }
+    if (Array.isArray(species.sampleRanges)) {
+        species.sampleRanges.slice(0, CONFIG.species.maxCount).forEach((range, i) => {
+            CONFIG.species.sampleRanges[i] = { start: range.start, end: range.end };
+        });
+    }
+    if (Array.isArray(species.maxVoicesPerSpecies)) {
+        species.maxVoicesPerSpecies.slice(0, CONFIG.species.maxCount).forEach((voices, i) => {
+            CONFIG.species.maxVoicesPerSpecies[i] = AudioSystem.validateParameter('voices', voices);
+        });
+    }
+    if (Array.isArray(species.mutedSpecies)) {
+        species.mutedSpecies.slice(0, CONFIG.species.maxCount).forEach((muted, i) => {
+            CONFIG.species.mutedSpecies[i] = muted === true;
+        });
+    }
+
+    AudioSystem.updateParameters({ all: true });
+    AudioSystem.updateUI({ updateType: 'controls' });
+    previousKeys.forEach((key, i) => {
+        if (workletSampleKey(i) !== key) AudioSystem.regenerateBands(i);
+    });
+}
+
+// Helper: Master audio settings kept outside CONFIG (slider values and voice stealing state)
+function getMasterAudioSettings() {
     return {
-        version: '1.0',
+        curveParameter: parseFloat(safeGetElement('curveParameter', null, false)?.value ?? 1),
+        volumeScale: parseFloat(safeGetElement('volumeScale', null, false)?.value ?? 0),
+        voiceStealingDelay: state.voiceStealingDelay,
+        voiceStealingCrossfade: state.voiceStealingCrossfade
+    };
+}
+
+// Helper: Restore master audio settings and send the voice stealing timings to a running worklet
+function applyMasterAudioSettings(audio) {
+    const has = key => MASTER_AUDIO_FIELDS.includes(key) && typeof audio[key] === 'number';
+
+    if (has('curveParameter')) updateElementValue('curveParameter', audio.curveParameter);
+    if (has('volumeScale')) updateElementValue('volumeScale', audio.volumeScale);
+
+    if (has('voiceStealingDelay')) state.voiceStealingDelay = audio.voiceStealingDelay;
+    if (has('voiceStealingCrossfade')) state.voiceStealingCrossfade = audio.voiceStealingCrossfade;
+    updateElementText('voiceStealingDelay', state.voiceStealingDelay);
+    updateElementText('voiceStealingCrossfade', state.voiceStealingCrossfade);
+
+    if (audioEngine.workletNode && audioEngine.isActive) {
+        audioEngine.workletNode.port.postMessage({ type: 'voiceStealingDelay', delay: state.voiceStealingDelay });
+        audioEngine.workletNode.port.postMessage({ type: 'voiceStealingCrossfade', duration: state.voiceStealingCrossfade });
+    }
+}
+
+// Helper: Copy stored keys onto a CONFIG section (absent keys keep their current value)
+function assignFields(target, source, fields) {
+    for (const key of fields) {
+        if (source[key] === undefined) continue;
+        target[key] = typeof source[key] === 'object' && source[key] !== null
+            ? { ...target[key], ...source[key] }
+            : source[key];
+    }
+}
+
+export function getCurrentState() {
+    const { species } = CONFIG;
+    const copyFields = (section, fields) => Object.fromEntries(fields.map(key => [key, structuredClone(section[key])]));
+
+    const presetState = {
+        version: PRESET_VERSION,
         timestamp: new Date().toISOString(),
-        canvasWidth: CONFIG.canvas.width,
-        canvasHeight: CONFIG.canvas.height,
-        canvasBackgroundColor: CONFIG.canvas.backgroundColor,
-        speciesCount: CONFIG.species.count,
-        particleCounts: [...CONFIG.species.counts],
-        particleSizes: [...CONFIG.species.sizes],
-        speciesTrailLengths: [...CONFIG.species.trailLengths],
-        speciesColors: CONFIG.species.colors.map(color => [...color]),
-        friction: CONFIG.physics.friction,
-        maxForceDistance: CONFIG.physics.maxForceDistance,
-        simulationSpeed: CONFIG.physics.simulationSpeed,
-        toroidalSpace: CONFIG.physics.toroidalSpace,
-        gravityStrength: CONFIG.physics.gravityStrength,
-        bounceDamping: CONFIG.physics.bounceDamping,
-        relationshipMatrix: CONFIG.relationships.map(row => [...row])
+        canvas: { ...CONFIG.canvas },
+        species: {
+            count: species.count,
+            ...copyFields(species, SPECIES_PHYSICS_FIELDS),
+            ...copyFields(species, Object.keys(SPECIES_AUDIO_FIELDS)),
+            sampleRanges: species.sampleRanges.map(range => ({ ...range })),
+            maxVoicesPerSpecies: [...species.maxVoicesPerSpecies],
+            mutedSpecies: [...species.mutedSpecies]
+        },
+        samples: species.sampleRefs.map(ref => (ref ? { ...ref } : null)),
+        physics: copyFields(CONFIG.physics, PHYSICS_FIELDS),
+        granular: copyFields(CONFIG.granular, GRANULAR_FIELDS),
+        audio: getMasterAudioSettings(),
+        relationships: CONFIG.relationships.map(row => [...row]),
+        simulation: { ...CONFIG.simulation },
+        midi: { mappings: getMidiMappings(), notes: getMidiNoteSettings(), output: getMidiOutputSettings() },
+        modulation: getModulationSettings()
     };
+    // Modulated targets are stored at their own values, not wherever the modulation has moved them
+    writeModulationBases(presetState);
+    return presetState;
 }
 
 export function applyState(presetState) {
     try {
-        if (!presetState.version || presetState.version !== '1.0') {
-            throw new Error('Incompatible preset version');
+        // Older presets are migrated (unknown versions are rejected), then checked against the documented ranges
+        const { preset, errors } = validatePreset(migratePreset(presetState));
+        errors.forEach(({ field, message }) => console.warn(`⚠️ Preset ${field}: ${message}`));
+        const species = preset.species || {};
+        const previousSampleKeys = CONFIG.species.frequencyYModes.map((_, i) => workletSampleKey(i));
+
+        if (preset.canvas) {
+            updateCanvasSize(preset.canvas.width ?? CONFIG.canvas.width, preset.canvas.height ?? CONFIG.canvas.height);
+
+            // Update canvas background color
+            if (preset.canvas.backgroundColor) {
+                CONFIG.canvas.backgroundColor = preset.canvas.backgroundColor;
+                const canvasColorPicker = safeGetElement('canvas-color');
+                if (canvasColorPicker) {
+                    canvasColorPicker.value = preset.canvas.backgroundColor;
+                }
+            }
         }
 
-        updateCanvasSize(presetState.canvasWidth || 1200, presetState.canvasHeight || 800);
+        if (species.count !== undefined) CONFIG.species.count = species.count;
+        updateElementValue('speciesCount', CONFIG.species.count);
+        updateElementText('speciesCount-value', CONFIG.species.count);
 
-        // Update canvas background color
-        if (presetState.canvasBackgroundColor) {
-            CONFIG.canvas.backgroundColor = presetState.canvasBackgroundColor;
-            const canvasColorPicker = safeGetElement('canvas-color');
-            if (canvasColorPicker) {
-                canvasColorPicker.value = presetState.canvasBackgroundColor;
+        for (const key of SPECIES_PHYSICS_FIELDS) {
+            if (Array.isArray(species[key])) {
+                CONFIG.species[key].splice(0, CONFIG.species[key].length, ...structuredClone(species[key]));
             }
         }
 
-        CONFIG.species.count = presetState.speciesCount || 2;
-        updateElementValue('speciesCount', CONFIG.species.count);
-        updateElementText('speciesCount-value', CONFIG.species.count);
+        if (preset.physics) assignFields(CONFIG.physics, preset.physics, PHYSICS_FIELDS);
+        if (preset.granular) assignFields(CONFIG.granular, preset.granular, GRANULAR_FIELDS);
 
-        if (presetState.particleCounts) CONFIG.species.counts.splice(0, CONFIG.species.counts.length, ...presetState.particleCounts);
-        if (presetState.particleSizes) CONFIG.species.sizes.splice(0, CONFIG.species.sizes.length, ...presetState.particleSizes);
-        if (presetState.speciesTrailLengths) CONFIG.species.trailLengths.splice(0, CONFIG.species.trailLengths.length, ...presetState.speciesTrailLengths);
-        if (presetState.speciesColors) CONFIG.species.colors.splice(0, CONFIG.species.colors.length, ...presetState.speciesColors.map(color => [...color]));
+        if (preset.relationships) {
+            CONFIG.relationships.splice(0, CONFIG.relationships.length, ...preset.relationships.map(row => [...row]));
+        }
 
-        CONFIG.physics.friction = presetState.friction || 0.95;
-        CONFIG.physics.maxForceDistance = presetState.maxForceDistance || 60;
-        CONFIG.physics.simulationSpeed = presetState.simulationSpeed || 1.0;
-        CONFIG.physics.toroidalSpace = presetState.toroidalSpace !== undefined ? presetState.toroidalSpace : true;
-        CONFIG.physics.gravityStrength = presetState.gravityStrength || 0.0;
-        CONFIG.physics.bounceDamping = presetState.bounceDamping || 0.8;
+        // Master controls first: the full parameter sync below sends the velocity curve
+        if (preset.audio) applyMasterAudioSettings(preset.audio);
+        applySpeciesAudio(species, previousSampleKeys);
+        refreshGranularControls();
 
-        if (presetState.relationshipMatrix) {
-            CONFIG.relationships.splice(0, CONFIG.relationships.length, ...presetState.relationshipMatrix.map(row => [...row]));
+        // Samples are loaded from the sample store after the profiles they are filtered with
+        if (Array.isArray(preset.samples)) {
+            AudioSystem.restoreSamples(preset.samples);
+        }
+
+        if (Array.isArray(preset.midi?.mappings)) {
+            setMidiMappings(preset.midi.mappings);
+        }
+        if (preset.midi?.notes) {
+            setMidiNoteSettings(preset.midi.notes);
+        }
+        if (preset.midi?.output) {
+            setMidiOutputSettings(preset.midi.output);
+        }
+        if (preset.modulation) {
+            setModulationSettings(preset.modulation);
+        }
+
+        if (preset.simulation) {
+            if (preset.simulation.deterministic !== undefined) {
+                CONFIG.simulation.deterministic = preset.simulation.deterministic === true;
+            }
+            if (preset.simulation.seed !== undefined) {
+                CONFIG.simulation.seed = normalizeSeed(preset.simulation.seed, CONFIG.simulation.seed);
+            }
         }
 
         // Update physics UI
-        const updates = [
-            ['friction', CONFIG.physics.friction, 2],
-            ['forceRadius', CONFIG.physics.maxForceDistance, 0],
-            ['simSpeed', CONFIG.physics.simulationSpeed, 1],
-            ['gravityStrength', CONFIG.physics.gravityStrength, 1],
-            ['bounceDamping', CONFIG.physics.bounceDamping, 1]
-        ];
-
-        updates.forEach(([id, value, decimals]) => {
-            updateElementValue(id, value);
-            updateElementText(`${id}-value`, value.toFixed(decimals));
-        });
+        refreshPhysicsSliders();
 
         const toroidalSpaceEl = safeGetElement('toroidalSpace');
         if (toroidalSpaceEl) toroidalSpaceEl.checked = CONFIG.physics.toroidalSpace;
 
+        const deterministicEl = safeGetElement('deterministicMode');
+        if (deterministicEl) deterministicEl.checked = CONFIG.simulation.deterministic;
+        updateElementValue('simulationSeed', CONFIG.simulation.seed);
+
         ensureMatrixSize();
         createForceMatrix();
         createSpeciesTabs();
         adjustParticleCounts();
 
+        // Seeded presets restart from the seed so the same motion and sound are recreated
+        if (CONFIG.simulation.deterministic) {
+            resetSimulation();
+        }
+
         if (state.spatialGrid) {
             state.spatialGrid.updateCellSize(CONFIG.physics.maxForceDistance);
         }
@@ -105,32 +242,30 @@ export function applyState(presetState) {
     }
 }
 
-export function savePreset() {
-    const name = prompt('Enter preset name:');
-    if (!name || !name.trim()) return;
-
-    const presetState = getCurrentState();
-    presetState.name = name.trim();
-
-    // Save to localStorage
-    const presets = getStoredPresets();
-    presets[name] = presetState;
-    localStorage.setItem('granular-presets', JSON.stringify(presets));
-
-    updatePresetSelect();
-    Utils.showToast(`Preset "${name}" saved`);
+// Preset picked in the preset browser (used by load and export)
+let selectedPresetName = null;
 
-    console.log(`💾 Preset saved: ${name}`);
+/**
+ * Pick the stored preset that load and export act on
+ * @param {string|null} name - Stored preset name, or null for none
+ */
+export function selectPreset(name) {
+    selectedPresetName = name || null;
 }
 
-// Helper to get selected preset name
-function getSelectedPresetName() {
-    const select = safeGetElement('presetSelect');
-    return select?.value || null;
+/**
+ * Name of the picked preset
+ * @returns {string|null} null when nothing is picked or the preset no longer exists
+ */
+export function getSelectedPresetName() {
+    return selectedPresetName && Object.hasOwn(getStoredPresets(), selectedPresetName) ? selectedPresetName : null;
 }
 
-export function loadPreset() {
-    const presetName = getSelectedPresetName();
+/**
+ * Apply a stored preset
+ * @param {string} [presetName] - Stored preset name (defaults to the selected one)
+ */
+export function loadPreset(presetName = getSelectedPresetName()) {
 
     if (!presetName) {
         Utils.showToast('Please select a preset to load');
@@ -151,29 +286,29 @@ export function loadPreset() {
     }
 }
 
-export function deletePreset() {
-    const presetName = getSelectedPresetName();
-
-    if (!presetName) {
-        Utils.showToast('Please select a preset to delete');
-        return;
-    }
+// Helper: Hashes of the stored samples a preset references
+function getSampleHashes(preset) {
+    return (Array.isArray(preset.samples) ? preset.samples : [])
+        .filter(ref => typeof ref?.hash === 'string')
+        .map(ref => ref.hash);
+}
 
-    if (!confirm(`Delete preset "${presetName}"?`)) {
-        return;
+/**
+ * Delete stored sample files that no saved preset and no loaded species uses
+ * @param {Array<Object>} [extraPresets] - Presets whose samples are kept as well (e.g. one that can still be undeleted)
+ * @returns {Promise<number>} Number of samples deleted
+ */
+export async function pruneUnusedSamples(extraPresets = []) {
+    const keep = [...Object.values(getStoredPresets()), ...extraPresets].flatMap(getSampleHashes);
+    for (const ref of CONFIG.species.sampleRefs) {
+        if (typeof ref?.hash === 'string') keep.push(ref.hash);
     }
-
-    const presets = getStoredPresets();
-    delete presets[presetName];
-    localStorage.setItem('granular-presets', JSON.stringify(presets));
-
-    updatePresetSelect();
-    Utils.showToast(`Preset "${presetName}" deleted`);
-
-    console.log(`🗑️ Preset deleted: ${presetName}`);
+    const removed = await pruneSamples(keep);
+    console.log(`🧹 Removed ${removed} unused sample(s) from storage`);
+    return removed;
 }
 
-export function exportPreset() {
+export async function exportPreset() {
     const presetName = getSelectedPresetName();
 
     let preset, filename;
@@ -193,16 +328,30 @@ export function exportPreset() {
         return;
     }
 
-    // Create download link
-    const dataStr = JSON.stringify(preset, null, 2);
-    const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
+    // Carry the referenced samples along (base64), so the file restores them on any machine
+    let sampleData = {};
+    const hashes = getSampleHashes(preset);
+    if (hashes.length > 0) {
+        try {
+            const { bundle, missing } = await bundleSamples(hashes);
+            sampleData = bundle;
+            if (missing.length > 0) {
+                console.warn(`📤 ${missing.length} referenced sample(s) not in storage, exported without them`);
+            }
+        } catch (error) {
+            console.error('Failed to bundle samples:', error);
+            Utils.showToast('Samples could not be read from storage, exporting settings only', 3000);
+        }
+    }
+    const sampleCount = Object.keys(sampleData).length;
 
-    const exportLink = document.createElement('a');
-    exportLink.setAttribute('href', dataUri);
-    exportLink.setAttribute('download', filename);
-    exportLink.click();
+    // Download as a blob (bundled samples make the file large); downloadBlob keeps the URL alive
+    // long enough for the download to start
+    const dataStr = JSON.stringify(sampleCount > 0 ? { ...preset, sampleData } : preset, null, 2);
+    Utils.downloadBlob(new Blob([dataStr], { type: 'application/json' }), filename);
 
-    Utils.showToast(`Preset exported as ${filename}`);
+    Utils.showToast(`Preset exported as ${filename}` +
+        (sampleCount > 0 ? ` with ${sampleCount} sample${sampleCount > 1 ? 's' : ''}` : ''));
 
     console.log(`📤 Preset exported: ${filename}`);
 }
@@ -217,25 +366,43 @@ export function importPreset() {
         if (!file) return;
 
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
             try {
                 const preset = JSON.parse(e.target.result);
 
-                if (applyState(preset)) {
-                    // Also save to localStorage if it has a name
-                    if (preset.name) {
+                // Bundled samples go to the sample store; the preset keeps only the references
+                if (preset.sampleData && typeof preset.sampleData === 'object') {
+                    const { stored, rejected } = await unbundleSamples(preset.sampleData);
+                    delete preset.sampleData;
+                    console.log(`📥 Imported ${stored} bundled sample${stored === 1 ? '' : 's'}`);
+                    if (rejected.length > 0) {
+                        Utils.showToast(`${rejected.length} bundled sample(s) were damaged and skipped`, 3000);
+                    }
+                }
+
+                // The corrected preset is applied and saved, and the user is told what had to be fixed
+                const { preset: validPreset, errors } = validatePreset(migratePreset(preset));
+                if (applyState(validPreset)) {
+                    let message = 'Preset imported (not saved)';
+                    // Also save to localStorage if it has a name (a free name, so no stored preset is replaced)
+                    if (typeof validPreset.name === 'string' && validPreset.name.trim()) {
                         const presets = getStoredPresets();
-                        presets[preset.name] = preset;
-                        localStorage.setItem('granular-presets', JSON.stringify(presets));
-                        updatePresetSelect();
-                        Utils.showToast(`Preset "${preset.name}" imported and saved`);
-                    } else {
-                        Utils.showToast('Preset imported (not saved)');
+                        validPreset.name = uniquePresetName(presets, validPreset.name.trim());
+                        presets[validPreset.name] = validPreset;
+                        if (storePresets(presets)) {
+                            selectPreset(validPreset.name);
+                            message = `Preset "${validPreset.name}" imported and saved`;
+                        }
+                    }
+                    if (errors.length > 0) {
+                        errors.forEach(({ field, message: problem }) => console.warn(`⚠️ Imported preset ${field}: ${problem}`));
+                        message += `; ${describePresetErrors(errors)}`;
                     }
+                    Utils.showToast(message, errors.length > 0 ? 6000 : 2000);
                 }
             } catch (error) {
                 console.error('Import error:', error);
-                Utils.showToast('Invalid preset file');
+                Utils.showToast(`Invalid preset file: ${error.message}`, 3000);
             }
         };
         reader.readAsText(file);
@@ -247,26 +414,55 @@ export function importPreset() {
 
 export function getStoredPresets() {
     try {
-        return JSON.parse(localStorage.getItem('granular-presets') || '{}');
+        return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '{}');
     } catch (error) {
         console.error('Failed to load presets:', error);
         return {};
     }
 }
 
+/**
+ * Write the stored presets and tell the preset pickers
+ * @param {Object} presets - name -> preset
+ * @returns {boolean} False if the browser refused (e.g. storage full); the user is told
+ */
+export function storePresets(presets) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.error('Failed to store presets:', error);
+        Utils.showToast('Presets could not be saved: browser storage is full', 4000);
+        return false;
+    }
+    updatePresetSelect();
+    eventBus.emit(Events.PRESETS_CHANGED);
+    return true;
+}
+
+// Preset pickers filled from storage: the morph end points (placeholder text per select)
+const PRESET_SELECTS = [
+    ['morphPresetA', 'Preset A...'],
+    ['morphPresetB', 'Preset B...']
+];
+
 export function updatePresetSelect() {
-    const select = safeGetElement('presetSelect');
-    if (!select) return;
+    const names = Object.keys(getStoredPresets()).sort();
 
-    const presets = getStoredPresets();
+    PRESET_SELECTS.forEach(([id, placeholder]) => {
+        const select = safeGetElement(id, null, false);
+        if (!select) return;
 
-    select.innerHTML = '<option value="">Select Preset...</option>';
+        // Keep the current choice when the preset still exists
+        const selected = select.value;
+        select.innerHTML = `<option value="">${placeholder}</option>`;
 
-    Object.keys(presets).sort().forEach(name => {
-        const option = document.createElement('option');
-        option.value = name;
-        option.textContent = name;
-        select.appendChild(option);
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = names.includes(selected) ? selected : '';
     });
 }
 
@@ -0,0 +1,408 @@
+/**
+ * Preset Validator - Checks a version 2 preset against the documented parameter ranges
+ * Out-of-range numbers are clamped, malformed values are dropped (so applyState() keeps the
+ * current setting) and short per-species arrays or matrices are padded from CONFIG.
+ * Every change is reported as { field, message } so the user can be told what was fixed.
+ */
+
+import { CONFIG } from '../config.js';
+import { validateInt, validateFloat, getSpeciesName } from '../shared/validation-utils.js';
+import { validateAudioParameter } from '../audio/parameter-manager.js';
+import { INTERPOLATION_MODES } from '../audio/granular-dsp.js';
+import { SPECIES_AUDIO_FIELDS } from './preset-schema.js';
+import {
+    isValidMidiMapping, MIDI_NOTE_SPECIES_MODES, MIDI_BURST_SIZE_RANGE,
+    MIDI_OUT_SOURCES, MIDI_OUT_MESSAGES, MIDI_CLOCK_MODES, MIDI_BPM_RANGE
+} from '../midi/midi-mapping.js';
+import {
+    MODULATION_SOURCE_TYPES, MODULATION_SOURCE_DEFAULTS, MODULATION_RANGES, LFO_SHAPES, ENVELOPE_TRIGGERS,
+    SEQUENCER_STEP_COUNT, MAX_MODULATION_SOURCES, MAX_MODULATION_ROUTES, isValidModulationRoute
+} from '../modulation/modulation-matrix.js';
+
+// Documented ranges (the UI control limits); int = whole numbers only
+export const PRESET_RANGES = {
+    canvas: {
+        width: { min: 400, max: 1600, int: true },
+        height: { min: 300, max: 1200, int: true }
+    },
+    species: {
+        count: { min: 1, max: CONFIG.species.maxCount, int: true },
+        counts: { min: 1, max: 1000, int: true },
+        sizes: { min: 2, max: 20 },
+        trailLengths: { min: 0, max: 0.99 },
+        colors: { min: 0, max: 1 }
+    },
+    physics: {
+        friction: { min: 0, max: 1 },
+        maxForceDistance: { min: 10, max: 500, int: true },
+        simulationSpeed: { min: 0.1, max: 10 },
+        gravityStrength: { min: 0, max: 10 },
+        bounceDamping: { min: 0, max: 1 },
+        maxSpeed: { min: 0.1, max: 20 },
+        dynamicFrictionScale: { min: 0, max: 0.1 },
+        orbitalStrength: { min: 0, max: 1 }
+    },
+    piecewise: {
+        repulsionZone: { min: 0, max: 1 },
+        attractionZone: { min: 0, max: 1 },
+        repulsionStrength: { min: 0, max: 10 },
+        attractionStrength: { min: 0, max: 10 }
+    },
+    beta: {
+        power: { min: 0.1, max: 10 },
+        equilibriumDistance: { min: 0, max: 1 }
+    },
+    granular: {
+        pitchScaleOctaves: { min: 1, max: 4, int: true },
+        windowSigmaFactor: { min: 0.05, max: 0.5 },
+        numBandwidthTiers: { min: 1, max: 4, int: true }
+    },
+    audio: {
+        curveParameter: { min: 0.1, max: 4 },
+        volumeScale: { min: -40, max: 12 },
+        voiceStealingDelay: { min: 1, max: 500, int: true },
+        voiceStealingCrossfade: { min: 10, max: 500, int: true }
+    },
+    relationships: { min: -1, max: 1 },
+    midiNotes: {
+        burstSize: { ...MIDI_BURST_SIZE_RANGE, int: true }
+    },
+    midiOutput: {
+        bpm: { ...MIDI_BPM_RANGE, int: true }
+    },
+    modulationSource: {
+        rate: MODULATION_RANGES.rate,
+        attack: MODULATION_RANGES.attack,
+        release: MODULATION_RANGES.release
+    }
+};
+
+const PHYSICS_BOOLEANS = ['toroidalSpace', 'useVerletIntegration', 'useDynamicFriction', 'enableOrbitalForces'];
+const GRANULAR_BOOLEANS = ['bandCrossfade', 'bandTracking'];
+const FORCE_CURVE_MODES = ['classic', 'piecewise', 'beta'];
+
+/**
+ * Validate a (migrated) preset
+ * @param {Object} preset - Version 2 preset from migratePreset()
+ * @returns {{preset: Object, errors: Array<{field: string, message: string}>}} A corrected copy
+ *   and one entry per field that was clamped, dropped or padded
+ */
+export function validatePreset(preset) {
+    const result = structuredClone(preset);
+    const errors = [];
+    const report = (field, message) => errors.push({ field, message });
+
+    validateCanvas(result, report);
+    validateSpecies(result, report);
+    validateSamples(result, report);
+    validatePhysics(result, report);
+    validateGranular(result, report);
+    validateSection(result, 'audio', PRESET_RANGES.audio, report);
+    validateRelationships(result, report);
+    validateSimulation(result, report);
+    validateMidi(result, report);
+    validateModulation(result, report);
+
+    return { preset: result, errors };
+}
+
+/**
+ * One-line summary of validation errors for a toast
+ * @param {Array<{field: string}>} errors - Errors from validatePreset()
+ * @param {number} listed - How many field names to name before "and N more"
+ * @returns {string} Empty when there were no errors
+ */
+export function describePresetErrors(errors, listed = 3) {
+    if (errors.length === 0) return '';
+    const fields = [...new Set(errors.map(error => error.field))];
+    const names = fields.slice(0, listed).join(', ');
+    const more = fields.length > listed ? ` and ${fields.length - listed} more` : '';
+    return `fixed ${fields.length} invalid setting${fields.length === 1 ? '' : 's'}: ${names}${more}`;
+}
+
+// Helper: Clamp one numeric value; returns undefined when it is not a number at all
+function checkNumber(value, range, field, report) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        report(field, `${JSON.stringify(value) ?? 'undefined'} is not a number`);
+        return undefined;
+    }
+    const checked = range.int
+        ? validateInt(Math.round(value), range.min, range.max)
+        : validateFloat(value, range.min, range.max);
+    if (checked !== value) {
+        report(field, `${value} is outside ${range.min} to ${range.max}, clamped to ${checked}`);
+    }
+    return checked;
+}
+
+// Helper: Check the numeric and boolean fields of one section; invalid ones are removed (= keep current)
+function validateSection(preset, sectionName, ranges, report, booleans = [], section = preset[sectionName], path = sectionName) {
+    if (section === undefined) return;
+    if (!isPlainObject(section)) {
+        report(path, 'is not an object, ignored');
+        delete preset[sectionName];
+        return;
+    }
+    for (const [key, range] of Object.entries(ranges)) {
+        if (section[key] === undefined) continue;
+        const checked = checkNumber(section[key], range, `${path}.${key}`, report);
+        if (checked === undefined) delete section[key];
+        else section[key] = checked;
+    }
+    for (const key of booleans) {
+        if (section[key] === undefined || typeof section[key] === 'boolean') continue;
+        report(`${path}.${key}`, `${JSON.stringify(section[key])} is not true or false`);
+        delete section[key];
+    }
+}
+
+// Helper: Drop a field that is not one of the allowed values
+function checkChoice(section, key, choices, path, report) {
+    if (section[key] === undefined || choices.includes(section[key])) return;
+    report(`${path}.${key}`, `${JSON.stringify(section[key])} is not one of ${choices.join(', ')}`);
+    delete section[key];
+}
+
+function validateCanvas(preset, report) {
+    validateSection(preset, 'canvas', PRESET_RANGES.canvas, report);
+    const canvas = preset.canvas;
+    if (canvas?.backgroundColor !== undefined && !/^#[0-9a-f]{6}$/i.test(canvas.backgroundColor)) {
+        report('canvas.backgroundColor', `${JSON.stringify(canvas.backgroundColor)} is not a #rrggbb color`);
+        delete canvas.backgroundColor;
+    }
+}
+
+// Helper: Bring a per-species array to maxCount entries, padding missing species from CONFIG;
+// checkEntry(value, i, field) returns the corrected entry or undefined to keep the current one
+function validateSpeciesArray(species, key, report, checkEntry) {
+    if (species[key] === undefined) return;
+    const field = `species.${key}`;
+    if (!Array.isArray(species[key])) {
+        report(field, 'is not a list, ignored');
+        delete species[key];
+        return;
+    }
+    const { maxCount } = CONFIG.species;
+    const stored = species[key];
+    if (stored.length < maxCount) {
+        report(field, `has ${stored.length} of ${maxCount} species, current values kept for the rest`);
+    }
+    species[key] = Array.from({ length: maxCount }, (_, i) => {
+        const current = structuredClone(CONFIG.species[key][i]);
+        if (i >= stored.length) return current;
+        const checked = checkEntry(stored[i], i, `${field}[${i}]`);
+        return checked === undefined ? current : checked;
+    });
+}
+
+function validateSpecies(preset, report) {
+    validateSection(preset, 'species', { count: PRESET_RANGES.species.count }, report);
+    const species = preset.species;
+    if (!species) return;
+    const numberEntry = range => (value, i, field) => checkNumber(value, range, field, report);
+
+    for (const key of ['counts', 'sizes', 'trailLengths']) {
+        validateSpeciesArray(species, key, report, numberEntry(PRESET_RANGES.species[key]));
+    }
+    validateSpeciesArray(species, 'colors', report, (color, i, field) => {
+        if (!Array.isArray(color) || color.length !== 3) {
+            report(field, `${getSpeciesName(i)} color is not an [r, g, b] list`);
+            return undefined;
+        }
+        const channels = color.map((channel, c) => checkNumber(channel, PRESET_RANGES.species.colors, `${field}[${c}]`, report));
+        return channels.includes(undefined) ? undefined : channels;
+    });
+
+    // Audio arrays use the same validation as the audio controls
+    for (const [key, type] of Object.entries(SPECIES_AUDIO_FIELDS)) {
+        validateSpeciesArray(species, key, report, (value, i, field) => {
+            const checked = validateAudioParameter(type, value);
+            if (JSON.stringify(checked) !== JSON.stringify(value)) {
+                report(field, `${getSpeciesName(i)}: ${JSON.stringify(value)} replaced with ${JSON.stringify(checked)}`);
+            }
+            return checked;
+        });
+    }
+    validateSpeciesArray(species, 'maxVoicesPerSpecies', report, (value, i, field) =>
+        checkNumber(value, { min: 1, max: 100, int: true }, field, report));
+    validateSpeciesArray(species, 'mutedSpecies', report, (value, i, field) => {
+        if (typeof value === 'boolean') return value;
+        report(field, `${JSON.stringify(value)} is not true or false`);
+        return undefined;
+    });
+    validateSpeciesArray(species, 'sampleRanges', report, (range, i, field) => {
+        const valid = isPlainObject(range) && Number.isFinite(range.start) && Number.isFinite(range.end) &&
+            range.start >= 0 && range.end <= 1 && range.start < range.end;
+        if (valid) return { start: range.start, end: range.end };
+        report(field, `${getSpeciesName(i)} sample range is not a start < end pair within 0 to 1`);
+        return undefined;
+    });
+}
+
+function validateSamples(preset, report) {
+    if (preset.samples === undefined) return;
+    if (!Array.isArray(preset.samples)) {
+        report('samples', 'is not a list, ignored');
+        delete preset.samples;
+        return;
+    }
+    preset.samples = preset.samples.slice(0, CONFIG.species.maxCount).map((ref, i) => {
+        if (ref === null || (isPlainObject(ref) && typeof ref.hash === 'string')) return ref;
+        report(`samples[${i}]`, `${getSpeciesName(i)} sample reference has no hash, dropped`);
+        return null;
+    });
+}
+
+function validatePhysics(preset, report) {
+    validateSection(preset, 'physics', PRESET_RANGES.physics, report, PHYSICS_BOOLEANS);
+    const physics = preset.physics;
+    if (!physics) return;
+    checkChoice(physics, 'forceCurveMode', FORCE_CURVE_MODES, 'physics', report);
+    validateSection(physics, 'piecewise', PRESET_RANGES.piecewise, report, [], physics.piecewise, 'physics.piecewise');
+    validateSection(physics, 'beta', PRESET_RANGES.beta, report, [], physics.beta, 'physics.beta');
+
+    if (!physics.piecewise) return;
+    const zones = { ...CONFIG.physics.piecewise, ...physics.piecewise };
+    if (zones.repulsionZone >= zones.attractionZone) {
+        report('physics.piecewise', 'repulsion zone must end before the attraction zone, zones ignored');
+        delete physics.piecewise.repulsionZone;
+        delete physics.piecewise.attractionZone;
+    }
+}
+
+function validateGranular(preset, report) {
+    validateSection(preset, 'granular', PRESET_RANGES.granular, report, GRANULAR_BOOLEANS);
+    if (preset.granular) {
+        checkChoice(preset.granular, 'interpolationMode', INTERPOLATION_MODES, 'granular', report);
+    }
+}
+
+// Helper: The force matrix must be maxCount rows of maxCount numbers in -1..1 (missing cells keep their current value)
+function validateRelationships(preset, report) {
+    if (preset.relationships === undefined) return;
+    if (!Array.isArray(preset.relationships)) {
+        report('relationships', 'is not a matrix, ignored');
+        delete preset.relationships;
+        return;
+    }
+    const { maxCount } = CONFIG.species;
+    const stored = preset.relationships;
+    if (stored.length < maxCount) {
+        report('relationships', `has ${stored.length} of ${maxCount} rows, current values kept for the rest`);
+    }
+    preset.relationships = Array.from({ length: maxCount }, (_, i) => {
+        const row = stored[i];
+        const current = CONFIG.relationships[i] || [];
+        if (i >= stored.length) return [...current];
+        if (!Array.isArray(row)) {
+            report(`relationships[${i}]`, `${getSpeciesName(i)} row is not a list, current values kept`);
+            return [...current];
+        }
+        if (row.length < maxCount) {
+            report(`relationships[${i}]`, `${getSpeciesName(i)} row has ${row.length} of ${maxCount} cells, current values kept for the rest`);
+        }
+        return Array.from({ length: maxCount }, (_, j) => {
+            if (j >= row.length) return current[j] ?? 0;
+            const checked = checkNumber(row[j], PRESET_RANGES.relationships, `relationships[${i}][${j}]`, report);
+            return checked ?? current[j] ?? 0;
+        });
+    });
+}
+
+function validateSimulation(preset, report) {
+    validateSection(preset, 'simulation', {}, report, ['deterministic']);
+}
+
+// Helper: MIDI CC mappings ({ channel, controller, target }); unknown or malformed ones are dropped
+function validateMidi(preset, report) {
+    validateSection(preset, 'midi', {}, report);
+    const midi = preset.midi;
+    if (midi === undefined) return;
+
+    validateSection(midi, 'notes', PRESET_RANGES.midiNotes, report, ['enabled'], midi.notes, 'midi.notes');
+    if (midi.notes) checkChoice(midi.notes, 'speciesMode', MIDI_NOTE_SPECIES_MODES, 'midi.notes', report);
+
+    validateSection(midi, 'output', PRESET_RANGES.midiOutput, report, ['enabled'], midi.output, 'midi.output');
+    if (midi.output) {
+        checkChoice(midi.output, 'source', MIDI_OUT_SOURCES, 'midi.output', report);
+        checkChoice(midi.output, 'message', MIDI_OUT_MESSAGES, 'midi.output', report);
+        checkChoice(midi.output, 'clock', MIDI_CLOCK_MODES, 'midi.output', report);
+    }
+
+    if (midi.mappings === undefined) return;
+    if (!Array.isArray(midi.mappings)) {
+        report('midi.mappings', 'is not a list, ignored');
+        delete midi.mappings;
+        return;
+    }
+    midi.mappings = midi.mappings.filter((mapping, i) => {
+        if (isValidMidiMapping(mapping)) return true;
+        report(`midi.mappings[${i}]`, `${JSON.stringify(mapping)} is not a valid CC mapping, dropped`);
+        return false;
+    });
+}
+
+// Helper: Modulation sources ({ id, type, ...settings }) and routes ({ source, target, depth });
+// sources with no usable id or type are dropped with their routes, missing settings take the defaults
+function validateModulation(preset, report) {
+    validateSection(preset, 'modulation', {}, report);
+    const modulation = preset.modulation;
+    if (modulation === undefined) return;
+
+    const sources = Array.isArray(modulation.sources) ? modulation.sources : [];
+    if (modulation.sources !== undefined && !Array.isArray(modulation.sources)) {
+        report('modulation.sources', 'is not a list, ignored');
+    }
+    if (sources.length > MAX_MODULATION_SOURCES) {
+        report('modulation.sources', `has ${sources.length} sources, only the first ${MAX_MODULATION_SOURCES} kept`);
+    }
+    const ids = new Set();
+    modulation.sources = sources.slice(0, MAX_MODULATION_SOURCES).filter((source, i) => {
+        const path = `modulation.sources[${i}]`;
+        const valid = isPlainObject(source) && MODULATION_SOURCE_TYPES.includes(source.type) &&
+            typeof source.id === 'string' && /^[a-z]+\d+$/.test(source.id) &&
+            source.id.startsWith(source.type) && !ids.has(source.id);
+        if (!valid) {
+            report(path, `${JSON.stringify(source)} is not a source with a unique id and a known type, dropped`);
+            return false;
+        }
+        ids.add(source.id);
+        validateModulationSource(source, path, report);
+        return true;
+    }).map(source => ({ ...structuredClone(MODULATION_SOURCE_DEFAULTS[source.type]), ...source }));
+
+    const routes = Array.isArray(modulation.routes) ? modulation.routes : [];
+    if (modulation.routes !== undefined && !Array.isArray(modulation.routes)) {
+        report('modulation.routes', 'is not a list, ignored');
+    }
+    const sourceIds = [...ids];
+    modulation.routes = routes.filter((route, i) => {
+        if (isValidModulationRoute(route, sourceIds)) return true;
+        report(`modulation.routes[${i}]`, `${JSON.stringify(route)} is not a valid route, dropped`);
+        return false;
+    }).slice(0, MAX_MODULATION_ROUTES);
+}
+
+// Helper: Settings of one source (invalid ones are removed and take the type's default)
+function validateModulationSource(source, path, report) {
+    validateSection(source, null, PRESET_RANGES.modulationSource, report, ['glide'], source, path);
+    if (source.type === 'lfo') checkChoice(source, 'shape', LFO_SHAPES, path, report);
+    if (source.type === 'envelope') checkChoice(source, 'trigger', ENVELOPE_TRIGGERS, path, report);
+    if (source.steps === undefined) return;
+
+    if (!Array.isArray(source.steps)) {
+        report(`${path}.steps`, 'is not a list, ignored');
+        delete source.steps;
+        return;
+    }
+    if (source.steps.length !== SEQUENCER_STEP_COUNT) {
+        report(`${path}.steps`, `has ${source.steps.length} steps instead of ${SEQUENCER_STEP_COUNT}, padded with 0 or cut`);
+    }
+    source.steps = Array.from({ length: SEQUENCER_STEP_COUNT }, (_, i) =>
+        (i < source.steps.length ? checkNumber(source.steps[i], MODULATION_RANGES.step, `${path}.steps[${i}]`, report) : 0) ?? 0);
+}
+
+// Helper: True for {...} objects (not arrays or null)
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,92 @@
+/**
+ * Recording Controls - Record/stop transport for the live master output
+ * Shows take length and peak level, and downloads the WAV when a take ends
+ */
+
+import { AudioSystem } from '../audio/audio-system.js';
+import { Utils } from '../utils.js';
+import { EventListenerManager } from '../shared/event-manager.js';
+import { safeGetElement, updateElementText } from '../shared/dom-utils.js';
+import { eventBus, Events } from '../shared/event-bus.js';
+
+// Event listener manager
+const eventManager = new EventListenerManager('RecordingControls');
+
+// Subscribed once at load, so initializing the controls again adds no duplicate handlers
+eventBus.on(Events.RECORDING_STARTED, () => {
+    setRecordingState(true);
+    updateRecordingDisplay(0, 0);
+});
+
+eventBus.on(Events.RECORDING_UPDATED, ({ duration, peak }) => {
+    updateRecordingDisplay(duration, peak);
+});
+
+eventBus.on(Events.RECORDING_STOPPED, ({ blob, filename, duration, peak }) => {
+    setRecordingState(false);
+    updateRecordingDisplay(duration, peak);
+
+    if (duration > 0) {
+        Utils.downloadBlob(blob, filename);
+        Utils.showToast(`Recording saved as ${filename}`);
+    } else {
+        Utils.showToast('Recording was empty - nothing saved');
+    }
+});
+
+/**
+ * Initialize the record button
+ */
+export function initRecordingControls() {
+    eventManager.removeAll();
+
+    const recordButton = safeGetElement('recordToggle', null, false);
+    if (recordButton) {
+        eventManager.add(recordButton, 'click', toggleRecording);
+    }
+
+    console.log('⏺️ Recording controls initialized');
+}
+
+/**
+ * Start or stop recording depending on current state
+ */
+async function toggleRecording() {
+    try {
+        if (AudioSystem.isRecording()) {
+            await AudioSystem.stopRecording();
+        } else {
+            await AudioSystem.startRecording();
+        }
+    } catch (error) {
+        console.error('Recording error:', error);
+        Utils.showToast('Recording failed: ' + error.message, 3000);
+        setRecordingState(AudioSystem.isRecording());
+    }
+}
+
+// Helper: Update button label and style
+function setRecordingState(isRecording) {
+    const recordButton = safeGetElement('recordToggle', null, false);
+    if (!recordButton) return;
+
+    recordButton.textContent = isRecording ? '⏹️ Stop Recording' : '⏺️ Record';
+    recordButton.classList.toggle('recording', isRecording);
+}
+
+// Helper: Show take length (m:ss.s) and peak level in dBFS
+function updateRecordingDisplay(duration, peak) {
+    const minutes = Math.floor(duration / 60);
+    const seconds = (duration % 60).toFixed(1).padStart(4, '0');
+    updateElementText('recordingLength', `${minutes}:${seconds}`);
+
+    const peakDB = peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+    const peakText = Number.isFinite(peakDB) ? `${peakDB.toFixed(1)} dBFS` : '-∞ dBFS';
+    updateElementText('recordingPeak', peakText);
+
+    const peakEl = safeGetElement('recordingPeak', null, false);
+    if (peakEl) {
+        // Red at or above 0 dBFS, amber near full scale
+        peakEl.style.color = peakDB >= 0 ? '#FF5722' : peakDB > -3 ? '#FFC107' : '#ccc';
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Render Controls - Offline render-to-WAV panel
+ * Collects render settings, shows progress, and downloads the finished file
+ */
+
+import { AudioSystem } from '../audio/audio-system.js';
+import { MAX_RENDER_DURATION, RENDER_SAMPLE_RATES } from '../audio/offline-renderer.js';
+import { Utils } from '../utils.js';
+import { EventListenerManager } from '../shared/event-manager.js';
+import { safeGetElement, updateElementText } from '../shared/dom-utils.js';
+import { validateInt } from '../shared/validation-utils.js';
+
+// Event listener manager
+const eventManager = new EventListenerManager('RenderControls');
+
+// Active render cancellation handle
+let renderAbortController = null;
+
+/**
+ * Initialize offline render panel listeners
+ */
+export function initRenderControls() {
+    eventManager.removeAll();
+
+    const durationSlider = safeGetElement('renderDuration', null, false);
+    if (durationSlider) {
+        durationSlider.max = MAX_RENDER_DURATION;
+        eventManager.add(durationSlider, 'input', (e) => {
+            updateElementText('renderDuration-value', `${validateInt(e.target.value, 1, MAX_RENDER_DURATION)}s`);
+        });
+    }
+
+    const sampleRateSelect = safeGetElement('renderSampleRate', null, false);
+    if (sampleRateSelect) {
+        fillSampleRateOptions(sampleRateSelect);
+    }
+
+    const startButton = safeGetElement('renderStart', null, false);
+    if (startButton) {
+        eventManager.add(startButton, 'click', startRender);
+    }
+
+    const cancelButton = safeGetElement('renderCancel', null, false);
+    if (cancelButton) {
+        eventManager.add(cancelButton, 'click', () => renderAbortController?.abort());
+    }
+
+    console.log('🎬 Render controls initialized');
+}
+
+// Helper: One option per rate the renderer supports, keeping the current choice
+function fillSampleRateOptions(select) {
+    const selected = select.value || '48000';
+    select.replaceChildren();
+    for (const rate of RENDER_SAMPLE_RATES) {
+        const option = Utils.createElement('option');
+        option.value = String(rate);
+        option.textContent = `${rate / 1000} kHz`;
+        select.appendChild(option);
+    }
+    select.value = RENDER_SAMPLE_RATES.includes(Number(selected)) ? selected : '48000';
+}
+
+async function startRender() {
+    if (renderAbortController) return;
+
+    const duration = validateInt(safeGetElement('renderDuration')?.value, 1, MAX_RENDER_DURATION);
+    const bitDepth = parseInt(safeGetElement('renderBitDepth')?.value || '24', 10);
+    const sampleRate = parseInt(safeGetElement('renderSampleRate')?.value || '48000', 10);
+    // 'live' falls through renderOffline's validation and keeps the live interpolation settings
+    const interpolation = safeGetElement('renderInterpolation')?.value || 'live';
+
+    renderAbortController = new AbortController();
+    setRenderingState(true);
+    updateProgress(0, 'Preparing...');
+
+    try {
+        const result = await AudioSystem.renderToWav({
+            duration,
+            bitDepth,
+            sampleRate,
+            interpolation,
+            signal: renderAbortController.signal,
+            onProgress: (progress) => updateProgress(progress, `${Math.round(progress * 100)}%`)
+        });
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const filename = `granular-render-${timestamp}.wav`;
+        Utils.downloadBlob(result.blob, filename);
+
+        updateProgress(1, 'Done');
+        Utils.showToast(`Rendered ${duration}s to ${filename}`);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            updateProgress(0, 'Cancelled');
+            Utils.showToast('Render cancelled');
+        } else {
+            console.error('Offline render failed:', error);
+            updateProgress(0, 'Failed');
+            Utils.showToast('Render failed: ' + error.message, 4000);
+        }
+    } finally {
+        renderAbortController = null;
+        setRenderingState(false);
+    }
+}
+
+// Helper: Toggle buttons while a render is running
+function setRenderingState(isRendering) {
+    const startButton = safeGetElement('renderStart', null, false);
+    const cancelButton = safeGetElement('renderCancel', null, false);
+    if (startButton) startButton.disabled = isRendering;
+    if (cancelButton) cancelButton.disabled = !isRendering;
+}
+
+// Helper: Update progress bar and label
+function updateProgress(progress, label) {
+    const percent = Math.round(progress * 100);
+    const bar = safeGetElement('renderProgressBar', null, false);
+    if (bar) bar.style.width = `${percent}%`;
+
+    const container = safeGetElement('renderProgress', null, false);
+    if (container) container.setAttribute('aria-valuenow', percent);
+
+    updateElementText('renderProgressText', label);
+}
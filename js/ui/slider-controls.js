@@ -7,11 +7,12 @@ import { CONFIG, state, audioEngine } from '../config.js';
 import { createForceMatrix, createSpeciesTabs, createSpeciesControls } from './force-matrix.js';
 import { updateAudioParameters } from '../audio/parameter-manager.js';
 import { updateAudioUI } from '../audio/sample-manager.js';
-import { adjustParticleCounts, updateParticleSizes, removeTrailParticlesForSpecies, updateCanvasSize } from '../physics/physics-engine.js';
+import { adjustParticleCounts, updateParticleSizes, removeTrailParticlesForSpecies, updateCanvasSize, resetSimulation } from '../physics/physics-engine.js';
 import { updateCurveGraph, updateVoiceSliders, getCurrentAudioSpeciesTab, createAudioSampleControls } from './audio-controls.js';
 import { EventListenerManager } from '../shared/event-manager.js';
-import { safeGetElement, updateElementText } from '../shared/dom-utils.js';
+import { safeGetElement, updateElementText, updateElementValue } from '../shared/dom-utils.js';
 import { clamp, validateInt, validateFloat } from '../shared/validation-utils.js';
+import { normalizeSeed, generateSeed } from '../shared/random.js';
 
 // Helper function to send messages to AudioWorklet
 function sendWorkletMessage(type, data) {
@@ -109,6 +110,38 @@ export function setupSliders() {
         });
     }
 
+    // Deterministic mode: seed changes restart the simulation so the run is reproducible
+    const deterministicMode = safeGetElement('deterministicMode');
+    if (deterministicMode) {
+        sliderEventManager.add(deterministicMode, 'change', (e) => {
+            CONFIG.simulation.deterministic = e.target.checked;
+            resetSimulation();
+            console.log(`🎲 Deterministic mode ${CONFIG.simulation.deterministic ? 'enabled' : 'disabled'} (seed ${CONFIG.simulation.seed})`);
+        });
+    }
+
+    const simulationSeed = safeGetElement('simulationSeed');
+    if (simulationSeed) {
+        sliderEventManager.add(simulationSeed, 'change', (e) => {
+            CONFIG.simulation.seed = normalizeSeed(e.target.value, CONFIG.simulation.seed);
+            e.target.value = CONFIG.simulation.seed;
+            if (CONFIG.simulation.deterministic) {
+                resetSimulation();
+            }
+        });
+    }
+
+    const newSeed = safeGetElement('newSeed');
+    if (newSeed) {
+        sliderEventManager.add(newSeed, 'click', () => {
+            CONFIG.simulation.seed = generateSeed();
+            updateElementValue('simulationSeed', CONFIG.simulation.seed);
+            if (CONFIG.simulation.deterministic) {
+                resetSimulation();
+            }
+        });
+    }
+
     // Canvas background color picker
     const canvasColor = safeGetElement('canvas-color');
     if (canvasColor) {
@@ -137,6 +170,24 @@ export function setupSliders() {
     }
 }
 
+/**
+ * Sync the physics sliders and their value labels with CONFIG.physics
+ */
+export function refreshPhysicsSliders() {
+    const sliders = [
+        ['friction', CONFIG.physics.friction, 2],
+        ['forceRadius', CONFIG.physics.maxForceDistance, 0],
+        ['simSpeed', CONFIG.physics.simulationSpeed, 1],
+        ['gravityStrength', CONFIG.physics.gravityStrength, 1],
+        ['bounceDamping', CONFIG.physics.bounceDamping, 1]
+    ];
+
+    sliders.forEach(([id, value, decimals]) => {
+        updateElementValue(id, value);
+        updateElementText(`${id}-value`, value.toFixed(decimals));
+    });
+}
+
 export function setupDraggableNumbers() {
     // Clear previous drag listeners
     dragEventManager.removeAll();
@@ -23,9 +23,16 @@ import { createForceMatrix, ensureMatrixSize, createSpeciesTabs, createSpeciesCo
 import { initTabSystem, initCollapsibleSections } from './tab-system.js';
 import { initKeyboardShortcuts, initKeyboardShortcutsDisplay } from './keyboard-shortcuts.js';
 import { initPresetSystem } from './preset-system.js';
+import { initPresetBrowser } from './preset-browser.js';
+import { initMorphControls } from './morph-controls.js';
+import { initMidiControls } from '../midi/midi-input.js';
+import { initOscControls } from '../osc/osc-client.js';
+import { initModulationControls } from '../modulation/modulation-controls.js';
 import { setupAudioControlEventListeners, createAudioSampleControls } from './audio-controls.js';
 import { setupCanvasInteraction } from './canvas-interaction.js';
 import { initPerformanceDisplay } from './performance-display.js';
+import { initRenderControls } from './render-controls.js';
+import { initRecordingControls } from './recording-controls.js';
 
 export const UISystem = {
     /**
@@ -54,6 +61,11 @@ export const UISystem = {
             initKeyboardShortcuts();
             initKeyboardShortcutsDisplay();
             initPresetSystem();
+            initPresetBrowser();
+            initMorphControls();
+            initMidiControls();
+            initOscControls();
+            initModulationControls();
 
             // Initialize audio UI components
             setupAudioControlEventListeners();
@@ -68,6 +80,10 @@ export const UISystem = {
             // Initialize performance display
             initPerformanceDisplay();
 
+            // Initialize recording transport and offline render panel
+            initRecordingControls();
+            initRenderControls();
+
             console.log('🎨 UI System initialized successfully');
             return true;
         } catch (error) {
@@ -23,6 +23,16 @@ export const Utils = {
         return element;
     },
 
+    downloadBlob: (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        // Give the browser time to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     showToast: function(message, duration = 2000) {
         const existingToast = document.getElementById('toast');
         if (existingToast) existingToast.remove();
@@ -0,0 +1,122 @@
+/**
+ * OSC Bridge - Relays OSC packets between UDP and the browser over a WebSocket
+ * Packets are forwarded as they are (binary frames); the browser encodes and decodes OSC
+ * (js/osc/osc-codec.js). UDP received on inPort goes to every connected page, packets from a
+ * page are sent to outHost:outPort.
+ * Only pages served by this server may connect (Origin check), and only from this machine unless
+ * bindHost opens UDP to the network too: the HTTP server itself listens on every interface.
+ * Locally the page must also be addressed by a loopback name, so a rebound DNS name cannot pass.
+ */
+
+import { createSocket } from 'dgram';
+import { acceptWebSocket } from './websocket.js';
+
+export const OSC_BRIDGE_DEFAULTS = {
+    path: '/osc',
+    bindHost: '127.0.0.1',
+    inPort: 9000,
+    outHost: '127.0.0.1',
+    outPort: 9001
+};
+
+// Helper: True for 127.x.x.x and ::1 (IPv4 addresses may arrive IPv6-mapped)
+function isLoopback(address = '') {
+    return address === '::1' || address === 'localhost' || /^(::ffff:)?127\./.test(address);
+}
+
+// Hostnames a local page may be served under (URL hostnames keep IPv6 brackets)
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Helper: Hostname of a Host header or Origin URL, or null when it does not parse
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether an upgrade request may open the bridge
+ * Browsers send an Origin: it must be this server, so other sites open in the browser cannot reach
+ * UDP. Without allowRemote the connection must also come from this machine, and the Host and
+ * Origin must name it as localhost, 127.0.0.1 or [::1]: a site whose DNS name is rebound to
+ * 127.0.0.1 would otherwise pass the Origin check with its own name.
+ * @param {IncomingMessage} req - Upgrade request
+ * @param {boolean} allowRemote - Accept connections from other hosts
+ * @returns {boolean} True when the upgrade is allowed
+ */
+export function isAllowedOscUpgrade(req, allowRemote) {
+    if (!allowRemote) {
+        if (!isLoopback(req.socket?.remoteAddress)) return false;
+        if (!LOCAL_HOSTNAMES.has(hostnameOf(`http://${req.headers.host}`))) return false;
+    }
+    const origin = req.headers.origin;
+    if (origin === undefined) return true;
+    if (!allowRemote && !LOCAL_HOSTNAMES.has(hostnameOf(origin))) return false;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Attach the bridge to an HTTP server
+ * @param {Server} server - HTTP server receiving the WebSocket upgrade
+ * @param {Object} [options] - Overrides for OSC_BRIDGE_DEFAULTS (inPort 0 = any free port); a
+ *   bindHost other than loopback also lets pages on other hosts connect
+ * @returns {Promise<Object>} { inPort (bound UDP port), clients (Set), close() }
+ * @throws {Error} If the UDP port cannot be bound
+ */
+export async function attachOscBridge(server, options = {}) {
+    const { path, bindHost, inPort, outHost, outPort } = { ...OSC_BRIDGE_DEFAULTS, ...options };
+    const allowRemote = !isLoopback(bindHost);
+    const clients = new Set();
+    const udp = createSocket('udp4');
+
+    await new Promise((resolve, reject) => {
+        udp.once('error', reject);
+        udp.bind(inPort, bindHost, () => {
+            udp.off('error', reject);
+            resolve();
+        });
+    });
+    udp.on('error', error => console.error('OSC bridge UDP error:', error.message));
+
+    // UDP in → every page
+    udp.on('message', packet => {
+        for (const client of clients) client.send(packet);
+    });
+
+    const handleUpgrade = (req, socket, head) => {
+        if (new URL(req.url, 'http://localhost').pathname !== path) {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        if (!isAllowedOscUpgrade(req, allowRemote)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const client = acceptWebSocket(req, socket, head);
+        if (!client) return;
+
+        clients.add(client);
+        // Page → UDP out (text frames are not OSC and are ignored)
+        client.on('message', (data, isBinary) => {
+            if (isBinary) udp.send(data, outPort, outHost);
+        });
+        client.on('close', () => clients.delete(client));
+    };
+    server.on('upgrade', handleUpgrade);
+
+    return {
+        inPort: udp.address().port,
+        clients,
+        close() {
+            server.off('upgrade', handleUpgrade);
+            clients.forEach(client => client.close(1001));
+            udp.close();
+        }
+    };
+}
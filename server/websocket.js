@@ -0,0 +1,256 @@
+/**
+ * WebSocket - Minimal RFC 6455 server side for the development server (no dependencies)
+ * Handles the upgrade handshake, masked client frames, fragmentation, ping/pong and close.
+ * Protocol errors (unmasked client frames, fragmented or oversized control frames) close with 1002.
+ * Only what the OSC bridge needs: no extensions, no subprotocols.
+ */
+
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+
+// Magic GUID from RFC 6455 section 1.3
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+// Largest message accepted from a client (OSC packets are far smaller)
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// Largest control frame payload (RFC 6455 section 5.5)
+const MAX_CONTROL_PAYLOAD_BYTES = 125;
+
+/**
+ * Sec-WebSocket-Accept value for a client key
+ * @param {string} key - Sec-WebSocket-Key request header
+ * @returns {string} Base64 SHA-1 of key + GUID
+ */
+export function createAcceptKey(key) {
+    return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode one frame
+ * @param {number} opcode - OPCODES value
+ * @param {Buffer} payload - Frame data
+ * @param {Object} [options] - { fin = true, mask: 4-byte Buffer (clients must mask, servers must not) }
+ * @returns {Buffer} Frame bytes
+ */
+export function encodeFrame(opcode, payload, { fin = true, mask = null } = {}) {
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+    if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+    if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+    if (!mask) return Buffer.concat([header, payload]);
+
+    mask.copy(header, 2 + lengthBytes);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i & 3];
+    return Buffer.concat([header, masked]);
+}
+
+/**
+ * Read the header of the frame at the start of a buffer (the payload may not have arrived yet)
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} { fin, opcode, masked, payloadLength, headerLength }, or null while the
+ *   header is still incomplete
+ */
+export function decodeFrameHeader(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+
+    let headerLength = 2;
+    let payloadLength = buffer[1] & 0x7f;
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        headerLength = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        headerLength = 10;
+    }
+    if (masked) headerLength += 4;
+    if (buffer.length < headerLength) return null;
+    return { fin, opcode, masked, payloadLength, headerLength };
+}
+
+/**
+ * Decode the frame at the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} { fin, opcode, masked, payload (unmasked), length: bytes used }, or null
+ *   while the frame is still incomplete
+ */
+export function decodeFrame(buffer) {
+    const header = decodeFrameHeader(buffer);
+    if (!header) return null;
+    const { fin, opcode, masked, payloadLength, headerLength } = header;
+    const length = headerLength + payloadLength;
+    if (buffer.length < length) return null;
+
+    const payload = Buffer.from(buffer.subarray(headerLength, length));
+    if (masked) {
+        const maskOffset = headerLength - 4;
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i & 3)];
+    }
+    return { fin, opcode, masked, payload, length };
+}
+
+// Helper: RFC 6455 5.1 and 5.5: client frames are masked; control frames are never fragmented
+// and carry at most 125 bytes
+function isValidClientHeader({ fin, opcode, masked, payloadLength }) {
+    if (!masked) return false;
+    const isControl = (opcode & 0x8) !== 0;
+    return !isControl || (fin && payloadLength <= MAX_CONTROL_PAYLOAD_BYTES);
+}
+
+/**
+ * One accepted client connection
+ * Events: 'message' (data: Buffer, isBinary: boolean), 'close' ()
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.open = true;
+        this.buffer = Buffer.alloc(0);
+        // Fragmented message being collected: { opcode, parts, size }
+        this.fragments = null;
+
+        socket.on('data', data => this.receive(data));
+        // A client that goes away without a close frame only ends its side: finish ours too
+        socket.on('end', () => {
+            socket.end();
+            this.handleClose();
+        });
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Send a message
+     * @param {Buffer|Uint8Array|string} data - Binary data, or text
+     */
+    send(data) {
+        if (!this.open) return;
+        const isText = typeof data === 'string';
+        this.socket.write(encodeFrame(isText ? OPCODES.text : OPCODES.binary, Buffer.from(data)));
+    }
+
+    /**
+     * Start the closing handshake
+     * @param {number} [code=1000] - Close status code
+     */
+    close(code = 1000) {
+        if (!this.open) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.socket.write(encodeFrame(OPCODES.close, payload));
+        this.socket.end();
+        this.handleClose();
+    }
+
+    // Helper: Parse every complete frame received so far
+    receive(data) {
+        if (!this.open) return;
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.open) {
+            // Malformed and oversized frames are refused from their header, before the payload is buffered
+            const header = decodeFrameHeader(this.buffer);
+            if (header && !isValidClientHeader(header)) {
+                this.close(1002);
+                return;
+            }
+            if (header && header.payloadLength + (this.fragments?.size ?? 0) > MAX_MESSAGE_BYTES) {
+                this.close(1009);
+                return;
+            }
+            const frame = decodeFrame(this.buffer);
+            if (!frame) return;
+            this.buffer = this.buffer.subarray(frame.length);
+            this.handleFrame(frame);
+        }
+    }
+
+    // Helper: Control frames answer at once; data frames are joined until FIN
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, payload));
+                return;
+            case OPCODES.pong:
+                return;
+            case OPCODES.close:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                return;
+        }
+
+        if (opcode !== OPCODES.continuation) {
+            this.fragments = { opcode, parts: [], size: 0 };
+        } else if (!this.fragments) {
+            this.close(1002);
+            return;
+        }
+
+        this.fragments.parts.push(payload);
+        this.fragments.size += payload.length;
+        if (this.fragments.size > MAX_MESSAGE_BYTES) {
+            this.close(1009);
+            return;
+        }
+        if (!fin) return;
+
+        const { opcode: messageOpcode, parts } = this.fragments;
+        this.fragments = null;
+        this.emit('message', Buffer.concat(parts), messageOpcode === OPCODES.binary);
+    }
+
+    handleClose() {
+        if (!this.open) return;
+        this.open = false;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;
+        this.emit('close');
+    }
+}
+
+/**
+ * Complete the upgrade handshake for an HTTP 'upgrade' request
+ * @param {IncomingMessage} req - Upgrade request
+ * @param {Socket} socket - Its socket
+ * @param {Buffer} head - Bytes already read after the headers
+ * @returns {WebSocketConnection|null} Connection, or null when the request was refused
+ */
+export function acceptWebSocket(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    const isUpgrade = (req.headers.upgrade || '').toLowerCase() === 'websocket';
+    if (!isUpgrade || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${createAcceptKey(key)}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const connection = new WebSocketConnection(socket);
+    if (head && head.length > 0) connection.receive(head);
+    return connection;
+}
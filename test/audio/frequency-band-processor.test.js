@@ -0,0 +1,34 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../../js/config.js';
+import { FrequencyBandProcessor, BAND_MEMORY_BUDGET_BYTES } from '../../js/audio/frequency-band-processor.js';
+
+const profile = { numBands: 10, freqRangeMin: 100, freqRangeMax: 8000, freqGamma: 1, bandwidthOctavesMax: 4 };
+// Only the shape matters for the memory estimate
+const sample = (seconds, channels = 2) => ({ length: seconds * 48000, numberOfChannels: channels });
+
+describe('band memory budget', () => {
+    const savedTiers = CONFIG.granular.numBandwidthTiers;
+    afterEach(() => { CONFIG.granular.numBandwidthTiers = savedTiers; });
+
+    test('one bandwidth tier by default', () => {
+        assert.equal(savedTiers, 1);
+    });
+
+    test('keeps the requested tiers while the bank fits', () => {
+        CONFIG.granular.numBandwidthTiers = 3;
+        const processor = new FrequencyBandProcessor(null, profile);
+        // 5 s stereo: 10 bands × 3 tiers ≈ 110 MB
+        assert.ok(processor.estimateMemoryBytes(sample(5)) <= BAND_MEMORY_BUDGET_BYTES);
+        assert.equal(processor.fitTiersToBudget(sample(5)), 3);
+    });
+
+    test('drops tiers past the budget but always keeps one', () => {
+        CONFIG.granular.numBandwidthTiers = 4;
+        const processor = new FrequencyBandProcessor(null, profile);
+        // 15 s stereo: ≈ 55 MB per tier
+        assert.equal(processor.fitTiersToBudget(sample(15)), 2);
+        assert.equal(processor.fitTiersToBudget(sample(60)), 1);
+    });
+});
@@ -0,0 +1,496 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    ENVELOPE_MIN_TIME, ENVELOPE_MAX_TIME,
+    readSampleLinear, applyVelocityCurve, softStartGain, grainEnvelope, releaseEnvelope,
+    crossfadeGain, smoothingAlpha, allocateVoices, softLimit, selectBandIndex,
+    bandpassCoefficients, createFilterState, applyBandpass, resolveSourceChannels, equalPowerPan,
+    readSampleCubic, readSampleSinc, readSample, resolveInterpolationMode, INTERPOLATION_MODES, INTERPOLATION_COST,
+    quantizeToScale, centsToPlaybackRate, PITCH_SCALES, shapedEnvelope, ENVELOPE_SHAPES, chooseGrainDirection,
+    bandBlend, bandGain, selectBandwidthTier, bandwidthTier, MIN_BAND_OCTAVES, mapFrequencyY
+} from '../../js/audio/granular-dsp.js';
+
+const EPSILON = 1e-12;
+const SAMPLES = Array.from({ length: 1001 }, (_, i) => i / 1000);
+
+function assertClose(actual, expected, tolerance = 1e-9, message = '') {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message} ${actual} vs ${expected}`);
+}
+
+describe('grainEnvelope', () => {
+    test('opens from silence, holds full gain and closes to silence', () => {
+        const duration = 0.2;
+        assertClose(grainEnvelope(0, duration), 0);
+        assert.equal(grainEnvelope(0.5, duration), 1);
+        assertClose(grainEnvelope(1, duration), 0);
+    });
+
+    test('stays within 0-1 and is symmetric', () => {
+        for (const duration of [0.02, 0.1, 0.5, 2]) {
+            for (const p of SAMPLES) {
+                const gain = grainEnvelope(p, duration);
+                assert.ok(gain >= 0 && gain <= 1, `duration=${duration} p=${p} gain=${gain}`);
+                assertClose(gain, grainEnvelope(1 - p, duration), 1e-9, `asymmetric at p=${p}`);
+            }
+        }
+    });
+
+    test('uses 30% of the grain for attack between the clamps', () => {
+        // 0.2s grain: 60ms attack, so the Hann midpoint sits at 30ms (progress 0.15)
+        assertClose(grainEnvelope(0.15, 0.2), 0.5);
+        assert.equal(grainEnvelope(0.31, 0.2), 1);
+    });
+
+    test('clamps attack to 15ms for short grains and 150ms for long grains', () => {
+        // 40ms grain: 30% would be 12ms, clamped up to 15ms
+        const short = 0.04;
+        assertClose(grainEnvelope((ENVELOPE_MIN_TIME / 2) / short, short), 0.5);
+
+        // 2s grain: 30% would be 600ms, clamped down to 150ms
+        const long = 2;
+        assertClose(grainEnvelope((ENVELOPE_MAX_TIME / 2) / long, long), 0.5);
+        assert.equal(grainEnvelope(ENVELOPE_MAX_TIME / long + 0.01, long), 1);
+    });
+
+    test('grains too short for two 15ms ramps peak at their midpoint without a jump', () => {
+        const duration = 0.02;
+        assertClose(grainEnvelope(0.5, duration), 1);
+        for (let i = 1; i < SAMPLES.length; i++) {
+            const step = Math.abs(grainEnvelope(SAMPLES[i], duration) - grainEnvelope(SAMPLES[i - 1], duration));
+            assert.ok(step < 0.01, `jump of ${step} at p=${SAMPLES[i]}`);
+        }
+    });
+
+    test('attack rises monotonically', () => {
+        const duration = 0.2;
+        for (let i = 1; i < 300; i++) {
+            assert.ok(grainEnvelope(i / 1000, duration) >= grainEnvelope((i - 1) / 1000, duration));
+        }
+    });
+});
+
+describe('shapedEnvelope', () => {
+    const duration = 0.2;
+
+    test('every shape stays within 0-1, is silent at both ends and reaches full gain', () => {
+        for (const shape of ENVELOPE_SHAPES) {
+            for (const skew of [0.2, 0.5, 0.8]) {
+                const envelope = { shape, attack: 0.5, skew };
+                let peak = 0;
+                for (const p of SAMPLES) {
+                    const gain = shapedEnvelope(p, duration, envelope);
+                    assert.ok(gain >= 0 && gain <= 1, `${shape} skew=${skew} p=${p} gain=${gain}`);
+                    peak = Math.max(peak, gain);
+                }
+                assertClose(shapedEnvelope(0, duration, envelope), 0, 1e-9, `${shape} start`);
+                assertClose(shapedEnvelope(1, duration, envelope), 0, 1e-9, `${shape} end`);
+                assertClose(peak, 1, 0.01, `${shape} skew=${skew} peak`);
+            }
+        }
+    });
+
+    test('the default Hann settings reproduce the original envelope', () => {
+        const envelope = { shape: 'hann', attack: 0.6, skew: 0.5 };
+        for (const d of [0.02, 0.2, 2]) {
+            for (const p of SAMPLES) {
+                assert.equal(shapedEnvelope(p, d, envelope), grainEnvelope(p, d));
+            }
+        }
+    });
+
+    test('skew moves the peak towards the start or the end', () => {
+        const peakAt = (shape, skew) => {
+            let best = 0;
+            for (const p of SAMPLES) {
+                if (shapedEnvelope(p, duration, { shape, attack: 1, skew }) > shapedEnvelope(best, duration, { shape, attack: 1, skew })) best = p;
+            }
+            return best;
+        };
+        for (const shape of ['gaussian', 'tukey', 'trapezoid']) {
+            assert.ok(peakAt(shape, 0.2) < peakAt(shape, 0.8), shape);
+        }
+        assertClose(peakAt('gaussian', 0.3), 0.3, 0.002);
+    });
+
+    test('exponential decays after a quick rise and reverse mirrors it', () => {
+        const envelope = { shape: 'exponential', attack: 0.1, skew: 0.5 };
+        assertClose(shapedEnvelope(0.05, duration, envelope), 1);
+        assert.ok(shapedEnvelope(0.3, duration, envelope) > shapedEnvelope(0.6, duration, envelope));
+        for (const p of [0.1, 0.4, 0.9]) {
+            assertClose(shapedEnvelope(p, duration, { shape: 'reverse', attack: 0.1, skew: 0.5 }),
+                shapedEnvelope(1 - p, duration, envelope));
+        }
+    });
+
+    test('a wider Gaussian keeps more gain away from the peak', () => {
+        const envelope = { shape: 'gaussian', skew: 0.5 };
+        assert.ok(shapedEnvelope(0.2, duration, envelope, 0.4) > shapedEnvelope(0.2, duration, envelope, 0.15));
+    });
+
+    test('trapezoid ramps are linear', () => {
+        const envelope = { shape: 'trapezoid', attack: 0.4, skew: 0.5 };
+        assertClose(shapedEnvelope(0.1, duration, envelope), 0.5);
+        assertClose(shapedEnvelope(0.9, duration, envelope), 0.5);
+        assert.equal(shapedEnvelope(0.5, duration, envelope), 1);
+    });
+});
+
+describe('releaseEnvelope', () => {
+    test('falls from 1 to 0 along a cosine and holds 0 past the end', () => {
+        assert.equal(releaseEnvelope(0), 1);
+        assertClose(releaseEnvelope(0.5), 0.5);
+        assertClose(releaseEnvelope(1), 0);
+        assertClose(releaseEnvelope(3), 0);
+        for (let i = 1; i < SAMPLES.length; i++) {
+            assert.ok(releaseEnvelope(SAMPLES[i]) <= releaseEnvelope(SAMPLES[i - 1]));
+        }
+    });
+});
+
+describe('crossfadeGain', () => {
+    test('fadeIn and fadeOut are equal-power at every point', () => {
+        for (const p of SAMPLES) {
+            const sum = crossfadeGain('fadeIn', p) ** 2 + crossfadeGain('fadeOut', p) ** 2;
+            assertClose(sum, 1, EPSILON, `p=${p}`);
+        }
+    });
+
+    test('has the expected endpoints and clamps progress', () => {
+        assert.equal(crossfadeGain('fadeIn', 0), 0);
+        assert.equal(crossfadeGain('fadeIn', 1), 1);
+        assert.equal(crossfadeGain('fadeOut', 0), 1);
+        assert.equal(crossfadeGain('fadeOut', 1), 0);
+        assert.equal(crossfadeGain('fadeIn', 2), 1);
+        assert.equal(crossfadeGain('fadeOut', -1), 1);
+    });
+});
+
+describe('voice allocation helpers', () => {
+    test('smoothingAlpha shrinks as the stealing delay grows', () => {
+        assertClose(smoothingAlpha(16, 16), 0.5);
+        assert.ok(smoothingAlpha(1) > smoothingAlpha(50));
+        assert.ok(smoothingAlpha(50) > smoothingAlpha(500));
+    });
+
+    test('allocateVoices keeps everyone under the limit', () => {
+        const particles = [{ id: 1, smoothedVelocity: 0 }, { id: 2, smoothedVelocity: 0.1 }];
+        assert.deepEqual(allocateVoices(particles, 2), new Set([1, 2]));
+    });
+
+    test('allocateVoices picks the fastest particles over the limit', () => {
+        const particles = [
+            { id: 1, smoothedVelocity: 0.2 },
+            { id: 2, smoothedVelocity: 0.9 },
+            { id: 3, smoothedVelocity: 0.5 },
+            { id: 4, smoothedVelocity: 0.1 }
+        ];
+        assert.deepEqual(allocateVoices(particles, 2), new Set([2, 3]));
+        assert.deepEqual(allocateVoices(particles, 0), new Set());
+        // Input order is left untouched
+        assert.deepEqual(particles.map(p => p.id), [1, 2, 3, 4]);
+    });
+});
+
+describe('softLimit', () => {
+    const threshold = 0.8;
+    const gain = 1.25;
+
+    test('passes samples at or below the threshold unchanged', () => {
+        for (const s of [0, 0.1, -0.5, 0.8, -0.8]) {
+            assert.equal(softLimit(s, threshold, gain), s);
+        }
+    });
+
+    test('is continuous at the knee, monotonic and bounded by the gain', () => {
+        assertClose(softLimit(threshold + 1e-9, threshold, gain), threshold, 1e-8);
+        let previous = softLimit(threshold, threshold, gain);
+        for (let s = threshold; s < 20; s += 0.01) {
+            const limited = softLimit(s, threshold, gain);
+            assert.ok(limited >= previous - EPSILON, `not monotonic at ${s}`);
+            assert.ok(limited <= gain, `exceeds ceiling at ${s}: ${limited}`);
+            previous = limited;
+        }
+        assertClose(softLimit(1e6, threshold, gain), gain, 1e-9);
+    });
+
+    test('is odd-symmetric', () => {
+        for (const s of [0.9, 1.5, 4]) {
+            assert.equal(softLimit(-s, threshold, gain), -softLimit(s, threshold, gain));
+        }
+    });
+});
+
+describe('sample reading and gain curves', () => {
+    test('readSampleLinear interpolates and wraps in both directions', () => {
+        const buffer = new Float32Array([0, 1, 0, -1]);
+        assert.equal(readSampleLinear(buffer, 0.5), 0.5);
+        assert.equal(readSampleLinear(buffer, 3.5), -0.5); // wraps to index 0
+        assert.equal(readSampleLinear(buffer, -1), -1);
+        assert.equal(readSampleLinear(buffer, 5), 1);
+        assert.equal(readSampleLinear(new Float32Array(0), 2), 0);
+    });
+
+    test('applyVelocityCurve clamps and applies the power', () => {
+        assert.equal(applyVelocityCurve(0.5, 2), 0.25);
+        assert.equal(applyVelocityCurve(2, 2), 1);
+        assert.equal(applyVelocityCurve(-1, 2), 0);
+    });
+
+    test('softStartGain ramps quadratically from the threshold to twice the threshold', () => {
+        assert.equal(softStartGain(0.01, 0.03), 0);
+        assert.equal(softStartGain(0.03, 0.03), 0);
+        assertClose(softStartGain(0.045, 0.03), 0.25);
+        assert.equal(softStartGain(0.06, 0.03), 1);
+        assert.equal(softStartGain(1, 0.03), 1);
+    });
+});
+
+describe('interpolation modes', () => {
+    const ramp = Float32Array.from({ length: 64 }, (_, i) => i / 64);
+    const noise = Float32Array.from({ length: 256 }, (_, i) => Math.sin(i * 12.9898) * 0.9);
+
+    test('every mode hits the stored samples exactly at integer positions', () => {
+        for (const mode of INTERPOLATION_MODES) {
+            for (const i of [0, 5, 100, 255]) {
+                assertClose(readSample(noise, i, mode), noise[i], 1e-6, `${mode} at ${i}`);
+            }
+        }
+    });
+
+    test('cubic Hermite reproduces a straight line between its taps', () => {
+        for (let x = 1; x < 60; x += 0.37) {
+            assertClose(readSampleCubic(ramp, x), x / 64, 1e-6, `x=${x}`);
+        }
+    });
+
+    test('cubic and sinc wrap like linear', () => {
+        assertClose(readSampleCubic(noise, -0.5), readSampleCubic(noise, 255.5));
+        assertClose(readSampleSinc(noise, 256 + 3.25), readSampleSinc(noise, 3.25));
+        assert.equal(readSampleCubic(new Float32Array(0), 1), 0);
+        assert.equal(readSampleSinc(new Float32Array(0), 1), 0);
+    });
+
+    test('sinc keeps unity gain on DC at every fractional position', () => {
+        const dc = new Float32Array(64).fill(0.5);
+        for (const t of [0.1, 0.25, 0.5, 0.9]) {
+            assertClose(readSampleSinc(dc, 20 + t), 0.5, 1e-9);
+            assertClose(readSampleSinc(dc, 20 + t, 3), 0.5, 1e-9);
+        }
+    });
+
+    test('sinc tracks a mid-band sine between samples more closely than linear', () => {
+        const freq = 0.2; // cycles per sample
+        const sine = Float32Array.from({ length: 512 }, (_, i) => Math.sin(2 * Math.PI * freq * i));
+        let linearError = 0;
+        let sincError = 0;
+        for (let x = 100.5; x < 400; x += 1) {
+            const expected = Math.sin(2 * Math.PI * freq * x);
+            linearError = Math.max(linearError, Math.abs(readSample(sine, x, 'linear') - expected));
+            sincError = Math.max(sincError, Math.abs(readSample(sine, x, 'sinc') - expected));
+        }
+        assert.ok(sincError < linearError / 10, `sinc ${sincError} vs linear ${linearError}`);
+    });
+
+    test('sinc filters content above the new Nyquist when pitched up', () => {
+        // 0.4 cycles/sample read two samples at a time would alias to 0.2
+        const high = Float32Array.from({ length: 512 }, (_, i) => Math.sin(2 * Math.PI * 0.4 * i));
+        let linearPeak = 0;
+        let sincPeak = 0;
+        for (let n = 0; n < 100; n++) {
+            const x = 100.3 + n * 2;
+            linearPeak = Math.max(linearPeak, Math.abs(readSample(high, x, 'linear', 2)));
+            sincPeak = Math.max(sincPeak, Math.abs(readSample(high, x, 'sinc', 2)));
+        }
+        assert.ok(linearPeak > 0.3, `linear should alias, got ${linearPeak}`);
+        assert.ok(sincPeak < 0.1, `sinc should reject, got ${sincPeak}`);
+    });
+
+    test('resolveInterpolationMode lets species override the global mode', () => {
+        assert.equal(resolveInterpolationMode('global', 'cubic'), 'cubic');
+        assert.equal(resolveInterpolationMode('sinc', 'linear'), 'sinc');
+        assert.equal(resolveInterpolationMode(undefined, 'bogus'), 'linear');
+    });
+
+    test('every mode has a cost, with linear as the unit', () => {
+        assert.equal(INTERPOLATION_COST.linear, 1);
+        for (const mode of INTERPOLATION_MODES) {
+            assert.ok(INTERPOLATION_COST[mode] >= 1, mode);
+        }
+    });
+});
+
+describe('pitch scales', () => {
+    test('quantizeToScale walks the degrees from the root up through every octave', () => {
+        const { pentatonic } = PITCH_SCALES;
+        assert.equal(quantizeToScale(0, pentatonic, 2), 0);
+        assert.equal(quantizeToScale(0.15, pentatonic, 2), 200);
+        assert.equal(quantizeToScale(0.5, pentatonic, 2), 1200);
+        assert.equal(quantizeToScale(1, pentatonic, 2), 2100);
+        assert.equal(quantizeToScale(1.5, pentatonic, 2), 2100);
+        assert.equal(quantizeToScale(-1, pentatonic, 2), 0);
+    });
+
+    test('every quantized pitch is a scale degree', () => {
+        for (const scale of Object.values(PITCH_SCALES)) {
+            for (const value of SAMPLES) {
+                const cents = quantizeToScale(value, scale, 3);
+                assert.ok(scale.includes(cents % 1200), `${cents} not in ${scale}`);
+            }
+        }
+    });
+
+    test('quantizeToScale returns the root for an empty scale', () => {
+        assert.equal(quantizeToScale(0.7, [], 2), 0);
+        assert.equal(quantizeToScale(0.7, null, 2), 0);
+    });
+
+    test('centsToPlaybackRate doubles per octave', () => {
+        assert.equal(centsToPlaybackRate(0), 1);
+        assert.equal(centsToPlaybackRate(1200), 2);
+        assert.equal(centsToPlaybackRate(-1200), 0.5);
+        assertClose(centsToPlaybackRate(700), Math.pow(2, 7 / 12));
+    });
+});
+
+describe('chooseGrainDirection', () => {
+    const never = () => { throw new Error('random() should not be drawn'); };
+
+    test('motion mode follows the sign of vx', () => {
+        assert.equal(chooseGrainDirection('motion', 0, -1, never), -1);
+        assert.equal(chooseGrainDirection('motion', 1, 1, never), 1);
+    });
+
+    test('random mode reverses with the given probability', () => {
+        assert.equal(chooseGrainDirection('random', 0, -1, never), 1);
+        assert.equal(chooseGrainDirection('random', 0.5, 1, () => 0.4), -1);
+        assert.equal(chooseGrainDirection('random', 0.5, 1, () => 0.6), 1);
+        assert.equal(chooseGrainDirection('random', 1, 1, () => 0.999), -1);
+    });
+});
+
+describe('stereo routing', () => {
+    const left = new Float32Array([1]);
+    const right = new Float32Array([-1]);
+
+    test('resolveSourceChannels routes each channel mode', () => {
+        assert.deepEqual(resolveSourceChannels([left, right], 'stereo'), { left, right, sum: false });
+        assert.deepEqual(resolveSourceChannels([left, right], 'mono'), { left, right, sum: true });
+        assert.deepEqual(resolveSourceChannels([left, right], 'left'), { left, right: left, sum: false });
+        assert.deepEqual(resolveSourceChannels([left, right], 'right'), { left: right, right, sum: false });
+    });
+
+    test('mono sources play as dual mono in every mode', () => {
+        for (const mode of ['stereo', 'mono', 'left', 'right']) {
+            assert.deepEqual(resolveSourceChannels([left], mode), { left, right: left, sum: false }, mode);
+        }
+    });
+
+    test('unknown modes fall back to stereo and extra channels are ignored', () => {
+        const third = new Float32Array([0]);
+        assert.deepEqual(resolveSourceChannels([left, right, third], 'quad'), { left, right, sum: false });
+    });
+
+    test('equalPowerPan keeps constant power and acts as a balance at the edges', () => {
+        for (const x of SAMPLES) {
+            const { left: l, right: r } = equalPowerPan(x);
+            assertClose(l * l + r * r, 1, EPSILON, `x=${x}`);
+        }
+        assertClose(equalPowerPan(0.5).left, Math.SQRT1_2);
+        assertClose(equalPowerPan(0).right, 0);
+        assertClose(equalPowerPan(1).left, 0);
+        assert.deepEqual(equalPowerPan(-1), equalPowerPan(0));
+    });
+});
+
+describe('frequency band selection and filtering', () => {
+    const config = { freqRangeMin: 20, freqRangeMax: 15000, freqGamma: 0.6, bandwidthOctavesMax: 4 };
+
+    test('selectBandIndex maps Y across the bands and clamps the edges', () => {
+        assert.equal(selectBandIndex(0, 8), 0);
+        assert.equal(selectBandIndex(0.99, 8), 7);
+        assert.equal(selectBandIndex(1, 8), 7);
+        assert.equal(selectBandIndex(-0.1, 8), 0);
+        assert.equal(selectBandIndex(0.5, 1), 0);
+    });
+
+    test('bandBlend crossfades the neighbouring band centres at equal power', () => {
+        assert.deepEqual(bandBlend(0, 10), { lower: 0, upper: 1, lowerGain: 1, upperGain: 0 });
+        const last = bandBlend(1, 10);
+        assert.equal(last.lower, 8);
+        assertClose(last.upperGain, 1);
+        const between = bandBlend(1.5 / 9, 10);
+        assert.equal(between.lower, 1);
+        assertClose(between.lowerGain, Math.SQRT1_2);
+        for (const y of SAMPLES) {
+            const { lowerGain, upperGain } = bandBlend(y, 10);
+            assertClose(lowerGain ** 2 + upperGain ** 2, 1, EPSILON, `y=${y}`);
+        }
+        assert.deepEqual(bandBlend(2, 10), last);
+        assert.deepEqual(bandBlend(0.5, 1), { lower: 0, upper: 0, lowerGain: 1, upperGain: 0 });
+    });
+
+    test('bandBlend gains are continuous across band centres', () => {
+        const gainAt = (y, index) => bandGain(bandBlend(y, 10), index);
+        for (let index = 0; index < 10; index++) {
+            const centre = index / 9;
+            assertClose(gainAt(centre - 1e-9, index), gainAt(centre + 1e-9, index), 1e-6, `band ${index}`);
+        }
+        assert.equal(bandGain(bandBlend(0.5, 10), 0), 0);
+    });
+
+    test('mapFrequencyY keeps, flips or disables the Y mapping', () => {
+        assert.equal(mapFrequencyY(0.2, 'normal'), 0.2);
+        assertClose(mapFrequencyY(0.2, 'inverted'), 0.8);
+        assert.equal(mapFrequencyY(0.2, 'off'), null);
+    });
+
+    test('selectBandwidthTier splits particle sizes evenly across the tiers', () => {
+        assert.equal(selectBandwidthTier(0, 3), 0);
+        assert.equal(selectBandwidthTier(0.5, 3), 1);
+        assert.equal(selectBandwidthTier(1, 3), 2);
+        assert.equal(selectBandwidthTier(-1, 3), 0);
+        assert.equal(selectBandwidthTier(0.9, 1), 0);
+    });
+
+    test('bandwidthTier widens with the tier and steepens only the narrow ones', () => {
+        const tiers = [0, 1, 2].map(tier => bandwidthTier(tier, 3, 4));
+        assert.ok(tiers[0].octaves < tiers[1].octaves && tiers[1].octaves < tiers[2].octaves);
+        assertClose(tiers[1].octaves, 2);
+        assert.deepEqual(tiers.map(t => t.numStages), [2, 1, 1]);
+        assert.equal(bandwidthTier(0, 4, 1).octaves, MIN_BAND_OCTAVES);
+    });
+
+    test('bandpassCoefficients opens higher for particles near the top', () => {
+        const top = bandpassCoefficients(0.1, 0.2, config, 48000);
+        const bottom = bandpassCoefficients(0.9, 0.2, config, 48000);
+        assert.ok(top.lowpassAlpha > bottom.lowpassAlpha);
+        assert.ok(top.highpassAlpha > bottom.highpassAlpha);
+    });
+
+    test('bandpassCoefficients uses two stages only for small particles', () => {
+        assert.equal(bandpassCoefficients(0.5, 0.3, config, 48000).numStages, 2);
+        assert.equal(bandpassCoefficients(0.5, 0.31, config, 48000).numStages, 1);
+    });
+
+    test('applyBandpass blocks DC and passes the mid band', () => {
+        const { numStages, lowpassAlpha, highpassAlpha } = bandpassCoefficients(0.5, 0.5, config, 48000);
+
+        const dcState = createFilterState();
+        let dcOut = 0;
+        for (let i = 0; i < 48000; i++) {
+            dcOut = applyBandpass(1, dcState, numStages, lowpassAlpha, highpassAlpha);
+        }
+        assert.ok(Math.abs(dcOut) < 1e-3, `DC leaks through: ${dcOut}`);
+
+        // Sine near the band centre keeps a meaningful share of its amplitude
+        const fc = config.freqRangeMin * Math.pow(config.freqRangeMax / config.freqRangeMin, Math.pow(0.5, config.freqGamma));
+        const toneState = createFilterState();
+        let peak = 0;
+        for (let i = 0; i < 48000; i++) {
+            const out = applyBandpass(Math.sin(2 * Math.PI * fc * i / 48000), toneState, numStages, lowpassAlpha, highpassAlpha);
+            if (i > 24000) peak = Math.max(peak, Math.abs(out));
+        }
+        assert.ok(peak > 0.1, `centre frequency too attenuated: ${peak}`);
+    });
+});
@@ -0,0 +1,75 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../../js/config.js';
+import { validateAudioParameter, collectAudioParameterUpdates, getFrequencyProfile } from '../../js/audio/parameter-manager.js';
+import { PITCH_SCALES, DEFAULT_FREQUENCY_PROFILE } from '../../js/audio/granular-dsp.js';
+
+describe('validateAudioParameter', () => {
+    test('scale degrees are wrapped into one octave, sorted and deduplicated', () => {
+        assert.deepEqual(validateAudioParameter('scaleCents', '700, -100 0 0 1300 x'), [0, 100, 700, 1100]);
+        assert.deepEqual(validateAudioParameter('scaleCents', [386.3137, 0]), [0, 386.31]);
+        assert.deepEqual(validateAudioParameter('scaleCents', ''), [0]);
+    });
+
+    test('pitch spread, scale and source fall back to safe values', () => {
+        assert.equal(validateAudioParameter('pitchSpread', 5000), 1200);
+        assert.equal(validateAudioParameter('pitchSpread', 'abc'), 0);
+        assert.equal(validateAudioParameter('pitchScale', 'dorian'), 'off');
+        assert.equal(validateAudioParameter('pitchScale', 'custom'), 'custom');
+        assert.equal(validateAudioParameter('pitchScaleSource', 'x'), 'y');
+    });
+});
+
+describe('collectAudioParameterUpdates', () => {
+    let saved;
+    beforeEach(() => {
+        saved = structuredClone({
+            pitchScales: CONFIG.species.pitchScales,
+            customScales: CONFIG.species.customScales,
+            pitchSpreads: CONFIG.species.pitchSpreads,
+            freqRangeMins: CONFIG.species.freqRangeMins,
+            freqRangeMaxes: CONFIG.species.freqRangeMaxes,
+            bandCounts: CONFIG.species.bandCounts,
+            frequencyYModes: CONFIG.species.frequencyYModes
+        });
+    });
+    afterEach(() => Object.assign(CONFIG.species, saved));
+
+    test('resolves each species scale to the degrees the worklet quantizes to', () => {
+        CONFIG.species.pitchScales = ['off', 'major', 'custom', 'bogus', 'off', 'off', 'off', 'off'];
+        CONFIG.species.customScales[2] = [700, 0];
+
+        const { pitchScales } = collectAudioParameterUpdates({ audio: true }).audioParameters;
+        assert.equal(pitchScales[0], null);
+        assert.deepEqual(pitchScales[1], PITCH_SCALES.major);
+        assert.deepEqual(pitchScales[2], [0, 700]);
+        assert.equal(pitchScales[3], null);
+    });
+
+    test('clamps pitch spreads', () => {
+        CONFIG.species.pitchSpreads = [-5, 30, 2400, 0, 0, 0, 0, 0];
+        const { pitchSpreads } = collectAudioParameterUpdates({ audio: true }).audioParameters;
+        assert.deepEqual(pitchSpreads.slice(0, 3), [0, 30, 1200]);
+    });
+
+    test('sends every species its own validated frequency profile', () => {
+        CONFIG.species.bandCounts = [10, 40, 1, 10, 10, 10, 10, 10];
+        CONFIG.species.frequencyYModes = ['inverted', 'sideways', 'off', 'normal', 'normal', 'normal', 'normal', 'normal'];
+
+        const { frequencyProfiles } = collectAudioParameterUpdates({ audio: true }).audioParameters;
+        assert.equal(frequencyProfiles.length, 8);
+        assert.deepEqual(frequencyProfiles[3], DEFAULT_FREQUENCY_PROFILE);
+        assert.deepEqual(frequencyProfiles.slice(0, 3).map(p => p.numBands), [10, 24, 2]);
+        assert.deepEqual(frequencyProfiles.slice(0, 3).map(p => p.yMode), ['inverted', 'normal', 'off']);
+    });
+
+    test('frequency ranges always span at least an octave', () => {
+        CONFIG.species.freqRangeMins = [5000, 19000, 20, 20, 20, 20, 20, 20];
+        CONFIG.species.freqRangeMaxes = [1000, 20000, 'x', 15000, 15000, 15000, 15000, 15000];
+
+        assert.deepEqual([getFrequencyProfile(0).freqRangeMin, getFrequencyProfile(0).freqRangeMax], [5000, 10000]);
+        assert.deepEqual([getFrequencyProfile(1).freqRangeMin, getFrequencyProfile(1).freqRangeMax], [10000, 20000]);
+        assert.equal(getFrequencyProfile(2).freqRangeMax, DEFAULT_FREQUENCY_PROFILE.freqRangeMax);
+    });
+});
@@ -0,0 +1,92 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../../js/config.js';
+import { bandBankKey, cacheSample, postCachedSample, postBands } from '../../js/audio/sample-cache.js';
+import { DEFAULT_FREQUENCY_PROFILE } from '../../js/audio/granular-dsp.js';
+
+// Minimal AudioBuffer stand-in
+function fakeBuffer(channels) {
+    return {
+        sampleRate: 48000,
+        length: channels[0].length,
+        numberOfChannels: channels.length,
+        getChannelData: i => channels[i]
+    };
+}
+
+function fakePort() {
+    return {
+        sent: [],
+        postMessage(message, transfer = []) {
+            this.sent.push({ message, transfer });
+        }
+    };
+}
+
+function bank() {
+    return {
+        numBands: 2,
+        numBandwidthTiers: 1,
+        bands: [0.25, 0.5].map(value => ({
+            sampleRate: 48000, length: 4, numberOfChannels: 1, channels: [new Float32Array(4).fill(value)]
+        }))
+    };
+}
+
+describe('sample cache', () => {
+    const savedTiers = CONFIG.granular.numBandwidthTiers;
+    afterEach(() => { CONFIG.granular.numBandwidthTiers = savedTiers; });
+
+    test('band bank key ignores Y inversion but not the profile or tier count', () => {
+        const key = bandBankKey(DEFAULT_FREQUENCY_PROFILE);
+        assert.equal(bandBankKey({ ...DEFAULT_FREQUENCY_PROFILE, yMode: 'inverted' }), key);
+        assert.notEqual(bandBankKey({ ...DEFAULT_FREQUENCY_PROFILE, numBands: 12 }), key);
+
+        CONFIG.granular.numBandwidthTiers = savedTiers + 1;
+        assert.notEqual(bandBankKey(DEFAULT_FREQUENCY_PROFILE), key);
+    });
+
+    test('raw samples are sent as transferred copies', () => {
+        const left = new Float32Array([0.1, 0.2, 0.3, 0.4]);
+        const right = new Float32Array([0.5, 0.6, 0.7, 0.8]);
+        cacheSample(2, fakeBuffer([left, right]));
+
+        const port = fakePort();
+        assert.equal(postCachedSample(port, 2), true);
+        const [{ message, transfer }] = port.sent;
+
+        assert.equal(message.type, 'audioBuffer');
+        assert.equal(message.species, 2);
+        assert.deepEqual(message.channelData, [left, right]);
+        assert.notEqual(message.channelData[0], left);
+        assert.deepEqual(transfer, message.channelData.map(channel => channel.buffer));
+
+        assert.equal(postCachedSample(port, 7), false, 'nothing cached for species 7');
+    });
+
+    test('a newer sample replaces the cached one', () => {
+        const first = new Float32Array([0.1, 0.2, 0.3, 0.4]);
+        const second = new Float32Array([0.5, 0.6, 0.7, 0.8]);
+        cacheSample(1, fakeBuffer([first]));
+        cacheSample(1, fakeBuffer([second]));
+
+        const port = fakePort();
+        postCachedSample(port, 1);
+        assert.deepEqual(port.sent[0].message.channelData, [second]);
+    });
+
+    test('band banks are moved to the worklet, not copied', () => {
+        const filtered = bank();
+        const channels = filtered.bands.map(band => band.channels[0]);
+        const port = fakePort();
+        postBands(port, 3, filtered);
+        const [{ message, transfer }] = port.sent;
+
+        assert.deepEqual(
+            { type: message.type, species: message.species, numBands: message.numBands, tiers: message.numBandwidthTiers },
+            { type: 'audioBufferBands', species: 3, numBands: 2, tiers: 1 });
+        assert.equal(message.bands[1].channels[0], channels[1]);
+        assert.deepEqual(transfer, channels.map(channel => channel.buffer));
+    });
+});
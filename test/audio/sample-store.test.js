@@ -0,0 +1,52 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../helpers/indexeddb-shim.js';
+import {
+    hashSampleData, arrayBufferToBase64, base64ToArrayBuffer, unbundleSamples, storeSample, getStoredSample,
+    pruneSamples
+} from '../../js/audio/sample-store.js';
+
+describe('sample store', () => {
+    test('hashes file bytes as hex SHA-256', async () => {
+        const bytes = new TextEncoder().encode('abc').buffer;
+        assert.equal(await hashSampleData(bytes),
+            'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    test('base64 round-trips bytes across encoding chunks', () => {
+        const bytes = new Uint8Array(70000).map((_, i) => (i * 31) % 256);
+        const text = arrayBufferToBase64(bytes.buffer);
+        assert.equal(text, Buffer.from(bytes).toString('base64'));
+        assert.deepEqual(new Uint8Array(base64ToArrayBuffer(text)), bytes);
+    });
+
+    describe('unbundling', () => {
+        const originalWarn = console.warn;
+        before(() => { console.warn = () => {}; });
+        after(() => { console.warn = originalWarn; });
+
+        test('rejects bundled samples whose content does not match their hash', async () => {
+            const data = arrayBufferToBase64(new TextEncoder().encode('abc').buffer);
+            const result = await unbundleSamples({ ['0'.repeat(64)]: { name: 'a.wav', type: 'audio/wav', data } });
+            assert.deepEqual(result, { stored: 0, rejected: ['0'.repeat(64)] });
+        });
+    });
+
+    test('pruning deletes only the samples nothing keeps', async () => {
+        const stored = [];
+        for (const text of ['kick', 'snare', 'pad']) {
+            const data = new TextEncoder().encode(text).buffer;
+            const hash = await hashSampleData(data);
+            await storeSample({ hash, name: `${text}.wav`, type: 'audio/wav', data });
+            stored.push(hash);
+        }
+        const [kick, snare, pad] = stored;
+
+        assert.equal(await pruneSamples([kick, pad, 'f'.repeat(64)]), 1);
+        assert.equal(await getStoredSample(snare), null);
+        assert.equal((await getStoredSample(kick)).name, 'kick.wav');
+        assert.equal((await getStoredSample(pad)).name, 'pad.wav');
+        assert.equal(await pruneSamples([kick, pad]), 0);
+    });
+});
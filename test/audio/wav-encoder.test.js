@@ -0,0 +1,102 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeWav, encodeWavBlob, WAV_BIT_DEPTHS } from '../../js/audio/wav-encoder.js';
+
+function ascii(view, offset) {
+    return String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+}
+
+// Signed little-endian 24-bit sample
+function readInt24(view, offset) {
+    const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+    return value & 0x800000 ? value - 0x1000000 : value;
+}
+
+// Samples of a mono file, decoded from its data chunk
+function readMono(buffer, bitDepth) {
+    const view = new DataView(buffer);
+    const bytesPerSample = bitDepth / 8;
+    const samples = [];
+    for (let offset = 44; offset < buffer.byteLength; offset += bytesPerSample) {
+        if (bitDepth === 16) samples.push(view.getInt16(offset, true));
+        else if (bitDepth === 24) samples.push(readInt24(view, offset));
+        else samples.push(view.getFloat32(offset, true));
+    }
+    return samples;
+}
+
+describe('encodeWav', () => {
+    test('writes the RIFF, fmt and data headers', () => {
+        const channels = [new Float32Array(10), new Float32Array(10)];
+        const buffer = encodeWav(channels, 48000, 24);
+        const view = new DataView(buffer);
+
+        assert.equal(buffer.byteLength, 44 + 10 * 2 * 3);
+        assert.equal(ascii(view, 0), 'RIFF');
+        assert.equal(view.getUint32(4, true), buffer.byteLength - 8);
+        assert.equal(ascii(view, 8), 'WAVE');
+        assert.equal(ascii(view, 12), 'fmt ');
+        assert.equal(view.getUint32(16, true), 16);
+        assert.equal(view.getUint16(22, true), 2);
+        assert.equal(view.getUint32(24, true), 48000);
+        assert.equal(view.getUint32(28, true), 48000 * 6);
+        assert.equal(view.getUint16(32, true), 6);
+        assert.equal(view.getUint16(34, true), 24);
+        assert.equal(ascii(view, 36), 'data');
+        assert.equal(view.getUint32(40, true), 10 * 6);
+    });
+
+    test('tags integer depths as PCM and 32-bit as IEEE float', () => {
+        for (const bitDepth of [16, 24, 32]) {
+            const view = new DataView(encodeWav([new Float32Array(4)], 44100, bitDepth));
+            assert.equal(view.getUint16(20, true), WAV_BIT_DEPTHS[bitDepth].formatTag);
+            assert.equal(view.getUint16(34, true), bitDepth);
+        }
+        assert.equal(WAV_BIT_DEPTHS[16].formatTag, 1);
+        assert.equal(WAV_BIT_DEPTHS[24].formatTag, 1);
+        assert.equal(WAV_BIT_DEPTHS[32].formatTag, 3);
+    });
+
+    test('interleaves channels frame by frame', () => {
+        const buffer = encodeWav([new Float32Array([0.25, 0.5]), new Float32Array([-0.25, -0.5])], 44100, 32);
+        assert.deepEqual(readMono(buffer, 32), [0.25, -0.25, 0.5, -0.5]);
+    });
+
+    test('maps -1 and +1 to full scale and clips beyond them', () => {
+        const input = new Float32Array([-2, -1, 0, 1, 2]);
+        assert.deepEqual(readMono(encodeWav([input], 44100, 16), 16), [-0x8000, -0x8000, 0, 0x7FFF, 0x7FFF]);
+        assert.deepEqual(readMono(encodeWav([input], 44100, 24), 24), [-0x800000, -0x800000, 0, 0x7FFFFF, 0x7FFFFF]);
+    });
+
+    test('rounds integer samples to the nearest step', () => {
+        const input = new Float32Array([0.5, -0.3]);
+        assert.deepEqual(readMono(encodeWav([input], 44100, 16), 16), [
+            Math.round(0.5 * 0x7FFF),
+            Math.round(Math.fround(-0.3) * 0x8000)
+        ]);
+        assert.deepEqual(readMono(encodeWav([input], 44100, 24), 24), [
+            Math.round(0.5 * 0x7FFFFF),
+            Math.round(Math.fround(-0.3) * 0x800000)
+        ]);
+    });
+
+    test('keeps float samples as they are, including over-range peaks', () => {
+        const input = new Float32Array([1.5, -0.125, 0.1]);
+        assert.deepEqual(readMono(encodeWav([input], 44100, 32), 32), [...input]);
+    });
+
+    test('rejects unsupported bit depths and empty channel lists', () => {
+        assert.throws(() => encodeWav([new Float32Array(1)], 44100, 8), /Unsupported bit depth/);
+        assert.throws(() => encodeWav([], 44100, 16), /at least one channel/);
+    });
+});
+
+describe('encodeWavBlob', () => {
+    test('wraps the encoded file in an audio/wav Blob', async () => {
+        const channels = [new Float32Array([0.1, -0.1])];
+        const blob = encodeWavBlob(channels, 22050, 16);
+        assert.equal(blob.type, 'audio/wav');
+        assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), new Uint8Array(encodeWav(channels, 22050, 16)));
+    });
+});
@@ -0,0 +1,633 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The shim must be evaluated before the processor module (it extends AudioWorkletProcessor)
+import { registeredProcessors, renderBlocks, SHIM_SAMPLE_RATE, RENDER_QUANTUM } from '../helpers/worklet-shim.js';
+import { GranularProcessor } from '../../js/audio/worklet-processor.js';
+import { INTERPOLATION_COST, DEFAULT_FREQUENCY_PROFILE } from '../../js/audio/granular-dsp.js';
+
+const BLOCK_SECONDS = RENDER_QUANTUM / SHIM_SAMPLE_RATE;
+
+// The processor logs allocation changes and lifecycle events
+const originalLog = console.log;
+
+// One second of a 220Hz sine at the shim rate
+function sineChannel() {
+    const data = new Float32Array(SHIM_SAMPLE_RATE);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.sin(2 * Math.PI * 220 * i / SHIM_SAMPLE_RATE);
+    }
+    return data;
+}
+
+function createProcessor({ species = [0], granularConfig = {}, channelData = () => [sineChannel()] } = {}) {
+    const processor = new GranularProcessor();
+    for (const s of species) {
+        const channels = channelData();
+        processor.port.receive({
+            type: 'audioBuffer',
+            species: s,
+            sampleRate: SHIM_SAMPLE_RATE,
+            length: SHIM_SAMPLE_RATE,
+            numberOfChannels: channels.length,
+            channelData: channels
+        });
+    }
+    processor.granularConfig = { ...processor.granularConfig, ...granularConfig };
+    return processor;
+}
+
+function particle(id, velocity, overrides = {}) {
+    return {
+        id,
+        species: 0,
+        xPosition: 0.5,
+        yPosition: 0.5,
+        particleSize: 0.5,
+        velocity,
+        rawVelocity: velocity,
+        trailParameter: 0.5,
+        isMoving: velocity > 0.01,
+        velocityCurvePower: 1,
+        volumeScale: 1,
+        ...overrides
+    };
+}
+
+function sendParticles(processor, particles) {
+    processor.port.receive({ type: 'particleUpdate', particles });
+}
+
+// Drive the processor like the main thread does: one particle update per render quantum
+function run(processor, particles, blocks) {
+    const outputs = [];
+    for (let i = 0; i < blocks; i++) {
+        sendParticles(processor, particles);
+        outputs.push(renderBlocks(processor, 1));
+    }
+    return outputs;
+}
+
+function peak(channels) {
+    return Math.max(...channels.map(data => data.reduce((max, s) => Math.max(max, Math.abs(s)), 0)));
+}
+
+describe('GranularProcessor', () => {
+    before(() => { console.log = () => {}; });
+    after(() => { console.log = originalLog; });
+
+    test('registers itself as granular-processor', () => {
+        assert.equal(registeredProcessors.get('granular-processor'), GranularProcessor);
+    });
+
+    test('answers sync messages with the same id', () => {
+        const processor = createProcessor();
+        processor.port.receive({ type: 'sync', id: 7 });
+        assert.deepEqual(processor.port.sent.at(-1), { type: 'sync', id: 7 });
+    });
+
+    test('is silent without moving particles and sounds with one', () => {
+        const processor = createProcessor();
+        assert.equal(peak(renderBlocks(processor, 4)), 0);
+
+        const outputs = run(processor, [particle(1, 0.8)], 40);
+        assert.ok(peak(outputs.flat()) > 0.01, 'a moving particle should produce audio');
+        assert.ok(processor.activeGrains.length > 0);
+    });
+
+    test('a particle that stops releases its grains to silence', () => {
+        const processor = createProcessor();
+        run(processor, [particle(1, 0.8)], 40);
+
+        // releaseTime for trail 0.5 is ~150ms; give it comfortably longer
+        const stopped = run(processor, [particle(1, 0)], Math.ceil(0.4 / BLOCK_SECONDS));
+        assert.equal(processor.activeGrains.length, 0);
+        assert.equal(peak(stopped.at(-1)), 0);
+    });
+
+    test('reports grain spawns for MIDI out, capped per update', () => {
+        const processor = createProcessor();
+        processor.port.receive({ type: 'midiEvents', source: 'grains' });
+        processor.port.receive({
+            type: 'batchParameterUpdate',
+            updates: { voiceManagement: { maxVoicesPerSpecies: new Array(8).fill(40) } }
+        });
+        const crowd = Array.from({ length: 40 }, (_, i) => particle(i + 1, 0.8, { yPosition: 0.2 }));
+        run(processor, crowd, 40);
+
+        const [message] = processor.port.sent.filter(m => m.type === 'midiEvents');
+        assert.equal(message.events.length, processor.maxMidiGrainEvents);
+        assert.equal(message.events[0].type, 'grain');
+        assert.equal(message.events[0].y, 0.2);
+        assert.ok(message.events[0].duration > 0);
+
+        processor.port.receive({ type: 'midiEvents', source: null });
+        processor.port.sent.length = 0;
+        run(processor, crowd, 5);
+        assert.equal(processor.port.sent.filter(m => m.type === 'midiEvents').length, 0);
+    });
+
+    test('pausing releases every grain and clears voice state', () => {
+        const processor = createProcessor();
+        run(processor, [particle(1, 0.8), particle(2, 0.6)], 20);
+        processor.port.receive({ type: 'pauseStateUpdate', isPaused: true });
+
+        assert.ok(processor.activeGrains.every(g => g.isReleasing && g.removalReason === 'paused'));
+        assert.equal(processor.voiceAllocations.size, 0);
+        renderBlocks(processor, Math.ceil(0.05 / BLOCK_SECONDS));
+        assert.equal(processor.activeGrains.length, 0);
+    });
+
+    test('seeded jitter renders identically and differs between seeds', () => {
+        const render = (seed) => {
+            const processor = createProcessor({ granularConfig: { grainJitter: 0.5 } });
+            processor.port.receive({ type: 'batchParameterUpdate', updates: { randomSeed: { seed } } });
+            return run(processor, [particle(1, 0.8, { trailParameter: 0.1 })], 60).flat();
+        };
+
+        const a = render(99);
+        const b = render(99);
+        const c = render(100);
+        assert.deepEqual(a, b);
+        assert.notDeepEqual(a, c);
+    });
+
+    test('the soft limiter caps the output while metering sees the raw peak', () => {
+        const processor = createProcessor({
+            granularConfig: { softLimiterThreshold: 0.02, softLimiterGain: 0.04 }
+        });
+        const outputs = run(processor, [particle(1, 1)], 60);
+
+        assert.ok(peak(outputs.flat()) <= 0.04, `output exceeds limiter ceiling: ${peak(outputs.flat())}`);
+        const meteredPeak = Math.max(...processor.port.sent
+            .filter(m => m.type === 'voiceState')
+            .map(m => m.peakLevel));
+        assert.ok(meteredPeak > 0.04, `meter should report the pre-limiter peak, got ${meteredPeak}`);
+    });
+
+    describe('stereo grains', () => {
+        // Sine on the left channel, silence on the right
+        const leftOnly = () => [sineChannel(), new Float32Array(SHIM_SAMPLE_RATE)];
+
+        function renderMode(channelMode, xPosition = 0.5) {
+            const processor = createProcessor({ channelData: leftOnly });
+            const channelModes = new Array(8).fill(channelMode);
+            processor.port.receive({ type: 'batchParameterUpdate', updates: { audioParameters: { channelModes } } });
+            const outputs = run(processor, [particle(1, 0.8, { xPosition })], 40);
+            return [0, 1].map(channel => peak(outputs.map(block => block[channel])));
+        }
+
+        test('stereo mode keeps the source channels apart', () => {
+            const [left, right] = renderMode('stereo');
+            assert.ok(left > 0.01, `left=${left}`);
+            assert.equal(right, 0);
+        });
+
+        test('left and right modes play one source channel on both outputs', () => {
+            const [leftL, leftR] = renderMode('left');
+            assert.ok(leftL > 0.01);
+            assert.ok(Math.abs(leftL - leftR) < 1e-6, `${leftL} vs ${leftR}`);
+
+            assert.deepEqual(renderMode('right'), [0, 0]);
+        });
+
+        test('mono mode sums both channels at half level', () => {
+            const [stereoLeft] = renderMode('stereo');
+            const [monoL, monoR] = renderMode('mono');
+            assert.ok(Math.abs(monoL - monoR) < 1e-6);
+            assert.ok(Math.abs(monoL - stereoLeft / 2) < 1e-6, `${monoL} vs ${stereoLeft / 2}`);
+        });
+
+        test('X position balances stereo grains instead of folding them to mono', () => {
+            // Hard right: the left-only source disappears (cos(π/2) leaves float residue)
+            const [hardRightL, hardRightR] = renderMode('stereo', 1);
+            assert.ok(hardRightL < 1e-9, `left=${hardRightL}`);
+            assert.equal(hardRightR, 0);
+            // Hard left: full left, still nothing on the right
+            const [left, right] = renderMode('stereo', 0);
+            assert.ok(left > 0.01);
+            assert.equal(right, 0);
+        });
+
+        test('mono samples are unaffected by the channel mode', () => {
+            const render = (channelMode) => {
+                const processor = createProcessor();
+                processor.port.receive({
+                    type: 'batchParameterUpdate',
+                    updates: { audioParameters: { channelModes: new Array(8).fill(channelMode) } }
+                });
+                return run(processor, [particle(1, 0.8, { xPosition: 0.3 })], 20).flat();
+            };
+            const stereo = render('stereo');
+            for (const mode of ['mono', 'left', 'right']) {
+                assert.deepEqual(render(mode), stereo, mode);
+            }
+        });
+    });
+
+    describe('interpolation', () => {
+        function renderWith({ global = 'linear', species = 'global' } = {}) {
+            const processor = createProcessor({ granularConfig: { interpolationMode: global } });
+            processor.port.receive({
+                type: 'batchParameterUpdate',
+                updates: { audioParameters: { pitches: new Array(8).fill(7), interpolationModes: new Array(8).fill(species) } }
+            });
+            const outputs = run(processor, [particle(1, 0.8)], Math.ceil(0.6 / BLOCK_SECONDS));
+            return { processor, samples: outputs.slice(0, 40).flat() };
+        }
+
+        test('the global mode and per-species overrides change how grains are read', () => {
+            const linear = renderWith().samples;
+            const sincGlobal = renderWith({ global: 'sinc' }).samples;
+            const sincSpecies = renderWith({ species: 'sinc' }).samples;
+            assert.notDeepEqual(sincGlobal, linear);
+            assert.deepEqual(sincSpecies, sincGlobal);
+            assert.deepEqual(renderWith({ global: 'sinc', species: 'linear' }).samples, linear);
+        });
+
+        test('reports the average read cost alongside CPU usage', () => {
+            const loads = (processor) => processor.port.sent
+                .filter(m => m.type === 'voiceState' && m.interpolationLoad !== null)
+                .map(m => m.interpolationLoad);
+
+            assert.ok(loads(renderWith().processor).every(load => load === 1));
+            const cubic = loads(renderWith({ species: 'cubic' }).processor);
+            assert.ok(cubic.length > 0);
+            assert.ok(cubic.every(load => Math.abs(load - INTERPOLATION_COST.cubic) < 1e-9), cubic.join());
+        });
+    });
+
+    describe('pitch', () => {
+        function grainSteps(audioParameters, particles = [particle(1, 0.8)], seed = 5) {
+            const processor = createProcessor();
+            processor.port.receive({ type: 'batchParameterUpdate', updates: { audioParameters, randomSeed: { seed } } });
+
+            // Collect every grain spawned over ~1s, in spawn order
+            const steps = new Map();
+            for (let i = 0; i < 400; i++) {
+                run(processor, particles, 1);
+                processor.activeGrains.forEach(g => steps.set(g.id, g.readStep));
+            }
+            return [...steps.values()];
+        }
+
+        test('species pitch sets every grain without spread', () => {
+            const steps = grainSteps({ pitches: [12, 0, 0, 0, 0, 0, 0, 0] });
+            assert.ok(steps.length > 0);
+            assert.ok(steps.every(step => Math.abs(step - 2) < 1e-12));
+        });
+
+        test('pitch spread detunes grains within ± the spread', () => {
+            const steps = grainSteps({ pitchSpreads: new Array(8).fill(50) });
+            const cents = steps.map(step => 1200 * Math.log2(step));
+            assert.ok(cents.every(c => Math.abs(c) <= 50 + 1e-9), cents.join());
+            assert.ok(new Set(cents).size > 1, 'grains should not share one detune');
+        });
+
+        test('the scale quantizer maps Y or speed onto scale degrees', () => {
+            const scale = [0, 400, 700];
+            const pitchScales = new Array(8).fill(scale);
+
+            // Y: top of the canvas (y=0) is the top degree of two octaves, bottom the root
+            const top = grainSteps({ pitchScales }, [particle(1, 0.8, { yPosition: 0 })]);
+            const bottom = grainSteps({ pitchScales }, [particle(1, 0.8, { yPosition: 1 })]);
+            assert.ok(top.every(step => Math.abs(step - Math.pow(2, 1900 / 1200)) < 1e-12));
+            assert.ok(bottom.every(step => Math.abs(step - 1) < 1e-12));
+
+            // Speed: a fast particle sits higher than a slow one regardless of Y
+            const pitchScaleSources = new Array(8).fill('speed');
+            const [fast] = grainSteps({ pitchScales, pitchScaleSources }, [particle(1, 0.9)]);
+            const [slow] = grainSteps({ pitchScales, pitchScaleSources }, [particle(1, 0.1)]);
+            assert.ok(fast > slow, `${fast} vs ${slow}`);
+        });
+
+        test('seeded runs without spread are unchanged by the spread option existing', () => {
+            const withoutKey = grainSteps({}, [particle(1, 0.8)], 9);
+            const withZero = grainSteps({ pitchSpreads: new Array(8).fill(0) }, [particle(1, 0.8)], 9);
+            assert.deepEqual(withZero, withoutKey);
+        });
+    });
+
+    test('per-species envelope settings shape new grains', () => {
+        const render = (audioParameters) => {
+            const processor = createProcessor();
+            processor.port.receive({ type: 'batchParameterUpdate', updates: { audioParameters } });
+            const samples = run(processor, [particle(1, 0.8)], 40).flat();
+            return { processor, samples };
+        };
+
+        const hann = render({});
+        const percussive = render({
+            envelopeShapes: new Array(8).fill('exponential'),
+            envelopeAttacks: new Array(8).fill(0.05),
+            envelopeSkews: new Array(8).fill(0.2)
+        });
+        assert.deepEqual(percussive.processor.activeGrains[0].envelope, { shape: 'exponential', attack: 0.05, skew: 0.2 });
+        assert.notDeepEqual(percussive.samples, hann.samples);
+        assert.ok(peak(percussive.samples) > 0.01);
+    });
+
+    describe('grain direction', () => {
+        function render(audioParameters, particles, seed = 3) {
+            const processor = createProcessor();
+            processor.port.receive({ type: 'batchParameterUpdate', updates: { audioParameters, randomSeed: { seed } } });
+            const samples = run(processor, particles, 120).flat();
+            return { processor, samples };
+        }
+
+        test('grains read forward by default', () => {
+            const { processor } = render({}, [particle(1, 0.8, { direction: -1 })]);
+            assert.ok(processor.activeGrains.every(g => g.direction === 1));
+        });
+
+        test('reverse probability 1 reverses every grain and changes the output', () => {
+            const forward = render({}, [particle(1, 0.8)]);
+            const reversed = render({ reverseProbabilities: new Array(8).fill(1) }, [particle(1, 0.8)]);
+            assert.ok(reversed.processor.activeGrains.length > 0);
+            assert.ok(reversed.processor.activeGrains.every(g => g.direction === -1));
+            assert.notDeepEqual(reversed.samples, forward.samples);
+        });
+
+        test('motion mode mirrors horizontal travel', () => {
+            const directionModes = new Array(8).fill('motion');
+            const left = render({ directionModes }, [particle(1, 0.8, { direction: -1 })]);
+            const right = render({ directionModes }, [particle(1, 0.8, { direction: 1 })]);
+            assert.ok(left.processor.activeGrains.every(g => g.direction === -1));
+            assert.ok(right.processor.activeGrains.every(g => g.direction === 1));
+        });
+
+        test('seeded output is unchanged while reverse is off', () => {
+            const baseline = render({}, [particle(1, 0.8)], 11);
+            const explicit = render({ reverseProbabilities: new Array(8).fill(0) }, [particle(1, 0.8)], 11);
+            assert.deepEqual(explicit.samples, baseline.samples);
+        });
+    });
+
+    describe('pre-filtered band crossfade', () => {
+        // Band 0 (top) carries the sine, band 1 (bottom) is silent, so level tracks the blend
+        function bandProcessor(granularConfig = {}) {
+            const processor = createProcessor({ granularConfig });
+            const band = channel => ({
+                sampleRate: SHIM_SAMPLE_RATE,
+                length: SHIM_SAMPLE_RATE,
+                numberOfChannels: 1,
+                channels: [channel]
+            });
+            processor.port.receive({
+                type: 'audioBufferBands',
+                species: 0,
+                numBands: 2,
+                bands: [band(sineChannel()), band(new Float32Array(SHIM_SAMPLE_RATE))]
+            });
+            return processor;
+        }
+
+        test('particle size picks the bandwidth tier of a 2-D bank', () => {
+            // Tier 0 (narrow) carries the sine in both bands, tier 1 (wide) is silent
+            const processor = createProcessor();
+            const band = channel => ({
+                sampleRate: SHIM_SAMPLE_RATE,
+                length: SHIM_SAMPLE_RATE,
+                numberOfChannels: 1,
+                channels: [channel]
+            });
+            const silent = () => band(new Float32Array(SHIM_SAMPLE_RATE));
+            processor.port.receive({
+                type: 'audioBufferBands',
+                species: 0,
+                numBands: 2,
+                numBandwidthTiers: 2,
+                bands: [band(sineChannel()), band(sineChannel()), silent(), silent()]
+            });
+            assert.equal(processor.frequencyBands[0].length, 2);
+
+            const small = peak(run(processor, [particle(1, 0.8, { particleSize: 0.2 })], 120).flat());
+            assert.ok(processor.activeGrains.every(g => g.bandTier === 0));
+            assert.ok(small > 0.01);
+
+            const large = peak(run(processor, [particle(2, 0.8, { particleSize: 0.9 })], 300).slice(-120).flat());
+            assert.ok(processor.activeGrains.every(g => g.bandTier === 1));
+            assert.ok(large < 1e-6, `large=${large}`);
+        });
+
+        function levelAt(yPosition, granularConfig) {
+            const processor = bandProcessor(granularConfig);
+            return peak(run(processor, [particle(1, 0.8, { yPosition })], 120).flat());
+        }
+
+        test('Y between two band centres blends both at equal power', () => {
+            const processor = bandProcessor();
+            run(processor, [particle(1, 0.8, { yPosition: 0.5 })], 10);
+            const { bandMix } = processor.activeGrains[0];
+            assert.equal(bandMix.lower, 0);
+            assert.equal(bandMix.upper, 1);
+            assert.ok(Math.abs(bandMix.lowerGain - Math.SQRT1_2) < 1e-9);
+
+            const top = levelAt(0);
+            assert.ok(top > 0.01);
+            assert.ok(Math.abs(levelAt(0.5) / top - Math.SQRT1_2) < 0.05);
+            assert.ok(levelAt(0.75) < levelAt(0.5));
+            assert.ok(levelAt(1) < 1e-6);
+        });
+
+        test('crossfade off picks a single band', () => {
+            assert.ok(levelAt(0.4, { bandCrossfade: false }) > levelAt(0.4) * 1.1);
+            assert.ok(levelAt(0.75, { bandCrossfade: false }) < 1e-6);
+        });
+
+        test('tracking sweeps a playing grain toward its particle\'s new Y', () => {
+            for (const bandTracking of [false, true]) {
+                const processor = bandProcessor({ bandTracking });
+                run(processor, [particle(1, 0.8, { yPosition: 0 })], 10);
+                const grain = processor.activeGrains[0];
+                run(processor, [particle(1, 0.8, { yPosition: 1 })], 1);
+
+                if (!bandTracking) {
+                    assert.equal(grain.bandMix.upperGain, 0, 'untracked grains keep their spawn blend');
+                    continue;
+                }
+                // Smoothed: one block moves part of the way, later blocks approach the target
+                const firstStep = grain.bandY;
+                assert.ok(firstStep > 0 && firstStep < 0.2, `bandY=${firstStep}`);
+                run(processor, [particle(1, 0.8, { yPosition: 1 })], 40);
+                assert.ok(grain.bandY > 0.9, `bandY=${grain.bandY}`);
+                assert.ok(grain.bandMix.upperGain > grain.bandMix.lowerGain);
+            }
+        });
+    });
+
+    describe('frequency profiles', () => {
+        function bankMessage(species, numBands) {
+            return {
+                type: 'audioBufferBands',
+                species,
+                numBands,
+                bands: Array.from({ length: numBands }, (_, band) => ({
+                    sampleRate: SHIM_SAMPLE_RATE,
+                    length: SHIM_SAMPLE_RATE,
+                    numberOfChannels: 1,
+                    // Only the top band sounds
+                    channels: [band === 0 ? sineChannel() : new Float32Array(SHIM_SAMPLE_RATE)]
+                }))
+            };
+        }
+
+        function setYModes(processor, modes) {
+            const frequencyProfiles = modes.map(yMode => ({ ...DEFAULT_FREQUENCY_PROFILE, yMode }));
+            processor.port.receive({ type: 'batchParameterUpdate', updates: { audioParameters: { frequencyProfiles } } });
+        }
+
+        test('each species keeps its own band count', () => {
+            const processor = createProcessor({ species: [0, 1] });
+            processor.port.receive(bankMessage(0, 2));
+            processor.port.receive(bankMessage(1, 3));
+            assert.equal(processor.getBandCount(0), 2);
+            assert.equal(processor.getBandCount(1), 3);
+            assert.equal(processor.getBandCount(2), 1);
+
+            run(processor, [particle(1, 0.8), particle(2, 0.8, { species: 1 })], 10);
+            const grain = processor.activeGrains.find(g => g.species === 1);
+            assert.deepEqual([grain.bandMix.lower, grain.bandMix.lowerGain], [1, 1], 'Y 0.5 sits on the middle band centre');
+        });
+
+        test('inverted Y plays the bottom of the canvas through the top band', () => {
+            const levels = {};
+            for (const yMode of ['normal', 'inverted']) {
+                const processor = createProcessor();
+                processor.port.receive(bankMessage(0, 2));
+                setYModes(processor, new Array(8).fill(yMode));
+                levels[yMode] = peak(run(processor, [particle(1, 0.8, { yPosition: 1 })], 120).flat());
+            }
+            assert.ok(levels.normal < 1e-6);
+            assert.ok(levels.inverted > 0.01);
+        });
+
+        test('Y mapping off plays the raw sample without the runtime filter', () => {
+            const filtered = createProcessor();
+            const unfiltered = createProcessor();
+            setYModes(unfiltered, new Array(8).fill('off'));
+            const particles = [particle(1, 0.8, { yPosition: 0.05 })];
+            const filteredPeak = peak(run(filtered, particles, 120).flat());
+            const unfilteredPeak = peak(run(unfiltered, particles, 120).flat());
+
+            assert.equal(unfiltered.filterStates.size, 0);
+            assert.ok(filtered.filterStates.size > 0);
+            assert.ok(unfilteredPeak > filteredPeak * 1.5, `${unfilteredPeak} vs ${filteredPeak}`);
+        });
+
+        test('a raw sample replaces the species\' band bank', () => {
+            const processor = createProcessor();
+            processor.port.receive(bankMessage(0, 2));
+            processor.port.receive({
+                type: 'audioBuffer', species: 0, sampleRate: SHIM_SAMPLE_RATE, length: SHIM_SAMPLE_RATE,
+                numberOfChannels: 1, channelData: [sineChannel()]
+            });
+            assert.equal(processor.frequencyBands[0], null);
+        });
+
+        test('bands arriving after the raw sample leave grains already playing it untouched', () => {
+            const processor = createProcessor();
+            const raw = processor.audioBuffers[0];
+            run(processor, [particle(1, 0.8)], 10);
+            const grain = processor.activeGrains[0];
+            assert.equal(grain.bandMix, null);
+
+            processor.port.receive(bankMessage(0, 2));
+            assert.equal(processor.audioBuffers[0], raw);
+            assert.equal(processor.getBandCount(0), 2);
+            run(processor, [particle(1, 0.8)], 2);
+            assert.ok(processor.activeGrains.includes(grain));
+        });
+    });
+
+    describe('voice stealing', () => {
+        function stealingProcessor(crossfadeMs) {
+            const processor = createProcessor();
+            processor.port.receive({
+                type: 'batchParameterUpdate',
+                updates: { voiceManagement: { maxVoicesPerSpecies: [1, 8, 8, 8, 8, 8, 8, 8] } }
+            });
+            processor.port.receive({ type: 'voiceStealingDelay', delay: 1 });
+            processor.port.receive({ type: 'voiceStealingCrossfade', duration: crossfadeMs });
+            return processor;
+        }
+
+        test('reports voice changes for MIDI out only when asked', () => {
+            const processor = stealingProcessor(50);
+            run(processor, [particle(1, 0.9, { yPosition: 0.25 }), particle(2, 0.3)], 10);
+            assert.equal(processor.port.sent.filter(m => m.type === 'midiEvents').length, 0);
+
+            processor.port.receive({ type: 'midiEvents', source: 'voices' });
+            run(processor, [particle(1, 0.3), particle(2, 0.9, { yPosition: 0.75 })], Math.ceil(0.05 / BLOCK_SECONDS));
+
+            const events = processor.port.sent.filter(m => m.type === 'midiEvents').flatMap(m => m.events);
+            assert.deepEqual(events.find(e => e.type === 'voiceOn'), { type: 'voiceOn', species: 0, id: 2, y: 0.75, speed: 0.9 });
+            assert.deepEqual(events.find(e => e.type === 'voiceOff'), { type: 'voiceOff', species: 0, id: 1 });
+            assert.equal(events.some(e => e.type === 'grain'), false);
+        });
+
+        test('a species losing all its particles ends its MIDI voices', () => {
+            const processor = createProcessor({ species: [0, 1] });
+            processor.port.receive({ type: 'voiceStealingDelay', delay: 1 });
+            processor.port.receive({ type: 'midiEvents', source: 'voices' });
+            run(processor, [particle(1, 0.9), particle(2, 0.8), particle(3, 0.7, { species: 1 })], 10);
+            processor.port.sent.length = 0;
+
+            run(processor, [particle(3, 0.7, { species: 1 })], 10);
+
+            const events = processor.port.sent.filter(m => m.type === 'midiEvents').flatMap(m => m.events);
+            assert.deepEqual(events.filter(e => e.type === 'voiceOff').sort((a, b) => a.id - b.id), [
+                { type: 'voiceOff', species: 0, id: 1 },
+                { type: 'voiceOff', species: 0, id: 2 }
+            ]);
+            assert.equal(processor.voiceAllocations.has(0), false);
+            assert.deepEqual(processor.voiceAllocations.get(1), new Set([3]));
+        });
+
+        test('only the fastest particles get voices', () => {
+            const processor = stealingProcessor(50);
+            run(processor, [particle(1, 0.9), particle(2, 0.3)], 10);
+            assert.deepEqual(processor.voiceAllocations.get(0), new Set([1]));
+        });
+
+        test('a stolen voice crossfades out as the new one fades in, at equal power', () => {
+            const processor = stealingProcessor(100);
+            run(processor, [particle(1, 0.9), particle(2, 0.3)], 10);
+
+            // Swap speeds: after the next allocation update particle 2 takes the voice
+            const swapped = [particle(1, 0.3), particle(2, 0.9)];
+            run(processor, swapped, Math.ceil(0.02 / BLOCK_SECONDS));
+            assert.deepEqual(processor.voiceAllocations.get(0), new Set([2]));
+            assert.equal(processor.particleAudioCrossfade.get(1).type, 'fadeOut');
+            assert.equal(processor.particleAudioCrossfade.get(2).type, 'fadeIn');
+
+            // Midway through the crossfade both gains are partial and sum to unit power
+            run(processor, swapped, Math.ceil(0.03 / BLOCK_SECONDS));
+            const fadeOut = processor.getCrossfadeGain(1);
+            const fadeIn = processor.getCrossfadeGain(2);
+            assert.ok(fadeOut > 0 && fadeOut < 1, `fadeOut=${fadeOut}`);
+            assert.ok(fadeIn > 0 && fadeIn < 1, `fadeIn=${fadeIn}`);
+            assert.ok(Math.abs(fadeOut ** 2 + fadeIn ** 2 - 1) < 1e-9);
+
+            // Once the crossfade ends the loser is silent and stops spawning grains
+            run(processor, swapped, Math.ceil(0.15 / BLOCK_SECONDS));
+            assert.equal(processor.getCrossfadeGain(1), 1, 'finished crossfade entries are cleared');
+            assert.ok(!processor.particleAudioCrossfade.has(1));
+            assert.ok(!processor.particleGrainTimers.has(1));
+            const loserGrains = processor.activeGrains.filter(g => g.particleId === 1);
+            assert.ok(loserGrains.every(g => g.isReleasing), 'stolen particle grains must be releasing');
+
+            // ...and those releases run to completion despite per-frame updates
+            run(processor, swapped, Math.ceil(0.4 / BLOCK_SECONDS));
+            assert.equal(processor.activeGrains.filter(g => g.particleId === 1).length, 0);
+        });
+
+        test('a finished fadeOut reports zero gain at the moment it completes', () => {
+            const processor = stealingProcessor(50);
+            processor.particleAudioCrossfade.set(5, { type: 'fadeOut', startTime: 0, duration: 50 });
+            processor.currentTime = 0.06;
+            assert.equal(processor.getCrossfadeGain(5), 0);
+            assert.ok(!processor.particleAudioCrossfade.has(5));
+        });
+    });
+});
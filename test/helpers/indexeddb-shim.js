@@ -0,0 +1,61 @@
+/**
+ * IndexedDB Shim - Minimal in-memory indexedDB for running the sample store under Node
+ * Import this before the first store call: the store opens its database lazily.
+ * Covers what sample-store.js uses: open with an upgrade, one key-path object store,
+ * put/get/getAllKeys/delete requests and transaction completion.
+ */
+
+// Database name -> Map(store name -> { keyPath, records: Map })
+const databases = new Map();
+
+// Helper: Request whose result is set when its transaction runs
+function createRequest() {
+    return { result: undefined, error: null, onsuccess: null, onerror: null };
+}
+
+class ShimTransaction {
+    constructor(stores) {
+        this.stores = stores;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        this.error = null;
+        // Requests run together, then the transaction completes (as IndexedDB does, asynchronously)
+        setTimeout(() => this.oncomplete?.(), 0);
+    }
+
+    objectStore(name) {
+        const { keyPath, records } = this.stores.get(name);
+        const run = (operation) => {
+            const request = createRequest();
+            request.result = operation();
+            return request;
+        };
+        return {
+            put: value => run(() => { records.set(value[keyPath], structuredClone(value)); return value[keyPath]; }),
+            get: key => run(() => (records.has(key) ? structuredClone(records.get(key)) : undefined)),
+            getAllKeys: () => run(() => [...records.keys()].sort()),
+            delete: key => run(() => { records.delete(key); })
+        };
+    }
+}
+
+globalThis.indexedDB = {
+    open(name) {
+        const request = { result: null, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+        setTimeout(() => {
+            const isNew = !databases.has(name);
+            if (isNew) databases.set(name, new Map());
+            const stores = databases.get(name);
+            request.result = {
+                createObjectStore(storeName, { keyPath }) {
+                    stores.set(storeName, { keyPath, records: new Map() });
+                },
+                transaction: () => new ShimTransaction(stores)
+            };
+            if (isNew) request.onupgradeneeded?.();
+            request.onsuccess?.();
+        }, 0);
+        return request;
+    }
+};
@@ -0,0 +1,121 @@
+/**
+ * Physics Harness - Runs the simulation core headlessly under Node
+ * Resets shared CONFIG/state between tests and builds small deterministic scenes
+ */
+
+import { CONFIG, state } from '../../js/config.js';
+import { Particle } from '../../js/physics/particle.js';
+import { SpatialGrid } from '../../js/physics/spatial-grid.js';
+import { initParticles, stepSimulation } from '../../js/physics/physics-engine.js';
+
+// Pristine copy of the defaults, taken before any test mutates them
+const DEFAULT_CONFIG = structuredClone(CONFIG);
+
+// Keep test output readable: the grid and engine log on construction
+const originalLog = console.log;
+
+/**
+ * Restore CONFIG and physics state to defaults and set up a headless scene
+ * @param {Object} [options]
+ * @param {number} [options.width=400] - Canvas width
+ * @param {number} [options.height=300] - Canvas height
+ * @param {Object} [options.physics] - Overrides merged into CONFIG.physics
+ * @returns {void}
+ */
+export function resetPhysics({ width = 400, height = 300, physics = {} } = {}) {
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+        CONFIG[key] = structuredClone(DEFAULT_CONFIG[key]);
+    }
+
+    CONFIG.canvas.width = width;
+    CONFIG.canvas.height = height;
+    // Trails use wall-clock time; keep tests purely physical
+    CONFIG.species.trailLengths.fill(0);
+    Object.assign(CONFIG.physics, physics);
+
+    state.particles = [];
+    state.trailParticles = [];
+    state.isPaused = false;
+    state.gravityPoint = { x: 0, y: 0, active: false };
+
+    console.log = () => {};
+    try {
+        state.spatialGrid = new SpatialGrid(width, height, CONFIG.physics.maxForceDistance);
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+/**
+ * Populate the scene from a seed using the engine's own initialization path
+ * @param {number} seed - Simulation seed
+ * @param {number[]} counts - Particle count per species
+ * @returns {Array<Particle>} Created particles
+ */
+export function seedParticles(seed, counts) {
+    CONFIG.simulation.deterministic = true;
+    CONFIG.simulation.seed = seed;
+    CONFIG.species.count = counts.length;
+    counts.forEach((count, i) => { CONFIG.species.counts[i] = count; });
+    initParticles();
+    return state.particles;
+}
+
+/**
+ * Place a particle at an exact position and velocity
+ * @param {number} species - Species index
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} [vx=0] - X velocity
+ * @param {number} [vy=0] - Y velocity
+ * @returns {Particle} The added particle
+ */
+export function addParticle(species, x, y, vx = 0, vy = 0) {
+    const particle = new Particle(species);
+    particle.x = x;
+    particle.y = y;
+    particle.vx = vx;
+    particle.vy = vy;
+    particle.lastTrailX = x;
+    particle.lastTrailY = y;
+    state.particles.push(particle);
+    return particle;
+}
+
+/**
+ * Fill the relationship matrix for the active species
+ * @param {number|Function} value - Constant, or (i, j) => strength
+ */
+export function setMatrix(value) {
+    for (let i = 0; i < CONFIG.species.maxCount; i++) {
+        for (let j = 0; j < CONFIG.species.maxCount; j++) {
+            CONFIG.relationships[i][j] = typeof value === 'function' ? value(i, j) : value;
+        }
+    }
+}
+
+/**
+ * Advance the simulation
+ * @param {number} steps - Number of physics steps
+ */
+export function step(steps = 1) {
+    for (let i = 0; i < steps; i++) {
+        stepSimulation();
+    }
+}
+
+/**
+ * Total kinetic energy (unit mass)
+ * @returns {number}
+ */
+export function kineticEnergy() {
+    return state.particles.reduce((sum, p) => sum + 0.5 * (p.vx * p.vx + p.vy * p.vy), 0);
+}
+
+/**
+ * Total momentum (unit mass)
+ * @returns {{x: number, y: number}}
+ */
+export function momentum() {
+    return state.particles.reduce((sum, p) => ({ x: sum.x + p.vx, y: sum.y + p.vy }), { x: 0, y: 0 });
+}
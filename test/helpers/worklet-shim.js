@@ -0,0 +1,59 @@
+/**
+ * Worklet Shim - Minimal AudioWorkletGlobalScope for running processors under Node
+ * Import this BEFORE any worklet module: processor classes extend AudioWorkletProcessor
+ * at module evaluation time.
+ */
+
+export const SHIM_SAMPLE_RATE = 48000;
+export const RENDER_QUANTUM = 128;
+
+// Processors registered via registerProcessor(name, class)
+export const registeredProcessors = new Map();
+
+// In-memory MessagePort stand-in: the processor side posts into `sent`,
+// tests deliver messages by calling receive()
+class ShimPort {
+    constructor() {
+        this.onmessage = null;
+        this.sent = [];
+    }
+
+    postMessage(data) {
+        this.sent.push(data);
+    }
+
+    receive(data) {
+        if (this.onmessage) this.onmessage({ data });
+    }
+}
+
+globalThis.sampleRate = SHIM_SAMPLE_RATE;
+globalThis.currentTime = 0;
+
+globalThis.AudioWorkletProcessor = class AudioWorkletProcessor {
+    constructor() {
+        this.port = new ShimPort();
+    }
+};
+
+globalThis.registerProcessor = (name, processorClass) => {
+    registeredProcessors.set(name, processorClass);
+};
+
+/**
+ * Run a processor for a number of render quanta into fresh stereo buffers
+ * @param {AudioWorkletProcessor} processor - Processor instance
+ * @param {number} [blocks=1] - Render quanta to process
+ * @param {number} [channels=2] - Output channel count
+ * @returns {Float32Array[]} Concatenated output per channel
+ */
+export function renderBlocks(processor, blocks = 1, channels = 2) {
+    const result = Array.from({ length: channels }, () => new Float32Array(blocks * RENDER_QUANTUM));
+    for (let block = 0; block < blocks; block++) {
+        const output = Array.from({ length: channels }, () => new Float32Array(RENDER_QUANTUM));
+        processor.process([], [output], {});
+        output.forEach((data, channel) => result[channel].set(data, block * RENDER_QUANTUM));
+        globalThis.currentTime += RENDER_QUANTUM / SHIM_SAMPLE_RATE;
+    }
+    return result;
+}
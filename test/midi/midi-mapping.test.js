@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseMidiMessage, ccToValue, parseMidiTarget, describeMidiTarget,
+    addMidiMapping, findMidiTargets, isValidMidiMapping, getNoteBurst,
+    eventToNote, noteOnMessage, noteOffMessage, controlChangeMessage, clockTickMs, estimateBpm, nextGridTime,
+    MIDI_NOTE_RANGE
+} from '../../js/midi/midi-mapping.js';
+import { CONFIG } from '../../js/config.js';
+
+describe('parseMidiMessage', () => {
+    test('decodes control changes and notes with their channel', () => {
+        assert.deepEqual(parseMidiMessage([0xb3, 74, 100]), { type: 'cc', channel: 3, controller: 74, value: 100 });
+        assert.deepEqual(parseMidiMessage(new Uint8Array([0x90, 60, 90])), { type: 'noteon', channel: 0, note: 60, velocity: 90 });
+        assert.deepEqual(parseMidiMessage([0x8f, 60, 10]), { type: 'noteoff', channel: 15, note: 60, velocity: 10 });
+    });
+
+    test('decodes clock and transport real-time messages', () => {
+        assert.deepEqual(parseMidiMessage([0xf8]), { type: 'clock' });
+        assert.deepEqual(parseMidiMessage([0xfa]), { type: 'start' });
+        assert.deepEqual(parseMidiMessage([0xfb]), { type: 'continue' });
+        assert.deepEqual(parseMidiMessage([0xfc]), { type: 'stop' });
+    });
+
+    test('treats note-on with velocity 0 as note-off and ignores other messages', () => {
+        assert.equal(parseMidiMessage([0x91, 64, 0]).type, 'noteoff');
+        assert.equal(parseMidiMessage([0xe0, 0, 64]), null, 'pitch bend');
+        assert.equal(parseMidiMessage([0xfe]), null, 'active sensing');
+        assert.equal(parseMidiMessage(null), null);
+    });
+});
+
+describe('ccToValue', () => {
+    test('spans the whole range and rounds integer parameters', () => {
+        assert.equal(ccToValue(0, { min: -1, max: 1 }), -1);
+        assert.equal(ccToValue(127, { min: -1, max: 1 }), 1);
+        assert.equal(ccToValue(64, { min: -24, max: 24, int: true }), 0);
+        assert.equal(ccToValue(500, { min: 0, max: 1 }), 1, 'out-of-range CC is clamped');
+    });
+});
+
+describe('targets', () => {
+    test('parses the three target kinds and rejects unknown ones', () => {
+        assert.deepEqual(parseMidiTarget('slider:friction'), { kind: 'slider', id: 'friction' });
+        assert.deepEqual(parseMidiTarget('matrix:0:2'), { kind: 'matrix', from: 0, to: 2 });
+        assert.deepEqual(parseMidiTarget('species:1:pitch'), { kind: 'species', species: 1, param: 'pitch' });
+        for (const target of ['slider:canvas-width', 'matrix:0:99', 'matrix:-1:0', 'species:0:freqGamma', 'friction', 42]) {
+            assert.equal(parseMidiTarget(target), null, String(target));
+        }
+    });
+
+    test('describes targets for the mapping list', () => {
+        assert.equal(describeMidiTarget('slider:friction'), 'Friction');
+        assert.equal(describeMidiTarget('matrix:0:2'), 'Matrix A → C');
+        assert.match(describeMidiTarget('species:1:volume'), /Volume$/);
+    });
+});
+
+describe('mappings', () => {
+    test('a new binding replaces the old one for the same controller or target', () => {
+        let mappings = addMidiMapping([], { channel: 0, controller: 1, target: 'slider:friction' });
+        mappings = addMidiMapping(mappings, { channel: 0, controller: 2, target: 'matrix:0:1' });
+        mappings = addMidiMapping(mappings, { channel: 0, controller: 1, target: 'slider:simSpeed' });
+        mappings = addMidiMapping(mappings, { channel: 1, controller: 9, target: 'matrix:0:1' });
+
+        assert.deepEqual(mappings, [
+            { channel: 0, controller: 1, target: 'slider:simSpeed' },
+            { channel: 1, controller: 9, target: 'matrix:0:1' }
+        ]);
+        assert.deepEqual(findMidiTargets(mappings, 1, 9), ['matrix:0:1']);
+        assert.deepEqual(findMidiTargets(mappings, 0, 9), []);
+    });
+
+    test('validates stored mappings', () => {
+        assert.equal(isValidMidiMapping({ channel: 15, controller: 127, target: 'species:0:voices' }), true);
+        assert.equal(isValidMidiMapping({ channel: 16, controller: 1, target: 'slider:friction' }), false);
+        assert.equal(isValidMidiMapping({ channel: 0, controller: 1.5, target: 'slider:friction' }), false);
+        assert.equal(isValidMidiMapping({ channel: 0, controller: 1 }), false);
+        assert.equal(isValidMidiMapping(null), false);
+    });
+});
+
+describe('getNoteBurst', () => {
+    const settings = { speciesMode: 'channel', burstSize: 8 };
+
+    test('pitch class sets the column, octave the height and velocity the speed', () => {
+        const c2 = getNoteBurst({ channel: 0, note: 36, velocity: 127 }, settings);
+        const b2 = getNoteBurst({ channel: 0, note: 47, velocity: 127 }, settings);
+        const c3 = getNoteBurst({ channel: 0, note: 48, velocity: 64 }, settings);
+
+        assert.ok(c2.x < b2.x);
+        assert.equal(c2.x, c3.x);
+        assert.ok(c3.y < c2.y, 'higher notes spawn higher up');
+        assert.equal(c2.speed, CONFIG.physics.maxSpeed);
+        assert.ok(c3.speed < c2.speed);
+        assert.equal(c2.count, 8);
+        assert.deepEqual(getNoteBurst({ channel: 0, note: 0, velocity: 127 }, settings), c2, 'clamped to the keyboard span');
+    });
+
+    test('species follows the channel or the keyboard zone', () => {
+        const count = CONFIG.species.count;
+        assert.equal(getNoteBurst({ channel: 1, note: 60, velocity: 1 }, settings).species, 1);
+        assert.equal(getNoteBurst({ channel: count, note: 60, velocity: 1 }, settings).species, 0);
+
+        const range = { speciesMode: 'range', burstSize: 8 };
+        assert.equal(getNoteBurst({ channel: 5, note: 36, velocity: 1 }, range).species, 0);
+        assert.equal(getNoteBurst({ channel: 5, note: 96, velocity: 1 }, range).species, count - 1);
+    });
+});
+
+describe('MIDI out', () => {
+    test('species sets the channel, Y the pitch and speed the velocity', () => {
+        assert.deepEqual(eventToNote({ species: 2, y: 0, speed: 1 }), { channel: 2, note: MIDI_NOTE_RANGE.high, velocity: 127 });
+        assert.deepEqual(eventToNote({ species: 0, y: 1, speed: 0 }), { channel: 0, note: MIDI_NOTE_RANGE.low, velocity: 1 });
+        assert.equal(eventToNote({ species: 0, y: 0.5, speed: 0.5 }).note, 66);
+    });
+
+    test('encodes channel voice messages', () => {
+        assert.deepEqual(noteOnMessage(3, 60, 100), [0x93, 60, 100]);
+        assert.deepEqual(noteOffMessage(3, 60), [0x83, 60, 0]);
+        assert.deepEqual(controlChangeMessage(0, 16, 0.5), [0xb0, 16, 64]);
+        assert.deepEqual(parseMidiMessage(noteOnMessage(15, 1, 2)), { type: 'noteon', channel: 15, note: 1, velocity: 2 });
+    });
+
+    test('clock timing: tick length, received tempo and the note grid', () => {
+        assert.equal(clockTickMs(125), 20);
+        assert.equal(estimateBpm([0, 20, 40, 60]), 125);
+        assert.equal(estimateBpm([5]), null);
+        assert.equal(nextGridTime(130, 0, 120), 240);
+        assert.equal(nextGridTime(240, 0, 120), 240);
+        assert.equal(nextGridTime(130, 1000, 120), 160, 'origin may lie ahead');
+    });
+});
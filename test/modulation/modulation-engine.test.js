@@ -0,0 +1,61 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, state } from '../../js/config.js';
+import { eventBus, Events } from '../../js/shared/event-bus.js';
+import { updateParticles } from '../../js/physics/physics-engine.js';
+import { advanceModulation, setModulation } from '../../js/modulation/modulation-engine.js';
+import { resetPhysics, seedParticles } from '../helpers/physics-harness.js';
+
+// The depth display runs on animation frames; under Node there are none
+globalThis.requestAnimationFrame ??= () => 0;
+
+const sine = { id: 'lfo1', type: 'lfo', shape: 'sine', rate: 1 };
+
+function runSteps(steps) {
+    const values = [];
+    for (let i = 0; i < steps; i++) {
+        updateParticles();
+        values.push(CONFIG.physics.gravityStrength);
+    }
+    return values;
+}
+
+describe('modulation clock', () => {
+    beforeEach(() => {
+        resetPhysics({ physics: { gravityStrength: 5 } });
+        seedParticles(7, [4]);
+        eventBus.emit(Events.SIMULATION_RESET);
+        setModulation({ sources: [sine], routes: [{ source: 'lfo1', target: 'physics:gravityStrength', depth: 0.1 }] });
+    });
+
+    afterEach(() => {
+        setModulation({ sources: [], routes: [] });
+    });
+
+    test('advances 1/60 s per live physics step, whatever the frame timing', () => {
+        const values = runSteps(15);
+        // A quarter cycle of a 1 Hz sine: the top of its swing, 10% of gravity's 0-10 range above the base
+        assert.ok(Math.abs(values[14] - 6) < 1e-9, `${values[14]} ≈ 6`);
+    });
+
+    test('a reset run repeats the same values', () => {
+        const first = runSteps(40);
+        eventBus.emit(Events.SIMULATION_RESET);
+        assert.deepEqual(runSteps(40), first);
+    });
+
+    test('holds still while paused', () => {
+        runSteps(10);
+        const held = CONFIG.physics.gravityStrength;
+        state.isPaused = true;
+        assert.deepEqual(runSteps(10), new Array(10).fill(held));
+    });
+
+    test('offline steps report the audio updates the render worklet needs', () => {
+        setModulation({ sources: [sine], routes: [{ source: 'lfo1', target: 'species:0:volume', depth: 0.5 }] });
+        assert.deepEqual(advanceModulation(0.25), { audio: true });
+        setModulation({ sources: [], routes: [] });
+        assert.deepEqual(advanceModulation(0.25), {});
+    });
+});
@@ -0,0 +1,168 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+import {
+    createModulationSource, describeModulationSource, evaluateModulationSource, parseModulationTarget,
+    getModulationTargetRange, describeModulationTarget, listModulationTargets, isValidModulationRoute,
+    modulateValue, getModulationExtent, getModulationDisplay,
+    MAX_MODULATION_SOURCES, SEQUENCER_STEP_COUNT, MODULATION_SOURCE_DEFAULTS, MODULATION_PHYSICS_TARGETS
+} from '../../js/modulation/modulation-matrix.js';
+
+const lfo = (shape, rate = 1) => ({ id: 'lfo1', type: 'lfo', shape, rate });
+
+describe('modulation sources', () => {
+    test('numbers new sources with the first free id and respects the source limit', () => {
+        const first = createModulationSource('lfo', []);
+        assert.deepEqual(first, { id: 'lfo1', type: 'lfo', ...MODULATION_SOURCE_DEFAULTS.lfo });
+        assert.equal(createModulationSource('lfo', [first, { id: 'lfo3', type: 'lfo' }]).id, 'lfo2');
+        assert.equal(describeModulationSource({ id: 'sequencer2', type: 'sequencer' }), 'Sequencer 2');
+        assert.equal(createModulationSource('wobble', []), null);
+
+        const full = Array.from({ length: MAX_MODULATION_SOURCES }, (_, i) => ({ id: `lfo${i + 1}`, type: 'lfo' }));
+        assert.equal(createModulationSource('envelope', full), null);
+        assert.equal(createModulationSource('sequencer', []).steps.length, SEQUENCER_STEP_COUNT);
+    });
+
+    test('sine and triangle LFOs swing from -1 to 1 once per cycle', () => {
+        const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≈ ${expected}`);
+        close(evaluateModulationSource(lfo('sine'), 0.25), 1);
+        close(evaluateModulationSource(lfo('sine'), 0.75), -1);
+        close(evaluateModulationSource(lfo('sine', 2), 0.125), 1);
+        close(evaluateModulationSource(lfo('triangle'), 0), -1);
+        close(evaluateModulationSource(lfo('triangle'), 0.5), 1);
+        close(evaluateModulationSource(lfo('triangle'), 0.75), 0);
+    });
+
+    test('sample & hold holds one repeatable value per cycle, random glides between them', () => {
+        const hold = lfo('sampleHold');
+        const first = evaluateModulationSource(hold, 0.1);
+        assert.equal(evaluateModulationSource(hold, 0.9), first);
+        assert.equal(evaluateModulationSource(hold, 0.1), first, 'same time, same value');
+        assert.notEqual(evaluateModulationSource(hold, 1.1), first);
+
+        const random = lfo('random');
+        assert.equal(evaluateModulationSource(random, 0), first, 'random starts each cycle at the held value');
+        assert.equal(evaluateModulationSource(random, 1), evaluateModulationSource(hold, 1));
+        for (let t = 0; t < 10; t += 0.37) {
+            const value = evaluateModulationSource(random, t);
+            assert.ok(value >= -1 && value <= 1);
+        }
+    });
+
+    test('envelopes ramp up and down after a trigger, or loop', () => {
+        const envelope = { id: 'envelope1', type: 'envelope', attack: 1, release: 2, trigger: 'manual' };
+        assert.equal(evaluateModulationSource(envelope, 5), 0, 'never triggered');
+        assert.equal(evaluateModulationSource(envelope, 5.5, 5), 0.5);
+        assert.equal(evaluateModulationSource(envelope, 6, 5), 1);
+        assert.equal(evaluateModulationSource(envelope, 7, 5), 0.5);
+        assert.equal(evaluateModulationSource(envelope, 9, 5), 0);
+
+        const looping = { ...envelope, trigger: 'loop' };
+        assert.equal(evaluateModulationSource(looping, 0.5), 0.5);
+        assert.equal(evaluateModulationSource(looping, 3.5), 0.5, 'repeats every attack + release');
+    });
+
+    test('sequencers step through their values, optionally gliding', () => {
+        const sequencer = { id: 'sequencer1', type: 'sequencer', rate: 2, glide: false, steps: [1, -1, 0.5, 0, 0, 0, 0, 0] };
+        assert.equal(evaluateModulationSource(sequencer, 0.1), 1);
+        assert.equal(evaluateModulationSource(sequencer, 0.6), -1);
+        assert.equal(evaluateModulationSource(sequencer, 4.1), 1, 'wraps after the last step');
+        assert.equal(evaluateModulationSource({ ...sequencer, glide: true }, 0.25), 0);
+    });
+});
+
+describe('modulation targets and routes', () => {
+    test('parses physics, matrix and species targets', () => {
+        assert.deepEqual(parseModulationTarget('physics:friction'), { kind: 'physics', key: 'friction' });
+        assert.deepEqual(parseModulationTarget('matrix:0:2'), { kind: 'matrix', from: 0, to: 2 });
+        assert.deepEqual(parseModulationTarget('species:1:pitch'), { kind: 'species', species: 1, param: 'pitch' });
+        assert.equal(parseModulationTarget('physics:toroidalSpace'), null);
+        assert.equal(parseModulationTarget('slider:friction'), null, 'sliders are MIDI-only targets');
+        assert.equal(parseModulationTarget(42), null);
+    });
+
+    test('describes targets and lists them per species count', () => {
+        assert.equal(describeModulationTarget('physics:maxForceDistance'), 'Force Radius');
+        assert.equal(describeModulationTarget('matrix:0:2'), 'Matrix A → C');
+
+        const [physics, matrix, species] = listModulationTargets(2);
+        assert.ok(physics.targets.includes('physics:gravityStrength'));
+        assert.deepEqual(matrix.targets, ['matrix:0:0', 'matrix:0:1', 'matrix:1:0', 'matrix:1:1']);
+        assert.ok(species.targets.includes('species:1:volume'));
+        assert.ok(species.targets.every(target => parseModulationTarget(target)));
+    });
+
+    test('moves values by depth times the target range, clamped and rounded', () => {
+        const gravity = getModulationTargetRange(parseModulationTarget('physics:gravityStrength'));
+        assert.equal(modulateValue(5, gravity, 0.25), 7.5);
+        assert.equal(modulateValue(5, gravity, -1), 0);
+
+        const friction = getModulationTargetRange(parseModulationTarget('physics:friction'));
+        assert.equal(modulateValue(0.95, friction, -1), 0.85);
+
+        const radius = getModulationTargetRange(parseModulationTarget('physics:maxForceDistance'));
+        assert.equal(modulateValue(100, radius, 0.1), 118);
+        assert.equal(modulateValue(100, radius, 1), 200, 'never past the slider');
+
+        const matrix = getModulationTargetRange(parseModulationTarget('matrix:0:1'));
+        assert.equal(modulateValue(0, matrix, 0.25), 0.5);
+    });
+
+    test('reports how far the routes can move a target', () => {
+        const sources = new Map([
+            ['lfo1', { id: 'lfo1', type: 'lfo' }],
+            ['envelope1', { id: 'envelope1', type: 'envelope' }]
+        ]);
+        assert.deepEqual(getModulationExtent([{ source: 'lfo1', depth: -0.25 }], sources), { low: -0.25, high: 0.25 });
+        assert.deepEqual(getModulationExtent([
+            { source: 'lfo1', depth: 0.25 }, { source: 'envelope1', depth: -0.5 }
+        ], sources), { low: -0.75, high: 0.25 });
+    });
+
+    test('validates routes against the existing sources', () => {
+        const route = { source: 'lfo1', target: 'species:0:volume', depth: -0.5 };
+        assert.equal(isValidModulationRoute(route, ['lfo1']), true);
+        assert.equal(isValidModulationRoute(route, ['lfo2']), false);
+        assert.equal(isValidModulationRoute({ ...route, depth: 1.5 }, ['lfo1']), false);
+        assert.equal(isValidModulationRoute({ ...route, target: 'species:0:colour' }, ['lfo1']), false);
+        assert.equal(isValidModulationRoute(null, ['lfo1']), false);
+    });
+});
+
+describe('modulation depth display', () => {
+    const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+    const sliderRange = id => {
+        const tag = html.match(new RegExp(`<input[^>]*id="${id}"[^>]*>`))[0];
+        return { min: parseFloat(tag.match(/min="([^"]+)"/)[1]), max: parseFloat(tag.match(/max="([^"]+)"/)[1]) };
+    };
+
+    test('physics targets stay within what their sliders can set', () => {
+        for (const [key, { slider, min, max }] of Object.entries(MODULATION_PHYSICS_TARGETS)) {
+            if (!slider) continue;
+            const control = sliderRange(slider);
+            assert.equal(min, control.min, `${key} min`);
+            assert.ok(max <= control.max, `${key} max`);
+        }
+    });
+
+    test('places the range and value on the friction slider', () => {
+        const range = getModulationTargetRange(parseModulationTarget('physics:friction'));
+        const display = getModulationDisplay(0.95, 0.9, range, { low: -0.2, high: 0.2 }, sliderRange('friction'));
+        const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≈ ${expected}`);
+        close(display.low, 46.666666666666664);
+        close(display.high, 86.66666666666667);
+        close(display.value, 33.333333333333336);
+    });
+
+    test('draws bounce damping over its whole slider and clamps to the ends', () => {
+        const range = getModulationTargetRange(parseModulationTarget('physics:bounceDamping'));
+        const display = getModulationDisplay(0.8, 1, range, { low: -1, high: 1 }, sliderRange('bounceDamping'));
+        assert.deepEqual(display, { low: 0, high: 50, value: 50 });
+    });
+
+    test('uses the target range for matrix cells', () => {
+        const range = getModulationTargetRange(parseModulationTarget('matrix:0:1'));
+        assert.deepEqual(getModulationDisplay(0, 0.5, range, { low: -0.25, high: 0.25 }), { low: 25, high: 75, value: 75 });
+    });
+});
@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeOscMessage, encodeOscBundle, decodeOscPacket } from '../../js/osc/osc-codec.js';
+import { oscAddressToTarget, oscValue, buildTelemetryPackets, TELEMETRY_CHUNK } from '../../js/osc/osc-routes.js';
+
+describe('OSC codec', () => {
+    test('encodes the OSC 1.0 byte layout with 4-byte padding', () => {
+        const bytes = encodeOscMessage('/friction', 'f', [0.5]);
+        // '/friction\0' + 2 pad, ',f\0\0', float32
+        assert.equal(bytes.length, 12 + 4 + 4);
+        assert.equal(new TextDecoder().decode(bytes.subarray(0, 9)), '/friction');
+        assert.deepEqual([...bytes.subarray(9, 12)], [0, 0, 0]);
+        assert.deepEqual([...bytes.subarray(12, 16)], [0x2c, 0x66, 0, 0]);
+        assert.deepEqual([...bytes.subarray(16)], [0x3f, 0, 0, 0]);
+    });
+
+    test('round-trips every supported type', () => {
+        const blob = new Uint8Array([1, 2, 3]);
+        const bytes = encodeOscMessage('/all', 'ifdsbTFNI', [-7, 0.25, Math.PI, 'hello', blob]);
+        const [message] = decodeOscPacket(bytes);
+        assert.equal(message.address, '/all');
+        assert.equal(message.types, 'ifdsbTFNI');
+        assert.deepEqual(message.args, [-7, 0.25, Math.PI, 'hello', blob, true, false, null, Infinity]);
+    });
+
+    test('accepts ArrayBuffers and messages without type tags', () => {
+        const bytes = encodeOscMessage('/matrix/0/1', 'f', [-0.5]);
+        assert.deepEqual(decodeOscPacket(bytes.buffer)[0].args, [-0.5]);
+
+        const bare = new Uint8Array(4);
+        bare.set(new TextEncoder().encode('/go'));
+        assert.deepEqual(decodeOscPacket(bare), [{ address: '/go', types: '', args: [] }]);
+    });
+
+    test('flattens nested bundles in order', () => {
+        const inner = encodeOscBundle([encodeOscMessage('/b', 'i', [2])]);
+        const bundle = encodeOscBundle([encodeOscMessage('/a', 'i', [1]), inner, encodeOscMessage('/c', 'i', [3])]);
+        assert.deepEqual(decodeOscPacket(bundle).map(m => [m.address, m.args[0]]), [['/a', 1], ['/b', 2], ['/c', 3]]);
+    });
+
+    test('rejects malformed packets and bad arguments', () => {
+        assert.throws(() => decodeOscPacket(new Uint8Array(5)), /multiple of 4/);
+        assert.throws(() => decodeOscPacket(new TextEncoder().encode('abc\0')), /Not an OSC address/);
+        assert.throws(() => decodeOscPacket(encodeOscMessage('/x', 'i', [1]).subarray(0, 8)), /truncated|terminated/);
+        const truncated = encodeOscMessage('/x', 'd', [1]).slice(0, 12);
+        assert.throws(() => decodeOscPacket(truncated));
+        assert.throws(() => encodeOscMessage('/x', 'f', []), /missing argument/);
+        assert.throws(() => encodeOscMessage('/x', 'h', [1]), /unsupported type/);
+    });
+});
+
+describe('OSC routes', () => {
+    test('maps addresses to MIDI learn targets', () => {
+        assert.equal(oscAddressToTarget('/friction'), 'slider:friction');
+        assert.equal(oscAddressToTarget('/matrix/0/1'), 'matrix:0:1');
+        assert.equal(oscAddressToTarget('/species/2/pitch'), 'species:2:pitch');
+    });
+
+    test('rejects unknown addresses', () => {
+        assert.equal(oscAddressToTarget('/notASlider'), null);
+        assert.equal(oscAddressToTarget('/species/2/colour'), null);
+        assert.equal(oscAddressToTarget('/matrix/0'), null);
+        assert.equal(oscAddressToTarget('/other/0/1'), null);
+    });
+
+    test('takes the first numeric or boolean argument', () => {
+        assert.equal(oscValue(['label', 0.75, 2]), 0.75);
+        assert.equal(oscValue([true]), 1);
+        assert.equal(oscValue([false]), 0);
+        assert.equal(oscValue(['only text', null]), null);
+    });
+
+    test('builds a count message then chunked bundles of particles', () => {
+        const particles = Array.from({ length: TELEMETRY_CHUNK + 5 }, (_, i) => ({
+            audioId: `p${i}`, species: i % 2, x: 50, y: 25, vx: 1.5, vy: -0.5
+        }));
+        const voices = new Map([[1, new Set(['p1'])]]);
+        const packets = buildTelemetryPackets(particles, voices, { width: 100, height: 100 });
+
+        assert.equal(packets.length, 3);
+        assert.deepEqual(decodeOscPacket(packets[0]), [{ address: '/particles', types: 'i', args: [TELEMETRY_CHUNK + 5] }]);
+        const first = decodeOscPacket(packets[1]);
+        assert.equal(first.length, TELEMETRY_CHUNK);
+        assert.deepEqual(first[0].args, ['p0', 0, 0.5, 0.25, 1.5, -0.5, 0]);
+        assert.equal(first[1].args[6], 1, 'p1 holds a voice');
+        assert.equal(decodeOscPacket(packets[2]).length, 5);
+    });
+
+    test('sends only the count when there are no particles', () => {
+        assert.equal(buildTelemetryPackets([], new Map(), { width: 1, height: 1 }).length, 1);
+    });
+});
@@ -0,0 +1,92 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../../js/config.js';
+import { calculateForceCurve } from '../../js/physics/particle.js';
+import { resetPhysics } from '../helpers/physics-harness.js';
+
+const SAMPLES = Array.from({ length: 101 }, (_, i) => i / 100);
+
+describe('calculateForceCurve', () => {
+    beforeEach(() => resetPhysics());
+
+    describe('classic', () => {
+        beforeEach(() => { CONFIG.physics.forceCurveMode = 'classic'; });
+
+        test('is full strength at contact and zero at max distance', () => {
+            assert.equal(calculateForceCurve(0, 0.5), 0.5);
+            assert.equal(calculateForceCurve(1, 0.5), 0);
+        });
+
+        test('falls off monotonically and keeps the sign of the strength', () => {
+            for (let i = 1; i < SAMPLES.length; i++) {
+                assert.ok(calculateForceCurve(SAMPLES[i], 1) <= calculateForceCurve(SAMPLES[i - 1], 1));
+                assert.ok(calculateForceCurve(SAMPLES[i], -1) >= calculateForceCurve(SAMPLES[i - 1], -1));
+            }
+        });
+
+        test('is linear in strength', () => {
+            for (const d of SAMPLES) {
+                assert.ok(Math.abs(calculateForceCurve(d, 0.8) - 2 * calculateForceCurve(d, 0.4)) < 1e-12);
+            }
+        });
+    });
+
+    describe('piecewise', () => {
+        beforeEach(() => { CONFIG.physics.forceCurveMode = 'piecewise'; });
+
+        test('always repels inside the repulsion zone, regardless of strength sign', () => {
+            const { repulsionZone } = CONFIG.physics.piecewise;
+            for (const strength of [-1, 0, 1]) {
+                for (const d of SAMPLES.filter(d => d < repulsionZone)) {
+                    assert.ok(calculateForceCurve(d, strength) < 0, `d=${d} strength=${strength}`);
+                }
+            }
+        });
+
+        test('repulsion fades to zero at the zone edge', () => {
+            const { repulsionZone, repulsionStrength } = CONFIG.physics.piecewise;
+            assert.equal(calculateForceCurve(0, 1), -repulsionStrength);
+            assert.ok(Math.abs(calculateForceCurve(repulsionZone - 1e-9, 0)) < 1e-6);
+        });
+
+        test('follows the strength sign outside the repulsion zone and vanishes at max distance', () => {
+            const { repulsionZone } = CONFIG.physics.piecewise;
+            for (const d of SAMPLES.filter(d => d >= repulsionZone && d < 1)) {
+                assert.ok(calculateForceCurve(d, 1) > 0, `d=${d}`);
+                assert.ok(calculateForceCurve(d, -1) < 0, `d=${d}`);
+            }
+            assert.equal(calculateForceCurve(1, 1), 0);
+        });
+    });
+
+    describe('beta', () => {
+        beforeEach(() => { CONFIG.physics.forceCurveMode = 'beta'; });
+
+        test('is zero at both ends when equilibrium is centred', () => {
+            CONFIG.physics.beta.equilibriumDistance = 0.5;
+            assert.ok(Math.abs(calculateForceCurve(0, 1)) < 1e-12);
+            assert.ok(Math.abs(calculateForceCurve(1, 1)) < 1e-12);
+        });
+
+        test('changes sign across the equilibrium distance', () => {
+            const eq = CONFIG.physics.beta.equilibriumDistance;
+            const below = calculateForceCurve(eq - 0.1, 1);
+            const above = calculateForceCurve(eq + 0.1, 1);
+            assert.ok(Math.sign(below) === -Math.sign(above), `below=${below} above=${above}`);
+        });
+
+        test('is zero for zero strength', () => {
+            for (const d of SAMPLES) {
+                assert.equal(Math.abs(calculateForceCurve(d, 0)), 0);
+            }
+        });
+    });
+
+    test('unknown modes fall back to classic', () => {
+        CONFIG.physics.forceCurveMode = 'not-a-mode';
+        const fallback = SAMPLES.map(d => calculateForceCurve(d, 0.7));
+        CONFIG.physics.forceCurveMode = 'classic';
+        assert.deepEqual(fallback, SAMPLES.map(d => calculateForceCurve(d, 0.7)));
+    });
+});
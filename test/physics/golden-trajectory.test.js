@@ -0,0 +1,96 @@
+/**
+ * Golden trajectories: seeded scenes must reproduce recorded particle states exactly
+ * (within float tolerance). Any physics change that alters motion fails here on purpose.
+ *
+ * After an intentional physics change, regenerate the fixture with:
+ *   UPDATE_GOLDEN=1 npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+import { state } from '../../js/config.js';
+import { resetPhysics, seedParticles, setMatrix, step } from '../helpers/physics-harness.js';
+
+const FIXTURE_URL = new URL('../fixtures/golden-trajectories.json', import.meta.url);
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+const TOLERANCE = 1e-6;
+const SNAPSHOT_STEPS = [1, 10, 60, 120];
+
+// Asymmetric matrix exercises chasing behaviour as well as clustering
+const MATRIX = [
+    [0.4, -0.3, 0.7],
+    [0.2, 0.5, -0.6],
+    [-0.8, 0.3, 0.1]
+];
+
+const SCENARIOS = [];
+for (const forceCurveMode of ['classic', 'piecewise', 'beta']) {
+    for (const toroidalSpace of [true, false]) {
+        SCENARIOS.push({
+            name: `${forceCurveMode}-${toroidalSpace ? 'toroidal' : 'bounded'}`,
+            physics: { forceCurveMode, toroidalSpace },
+            seed: 1234,
+            counts: [12, 12, 12]
+        });
+    }
+}
+
+function runScenario(scenario) {
+    resetPhysics({ physics: scenario.physics });
+    seedParticles(scenario.seed, scenario.counts);
+    setMatrix((i, j) => MATRIX[i % 3][j % 3]);
+
+    const snapshots = {};
+    let current = 0;
+    for (const target of SNAPSHOT_STEPS) {
+        step(target - current);
+        current = target;
+        snapshots[target] = state.particles.map(p => [p.x, p.y, p.vx, p.vy]);
+    }
+
+    return { audioIds: state.particles.map(p => p.audioId), snapshots };
+}
+
+const results = Object.fromEntries(SCENARIOS.map(s => [s.name, runScenario(s)]));
+
+if (UPDATE) {
+    // One particle per line keeps fixture diffs reviewable
+    const json = JSON.stringify(results, null, 1)
+        .replace(/\[\s+([^[\]]+?)\s+\]/g, (match, inner) => `[${inner.replace(/\s+/g, '')}]`);
+    writeFileSync(FIXTURE_URL, json + '\n');
+}
+
+const golden = JSON.parse(readFileSync(FIXTURE_URL, 'utf8'));
+
+describe('golden trajectories', () => {
+    test('the same seed gives identical runs', () => {
+        const again = runScenario(SCENARIOS[0]);
+        assert.deepEqual(again, results[SCENARIOS[0].name]);
+    });
+
+    for (const scenario of SCENARIOS) {
+        test(scenario.name, () => {
+            const expected = golden[scenario.name];
+            const actual = results[scenario.name];
+            assert.ok(expected, `missing fixture for ${scenario.name} - run UPDATE_GOLDEN=1 npm test`);
+            assert.deepEqual(actual.audioIds, expected.audioIds);
+
+            for (const stepCount of SNAPSHOT_STEPS) {
+                const actualParticles = actual.snapshots[stepCount];
+                const expectedParticles = expected.snapshots[stepCount];
+                assert.equal(actualParticles.length, expectedParticles.length);
+
+                actualParticles.forEach((values, index) => {
+                    values.forEach((value, k) => {
+                        const diff = Math.abs(value - expectedParticles[index][k]);
+                        assert.ok(diff <= TOLERANCE,
+                            `step ${stepCount}, particle ${index}, field ${['x', 'y', 'vx', 'vy'][k]}: ` +
+                            `${value} vs ${expectedParticles[index][k]}`);
+                    });
+                });
+            }
+        });
+    }
+});
@@ -0,0 +1,70 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, state } from '../../js/config.js';
+import { Particle } from '../../js/physics/particle.js';
+import {
+    adjustParticleCounts, spawnParticleBurst, removeParticleBurst, MAX_BURST_PARTICLES
+} from '../../js/physics/physics-engine.js';
+import { resetPhysics, seedParticles } from '../helpers/physics-harness.js';
+
+describe('Particle spawn options', () => {
+    beforeEach(() => resetPhysics());
+
+    test('given position and velocity are used, the rest stays random', () => {
+        const particle = new Particle(1, { x: 10, y: 20, vx: 3, burstId: 7 });
+        assert.equal(particle.x, 10);
+        assert.equal(particle.y, 20);
+        assert.equal(particle.vx, 3);
+        assert.ok(Math.abs(particle.vy) <= 1);
+        assert.equal(particle.burstId, 7);
+        assert.equal(new Particle(0).burstId, null);
+    });
+});
+
+describe('particle bursts', () => {
+    beforeEach(() => {
+        resetPhysics();
+        seedParticles(3, [5, 5]);
+    });
+
+    test('a burst opens as a ring around its point at the given speed', () => {
+        const burstId = spawnParticleBurst(1, { x: 200, y: 150, count: 6, speed: 2 });
+        const burst = state.particles.filter(p => p.burstId === burstId);
+
+        assert.equal(burst.length, 6);
+        for (const particle of burst) {
+            assert.equal(particle.species, 1);
+            assert.ok(Math.hypot(particle.x - 200, particle.y - 150) <= CONFIG.species.sizes[1] * 2 + 1e-9);
+            assert.ok(Math.abs(Math.hypot(particle.vx, particle.vy) - 2) < 1e-9);
+        }
+        const sum = burst.reduce((total, p) => ({ x: total.x + p.vx, y: total.y + p.vy }), { x: 0, y: 0 });
+        assert.ok(Math.abs(sum.x) < 1e-9 && Math.abs(sum.y) < 1e-9, 'evenly spread directions');
+    });
+
+    test('bursts are extra to the species counts and removed on their own', () => {
+        const burstId = spawnParticleBurst(0, { x: 50, y: 50, count: 4, speed: 1 });
+        assert.equal(state.particles.length, 14);
+
+        adjustParticleCounts();
+        assert.equal(state.particles.length, 14, 'counts already match without the burst');
+
+        CONFIG.species.counts[0] = 2;
+        adjustParticleCounts();
+        assert.equal(state.particles.filter(p => p.burstId === burstId).length, 4, 'lowering a count keeps bursts');
+        assert.equal(state.particles.filter(p => p.species === 0 && p.burstId === null).length, 2);
+
+        assert.equal(removeParticleBurst(burstId), 4);
+        assert.equal(removeParticleBurst(burstId), 0);
+        assert.equal(state.particles.length, 7);
+    });
+
+    test('inactive species and the particle cap spawn nothing', () => {
+        assert.equal(spawnParticleBurst(5, { x: 0, y: 0, count: 4, speed: 1 }), null);
+
+        spawnParticleBurst(0, { x: 0, y: 0, count: MAX_BURST_PARTICLES - 2, speed: 1 });
+        const lastId = spawnParticleBurst(1, { x: 0, y: 0, count: 10, speed: 1 });
+        assert.equal(state.particles.filter(p => p.burstId === lastId).length, 2);
+        assert.equal(spawnParticleBurst(1, { x: 0, y: 0, count: 1, speed: 1 }), null);
+    });
+});
@@ -0,0 +1,141 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, state } from '../../js/config.js';
+import {
+    resetPhysics, seedParticles, addParticle, setMatrix, step, kineticEnergy, momentum
+} from '../helpers/physics-harness.js';
+
+const FORCE_CURVE_MODES = ['classic', 'piecewise', 'beta'];
+
+describe('Particle.update boundaries', () => {
+    test('toroidal space wraps particles across every edge', () => {
+        resetPhysics({ physics: { toroidalSpace: true, friction: 1 } });
+        setMatrix(0);
+        const right = addParticle(0, 399, 150, 2, 0);
+        const left = addParticle(0, 1, 100, -2, 0);
+        const bottom = addParticle(0, 100, 299, 0, 2);
+        const top = addParticle(0, 300, 1, 0, -2);
+
+        step();
+
+        assert.ok(Math.abs(right.x - 1) < 1e-9, `right.x=${right.x}`);
+        assert.ok(Math.abs(left.x - 399) < 1e-9, `left.x=${left.x}`);
+        assert.ok(Math.abs(bottom.y - 1) < 1e-9, `bottom.y=${bottom.y}`);
+        assert.ok(Math.abs(top.y - 299) < 1e-9, `top.y=${top.y}`);
+        // Velocity is untouched by wrapping
+        assert.equal(right.vx, 2);
+        assert.equal(top.vy, -2);
+    });
+
+    test('bounded space reflects and damps velocity at the walls', () => {
+        resetPhysics({ physics: { toroidalSpace: false, friction: 1, bounceDamping: 0.5 } });
+        setMatrix(0);
+        const size = CONFIG.species.sizes[0];
+        const right = addParticle(0, 400 - size - 1, 150, 2, 0);
+        const top = addParticle(0, 200, size + 1, 0, -2);
+
+        step();
+
+        assert.equal(right.x, 400 - size);
+        assert.equal(right.vx, -1);
+        assert.equal(top.y, size);
+        assert.equal(top.vy, 1);
+    });
+
+    test('every particle stays inside the canvas in both modes', () => {
+        for (const toroidalSpace of [true, false]) {
+            resetPhysics({ physics: { toroidalSpace } });
+            seedParticles(7, [30, 30, 30]);
+            setMatrix((i, j) => ((i * 3 + j) % 5 - 2) / 2);
+
+            for (let frame = 0; frame < 200; frame++) {
+                step();
+                for (const p of state.particles) {
+                    const margin = toroidalSpace ? 0 : p.size;
+                    assert.ok(p.x >= margin && p.x <= CONFIG.canvas.width - margin, `x=${p.x} toroidal=${toroidalSpace}`);
+                    assert.ok(p.y >= margin && p.y <= CONFIG.canvas.height - margin, `y=${p.y} toroidal=${toroidalSpace}`);
+                }
+            }
+        }
+    });
+
+    test('particles interact across the wrap seam only in toroidal space', () => {
+        for (const toroidalSpace of [true, false]) {
+            resetPhysics({ physics: { toroidalSpace, friction: 1, forceCurveMode: 'classic' } });
+            setMatrix(1); // Attraction
+            const a = addParticle(0, 20, 150);
+            const b = addParticle(0, 380, 150);
+
+            step();
+
+            if (toroidalSpace) {
+                // 40px apart across the seam: a is pulled left (towards b), b right
+                assert.ok(a.vx < 0, `a.vx=${a.vx}`);
+                assert.ok(b.vx > 0, `b.vx=${b.vx}`);
+            } else {
+                // 360px apart: beyond maxForceDistance, nothing happens
+                assert.equal(a.vx, 0);
+                assert.equal(b.vx, 0);
+            }
+        }
+    });
+});
+
+describe('Particle.update conservation sanity checks', () => {
+    for (const mode of FORCE_CURVE_MODES) {
+        describe(`${mode} force curve`, () => {
+            beforeEach(() => {
+                resetPhysics({ physics: { forceCurveMode: mode, friction: 1, toroidalSpace: true } });
+            });
+
+            test('a symmetric pair exchanges equal and opposite impulses', () => {
+                setMatrix(0.6);
+                addParticle(0, 150, 150);
+                addParticle(0, 190, 150);
+
+                step();
+
+                // Sequential updates see a slightly moved partner, so allow a small residual
+                const p = momentum();
+                const impulse = Math.abs(state.particles[0].vx);
+                assert.ok(impulse > 0, 'particles should interact');
+                assert.ok(Math.abs(p.x) < impulse * 0.05, `net px=${p.x} vs impulse ${impulse}`);
+                assert.ok(Math.abs(p.y) < 1e-12, `net py=${p.y}`);
+            });
+
+            test('with a zero matrix and friction, kinetic energy decays by friction² per step', () => {
+                CONFIG.physics.friction = 0.9;
+                setMatrix(0);
+                // Spread out so no collisions occur
+                for (let i = 0; i < 6; i++) {
+                    addParticle(0, 30 + i * 60, 40 + i * 40, 1 - i * 0.3, 0.5);
+                }
+
+                for (let frame = 0; frame < 20; frame++) {
+                    const before = kineticEnergy();
+                    step();
+                    const after = kineticEnergy();
+                    assert.ok(Math.abs(after - before * 0.81) < 1e-9, `frame ${frame}: ${before} -> ${after}`);
+                }
+            });
+
+            test('a seeded crowd stays finite and under the speed limit', () => {
+                CONFIG.physics.friction = 0.95;
+                seedParticles(42, [40, 40]);
+                setMatrix((i, j) => (i === j ? 0.5 : -0.3));
+
+                const maxEnergy = state.particles.length * 0.5 * CONFIG.physics.maxSpeed ** 2;
+                for (let frame = 0; frame < 150; frame++) {
+                    step();
+                    const energy = kineticEnergy();
+                    assert.ok(Number.isFinite(energy), `frame ${frame}: energy not finite`);
+                    assert.ok(energy <= maxEnergy + 1e-9, `frame ${frame}: energy ${energy} > ${maxEnergy}`);
+                }
+                for (const p of state.particles) {
+                    assert.ok(p.velocityMagnitude <= CONFIG.physics.maxSpeed + 1e-9);
+                }
+            });
+        });
+    }
+});
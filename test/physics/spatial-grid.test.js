@@ -0,0 +1,72 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpatialGrid } from '../../js/physics/spatial-grid.js';
+
+// SpatialGrid logs its dimensions on construction
+const originalLog = console.log;
+
+describe('SpatialGrid', () => {
+    before(() => { console.log = () => {}; });
+    after(() => { console.log = originalLog; });
+
+    test('sizes the grid from canvas and cell size', () => {
+        const grid = new SpatialGrid(400, 300, 100);
+        assert.equal(grid.gridWidth, 4);
+        assert.equal(grid.gridHeight, 3);
+        assert.equal(grid.grid.length, 12);
+    });
+
+    test('wraps out-of-range coordinates into the grid', () => {
+        const grid = new SpatialGrid(400, 300, 100);
+        assert.deepEqual(grid.worldToGrid(-1, -1), { x: 3, y: 2 });
+        assert.deepEqual(grid.worldToGrid(401, 301), { x: 0, y: 0 });
+    });
+
+    test('returns the 3x3 neighbourhood, including across the wrap seam', () => {
+        const grid = new SpatialGrid(500, 500, 100);
+        const corner = { x: 10, y: 10 };
+        const oppositeCorner = { x: 490, y: 490 };
+        const far = { x: 250, y: 250 };
+        [corner, oppositeCorner, far].forEach(p => grid.insertParticle(p));
+
+        const nearby = grid.getNearbyParticles(10, 10);
+        assert.ok(nearby.includes(corner));
+        assert.ok(nearby.includes(oppositeCorner));
+        assert.ok(!nearby.includes(far));
+    });
+
+    test('finds every particle within one cell size (matches brute force)', () => {
+        const grid = new SpatialGrid(600, 400, 80);
+        const particles = [];
+        for (let i = 0; i < 200; i++) {
+            // Cheap deterministic scatter
+            particles.push({ x: (i * 97.3) % 600, y: (i * 53.9) % 400 });
+        }
+        particles.forEach(p => grid.insertParticle(p));
+
+        for (const p of particles.slice(0, 40)) {
+            const nearby = new Set(grid.getNearbyParticles(p.x, p.y));
+            for (const other of particles) {
+                const dx = Math.min(Math.abs(other.x - p.x), 600 - Math.abs(other.x - p.x));
+                const dy = Math.min(Math.abs(other.y - p.y), 400 - Math.abs(other.y - p.y));
+                if (Math.hypot(dx, dy) <= 80) {
+                    assert.ok(nearby.has(other), `missed neighbour at (${other.x}, ${other.y})`);
+                }
+            }
+        }
+    });
+
+    test('clear() and updateCellSize() drop stale entries', () => {
+        const grid = new SpatialGrid(400, 300, 100);
+        grid.insertParticle({ x: 50, y: 50 });
+        grid.clear();
+        assert.equal(grid.getNearbyParticles(50, 50).length, 0);
+
+        grid.insertParticle({ x: 50, y: 50 });
+        grid.updateCellSize(50);
+        assert.equal(grid.gridWidth, 8);
+        assert.equal(grid.gridHeight, 6);
+        assert.equal(grid.getNearbyParticles(50, 50).length, 0);
+    });
+});
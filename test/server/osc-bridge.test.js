@@ -0,0 +1,138 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { connect } from 'net';
+import { createSocket } from 'dgram';
+import { once } from 'events';
+
+import { attachOscBridge, isAllowedOscUpgrade } from '../../server/osc-bridge.js';
+import { encodeFrame, decodeFrame, OPCODES } from '../../server/websocket.js';
+import { encodeOscMessage, decodeOscPacket } from '../../js/osc/osc-codec.js';
+
+// Helper: Raw WebSocket client over TCP → { socket, response }
+async function openClient(port, path = '/osc', headers = []) {
+    const socket = connect(port, '127.0.0.1');
+    await once(socket, 'connect');
+    socket.write([
+        `GET ${path} HTTP/1.1`,
+        `Host: 127.0.0.1:${port}`,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version: 13',
+        ...headers,
+        '', ''
+    ].join('\r\n'));
+    const [data] = await once(socket, 'data');
+    return { socket, response: data.toString() };
+}
+
+// Helper: Next complete frame received by a raw client
+async function readFrame(socket) {
+    let buffer = Buffer.alloc(0);
+    for (;;) {
+        const [data] = await once(socket, 'data');
+        buffer = Buffer.concat([buffer, data]);
+        const frame = decodeFrame(buffer);
+        if (frame) return frame;
+    }
+}
+
+describe('OSC bridge (UDP loopback)', () => {
+    let server;
+    let bridge;
+    let udpOut;
+
+    before(async () => {
+        udpOut = createSocket('udp4');
+        await new Promise(resolve => udpOut.bind(0, '127.0.0.1', resolve));
+
+        server = createServer((req, res) => res.end());
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        bridge = await attachOscBridge(server, { inPort: 0, outPort: udpOut.address().port });
+    });
+
+    after(async () => {
+        bridge.close();
+        udpOut.close();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('refuses upgrades on other paths', async () => {
+        const { socket, response } = await openClient(server.address().port, '/other');
+        assert.match(response, /^HTTP\/1\.1 404/);
+        socket.destroy();
+    });
+
+    test('refuses pages from other origins', async () => {
+        const { port } = server.address();
+        const foreign = await openClient(port, '/osc', ['Origin: https://example.com']);
+        assert.match(foreign.response, /^HTTP\/1\.1 403/);
+        foreign.socket.destroy();
+
+        const own = await openClient(port, '/osc', [`Origin: http://127.0.0.1:${port}`]);
+        assert.match(own.response, /^HTTP\/1\.1 101/);
+        own.socket.destroy();
+        while (bridge.clients.size > 0) await new Promise(resolve => setTimeout(resolve, 5));
+    });
+
+    test('relays OSC both ways between the page and UDP', async () => {
+        const { socket, response } = await openClient(server.address().port);
+        assert.match(response, /^HTTP\/1\.1 101/);
+        assert.match(response, /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/);
+        assert.equal(bridge.clients.size, 1);
+
+        // Page → UDP out
+        const outgoing = encodeOscMessage('/particles', 'i', [3]);
+        const received = once(udpOut, 'message');
+        socket.write(encodeFrame(OPCODES.binary, Buffer.from(outgoing), { mask: Buffer.from([1, 2, 3, 4]) }));
+        const [packet] = await received;
+        assert.deepEqual(decodeOscPacket(packet), [{ address: '/particles', types: 'i', args: [3] }]);
+
+        // UDP in → page
+        const frameReceived = readFrame(socket);
+        udpOut.send(encodeOscMessage('/friction', 'f', [0.5]), bridge.inPort, '127.0.0.1');
+        const frame = await frameReceived;
+        assert.equal(frame.opcode, OPCODES.binary);
+        assert.equal(frame.masked, false);
+        assert.deepEqual(decodeOscPacket(frame.payload), [{ address: '/friction', types: 'f', args: [0.5] }]);
+
+        // Closing handshake
+        const closed = readFrame(socket);
+        socket.write(encodeFrame(OPCODES.close, Buffer.from([0x03, 0xe8]), { mask: Buffer.from([5, 6, 7, 8]) }));
+        assert.equal((await closed).opcode, OPCODES.close);
+        socket.destroy();
+        assert.equal(bridge.clients.size, 0);
+    });
+});
+
+describe('isAllowedOscUpgrade', () => {
+    const request = (remoteAddress, headers = {}) => ({
+        socket: { remoteAddress }, headers: { host: 'localhost:3000', ...headers }
+    });
+
+    test('accepts this machine only, unless remote access is allowed', () => {
+        assert.equal(isAllowedOscUpgrade(request('127.0.0.1'), false), true);
+        assert.equal(isAllowedOscUpgrade(request('::ffff:127.0.0.1'), false), true);
+        assert.equal(isAllowedOscUpgrade(request('::1'), false), true);
+        assert.equal(isAllowedOscUpgrade(request('192.168.1.20'), false), false);
+        assert.equal(isAllowedOscUpgrade(request('192.168.1.20'), true), true);
+    });
+
+    test('requires a browser Origin to be this server', () => {
+        assert.equal(isAllowedOscUpgrade(request('127.0.0.1', { origin: 'http://localhost:3000' }), false), true);
+        assert.equal(isAllowedOscUpgrade(request('127.0.0.1', { origin: 'http://evil.test' }), false), false);
+        assert.equal(isAllowedOscUpgrade(request('127.0.0.1', { origin: 'null' }), false), false);
+    });
+
+    test('requires a loopback name locally, so rebound DNS names are refused', () => {
+        const rebound = { host: 'evil.test:3000', origin: 'http://evil.test:3000' };
+        assert.equal(isAllowedOscUpgrade(request('127.0.0.1', rebound), false), false);
+        assert.equal(isAllowedOscUpgrade(request('127.0.0.1', { host: 'evil.test:3000' }), false), false);
+        assert.equal(isAllowedOscUpgrade(request('127.0.0.1', { host: undefined }), false), false);
+        assert.equal(isAllowedOscUpgrade(request('127.0.0.1', { host: '127.0.0.1:3000', origin: 'http://127.0.0.1:3000' }), false), true);
+        assert.equal(isAllowedOscUpgrade(request('::1', { host: '[::1]:3000', origin: 'http://[::1]:3000' }), false), true);
+        assert.equal(isAllowedOscUpgrade(request('192.168.1.20', rebound), true), true);
+    });
+});
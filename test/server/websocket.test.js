@@ -0,0 +1,135 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventEmitter } from 'events';
+
+import {
+    createAcceptKey, encodeFrame, decodeFrame, decodeFrameHeader, OPCODES, WebSocketConnection
+} from '../../server/websocket.js';
+
+// Helper: Stand-in for a net.Socket that records what the server writes
+function createFakeSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.ended = false;
+    socket.write = data => socket.written.push(Buffer.from(data));
+    socket.end = () => { socket.ended = true; };
+    return socket;
+}
+
+// Helper: Close code the server answered a single received chunk with, or null if it stayed open
+function closeCodeFor(data) {
+    const socket = createFakeSocket();
+    const connection = new WebSocketConnection(socket);
+    connection.on('message', () => {});
+    socket.emit('data', data);
+    if (connection.open) return null;
+    return decodeFrame(socket.written.at(-1)).payload.readUInt16BE(0);
+}
+
+describe('WebSocket frames', () => {
+    test('computes the RFC 6455 accept key', () => {
+        assert.equal(createAcceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+
+    test('round-trips masked and unmasked frames', () => {
+        const payload = Buffer.from('hello');
+        const mask = Buffer.from([1, 2, 3, 4]);
+
+        const plain = decodeFrame(encodeFrame(OPCODES.text, payload));
+        assert.equal(plain.masked, false);
+        assert.deepEqual(plain.payload, payload);
+
+        const encoded = encodeFrame(OPCODES.binary, payload, { mask });
+        assert.notDeepEqual(encoded.subarray(6), payload, 'payload is masked on the wire');
+        const masked = decodeFrame(encoded);
+        assert.equal(masked.masked, true);
+        assert.equal(masked.opcode, OPCODES.binary);
+        assert.equal(masked.fin, true);
+        assert.deepEqual(masked.payload, payload);
+        assert.equal(masked.length, encoded.length);
+    });
+
+    test('uses 16-bit and 64-bit extended lengths', () => {
+        for (const [size, headerSize] of [[125, 2], [126, 4], [65535, 4], [65536, 10]]) {
+            const frame = encodeFrame(OPCODES.binary, Buffer.alloc(size, 7));
+            assert.equal(frame.length, size + headerSize, `${size} bytes`);
+            assert.equal(decodeFrame(frame).payload.length, size);
+        }
+    });
+
+    test('returns null until a frame is complete and reports the bytes used', () => {
+        const frame = encodeFrame(OPCODES.binary, Buffer.alloc(300), { mask: Buffer.from([9, 9, 9, 9]) });
+        assert.equal(decodeFrame(frame.subarray(0, 1)), null);
+        assert.equal(decodeFrame(frame.subarray(0, 3)), null);
+        assert.equal(decodeFrame(frame.subarray(0, frame.length - 1)), null);
+
+        const twoFrames = Buffer.concat([frame, encodeFrame(OPCODES.ping, Buffer.alloc(0))]);
+        const first = decodeFrame(twoFrames);
+        assert.equal(first.length, frame.length);
+        assert.equal(decodeFrame(twoFrames.subarray(first.length)).opcode, OPCODES.ping);
+    });
+
+    test('keeps the FIN bit for fragments', () => {
+        assert.equal(decodeFrame(encodeFrame(OPCODES.text, Buffer.from('a'), { fin: false })).fin, false);
+    });
+});
+
+describe('WebSocketConnection', () => {
+    test('reads the declared length from the header alone', () => {
+        const header = Buffer.from([0x82, 0xff, 0, 0, 1, 0, 0, 0, 0, 0, 1, 2, 3, 4]);
+        assert.deepEqual(decodeFrameHeader(header), {
+            fin: true, opcode: OPCODES.binary, masked: true, payloadLength: 2 ** 40, headerLength: 14
+        });
+        assert.equal(decodeFrameHeader(header.subarray(0, 12)), null, 'mask key not complete');
+    });
+
+    test('closes with 1009 on an oversized length before buffering its payload', () => {
+        const socket = createFakeSocket();
+        const connection = new WebSocketConnection(socket);
+        let closed = false;
+        connection.on('close', () => { closed = true; });
+
+        // Binary frame declaring 2^40 bytes, followed by a first chunk of payload
+        socket.emit('data', Buffer.from([0x82, 0xff, 0, 0, 1, 0, 0, 0, 0, 0, 1, 2, 3, 4]));
+        socket.emit('data', Buffer.alloc(1024));
+
+        assert.equal(closed, true);
+        assert.equal(socket.ended, true);
+        assert.equal(socket.written.length, 1, 'only the close frame is written');
+        const frame = decodeFrame(socket.written[0]);
+        assert.equal(frame.opcode, OPCODES.close);
+        assert.equal(frame.payload.readUInt16BE(0), 1009);
+        assert.equal(connection.buffer.length, 0);
+    });
+
+    test('closes with 1002 on protocol errors', () => {
+        const mask = Buffer.from([1, 2, 3, 4]);
+        assert.equal(closeCodeFor(encodeFrame(OPCODES.binary, Buffer.from('x'))), 1002, 'unmasked');
+        assert.equal(closeCodeFor(encodeFrame(OPCODES.ping, Buffer.from('p'), { fin: false, mask })), 1002, 'fragmented ping');
+        assert.equal(closeCodeFor(encodeFrame(OPCODES.close, Buffer.alloc(2), { fin: false, mask })), 1002, 'fragmented close');
+        assert.equal(closeCodeFor(encodeFrame(OPCODES.ping, Buffer.alloc(126), { mask })), 1002, '126-byte ping');
+        assert.equal(closeCodeFor(encodeFrame(OPCODES.ping, Buffer.alloc(125), { mask })), null, '125-byte ping');
+        assert.equal(closeCodeFor(encodeFrame(OPCODES.text, Buffer.from('a'), { fin: false, mask })), null, 'data fragment');
+    });
+
+    test('refuses an unmasked frame from its header alone', () => {
+        // Unmasked binary frame declaring 200 bytes, without its payload yet
+        assert.equal(closeCodeFor(Buffer.from([0x82, 126, 0, 200])), 1002);
+    });
+
+    test('delivers masked messages and answers pings', () => {
+        const socket = createFakeSocket();
+        const connection = new WebSocketConnection(socket);
+        const messages = [];
+        connection.on('message', (data, isBinary) => messages.push([data.toString(), isBinary]));
+        const mask = Buffer.from([7, 7, 7, 7]);
+
+        const frame = encodeFrame(OPCODES.text, Buffer.from('hi'), { mask });
+        socket.emit('data', frame.subarray(0, 3));
+        socket.emit('data', Buffer.concat([frame.subarray(3), encodeFrame(OPCODES.ping, Buffer.from('p'), { mask })]));
+
+        assert.deepEqual(messages, [['hi', false]]);
+        assert.equal(decodeFrame(socket.written[0]).opcode, OPCODES.pong);
+    });
+});
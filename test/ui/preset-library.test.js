@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    normalizeTags, getPresetTags, filterPresets, uniquePresetName, renamePreset, duplicatePreset
+} from '../../js/ui/preset-library.js';
+
+function library() {
+    return {
+        'Slow Drift': { name: 'Slow Drift', tags: ['ambient', 'slow'] },
+        'Bright Swarm': { name: 'Bright Swarm', tags: ['bright'], favorite: true },
+        'drone bed': { name: 'drone bed', tags: ['Ambient ', 'drone'] },
+        'Untagged': { name: 'Untagged' }
+    };
+}
+
+describe('preset library', () => {
+    test('tags are trimmed, lowercased and de-duplicated', () => {
+        assert.deepEqual(normalizeTags(' Pads, drone,,pads , '), ['pads', 'drone']);
+        assert.deepEqual(normalizeTags(['A', 7, 'a']), ['a']);
+        assert.deepEqual(normalizeTags(undefined), []);
+        assert.deepEqual(getPresetTags(library()), ['ambient', 'bright', 'drone', 'slow']);
+    });
+
+    test('search matches every word against names and tags, favourites first', () => {
+        const presets = library();
+        assert.deepEqual(filterPresets(presets), ['Bright Swarm', 'drone bed', 'Slow Drift', 'Untagged']);
+        assert.deepEqual(filterPresets(presets, { query: 'AMBIENT' }), ['drone bed', 'Slow Drift']);
+        assert.deepEqual(filterPresets(presets, { query: 'ambient slow' }), ['Slow Drift']);
+        assert.deepEqual(filterPresets(presets, { tag: 'drone' }), ['drone bed']);
+        assert.deepEqual(filterPresets(presets, { favoritesOnly: true }), ['Bright Swarm']);
+    });
+
+    test('free names get a number', () => {
+        const presets = { A: {}, 'A 2': {} };
+        assert.equal(uniquePresetName(presets, 'B'), 'B');
+        assert.equal(uniquePresetName(presets, 'A'), 'A 3');
+    });
+
+    test('rename moves the preset and refuses taken or empty names', () => {
+        const presets = library();
+        assert.equal(renamePreset(presets, 'Untagged', '  Plain  '), 'Plain');
+        assert.equal(presets.Plain.name, 'Plain');
+        assert.equal('Untagged' in presets, false);
+
+        assert.throws(() => renamePreset(presets, 'Plain', 'Slow Drift'), /already exists/);
+        assert.throws(() => renamePreset(presets, 'Plain', ' '), /cannot be empty/);
+        assert.throws(() => renamePreset(presets, 'Missing', 'X'), /not found/);
+    });
+
+    test('duplicates are independent copies that are not favourites', () => {
+        const presets = library();
+        assert.equal(duplicatePreset(presets, 'Bright Swarm'), 'Bright Swarm copy');
+        assert.equal(duplicatePreset(presets, 'Bright Swarm'), 'Bright Swarm copy 2');
+
+        const copy = presets['Bright Swarm copy'];
+        assert.equal(copy.name, 'Bright Swarm copy');
+        assert.equal(copy.favorite, false);
+        copy.tags.push('changed');
+        assert.deepEqual(presets['Bright Swarm'].tags, ['bright']);
+    });
+});
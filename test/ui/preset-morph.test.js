@@ -0,0 +1,45 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../../js/config.js';
+import { getMorphEndpoint, interpolateMorph } from '../../js/ui/preset-morph.js';
+
+const matrix = value => Array.from({ length: 8 }, () => new Array(8).fill(value));
+const perSpecies = value => new Array(8).fill(value);
+
+function endpoint(value) {
+    return getMorphEndpoint({
+        physics: { friction: value, maxForceDistance: 100 * value, simulationSpeed: value, gravityStrength: 0, bounceDamping: value },
+        species: { trailLengths: perSpecies(value), sampleVolumes: perSpecies(-12 * value), samplePitches: perSpecies(5 * value) },
+        relationships: matrix(value - 0.5)
+    });
+}
+
+describe('preset morph', () => {
+    test('end points fall back to the current settings for fields a preset does not store', () => {
+        const point = getMorphEndpoint({ physics: { friction: 0 } });
+        assert.equal(point.physics.friction, 0);
+        assert.equal(point.physics.maxForceDistance, CONFIG.physics.maxForceDistance);
+        assert.deepEqual(point.species.samplePitches, CONFIG.species.samplePitches);
+        assert.deepEqual(point.relationships, CONFIG.relationships);
+        assert.notEqual(point.relationships[0], CONFIG.relationships[0], 'rows are copies');
+    });
+
+    test('positions 0 and 1 reproduce the end points', () => {
+        const a = endpoint(0);
+        const b = endpoint(1);
+        assert.deepEqual(interpolateMorph(a, b, 0), a);
+        assert.deepEqual(interpolateMorph(a, b, 1), b);
+        assert.deepEqual(interpolateMorph(a, b, 7), b, 'positions are clamped');
+    });
+
+    test('halfway mixes every value and rounds whole-number fields', () => {
+        const middle = interpolateMorph(endpoint(0), endpoint(1), 0.5);
+        assert.equal(middle.physics.friction, 0.5);
+        assert.equal(middle.physics.maxForceDistance, 50);
+        assert.equal(middle.species.trailLengths[3], 0.5);
+        assert.equal(middle.species.sampleVolumes[0], -6);
+        assert.equal(middle.species.samplePitches[7], 3, '2.5 semitones round to 3');
+        assert.equal(middle.relationships[2][5], 0);
+    });
+});
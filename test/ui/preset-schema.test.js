@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PRESET_VERSION, migratePreset } from '../../js/ui/preset-schema.js';
+
+// A version 1 preset as getCurrentState() wrote it
+function v1Preset(overrides = {}) {
+    return {
+        version: '1.0',
+        name: 'Old',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        canvasWidth: 1000,
+        canvasHeight: 700,
+        canvasBackgroundColor: '#101010',
+        speciesCount: 3,
+        particleCounts: [10, 20, 30, 20, 20, 20, 20, 20],
+        particleSizes: [8, 8, 8, 8, 8, 8, 8, 8],
+        speciesTrailLengths: [0.1, 0, 0, 0, 0, 0, 0, 0],
+        speciesColors: [[1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 1, 0], [1, 0, 1], [0, 1, 1], [1, 1, 1], [0.5, 0.5, 0.5]],
+        friction: 0.9,
+        maxForceDistance: 80,
+        simulationSpeed: 1.5,
+        toroidalSpace: false,
+        gravityStrength: 1,
+        bounceDamping: 0.7,
+        relationshipMatrix: [[0.5]],
+        ...overrides
+    };
+}
+
+describe('migratePreset', () => {
+    test('maps version 1 fields onto the CONFIG-shaped layout', () => {
+        const preset = migratePreset(v1Preset({
+            frequencyProfiles: { bandCounts: [12, 10, 10, 10, 10, 10, 10, 10] },
+            samples: [{ hash: 'abc', name: 'a.wav' }, null],
+            deterministic: true,
+            seed: 42
+        }));
+
+        assert.equal(preset.version, PRESET_VERSION);
+        assert.equal(preset.name, 'Old');
+        assert.deepEqual(preset.canvas, { width: 1000, height: 700, backgroundColor: '#101010' });
+        assert.equal(preset.species.count, 3);
+        assert.deepEqual(preset.species.counts.slice(0, 3), [10, 20, 30]);
+        assert.equal(preset.species.trailLengths[0], 0.1);
+        assert.equal(preset.species.bandCounts[0], 12);
+        assert.deepEqual(preset.physics, {
+            friction: 0.9, maxForceDistance: 80, simulationSpeed: 1.5,
+            toroidalSpace: false, gravityStrength: 1, bounceDamping: 0.7
+        });
+        assert.deepEqual(preset.relationships, [[0.5]]);
+        assert.deepEqual(preset.samples, [{ hash: 'abc', name: 'a.wav' }, null]);
+        assert.deepEqual(preset.simulation, { deterministic: true, seed: 42 });
+    });
+
+    test('keeps zero values and leaves missing ones out', () => {
+        const preset = migratePreset(v1Preset({ friction: 0, gravityStrength: 0, bounceDamping: undefined }));
+        assert.equal(preset.physics.friction, 0);
+        assert.equal(preset.physics.gravityStrength, 0);
+        assert.equal('bounceDamping' in preset.physics, false);
+        assert.equal('granular' in preset, false);
+    });
+
+    test('version 1 presets without a seed turn deterministic mode off', () => {
+        assert.deepEqual(migratePreset(v1Preset()).simulation, { deterministic: false });
+    });
+
+    test('current presets pass through unchanged', () => {
+        const preset = { version: PRESET_VERSION, physics: { friction: 0.5 } };
+        assert.equal(migratePreset(preset), preset);
+    });
+
+    test('rejects unknown versions and non-objects', () => {
+        assert.throws(() => migratePreset({ version: '9.0' }), /Unsupported preset version: 9.0/);
+        assert.throws(() => migratePreset({}), /Unsupported preset version: none/);
+        assert.throws(() => migratePreset(null), /not an object/);
+        assert.throws(() => migratePreset([]), /not an object/);
+    });
+});
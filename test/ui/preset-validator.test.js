@@ -0,0 +1,168 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../../js/config.js';
+import { PRESET_VERSION } from '../../js/ui/preset-schema.js';
+import { validatePreset, describePresetErrors } from '../../js/ui/preset-validator.js';
+
+function fields(errors) {
+    return errors.map(error => error.field);
+}
+
+describe('validatePreset', () => {
+    test('keeps zero physics values and valid presets untouched', () => {
+        const preset = {
+            version: PRESET_VERSION,
+            physics: { friction: 0, gravityStrength: 0, toroidalSpace: false },
+            relationships: CONFIG.relationships.map(row => [...row])
+        };
+        const { preset: valid, errors } = validatePreset(preset);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(valid, preset);
+        assert.notEqual(valid, preset, 'the input is not modified');
+    });
+
+    test('clamps numbers to the documented ranges and drops malformed values', () => {
+        const { preset, errors } = validatePreset({
+            version: PRESET_VERSION,
+            canvas: { width: 5000, height: 'tall', backgroundColor: 'red' },
+            physics: { friction: 1.5, maxForceDistance: 42.6, toroidalSpace: 'yes', forceCurveMode: 'spline' },
+            audio: { volumeScale: -80 }
+        });
+
+        assert.equal(preset.canvas.width, 1600);
+        assert.equal('height' in preset.canvas, false, 'absent = keep the current height');
+        assert.equal('backgroundColor' in preset.canvas, false);
+        assert.equal(preset.physics.friction, 1);
+        assert.equal(preset.physics.maxForceDistance, 43);
+        assert.equal('toroidalSpace' in preset.physics, false);
+        assert.equal('forceCurveMode' in preset.physics, false);
+        assert.equal(preset.audio.volumeScale, -40);
+        assert.deepEqual(fields(errors), [
+            'canvas.width', 'canvas.height', 'canvas.backgroundColor', 'physics.friction',
+            'physics.maxForceDistance', 'physics.toroidalSpace', 'physics.forceCurveMode', 'audio.volumeScale'
+        ]);
+        assert.match(errors[0].message, /outside 400 to 1600, clamped to 1600/);
+    });
+
+    test('pads missing species entries from the current settings', () => {
+        const { preset, errors } = validatePreset({
+            version: PRESET_VERSION,
+            species: { counts: [10, 5000, 'many'], sampleVolumes: [3, 40] }
+        });
+
+        assert.equal(preset.species.counts.length, CONFIG.species.maxCount);
+        assert.deepEqual(preset.species.counts.slice(0, 4), [10, 1000, CONFIG.species.counts[2], CONFIG.species.counts[3]]);
+        assert.deepEqual(preset.species.sampleVolumes.slice(0, 3), [3, 12, CONFIG.species.sampleVolumes[2]]);
+        assert.deepEqual(fields(errors), [
+            'species.counts', 'species.counts[1]', 'species.counts[2]', 'species.sampleVolumes', 'species.sampleVolumes[1]'
+        ]);
+    });
+
+    test('repairs malformed force matrices cell by cell', () => {
+        const { preset, errors } = validatePreset({
+            version: PRESET_VERSION,
+            relationships: [[0.5, 2], 'oops', [0, 0, null]]
+        });
+        const matrix = preset.relationships;
+
+        assert.equal(matrix.length, CONFIG.species.maxCount);
+        assert.ok(matrix.every(row => row.length === CONFIG.species.maxCount));
+        assert.deepEqual(matrix[0].slice(0, 3), [0.5, 1, CONFIG.relationships[0][2]]);
+        assert.deepEqual(matrix[1], CONFIG.relationships[1]);
+        assert.equal(matrix[2][2], CONFIG.relationships[2][2]);
+        assert.deepEqual(fields(errors), [
+            'relationships', 'relationships[0]', 'relationships[0][1]', 'relationships[1]',
+            'relationships[2]', 'relationships[2][2]'
+        ]);
+    });
+
+    test('rejects crossed piecewise zones and bad sample ranges', () => {
+        const { preset, errors } = validatePreset({
+            version: PRESET_VERSION,
+            physics: { piecewise: { repulsionZone: 0.9, attractionZone: 0.3, repulsionStrength: 3 } },
+            species: { sampleRanges: [{ start: 0.8, end: 0.2 }] },
+            samples: [{ name: 'no-hash.wav' }, null]
+        });
+
+        assert.deepEqual(preset.physics.piecewise, { repulsionStrength: 3 });
+        assert.deepEqual(preset.species.sampleRanges[0], CONFIG.species.sampleRanges[0]);
+        assert.deepEqual(preset.samples, [null, null]);
+        assert.deepEqual(fields(errors), ['species.sampleRanges', 'species.sampleRanges[0]', 'samples[0]', 'physics.piecewise']);
+    });
+
+    test('drops MIDI mappings with unknown targets or out-of-range controllers', () => {
+        const good = { channel: 0, controller: 74, target: 'slider:friction' };
+        const { preset, errors } = validatePreset({
+            version: PRESET_VERSION,
+            midi: { mappings: [good, { channel: 0, controller: 200, target: 'matrix:0:1' }, { channel: 1, controller: 7, target: 'slider:nope' }] }
+        });
+
+        assert.deepEqual(preset.midi.mappings, [good]);
+        assert.deepEqual(fields(errors), ['midi.mappings[1]', 'midi.mappings[2]']);
+    });
+
+    test('checks MIDI note settings', () => {
+        const { preset, errors } = validatePreset({
+            version: PRESET_VERSION,
+            midi: { notes: { enabled: 'yes', speciesMode: 'velocity', burstSize: 500 } }
+        });
+
+        assert.deepEqual(preset.midi.notes, { burstSize: 50 });
+        assert.deepEqual(fields(errors), ['midi.notes.burstSize', 'midi.notes.enabled', 'midi.notes.speciesMode']);
+    });
+
+    test('checks MIDI out settings', () => {
+        const { preset, errors } = validatePreset({
+            version: PRESET_VERSION,
+            midi: { output: { enabled: true, source: 'trails', message: 'cc', clock: 'external', bpm: 10 } }
+        });
+
+        assert.deepEqual(preset.midi.output, { enabled: true, message: 'cc', bpm: 40 });
+        assert.deepEqual(fields(errors), ['midi.output.bpm', 'midi.output.source', 'midi.output.clock']);
+    });
+
+    test('checks modulation sources and drops routes without a valid source or target', () => {
+        const { preset, errors } = validatePreset({
+            version: PRESET_VERSION,
+            modulation: {
+                sources: [
+                    { id: 'lfo1', type: 'lfo', shape: 'square', rate: 50 },
+                    { id: 'sequencer1', type: 'sequencer', steps: [2, -0.5, 'up'], glide: 'yes' },
+                    { id: 'lfo1', type: 'lfo' },
+                    { id: 'x', type: 'wobble' }
+                ],
+                routes: [
+                    { source: 'lfo1', target: 'physics:friction', depth: 0.5 },
+                    { source: 'sequencer1', target: 'matrix:0:1', depth: -1 },
+                    { source: 'lfo1', target: 'slider:friction', depth: 0.5 },
+                    { source: 'x', target: 'physics:friction', depth: 0.5 },
+                    { source: 'lfo1', target: 'species:0:pitch', depth: 3 }
+                ]
+            }
+        });
+
+        const [lfo, sequencer] = preset.modulation.sources;
+        assert.equal(preset.modulation.sources.length, 2);
+        assert.deepEqual(lfo, { id: 'lfo1', type: 'lfo', shape: 'sine', rate: 20 });
+        assert.deepEqual(sequencer.steps, [1, -0.5, 0, 0, 0, 0, 0, 0]);
+        assert.equal(sequencer.glide, false);
+        assert.deepEqual(preset.modulation.routes.map(route => route.target), ['physics:friction', 'matrix:0:1']);
+        assert.deepEqual(fields(errors), [
+            'modulation.sources[0].rate', 'modulation.sources[0].shape',
+            'modulation.sources[1].glide', 'modulation.sources[1].steps',
+            'modulation.sources[1].steps[0]', 'modulation.sources[1].steps[2]',
+            'modulation.sources[2]', 'modulation.sources[3]',
+            'modulation.routes[2]', 'modulation.routes[3]', 'modulation.routes[4]'
+        ]);
+    });
+});
+
+describe('describePresetErrors', () => {
+    test('names the first fields and counts the rest', () => {
+        const errors = ['a', 'b', 'b', 'c', 'd', 'e'].map(field => ({ field, message: '' }));
+        assert.equal(describePresetErrors([]), '');
+        assert.equal(describePresetErrors(errors), 'fixed 5 invalid settings: a, b, c and 2 more');
+        assert.equal(describePresetErrors(errors.slice(0, 1)), 'fixed 1 invalid setting: a');
+    });
+});